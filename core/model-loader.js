@@ -3,13 +3,40 @@
  * @description Model download and lifecycle management
  */
 
-// Model configuration
+const MODEL_REPO_URL = 'https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ONNX/resolve/main'
+
+// Model configuration - one stored variant per precision (dtype); 'kokoro-82M' is full precision
 const MODEL_CONFIG = {
   'kokoro-82M': {
-    url: 'https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ONNX/resolve/main/model.onnx',
+    url: `${MODEL_REPO_URL}/onnx/model.onnx`,
+    dtype: 'fp32',
+    version: 'v1.0',
+    size: 326 * 1024 * 1024, // 326MB
+    checksumUrl: `${MODEL_REPO_URL}/model.onnx.sha256`
+  },
+  'kokoro-82M-fp16': {
+    url: `${MODEL_REPO_URL}/onnx/model_fp16.onnx`,
+    dtype: 'fp16',
+    version: 'v1.0',
+    size: 163 * 1024 * 1024 // 163MB
+  },
+  'kokoro-82M-q8': {
+    url: `${MODEL_REPO_URL}/onnx/model_quantized.onnx`,
+    dtype: 'q8',
+    version: 'v1.0',
+    size: 92 * 1024 * 1024 // 92MB
+  },
+  'kokoro-82M-q4': {
+    url: `${MODEL_REPO_URL}/onnx/model_q4.onnx`,
+    dtype: 'q4',
     version: 'v1.0',
-    size: 82 * 1024 * 1024, // 82MB
-    checksumUrl: 'https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ONNX/resolve/main/model.onnx.sha256'
+    size: 305 * 1024 * 1024 // 305MB
+  },
+  'kokoro-82M-q4f16': {
+    url: `${MODEL_REPO_URL}/onnx/model_q4f16.onnx`,
+    dtype: 'q4f16',
+    version: 'v1.0',
+    size: 155 * 1024 * 1024 // 155MB
   }
 }
 
@@ -206,6 +233,15 @@ class ModelLoader {
     }
   }
 
+  /**
+   * Stored weights for a precision, without downloading - lets the engine load the variant from IndexedDB
+   * @param {string} dtype - Model precision
+   * @returns {Promise<ArrayBuffer|null>} Weights, or null when the variant isn't stored
+   */
+  async loadModelFile(dtype) {
+    return await this.storage.loadModel(getModelIdForDtype(dtype))
+  }
+
   /**
    * Check if model is available (in storage)
    * @param {string} modelId - Model identifier
@@ -242,6 +278,49 @@ class ModelLoader {
   getModelConfig(modelId) {
     return MODEL_CONFIG[modelId] || null
   }
+
+  /**
+   * List every model variant with whether it is stored
+   * @returns {Promise<Array<{modelId: string, dtype: string, size: number, stored: boolean, downloadDate: number|null}>>}
+   */
+  async listModelVariants() {
+    return Promise.all(Object.entries(MODEL_CONFIG).map(async ([modelId, config]) => {
+      const metadata = await this.getModelMetadata(modelId)
+      return {
+        modelId,
+        dtype: config.dtype,
+        size: metadata ? metadata.size : config.size,
+        stored: Boolean(metadata),
+        downloadDate: metadata ? metadata.downloadDate : null
+      }
+    }))
+  }
+
+  /**
+   * Delete a stored model variant
+   * @param {string} modelId - Model identifier
+   * @returns {Promise<void>}
+   */
+  async deleteModel(modelId) {
+    if (!MODEL_CONFIG[modelId]) {
+      throw new Error(`Unknown model: ${modelId}`)
+    }
+    await this.storage.deleteModel(modelId)
+  }
+}
+
+/**
+ * Model variant holding a precision
+ * @param {string} dtype - Precision (fp32, fp16, q8, q4, q4f16)
+ * @returns {string} Model identifier
+ * @throws {Error} When no variant has the precision
+ */
+function getModelIdForDtype(dtype) {
+  const entry = Object.entries(MODEL_CONFIG).find(([, config]) => config.dtype === dtype)
+  if (!entry) {
+    throw new Error(`No model variant for precision: ${dtype}`)
+  }
+  return entry[0]
 }
 
-export { ModelLoader, MODEL_CONFIG }
\ No newline at end of file
+export { ModelLoader, MODEL_CONFIG, getModelIdForDtype }
\ No newline at end of file
@@ -3,6 +3,9 @@
  * @description Core event structure for TTS request/response flow
  */
 
+// Formats accepted for request.text (request.options.format)
+const TEXT_FORMATS = ['text', 'ssml']
+
 class TTSEvent {
   constructor(request = {}) {
     this.id = this._generateId()
@@ -16,6 +19,11 @@ class TTSEvent {
       options: request.options || {}
     }
 
+    const format = this.request.options.format
+    if (format !== undefined && !TEXT_FORMATS.includes(format)) {
+      throw new Error(`Invalid text format: ${format}. Must be one of: ${TEXT_FORMATS.join(', ')}`)
+    }
+
     this.response = {
       audio: null,
       duration: 0,
@@ -6,7 +6,11 @@
 import { TTSCore } from '/core/tts-core.js'
 import { DebugLogger } from '/tools/debug-logger.js'
 import { IndexedDBWrapper } from '/platform/storage/indexeddb-wrapper.js'
-import { ModelLoader } from '/core/model-loader.js'
+import { ModelLoader, getModelIdForDtype } from '/core/model-loader.js'
+import { detectCapabilities, DEFAULT_MODEL_PROFILE } from '/plugins/kokoro-engine/src/model-profile.js'
+import PdfExtractor from '/plugins/content-extractor/src/pdf-extractor.js'
+import { AUDIO_PROCESSING_STORAGE_KEY } from '/plugins/offscreen-audio/src/audio-processing.js'
+import { MIN_PLAYBACK_SPEED, MAX_PLAYBACK_SPEED } from '/plugins/offscreen-audio/src/time-stretch.js'
 
 const logger = new DebugLogger({
   prefix: '[KokoroJS-Background]',
@@ -18,6 +22,49 @@ let storage = null
 let modelLoader = null
 let modelReady = false
 let modelDownloading = false
+let playbackTabId = null
+
+// Playback events the requesting tab needs to keep its page highlight in sync
+const FORWARDED_PLAYBACK_EVENTS = [
+  'tts:timing',
+  'audio:positionUpdate',
+  'audio:seeked',
+  'audio:playbackCompleted',
+  'audio:playbackStopped',
+  'audio:streamCancelled',
+  'queue:completed'
+]
+
+// Events every tab's control panel needs, whichever tab is playing
+const BROADCAST_EVENTS = [
+  'tts:voicesChanged'
+]
+
+// Transport commands from the popup, control panel and keyboard shortcuts
+const TRANSPORT_COMMANDS = {
+  TTS_STOP: 'stop',
+  TTS_PAUSE: 'pause',
+  TTS_RESUME: 'resume',
+  TTS_SEEK: 'seek',
+  TTS_SKIP_SENTENCE: 'skipSentence',
+  TTS_SET_SPEED: 'setSpeed'
+}
+
+// Keyboard playback speed step
+const SPEED_STEP = 0.1
+
+// Artwork shown by OS media controls after the page's own icon
+const MEDIA_ARTWORK = { src: 'icons/icon128.png', sizes: '128x128', type: 'image/png' }
+
+// Live playback speed is kept in local storage - slider drags would run into the sync write quota
+const PLAYBACK_SPEED_KEY = 'playbackSpeed'
+
+// Options page settings (chrome.storage.sync) applied to the engine
+const LANGUAGE_SETTINGS = ['autoLanguage', 'languageVoices']
+const PROSODY_SETTINGS = ['pauses', 'trimSilence']
+
+// Options page setting (chrome.storage.sync) for how tabs share playback, applied to the queue and the player
+const SESSION_POLICY_KEY = 'sessionPolicy'
 
 async function initializeBackground() {
   logger.info('Initializing background service worker')
@@ -39,11 +86,21 @@ async function initializeBackground() {
 
     await ttsCore.initialize()
 
+    // The engine loads the variant ensureModelReady() downloaded instead of fetching it again
+    const engine = ttsCore.pluginLoader.getPlugin('kokoro-engine')
+    if (engine) {
+      engine.setModelStore(modelLoader)
+    }
+
     setupMessageHandlers()
     setupContextMenus()
+    setupCommands()
+    setupTabListeners()
+    setupPlaybackForwarding()
+    setupSettingsListeners()
 
     // Check if model is already available
-    const isAvailable = await modelLoader.isModelAvailable('kokoro-82M')
+    const isAvailable = await modelLoader.isModelAvailable(currentModelId())
     if (isAvailable) {
       modelReady = true
       logger.info('Model already available in storage')
@@ -62,12 +119,33 @@ function setupMessageHandlers() {
     if (message.type === 'TTS_REQUEST') {
       handleTTSRequest(message, sender, sendResponse)
       return true
-    } else if (message.type === 'TTS_STOP') {
-      handleTTSStop(sendResponse)
+    } else if (message.type === 'TTS_READ_PDF') {
+      handleReadPdf(message, sender, sendResponse)
+      return true
+    } else if (message.type === 'TTS_EXPORT') {
+      handleTTSExport(message, sender, sendResponse)
+      return true
+    } else if (message.type === 'TTS_PHONEMIZE') {
+      handlePhonemize(message, sendResponse)
+      return true
+    } else if (message.type in TRANSPORT_COMMANDS) {
+      handleTransportCommand(message, sender, sendResponse)
       return true
     } else if (message.type === 'MODEL_STATUS') {
       handleModelStatus(sendResponse)
       return true
+    } else if (message.type === 'MODEL_PROFILE_GET') {
+      handleGetModelProfile(sendResponse)
+      return true
+    } else if (message.type === 'MODEL_PROFILE_SET') {
+      handleSetModelProfile(message, sendResponse)
+      return true
+    } else if (message.type === 'MODEL_VARIANT_DELETE') {
+      handleDeleteModelVariant(message, sendResponse)
+      return true
+    } else if (message.type === 'TTS_BENCHMARK') {
+      handleBenchmark(message, sendResponse)
+      return true
     } else if (message.type === 'tts:request') {
       handleTTSRequest(message, sender, sendResponse)
       return true
@@ -78,6 +156,155 @@ function setupMessageHandlers() {
   })
 }
 
+function setupPlaybackForwarding() {
+  // Playback finishing completes its tab's queue session (queue:completed continues paginated reads)
+  ttsCore.eventBus.subscribe('audio:playbackCompleted', (data) => {
+    const session = findSession(eventTabId(data) ?? undefined)
+    if (session && session.status !== 'completed') {
+      ttsCore.eventBus.publish('tts:completed', {
+        sessionId: session.sessionId,
+        timestamp: Date.now()
+      })
+    }
+  })
+
+  // Headset buttons, media keys and OS media overlays
+  ttsCore.eventBus.subscribe('audio:mediaAction', handleMediaAction)
+
+  for (const eventType of FORWARDED_PLAYBACK_EVENTS) {
+    ttsCore.eventBus.subscribe(eventType, (data) => {
+      const tabId = eventTabId(data)
+      if (tabId === null) {
+        return
+      }
+
+      chrome.tabs.sendMessage(tabId, {
+        type: 'TTS_PLAYBACK_EVENT',
+        event: eventType,
+        data
+      }).catch(() => {
+        // Tab closed or navigated away - stop forwarding to it
+        if (tabId === playbackTabId) {
+          playbackTabId = null
+        }
+      })
+    })
+  }
+
+  for (const eventType of BROADCAST_EVENTS) {
+    ttsCore.eventBus.subscribe(eventType, async (data) => {
+      try {
+        const tabs = await chrome.tabs.query({})
+        for (const tab of tabs) {
+          chrome.tabs.sendMessage(tab.id, {
+            type: 'TTS_PLAYBACK_EVENT',
+            event: eventType,
+            data
+          }).catch(() => {
+            // No content script in this tab
+          })
+        }
+      } catch (error) {
+        console.error(`Failed to broadcast ${eventType}:`, error)
+      }
+    })
+  }
+}
+
+/**
+ * Tab a playback event belongs to - each tab's audio plays on its own channel; streams and audio
+ * without a tab (channel 0) belong to the tab that requested playback last
+ * @param {Object} [data] - Event data
+ * @returns {number|null}
+ */
+function eventTabId(data) {
+  if (data?.tabId === undefined || data.tabId === 0) {
+    return playbackTabId
+  }
+  return data.tabId
+}
+
+/**
+ * Show what is about to be read in the OS media controls
+ * @param {Object} request - TTS request (text, voice)
+ * @param {string} [title] - Article or document title found by extraction
+ * @param {chrome.tabs.Tab} [tab] - Tab the text came from
+ */
+function publishMediaMetadata(request, title, tab) {
+  try {
+    const audioPlugin = ttsCore.pluginLoader.getPlugin('offscreen-audio')
+    if (!audioPlugin) {
+      return
+    }
+
+    const engine = ttsCore.pluginLoader.getPlugin('kokoro-engine')
+    const voice = engine ? engine.listVoices().find(({ id }) => id === request.voice) : null
+
+    const artwork = []
+    if (tab?.favIconUrl && /^https?:/.test(tab.favIconUrl)) {
+      artwork.push({ src: tab.favIconUrl })
+    }
+    artwork.push({ ...MEDIA_ARTWORK, src: chrome.runtime.getURL(MEDIA_ARTWORK.src) })
+
+    audioPlugin.setMediaMetadata({
+      title: title || tab?.title || 'Selected text',
+      artist: voice ? voice.name : request.voice,
+      album: tab?.url && /^https?:/.test(tab.url) ? new URL(tab.url).hostname : '',
+      artwork
+    })
+  } catch (error) {
+    logger.error('Failed to set media metadata:', error)
+  }
+}
+
+/**
+ * Run a media control action (headset button, media key, OS overlay) like the matching transport command
+ * @param {Object} event - audio:mediaAction event
+ * @returns {Promise<void>}
+ */
+async function handleMediaAction(event) {
+  const { action } = event
+  try {
+    const tabId = playbackTabId ?? undefined
+    const { position = 0 } = getPlaybackState(tabId)
+
+    let state
+    switch (action) {
+      case 'play':
+        state = await runTransportCommand('resume', {}, tabId)
+        break
+      case 'pause':
+        state = await runTransportCommand('pause', {}, tabId)
+        break
+      case 'stop':
+        state = await runTransportCommand('stop', {}, tabId)
+        break
+      case 'seekto':
+        state = await runTransportCommand('seek', { position: event.seekTime }, tabId)
+        break
+      case 'seekbackward':
+        state = await runTransportCommand('seek', { position: Math.max(0, position - event.seekOffset) }, tabId)
+        break
+      case 'seekforward':
+        state = await runTransportCommand('seek', { position: position + event.seekOffset }, tabId)
+        break
+      case 'previoustrack':
+        state = await runTransportCommand('skipSentence', { direction: -1 }, tabId)
+        break
+      case 'nexttrack':
+        state = await runTransportCommand('skipSentence', { direction: 1 }, tabId)
+        break
+      default:
+        logger.warn(`Unknown media action: ${action}`)
+        return
+    }
+
+    broadcastPlaybackState(state)
+  } catch (error) {
+    logger.error(`Media action ${action} failed:`, error)
+  }
+}
+
 function setupContextMenus() {
   try {
     // Create "Speak selection" menu item (visible when text selected)
@@ -106,27 +333,27 @@ function setupContextMenus() {
       }
     })
 
+    // Create "Read from here" menu item (starts at the right-clicked paragraph)
+    chrome.contextMenus.create({
+      id: 'kokoro-tts-read-from-here',
+      title: 'Read from here',
+      contexts: ['page']
+    }, () => {
+      if (chrome.runtime.lastError) {
+        logger.error('Failed to create "Read from here" context menu:', chrome.runtime.lastError)
+      } else {
+        logger.info('"Read from here" context menu created successfully')
+      }
+    })
+
     chrome.contextMenus.onClicked.addListener((info, tab) => {
       try {
         if (info.menuItemId === 'kokoro-tts-speak-selection' && info.selectionText) {
-          // Send message to content script to handle selection
-          chrome.tabs.sendMessage(tab.id, {
-            type: 'TTS_REQUEST',
-            action: 'speak-selection',
-            text: info.selectionText,
-            source: 'context-menu'
-          }).catch(error => {
-            logger.error('Failed to send speak-selection message to content script:', error)
-          })
+          requestPageAction(tab, 'speak-selection', { text: info.selectionText, source: 'context-menu' })
         } else if (info.menuItemId === 'kokoro-tts-read-page') {
-          // Send message to content script to handle page reading
-          chrome.tabs.sendMessage(tab.id, {
-            type: 'TTS_REQUEST',
-            action: 'read-page',
-            source: 'context-menu'
-          }).catch(error => {
-            logger.error('Failed to send read-page message to content script:', error)
-          })
+          requestPageAction(tab, 'read-page', { source: 'context-menu' })
+        } else if (info.menuItemId === 'kokoro-tts-read-from-here') {
+          requestPageAction(tab, 'read-from-here', { source: 'context-menu' })
         }
       } catch (error) {
         logger.error('Error handling context menu click:', error)
@@ -137,50 +364,356 @@ function setupContextMenus() {
   }
 }
 
-async function handleTTSRequest(message, sender, sendResponse) {
+/**
+ * Ask the tab's content script to speak its selection or read the page
+ * PDFs open in Chrome's viewer have no content script, so they're read here instead
+ * @param {chrome.tabs.Tab} tab - Tab
+ * @param {'speak-selection'|'read-page'|'read-from-here'|'read-from-cursor'} action - Page action
+ * @param {Object} options - Action options
+ * @param {string} [options.text] - Selected text (the content script reads the selection if omitted)
+ * @param {'context-menu'|'keyboard'} options.source - What triggered the action
+ */
+function requestPageAction(tab, action, { text, source }) {
+  if (PdfExtractor.isPdfUrl(tab.url)) {
+    if (action !== 'speak-selection') {
+      readPdf(tab).catch(error => logger.error('Failed to read PDF:', error))
+    } else if (text) {
+      handleTTSRequest({ payload: { text } }, { tab }, () => {})
+    } else {
+      logger.warn('The PDF viewer doesn\'t share its selection - use the context menu to speak it')
+    }
+    return
+  }
+
+  chrome.tabs.sendMessage(tab.id, {
+    type: 'TTS_REQUEST',
+    action,
+    text,
+    source
+  }).catch(error => {
+    logger.error(`Failed to send ${action} message to content script:`, error)
+  })
+}
+
+/**
+ * Read a PDF from a page onwards through the normal TTS pipeline
+ * Text is extracted by pdf.js in the offscreen document
+ * @param {chrome.tabs.Tab} tab - Tab showing the PDF
+ * @param {Object} [options] - Read options
+ * @param {number} [options.fromPage] - First page (defaults to #page=N in the URL, then 1)
+ * @returns {Promise<Object>} Extracted content
+ */
+async function readPdf(tab, { fromPage } = {}) {
+  const audioPlugin = ttsCore.pluginLoader.getPlugin('offscreen-audio')
+  await audioPlugin.ensureOffscreenDocument()
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'offscreen-pdf-extract',
+    url: tab.url,
+    fromPage: fromPage || PdfExtractor.pageFromUrl(tab.url) || 1
+  })
+
+  if (!response?.success) {
+    throw new Error(response?.error || 'PDF extraction failed')
+  }
+
+  const content = response.data
+  logger.info(`Reading PDF from page ${content.fromPage} of ${content.pageCount}`)
+
+  handleTTSRequest({ payload: { text: content.text, title: content.title } }, { tab }, (result) => {
+    if (result.status === 'error') {
+      logger.error('PDF read failed:', result.error)
+    }
+  })
+
+  return content
+}
+
+async function handleReadPdf(message, sender, sendResponse) {
   try {
-    // Ensure model is loaded before processing
-    if (!modelReady && !modelDownloading) {
-      modelDownloading = true
+    const [tab] = sender.tab ? [sender.tab] : await chrome.tabs.query({ active: true, currentWindow: true })
+    if (!tab || !PdfExtractor.isPdfUrl(tab.url)) {
+      throw new Error('The current tab is not a PDF')
+    }
 
-      // Notify popup of download start
-      chrome.runtime.sendMessage({
-        type: 'MODEL_DOWNLOAD_PROGRESS',
-        percentage: 0
+    const content = await readPdf(tab, { fromPage: message.payload?.fromPage })
+    sendResponse({ success: true, fromPage: content.fromPage, pageCount: content.pageCount })
+  } catch (error) {
+    logger.error('PDF read failed:', error)
+    sendResponse({ success: false, error: error.message })
+  }
+}
+
+function setupCommands() {
+  // Shortcuts are declared in the manifest and rebound at chrome://extensions/shortcuts
+  chrome.commands.onCommand.addListener((command, tab) => {
+    handleCommand(command, tab)
+  })
+}
+
+/**
+ * Run a keyboard shortcut
+ * @param {string} command - Command name from the manifest
+ * @param {chrome.tabs.Tab} [tab] - Active tab when the shortcut was pressed
+ */
+async function handleCommand(command, tab) {
+  try {
+    if (!tab) {
+      [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+    }
+    const tabId = tab?.id
+
+    let state = null
+    switch (command) {
+      case 'speak-selection':
+      case 'read-page':
+      case 'read-from-cursor':
+        if (tab) {
+          requestPageAction(tab, command, { source: 'keyboard' })
+        }
+        break
+      case 'play-pause': {
+        const { status } = getPlaybackState(tabId)
+        if (status === 'playing') {
+          state = await runTransportCommand('pause', {}, tabId)
+        } else if (status === 'paused') {
+          state = await runTransportCommand('resume', {}, tabId)
+        } else if (tab) {
+          requestPageAction(tab, 'speak-selection', { source: 'keyboard' })
+        }
+        break
+      }
+      case 'stop':
+        state = await runTransportCommand('stop', {}, tabId)
+        break
+      case 'next-sentence':
+        state = await runTransportCommand('skipSentence', { direction: 1 }, tabId)
+        break
+      case 'previous-sentence':
+        state = await runTransportCommand('skipSentence', { direction: -1 }, tabId)
+        break
+      case 'speed-up':
+        state = { ...getPlaybackState(tabId), speed: await changeSpeed(SPEED_STEP) }
+        break
+      case 'speed-down':
+        state = { ...getPlaybackState(tabId), speed: await changeSpeed(-SPEED_STEP) }
+        break
+      default:
+        logger.warn(`Unknown command: ${command}`)
+    }
+
+    if (state) {
+      broadcastPlaybackState(state)
+    }
+  } catch (error) {
+    logger.error(`Command ${command} failed:`, error)
+  }
+}
+
+/**
+ * Step the live playback speed
+ * @param {number} delta - Change in speed
+ * @returns {Promise<number>} New speed
+ */
+async function changeSpeed(delta) {
+  const { [PLAYBACK_SPEED_KEY]: speed = 1.0 } = await chrome.storage.local.get(PLAYBACK_SPEED_KEY)
+  const next = Math.round(Math.min(MAX_PLAYBACK_SPEED, Math.max(MIN_PLAYBACK_SPEED, speed + delta)) * 10) / 10
+
+  await setPlaybackSpeed(next)
+  return next
+}
+
+/**
+ * Change the speed of playing audio without re-synthesis (the pitch is kept) and remember it
+ * @param {number} speed - Playback speed (0.5-4.0)
+ * @returns {Promise<void>}
+ */
+async function setPlaybackSpeed(speed) {
+  const audioPlugin = ttsCore.pluginLoader.getPlugin('offscreen-audio')
+  if (!audioPlugin) {
+    throw new Error('Playback speed requires the offscreen-audio plugin')
+  }
+
+  await audioPlugin.setSpeed(speed)
+  await chrome.storage.local.set({ [PLAYBACK_SPEED_KEY]: speed })
+  logger.info(`Playback speed set to ${speed}x`)
+}
+
+function setupTabListeners() {
+  // Let plugins drop per-tab state (e.g. queue sessions) when a tab goes away
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    if (!ttsCore) {
+      return
+    }
+    ttsCore.eventBus.publish('tab:closed', { tabId, timestamp: Date.now() })
+      .catch(error => {
+        logger.error('Failed to publish tab:closed event:', error)
       })
+  })
+}
 
-      try {
-        await modelLoader.loadModel('kokoro-82M', (loaded, total, percentage) => {
-          chrome.runtime.sendMessage({
-            type: 'MODEL_DOWNLOAD_PROGRESS',
-            loaded,
-            total,
-            percentage
-          })
-        })
+function setupSettingsListeners() {
+  applyLanguageSettings()
+  applyProsodySettings()
+  applyAudioProcessingSettings()
+  applyPlaybackSpeed()
+  applySessionPolicy()
 
-        modelReady = true
-        modelDownloading = false
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && LANGUAGE_SETTINGS.some(key => key in changes)) {
+      applyLanguageSettings()
+    }
+    if (areaName === 'sync' && PROSODY_SETTINGS.some(key => key in changes)) {
+      applyProsodySettings()
+    }
+    if (areaName === 'sync' && AUDIO_PROCESSING_STORAGE_KEY in changes) {
+      applyAudioProcessingSettings()
+    }
+    if (areaName === 'sync' && SESSION_POLICY_KEY in changes) {
+      applySessionPolicy()
+    }
+  })
+}
 
-        chrome.runtime.sendMessage({
-          type: 'MODEL_READY'
-        })
+async function applyLanguageSettings() {
+  try {
+    const engine = ttsCore.pluginLoader.getPlugin('kokoro-engine')
+    if (!engine) {
+      return
+    }
 
-        logger.info('Model loaded successfully')
-      } catch (error) {
-        modelDownloading = false
+    const settings = await chrome.storage.sync.get(LANGUAGE_SETTINGS)
+    engine.setLanguageOptions({
+      autoLanguage: settings.autoLanguage === true,
+      languageVoices: settings.languageVoices || {}
+    })
+  } catch (error) {
+    logger.error('Failed to apply language settings:', error)
+  }
+}
+
+async function applyProsodySettings() {
+  try {
+    const engine = ttsCore.pluginLoader.getPlugin('kokoro-engine')
+    if (!engine) {
+      return
+    }
+
+    const settings = await chrome.storage.sync.get(PROSODY_SETTINGS)
+    engine.setProsodyOptions({
+      pauses: settings.pauses || {},
+      trimSilence: settings.trimSilence !== false
+    })
+  } catch (error) {
+    logger.error('Failed to apply prosody settings:', error)
+  }
+}
+
+async function applyAudioProcessingSettings() {
+  try {
+    const audioPlugin = ttsCore.pluginLoader.getPlugin('offscreen-audio')
+    if (!audioPlugin) {
+      return
+    }
+
+    const settings = await chrome.storage.sync.get(AUDIO_PROCESSING_STORAGE_KEY)
+    await audioPlugin.setAudioProcessing(settings[AUDIO_PROCESSING_STORAGE_KEY] || {})
+  } catch (error) {
+    logger.error('Failed to apply audio processing settings:', error)
+  }
+}
+
+async function applySessionPolicy() {
+  try {
+    const { [SESSION_POLICY_KEY]: policy = 'global-exclusive' } = await chrome.storage.sync.get(SESSION_POLICY_KEY)
+
+    // The queue tracks the sessions, the player keeps each tab's audio - both follow the same policy
+    const queueManager = ttsCore.pluginLoader.getPlugin('queue-manager')
+    if (queueManager) {
+      queueManager.setSessionPolicy(policy)
+    }
+    const audioPlugin = ttsCore.pluginLoader.getPlugin('offscreen-audio')
+    if (audioPlugin) {
+      audioPlugin.setSessionPolicy(policy)
+    }
+  } catch (error) {
+    logger.error('Failed to apply session policy:', error)
+  }
+}
+
+async function applyPlaybackSpeed() {
+  try {
+    const audioPlugin = ttsCore.pluginLoader.getPlugin('offscreen-audio')
+    if (!audioPlugin) {
+      return
+    }
+
+    const { [PLAYBACK_SPEED_KEY]: speed } = await chrome.storage.local.get(PLAYBACK_SPEED_KEY)
+    if (speed !== undefined) {
+      await audioPlugin.setSpeed(speed)
+    }
+  } catch (error) {
+    logger.error('Failed to apply playback speed:', error)
+  }
+}
+
+/**
+ * Stored model variant holding the engine's chosen precision
+ * @returns {string} Model identifier
+ */
+function currentModelId() {
+  const engine = ttsCore.pluginLoader.getPlugin('kokoro-engine')
+  return getModelIdForDtype(engine ? engine.getModelProfile().dtype : DEFAULT_MODEL_PROFILE.dtype)
+}
+
+async function ensureModelReady() {
+  // Load the model on first use
+  if (!modelReady && !modelDownloading) {
+    modelDownloading = true
+
+    // Notify popup of download start
+    chrome.runtime.sendMessage({
+      type: 'MODEL_DOWNLOAD_PROGRESS',
+      percentage: 0
+    })
+
+    try {
+      await modelLoader.loadModel(currentModelId(), (loaded, total, percentage) => {
         chrome.runtime.sendMessage({
-          type: 'MODEL_ERROR',
-          error: error.message
+          type: 'MODEL_DOWNLOAD_PROGRESS',
+          loaded,
+          total,
+          percentage
         })
-        throw new Error(`Failed to load model: ${error.message}`)
-      }
-    }
+      })
+
+      modelReady = true
+      modelDownloading = false
 
-    // Wait for model to be ready if currently downloading
-    while (modelDownloading) {
-      await new Promise(resolve => setTimeout(resolve, 100))
+      chrome.runtime.sendMessage({
+        type: 'MODEL_READY'
+      })
+
+      logger.info('Model loaded successfully')
+    } catch (error) {
+      modelDownloading = false
+      chrome.runtime.sendMessage({
+        type: 'MODEL_ERROR',
+        error: error.message
+      })
+      throw new Error(`Failed to load model: ${error.message}`)
     }
+  }
+
+  // Wait for model to be ready if currently downloading
+  while (modelDownloading) {
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+}
+
+async function handleTTSRequest(message, sender, sendResponse) {
+  try {
+    await ensureModelReady()
 
     // Process TTS request through pipeline
     const request = message.payload || message.request || {}
@@ -190,12 +723,16 @@ async function handleTTSRequest(message, sender, sendResponse) {
       request: {
         text: request.text,
         voice: request.voice || 'af_bella',
-        speed: request.speed || 1.0
+        speed: request.speed || 1.0,
+        options: request.options || {}
       },
       tabId: sender.tab?.id,
       url: sender.tab?.url
     }
 
+    playbackTabId = sender.tab?.id ?? null
+    publishMediaMetadata(event.request, request.title, sender.tab)
+
     const result = await ttsCore.process(event)
 
     sendResponse({
@@ -224,17 +761,218 @@ async function handleTTSRequest(message, sender, sendResponse) {
   }
 }
 
-function handleTTSStop(sendResponse) {
+async function handleTTSExport(message, sender, sendResponse) {
   try {
-    // TODO: Implement stop functionality in Core
-    logger.info('TTS stop requested')
-    sendResponse({ success: true })
+    const request = message.payload || {}
+
+    // Fall back to the text of the sender tab's (or the current) queue session
+    let { text, voice, speed } = request
+    let textFormat = request.options?.format
+    if (!text) {
+      const session = findSession(sender.tab?.id)
+
+      if (!session || !session.text) {
+        throw new Error('Nothing to export - no text selected and no active session')
+      }
+
+      text = session.text
+      textFormat = undefined
+      voice = voice || session.voiceId
+      speed = speed || session.speed
+    }
+
+    const engine = ttsCore.pluginLoader.getPlugin('kokoro-engine')
+    const audioPlugin = ttsCore.pluginLoader.getPlugin('offscreen-audio')
+    if (!engine || !audioPlugin) {
+      throw new Error('Audio export requires the kokoro-engine and offscreen-audio plugins')
+    }
+
+    await ensureModelReady()
+
+    const rendered = await engine.render({
+      text,
+      voice: voice || 'af_bella',
+      speed: speed || 1.0,
+      format: textFormat
+    })
+
+    const result = await audioPlugin.exportAudio({
+      audio: rendered.buffer,
+      sampleRate: rendered.sampleRate,
+      format: request.format || 'wav',
+      filename: request.filename
+    })
+
+    logger.info(`Exported ${rendered.duration.toFixed(1)}s of audio to ${result.filename}`)
+    sendResponse({ success: true, ...result, duration: rendered.duration })
+  } catch (error) {
+    logger.error('TTS export failed:', error)
+    sendResponse({ success: false, error: error.message })
+  }
+}
+
+/**
+ * Phonemes and token count for text - the options page pronunciation preview
+ * @param {Object} message - {payload: {text, voice}}
+ * @param {Function} sendResponse - Response callback
+ */
+async function handlePhonemize(message, sendResponse) {
+  try {
+    const engine = ttsCore.pluginLoader.getPlugin('kokoro-engine')
+    if (!engine) {
+      throw new Error('Phoneme preview requires the kokoro-engine plugin')
+    }
+
+    await ensureModelReady()
+
+    const result = await engine.phonemizeText(message.payload || {})
+    sendResponse({ success: true, ...result })
   } catch (error) {
-    logger.error('TTS stop failed:', error)
+    logger.error('Phonemize failed:', error)
     sendResponse({ success: false, error: error.message })
   }
 }
 
+async function handleTransportCommand(message, sender, sendResponse) {
+  try {
+    const state = await runTransportCommand(TRANSPORT_COMMANDS[message.type], message.payload || {}, sender.tab?.id)
+    logger.info(`${message.type} -> ${state.status}`)
+
+    sendResponse({ success: true, state })
+    broadcastPlaybackState(state)
+  } catch (error) {
+    logger.error(`${message.type} failed:`, error)
+    sendResponse({ success: false, error: error.message })
+  }
+}
+
+/**
+ * Apply a transport command to the queue session and the offscreen player
+ * @param {'stop'|'pause'|'resume'|'seek'|'skipSentence'} command - Command
+ * @param {Object} payload - Command payload ({position} for seek, {direction} for skipSentence)
+ * @param {number} [tabId] - Tab the command came from; commands from the popup apply to the current session
+ * @returns {Promise<Object>} Playback state after the command
+ */
+async function runTransportCommand(command, payload, tabId) {
+  const audioPlugin = ttsCore.pluginLoader.getPlugin('offscreen-audio')
+  if (!audioPlugin) {
+    throw new Error('Playback controls require the offscreen-audio plugin')
+  }
+
+  const queueManager = ttsCore.pluginLoader.getPlugin('queue-manager')
+  const session = findSession(tabId)
+  const channel = playbackChannel(tabId)
+
+  // Sessions route pause/resume/stop through the queue so its bookkeeping (and other tabs) follow;
+  // audio started outside the queue is controlled directly
+  switch (command) {
+    case 'stop': {
+      const engine = ttsCore.pluginLoader.getPlugin('kokoro-engine')
+      const { streamId } = audioPlugin.getStreamState()
+      if (engine && streamId) {
+        engine.cancelStream(streamId)
+      }
+
+      if (session) {
+        await queueManager.stopTab(session.tabId)
+      } else {
+        audioPlugin.stop(channel)
+      }
+      break
+    }
+    case 'pause':
+      if (session && session.status === 'playing') {
+        await queueManager.pauseTab(session.tabId)
+      } else {
+        audioPlugin.pause(channel)
+      }
+      break
+    case 'resume':
+      if (session && session.status === 'paused') {
+        await queueManager.resumeTab(session.tabId)
+      } else {
+        audioPlugin.resume(channel)
+      }
+      break
+    case 'seek':
+      audioPlugin.seek(payload.position, channel)
+      break
+    case 'skipSentence':
+      audioPlugin.skipSentence(payload.direction === -1 ? -1 : 1)
+      break
+    case 'setSpeed':
+      await setPlaybackSpeed(payload.speed)
+      break
+  }
+
+  return getPlaybackState(tabId)
+}
+
+/**
+ * Queue session for a tab, falling back to the current one (popup requests have no tab)
+ * @param {number} [tabId] - Tab ID
+ * @returns {Object|null}
+ */
+function findSession(tabId) {
+  const queueManager = ttsCore.pluginLoader.getPlugin('queue-manager')
+  if (!queueManager) {
+    return null
+  }
+  return (tabId !== undefined && queueManager.getSession(tabId)) || queueManager.getCurrentSession()
+}
+
+/**
+ * Offscreen channel a tab's commands apply to - its own while it has audio, otherwise whatever
+ * is playing (keyboard shortcuts in another tab, the popup)
+ * @param {number} [tabId] - Tab the command came from
+ * @returns {number|undefined} Tab ID, or undefined for the current playback
+ */
+function playbackChannel(tabId) {
+  const audioPlugin = ttsCore.pluginLoader.getPlugin('offscreen-audio')
+  if (tabId === undefined || !audioPlugin) {
+    return undefined
+  }
+  const { status } = audioPlugin.getPlaybackState(tabId)
+  return status === 'playing' || status === 'paused' ? tabId : undefined
+}
+
+/**
+ * @param {number} [tabId] - Tab whose session to report
+ * @returns {Object} Offscreen playback state plus the queue session it belongs to
+ */
+function getPlaybackState(tabId) {
+  const audioPlugin = ttsCore.pluginLoader.getPlugin('offscreen-audio')
+  const session = findSession(tabId)
+  const channel = playbackChannel(tabId)
+
+  return {
+    ...audioPlugin.getPlaybackState(channel),
+    sessionId: session ? session.sessionId : null,
+    tabId: session ? session.tabId : channel ?? playbackTabId,
+    timestamp: Date.now()
+  }
+}
+
+/**
+ * Tell the popup and the playing tab's control panel about a state change
+ * @param {Object} state - Playback state
+ */
+function broadcastPlaybackState(state) {
+  chrome.runtime.sendMessage({ type: 'TTS_PLAYBACK_STATE', state }).catch(() => {
+    // Popup closed - nothing listening
+  })
+
+  if (playbackTabId !== null) {
+    chrome.tabs.sendMessage(playbackTabId, {
+      type: 'TTS_PLAYBACK_EVENT',
+      event: 'playback:state',
+      data: state
+    }).catch(() => {
+      playbackTabId = null
+    })
+  }
+}
+
 function handleModelStatus(sendResponse) {
   sendResponse({
     available: modelReady,
@@ -242,6 +980,80 @@ function handleModelStatus(sendResponse) {
   })
 }
 
+async function handleGetModelProfile(sendResponse) {
+  try {
+    const engine = ttsCore.pluginLoader.getPlugin('kokoro-engine')
+    if (!engine) {
+      throw new Error('Model profiles require the kokoro-engine plugin')
+    }
+
+    sendResponse({
+      success: true,
+      profile: engine.getModelProfile(),
+      variants: await modelLoader.listModelVariants(),
+      capabilities: await detectCapabilities()
+    })
+  } catch (error) {
+    logger.error('Failed to read model profile:', error)
+    sendResponse({ success: false, error: error.message })
+  }
+}
+
+async function handleSetModelProfile(message, sendResponse) {
+  try {
+    const engine = ttsCore.pluginLoader.getPlugin('kokoro-engine')
+    if (!engine) {
+      throw new Error('Model profiles require the kokoro-engine plugin')
+    }
+
+    const profile = await engine.setModelProfile(message.payload || {})
+
+    // A precision that was never downloaded is fetched on the next request
+    if (!modelDownloading) {
+      modelReady = await modelLoader.isModelAvailable(currentModelId())
+    }
+
+    logger.info(`Model profile set to ${profile.dtype}/${profile.device}`)
+    sendResponse({ success: true, profile })
+  } catch (error) {
+    logger.error('Failed to set model profile:', error)
+    sendResponse({ success: false, error: error.message })
+  }
+}
+
+async function handleDeleteModelVariant(message, sendResponse) {
+  try {
+    const { modelId } = message.payload || {}
+    await modelLoader.deleteModel(modelId)
+
+    if (modelId === currentModelId()) {
+      modelReady = false
+    }
+
+    sendResponse({ success: true, variants: await modelLoader.listModelVariants() })
+  } catch (error) {
+    logger.error('Failed to delete model variant:', error)
+    sendResponse({ success: false, error: error.message })
+  }
+}
+
+async function handleBenchmark(message, sendResponse) {
+  try {
+    const engine = ttsCore.pluginLoader.getPlugin('kokoro-engine')
+    if (!engine) {
+      throw new Error('Benchmarks require the kokoro-engine plugin')
+    }
+
+    await ensureModelReady()
+
+    const results = await engine.benchmark(message.payload || {})
+    sendResponse({ success: true, results })
+  } catch (error) {
+    logger.error('Benchmark failed:', error)
+    sendResponse({ success: false, error: error.message })
+  }
+}
+
 async function handleHealthCheck(sendResponse) {
   try {
     const health = await ttsCore.healthCheck()
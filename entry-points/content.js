@@ -11,15 +11,35 @@ const logger = new DebugLogger({
   level: 'info'
 })
 
+// Page actions that read from a point in the page to the end of the article
+const READ_FROM_MODES = {
+  'read-from-here': 'from-here',
+  'read-from-cursor': 'from-cursor'
+}
+
 /**
- * Handle context menu TTS request
+ * Handle context menu and keyboard shortcut TTS requests
  * @param {TTSCore} core - TTS Core instance
- * @param {Object} message - Message from context menu
+ * @param {Object} message - Message from the background
  * @returns {Promise<Object>}
  */
 async function handleContextMenuRequest(core, message) {
   try {
-    logger.info(`Context menu request: ${message.action}`)
+    logger.info(`${message.source === 'keyboard' ? 'Shortcut' : 'Context menu'} request: ${message.action}`)
+
+    // Shortcuts don't carry the selection - read it from the page
+    let text = message.text || (message.action === 'speak-selection'
+      ? window.getSelection()?.toString().trim() || ''
+      : '')
+
+    const extractor = core.pluginLoader.getPlugin('content-extractor')
+    const readFrom = READ_FROM_MODES[message.action]
+    if (readFrom) {
+      if (!extractor) {
+        throw new Error('Content extractor not available')
+      }
+      text = (await extractor.extract({ mode: readFrom })).text
+    }
 
     // Get the event bus from core
     const eventBus = core.eventBus
@@ -38,28 +58,37 @@ async function handleContextMenuRequest(core, message) {
         url: window.location.href
       },
       request: {
-        text: message.text || '',
+        text,
         voice: 'af_bella',
         speed: 1.0
       },
       input: {
-        text: message.text || '',
+        text,
         voice: 'af_bella',
         speed: 1.0
       }
     }
 
+    // Let the page highlight follow along with whatever gets read
+    if (extractor) {
+      extractor.mapSource(message.action === 'speak-selection' ? 'selection' : readFrom || 'article', {
+        text: text || undefined
+      })
+    }
+
     // For "read-page", we need to trigger extraction
     // The ContentExtractor plugin will handle this via the event bus
     if (message.action === 'read-page') {
       // Emit extraction request - ContentExtractor will handle this
+      const { autoContinue = false } = await chrome.storage.sync.get('autoContinue')
       eventBus.emit('extraction:request', {
         mode: 'article',
+        autoContinue,
         url: window.location.href,
         timestamp: Date.now()
       })
-    } else if (message.action === 'speak-selection' && message.text) {
-      // For selection, we already have the text, emit TTS request directly
+    } else if ((message.action === 'speak-selection' || readFrom) && text) {
+      // For selection and read-from-here, we already have the text, emit TTS request directly
       eventBus.emit('tts:request', event)
     }
 
@@ -70,6 +99,59 @@ async function handleContextMenuRequest(core, message) {
   }
 }
 
+/**
+ * Forward a control panel "Save audio" click to the background for rendering and download
+ * @param {Object} event - ui:save-audio event data
+ * @returns {Promise<Object>}
+ */
+async function handleSaveAudio(event) {
+  try {
+    // Selected text wins; otherwise the background exports this tab's session
+    const text = window.getSelection()?.toString().trim() || ''
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'TTS_EXPORT',
+      payload: {
+        text,
+        format: event?.format || 'wav'
+      }
+    })
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'Export failed')
+    }
+
+    logger.info(`Saved audio to ${response.filename}`)
+    return { success: true, data: response }
+  } catch (error) {
+    logger.error('Save audio failed:', error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Send a control panel transport click to the background and publish the resulting state
+ * @param {TTSCore} core - TTS Core instance
+ * @param {string} type - TTS_PAUSE, TTS_RESUME, TTS_STOP, ...
+ * @param {Object} [payload] - Command payload
+ * @returns {Promise<Object>}
+ */
+async function sendTransportCommand(core, type, payload = {}) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type, payload })
+
+    if (!response?.success) {
+      throw new Error(response?.error || `${type} failed`)
+    }
+
+    await core.eventBus.publish('playback:state', response.state)
+    return { success: true, data: response.state }
+  } catch (error) {
+    logger.error(`${type} failed:`, error)
+    return { success: false, error: error.message }
+  }
+}
+
 async function initializeContentScript() {
   logger.info('Initializing content script')
 
@@ -81,6 +163,12 @@ async function initializeContentScript() {
 
     await core.initialize()
 
+    core.eventBus.subscribe('ui:save-audio', handleSaveAudio)
+    core.eventBus.subscribe('ui:pause', () => sendTransportCommand(core, 'TTS_PAUSE'))
+    core.eventBus.subscribe('ui:resume', () => sendTransportCommand(core, 'TTS_RESUME'))
+    core.eventBus.subscribe('ui:stop', () => sendTransportCommand(core, 'TTS_STOP'))
+    core.eventBus.subscribe('ui:speed-change', event => sendTransportCommand(core, 'TTS_SET_SPEED', { speed: event.speed }))
+
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.type === 'tts:request') {
         core.process(message.request)
@@ -93,6 +181,9 @@ async function initializeContentScript() {
           .then(result => sendResponse({ success: true, result }))
           .catch(error => sendResponse({ success: false, error: error.message }))
         return true
+      } else if (message.type === 'TTS_PLAYBACK_EVENT') {
+        // Events relayed from the background drive the page highlight and the control panel's voice list
+        core.eventBus.publish(message.event, message.data)
       }
     })
 
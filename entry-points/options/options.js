@@ -3,19 +3,691 @@
  * @description Options page functionality
  */
 
+import { VOICES } from '/plugins/kokoro-engine/src/voices.js'
+import { SUPPORTED_LANGUAGES } from '/plugins/kokoro-engine/src/language-detect.js'
+import { validateCustomVoice, CUSTOM_VOICES_STORAGE_KEY } from '/plugins/kokoro-engine/src/custom-voices.js'
+import { compileEntry, compileLexicon, applyLexicon, LEXICON_STORAGE_KEY } from '/plugins/text-normalizer/src/lexicon.js'
+import { VoicePackManager } from '/plugins/kokoro-engine/src/voice-packs.js'
+import { MODEL_DEVICES, formatModelProfile } from '/plugins/kokoro-engine/src/model-profile.js'
+import { validatePauses, DEFAULT_PAUSES } from '/plugins/kokoro-engine/src/prosody.js'
+import {
+  validateAudioProcessing,
+  DEFAULT_AUDIO_PROCESSING,
+  AUDIO_PROCESSING_STORAGE_KEY,
+  MAX_VOICE_GAIN
+} from '/plugins/offscreen-audio/src/audio-processing.js'
+import { StorageAdapter } from '/platform/storage-adapter.js'
+import { IndexedDBWrapper } from '/platform/storage/indexeddb-wrapper.js'
+
+const LANGUAGE_NAMES = {
+  en: 'English'
+}
+
+const MODEL_DTYPE_NAMES = {
+  fp32: 'Full precision (fp32)',
+  fp16: 'Half precision (fp16)',
+  q8: '8-bit (q8)',
+  q4: '4-bit (q4)',
+  q4f16: '4-bit with fp16 (q4f16)'
+}
+
+const PAUSE_NAMES = {
+  paragraph: 'Paragraph',
+  heading: 'Heading',
+  listItem: 'List item',
+  sentence: 'Sentence',
+  comma: 'Comma'
+}
+
+const MODEL_DEVICE_NAMES = {
+  wasm: 'WebAssembly',
+  webgpu: 'WebGPU',
+  cpu: 'Native CPU'
+}
+
+/**
+ * Send a message to the background and unwrap its { success, error } response
+ * @param {string} type - Message type
+ * @param {Object} [payload] - Message payload
+ * @returns {Promise<Object>} Response
+ */
+async function sendToBackground(type, payload) {
+  const response = await chrome.runtime.sendMessage({ type, payload })
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'No response from the background worker')
+  }
+  return response
+}
+
+/**
+ * Fill the model precision and backend selects and the stored model list
+ * @param {Object} elements - Model section elements
+ * @param {HTMLSelectElement} elements.dtype - Precision select
+ * @param {HTMLSelectElement} elements.device - Backend select
+ * @param {HTMLElement} elements.variants - Stored model table body
+ * @param {Object} state - MODEL_PROFILE_GET response
+ */
+function renderModelProfile(elements, state) {
+  const { profile, variants, capabilities } = state
+
+  elements.dtype.replaceChildren()
+  for (const variant of variants) {
+    const stored = variant.stored ? ', downloaded' : ''
+    elements.dtype.add(new Option(`${MODEL_DTYPE_NAMES[variant.dtype]} - ${formatSize(variant.size)}${stored}`, variant.dtype))
+  }
+  elements.dtype.value = profile.dtype
+
+  elements.device.replaceChildren()
+  for (const device of MODEL_DEVICES) {
+    const available = capabilities[device] ? '' : ' (unavailable - falls back to WebAssembly)'
+    elements.device.add(new Option(`${MODEL_DEVICE_NAMES[device]}${available}`, device))
+  }
+  elements.device.value = profile.device
+
+  elements.variants.replaceChildren()
+  for (const variant of variants.filter(variant => variant.stored)) {
+    const row = document.createElement('tr')
+
+    const name = document.createElement('td')
+    name.textContent = MODEL_DTYPE_NAMES[variant.dtype]
+
+    const size = document.createElement('td')
+    size.textContent = formatSize(variant.size)
+
+    const remove = document.createElement('button')
+    remove.type = 'button'
+    remove.className = 'remove'
+    remove.textContent = 'Delete'
+    remove.addEventListener('click', async () => {
+      remove.disabled = true
+      try {
+        const response = await sendToBackground('MODEL_VARIANT_DELETE', { modelId: variant.modelId })
+        renderModelProfile(elements, { ...state, variants: response.variants })
+      } catch (error) {
+        console.error(`Failed to delete model ${variant.modelId}:`, error)
+        remove.disabled = false
+      }
+    })
+
+    const action = document.createElement('td')
+    action.append(remove)
+
+    row.append(name, size, action)
+    elements.variants.append(row)
+  }
+}
+
+/**
+ * Add a benchmark result row
+ * @param {HTMLElement} tbody - Benchmark table body
+ * @param {Object} result - Engine benchmark result
+ */
+function renderBenchmarkResult(tbody, result) {
+  const row = document.createElement('tr')
+  const ranAs = result.active ? formatModelProfile(result.active) : '-'
+  const cells = result.error
+    ? [formatModelProfile(result), ranAs, '-', result.error]
+    : [formatModelProfile(result), ranAs, `${(result.loadTime / 1000).toFixed(1)} s`, `${result.rtf.toFixed(2)}×`]
+
+  for (const text of cells) {
+    const cell = document.createElement('td')
+    cell.textContent = text
+    row.append(cell)
+  }
+  tbody.append(row)
+}
+
+/**
+ * Build a voice select per detectable language that has voices
+ * @param {HTMLElement} container - Grid container
+ * @returns {Map<string, HTMLSelectElement>} Language code -> select
+ */
+function renderLanguageVoices(container) {
+  const selects = new Map()
+
+  for (const language of SUPPORTED_LANGUAGES) {
+    const voices = Object.entries(VOICES)
+      .filter(([, voice]) => voice.language === language || voice.language.startsWith(`${language}-`))
+    if (voices.length === 0) {
+      continue
+    }
+
+    const id = `voice-${language}`
+    const label = document.createElement('label')
+    label.htmlFor = id
+    label.textContent = LANGUAGE_NAMES[language] || language
+
+    const select = document.createElement('select')
+    select.id = id
+    select.add(new Option('Automatic', ''))
+
+    for (const [voiceId, voice] of voices) {
+      select.add(new Option(`${voice.name} (${voice.gender}, ${voice.language})`, voiceId))
+    }
+
+    container.append(label, select)
+    selects.set(language, select)
+  }
+
+  return selects
+}
+
+/**
+ * Build one millisecond input per pause boundary type
+ * @param {HTMLElement} container - Grid container
+ * @returns {Map<string, HTMLInputElement>} Boundary type -> input
+ */
+function renderPauses(container) {
+  const inputs = new Map()
+
+  for (const [type, name] of Object.entries(PAUSE_NAMES)) {
+    const id = `pause-${type}`
+    const label = document.createElement('label')
+    label.htmlFor = id
+    label.textContent = name
+
+    const input = document.createElement('input')
+    input.type = 'number'
+    input.id = id
+    input.min = '0'
+    input.max = '10000'
+    input.step = '50'
+    input.value = String(Math.round(DEFAULT_PAUSES[type] * 1000))
+
+    container.append(label, input)
+    inputs.set(type, input)
+  }
+
+  return inputs
+}
+
+/**
+ * Read the pause inputs into seconds per boundary type
+ * @param {Map<string, HTMLInputElement>} inputs - Boundary type -> input
+ * @returns {Object<string, number>}
+ * @throws {Error} When a pause is not a number or out of range
+ */
+function readPauses(inputs) {
+  const pauses = {}
+  for (const [type, input] of inputs) {
+    pauses[type] = input.value.trim() === '' ? NaN : Number(input.value) / 1000
+  }
+  validatePauses(pauses)
+  return pauses
+}
+
+/**
+ * Build one dB input per voice
+ * @param {HTMLElement} container - Grid container
+ * @returns {Map<string, HTMLInputElement>} Voice ID -> input
+ */
+function renderVoiceGains(container) {
+  const inputs = new Map()
+
+  for (const [voiceId, voice] of Object.entries(VOICES)) {
+    const id = `gain-${voiceId}`
+    const label = document.createElement('label')
+    label.htmlFor = id
+    label.textContent = `${voice.name} (${voice.language})`
+
+    const input = document.createElement('input')
+    input.type = 'number'
+    input.id = id
+    input.min = String(-MAX_VOICE_GAIN)
+    input.max = String(MAX_VOICE_GAIN)
+    input.step = '0.5'
+    input.placeholder = '0'
+
+    container.append(label, input)
+    inputs.set(voiceId, input)
+  }
+
+  return inputs
+}
+
+/**
+ * Read the audio processing controls; voices left at 0 dB are not stored
+ * @param {Object} elements - Audio processing elements
+ * @returns {Object} Audio processing settings
+ * @throws {Error} When the target or a voice gain is not a number or out of range
+ */
+function readAudioProcessing(elements) {
+  const voiceGains = {}
+  for (const [voiceId, input] of elements.voiceGains) {
+    const gain = input.value.trim() === '' ? 0 : Number(input.value)
+    if (gain !== 0) voiceGains[voiceId] = gain
+  }
+
+  return validateAudioProcessing({
+    normalization: elements.normalization.value,
+    targetLoudness: elements.targetLoudness.value.trim() === '' ? NaN : Number(elements.targetLoudness.value),
+    compressor: elements.compressor.checked,
+    limiter: elements.limiter.checked,
+    eq: elements.eq.value,
+    voiceGains
+  })
+}
+
+/**
+ * List the extension's keyboard shortcuts with their current bindings
+ * @param {HTMLElement} container - Grid container
+ */
+async function renderShortcuts(container) {
+  const commands = await chrome.commands.getAll()
+
+  for (const command of commands) {
+    const name = document.createElement('span')
+    name.textContent = command.description || command.name
+
+    const keys = document.createElement('kbd')
+    keys.textContent = command.shortcut || 'Not set'
+
+    container.append(name, keys)
+  }
+}
+
+/**
+ * Add an editable lexicon row
+ * @param {HTMLElement} tbody - Lexicon table body
+ * @param {import('/plugins/text-normalizer/src/lexicon.js').LexiconEntry} [entry] - Entry to show
+ */
+function renderLexiconRow(tbody, entry = {}) {
+  const row = document.createElement('tr')
+
+  const cell = (element) => {
+    const td = document.createElement('td')
+    td.append(element)
+    row.append(td)
+    return element
+  }
+
+  const match = cell(document.createElement('input'))
+  match.className = 'match'
+  match.value = entry.match || ''
+
+  const regex = cell(document.createElement('input'))
+  regex.type = 'checkbox'
+  regex.className = 'regex'
+  regex.checked = entry.regex === true
+  regex.title = 'Treat as a regular expression'
+
+  const replacement = cell(document.createElement('input'))
+  replacement.className = 'replacement'
+  replacement.value = entry.replacement || ''
+
+  const type = cell(document.createElement('select'))
+  type.className = 'type'
+  type.add(new Option('Text', 'text'))
+  type.add(new Option('IPA', 'phonemes'))
+  type.value = entry.type || 'text'
+
+  const domains = cell(document.createElement('input'))
+  domains.className = 'domains'
+  domains.placeholder = 'All sites'
+  domains.value = (entry.domains || []).join(', ')
+
+  const remove = cell(document.createElement('button'))
+  remove.type = 'button'
+  remove.className = 'remove'
+  remove.textContent = '×'
+  remove.title = 'Remove entry'
+  remove.addEventListener('click', () => row.remove())
+
+  tbody.append(row)
+}
+
+/**
+ * Read and validate the lexicon rows; rows without a word are dropped
+ * @param {HTMLElement} tbody - Lexicon table body
+ * @returns {import('/plugins/text-normalizer/src/lexicon.js').LexiconEntry[]}
+ * @throws {Error} When an entry is invalid
+ */
+function readLexicon(tbody) {
+  const entries = []
+
+  for (const row of tbody.rows) {
+    const match = row.querySelector('.match').value.trim()
+    if (!match) continue
+
+    const entry = {
+      match,
+      replacement: row.querySelector('.replacement').value.trim(),
+      type: row.querySelector('.type').value,
+      regex: row.querySelector('.regex').checked,
+      domains: row.querySelector('.domains').value.split(',').map(domain => domain.trim()).filter(Boolean)
+    }
+    compileEntry(entry)
+    entries.push(entry)
+  }
+
+  return entries
+}
+
+/**
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`
+}
+
+/**
+ * List voice packs with a download or delete button each
+ * @param {HTMLElement} tbody - Voice pack table body
+ * @param {HTMLElement} summary - Downloaded count and size
+ * @param {VoicePackManager} manager - Voice pack manager
+ * @returns {Promise<void>}
+ */
+async function renderVoicePacks(tbody, summary, manager) {
+  const packs = await manager.list()
+  const downloaded = packs.filter(pack => pack.downloaded)
+  const downloadedSize = downloaded.reduce((total, pack) => total + pack.size, 0)
+
+  summary.textContent = `${downloaded.length} of ${packs.length} voices downloaded (${formatSize(downloadedSize)})`
+  tbody.replaceChildren()
+
+  for (const pack of packs) {
+    const row = document.createElement('tr')
+
+    const name = document.createElement('td')
+    name.textContent = `${pack.name} (${pack.gender}, ${pack.language})`
+
+    const size = document.createElement('td')
+    size.textContent = formatSize(pack.size)
+
+    const action = document.createElement('button')
+    action.type = 'button'
+    action.textContent = pack.downloaded ? 'Delete' : 'Download'
+    action.className = pack.downloaded ? 'remove' : ''
+    action.addEventListener('click', async () => {
+      action.disabled = true
+      try {
+        if (pack.downloaded) {
+          await manager.delete(pack.id)
+        } else {
+          await manager.download([pack.id])
+        }
+      } catch (error) {
+        console.error(`Failed to update voice pack ${pack.id}:`, error)
+        summary.textContent = error.message
+        action.disabled = false
+        return
+      }
+      await renderVoicePacks(tbody, summary, manager)
+    })
+
+    const actionCell = document.createElement('td')
+    actionCell.append(action)
+
+    row.append(name, size, actionCell)
+    tbody.append(row)
+  }
+}
+
+/**
+ * Add an editable custom voice row
+ * @param {HTMLElement} tbody - Custom voice table body
+ * @param {import('/plugins/kokoro-engine/src/custom-voices.js').CustomVoice} [voice] - Voice to show
+ */
+function renderCustomVoiceRow(tbody, voice = {}) {
+  const row = document.createElement('tr')
+
+  const cell = (element) => {
+    const td = document.createElement('td')
+    td.append(element)
+    row.append(td)
+    return element
+  }
+
+  const id = cell(document.createElement('input'))
+  id.className = 'id'
+  id.placeholder = 'narrator'
+  id.value = voice.id || ''
+
+  const name = cell(document.createElement('input'))
+  name.className = 'name'
+  name.value = voice.name || ''
+
+  const mix = cell(document.createElement('input'))
+  mix.className = 'mix'
+  mix.placeholder = 'af_bella:0.6+af_heart:0.4'
+  mix.value = voice.mix || ''
+
+  const remove = cell(document.createElement('button'))
+  remove.type = 'button'
+  remove.className = 'remove'
+  remove.textContent = '×'
+  remove.title = 'Remove voice'
+  remove.addEventListener('click', () => row.remove())
+
+  tbody.append(row)
+}
+
+/**
+ * Read and validate the custom voice rows; rows without an ID are dropped
+ * @param {HTMLElement} tbody - Custom voice table body
+ * @returns {import('/plugins/kokoro-engine/src/custom-voices.js').CustomVoice[]}
+ * @throws {Error} When a voice is invalid or an ID is used twice
+ */
+function readCustomVoices(tbody) {
+  const voices = new Map()
+
+  for (const row of tbody.rows) {
+    const id = row.querySelector('.id').value.trim()
+    if (!id) continue
+
+    const voice = validateCustomVoice({
+      id,
+      name: row.querySelector('.name').value,
+      mix: row.querySelector('.mix').value.trim()
+    })
+    if (voices.has(voice.id)) {
+      throw new Error(`Custom voice "${voice.id}" is listed twice`)
+    }
+    voices.set(voice.id, voice)
+  }
+
+  return [...voices.values()]
+}
+
+/**
+ * Ask the engine for the phonemes of text, with the (unsaved) lexicon applied first
+ * Site-limited entries are skipped - the preview isn't read from a page
+ * @param {string} text - Text to preview
+ * @param {import('/plugins/text-normalizer/src/lexicon.js').LexiconEntry[]} lexicon - Lexicon entries
+ * @param {string} [voice] - Voice ID
+ * @returns {Promise<Object>} Phonemize result
+ */
+async function previewPhonemes(text, lexicon, voice) {
+  const normalized = applyLexicon(text, compileLexicon(lexicon)).text
+  const response = await chrome.runtime.sendMessage({
+    type: 'TTS_PHONEMIZE',
+    payload: { text: normalized, voice }
+  })
+
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'No response from the background worker')
+  }
+  return response
+}
+
 document.addEventListener('DOMContentLoaded', () => {
   const voiceEl = document.getElementById('voice')
   const speedEl = document.getElementById('speed')
   const speedValueEl = document.getElementById('speedValue')
   const autoReadEl = document.getElementById('autoRead')
+  const autoContinueEl = document.getElementById('autoContinue')
+  const sessionPolicyEl = document.getElementById('sessionPolicy')
+  const autoLanguageEl = document.getElementById('autoLanguage')
+  const languageVoiceEls = renderLanguageVoices(document.getElementById('languageVoices'))
+  const pauseEls = renderPauses(document.getElementById('pauses'))
+  const trimSilenceEl = document.getElementById('trimSilence')
+  const audioProcessingElements = {
+    normalization: document.getElementById('normalization'),
+    targetLoudness: document.getElementById('targetLoudness'),
+    compressor: document.getElementById('compressor'),
+    limiter: document.getElementById('limiter'),
+    eq: document.getElementById('eqPreset'),
+    voiceGains: renderVoiceGains(document.getElementById('voiceGains'))
+  }
   const saveBtn = document.getElementById('save')
+  const editShortcutsBtn = document.getElementById('editShortcuts')
+  const lexiconEl = document.getElementById('lexicon')
+  const addLexiconEntryBtn = document.getElementById('addLexiconEntry')
+  const customVoicesEl = document.getElementById('customVoices')
+  const addCustomVoiceBtn = document.getElementById('addCustomVoice')
+  const voicePacksEl = document.getElementById('voicePacks')
+  const voicePackSummaryEl = document.getElementById('voicePackSummary')
+  const downloadAllVoicesBtn = document.getElementById('downloadAllVoices')
+  const modelElements = {
+    dtype: document.getElementById('modelDtype'),
+    device: document.getElementById('modelDevice'),
+    variants: document.getElementById('modelVariants')
+  }
+  const benchmarkBtn = document.getElementById('benchmarkModel')
+  const benchmarkResultsEl = document.getElementById('benchmarkResults')
+  const benchmarkStatusEl = document.getElementById('benchmarkStatus')
+  const phonemeTextEl = document.getElementById('phonemeText')
+  const previewPhonemesBtn = document.getElementById('previewPhonemes')
+  const phonemesEl = document.getElementById('phonemes')
+  const phonemeTokensEl = document.getElementById('phonemeTokens')
   const statusEl = document.getElementById('status')
 
   speedEl.addEventListener('input', () => {
     speedValueEl.textContent = `${speedEl.value}x`
   })
 
-  chrome.storage.sync.get(['voice', 'speed', 'autoRead'], (result) => {
+  renderShortcuts(document.getElementById('shortcuts')).catch(error => {
+    console.error('Failed to list keyboard shortcuts:', error)
+  })
+
+  // Chrome owns the bindings - they can only be changed on its shortcuts page
+  editShortcutsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' })
+  })
+
+  addLexiconEntryBtn.addEventListener('click', () => {
+    renderLexiconRow(lexiconEl)
+  })
+
+  addCustomVoiceBtn.addEventListener('click', () => {
+    renderCustomVoiceRow(customVoicesEl)
+  })
+
+  // The engine and its stored models live in the background worker
+  let modelState = null
+  sendToBackground('MODEL_PROFILE_GET')
+    .then((state) => {
+      modelState = state
+      renderModelProfile(modelElements, state)
+    })
+    .catch(error => {
+      console.error('Failed to read the model profile:', error)
+    })
+
+  // The selected precision on every available backend; each run adds rows so precisions can be compared
+  benchmarkBtn.addEventListener('click', async () => {
+    benchmarkBtn.disabled = true
+    benchmarkStatusEl.textContent = 'Benchmarking - models that are not downloaded yet are downloaded first…'
+
+    try {
+      const devices = MODEL_DEVICES.filter(device => modelState?.capabilities[device])
+      const profiles = (devices.length > 0 ? devices : ['wasm']).map(device => ({ dtype: modelElements.dtype.value, device }))
+      const { results } = await sendToBackground('TTS_BENCHMARK', { profiles })
+      for (const result of results) {
+        renderBenchmarkResult(benchmarkResultsEl, result)
+      }
+      benchmarkStatusEl.textContent = 'Real-time factor: seconds of work per second of speech - lower is faster.'
+    } catch (error) {
+      benchmarkStatusEl.textContent = error.message
+    } finally {
+      benchmarkBtn.disabled = false
+    }
+  })
+
+  // Voice packs live in the extension's IndexedDB database, shared with the engine
+  const voicePacks = new VoicePackManager(new IndexedDBWrapper())
+
+  renderVoicePacks(voicePacksEl, voicePackSummaryEl, voicePacks).catch(error => {
+    console.error('Failed to list voice packs:', error)
+    voicePackSummaryEl.textContent = 'Voice packs are unavailable'
+  })
+
+  downloadAllVoicesBtn.addEventListener('click', async () => {
+    downloadAllVoicesBtn.disabled = true
+    try {
+      const missing = await voicePacks.list({ downloaded: false })
+      await voicePacks.download(missing.map(pack => pack.id), ({ completed, total }) => {
+        voicePackSummaryEl.textContent = `Downloading ${completed} of ${total}…`
+      })
+      await renderVoicePacks(voicePacksEl, voicePackSummaryEl, voicePacks)
+    } catch (error) {
+      console.error('Failed to download voice packs:', error)
+      voicePackSummaryEl.textContent = error.message
+    } finally {
+      downloadAllVoicesBtn.disabled = false
+    }
+  })
+
+  previewPhonemesBtn.addEventListener('click', async () => {
+    const text = phonemeTextEl.value.trim()
+    if (!text) return
+
+    phonemesEl.className = 'phonemes'
+    phonemesEl.textContent = '…'
+    phonemeTokensEl.textContent = ''
+
+    try {
+      const voice = Object.hasOwn(VOICES, voiceEl.value) ? voiceEl.value : undefined
+      const result = await previewPhonemes(text, readLexicon(lexiconEl), voice)
+
+      phonemesEl.textContent = result.phonemes
+      phonemesEl.classList.toggle('over-limit', result.overLimit)
+      phonemeTokensEl.textContent = result.overLimit
+        ? `${result.tokens} tokens - more than ${result.maxTokens}, so it is read in several passes`
+        : `${result.tokens} of ${result.maxTokens} tokens (${result.voice})`
+    } catch (error) {
+      phonemesEl.textContent = ''
+      phonemeTokensEl.textContent = error.message
+    }
+  })
+
+  // The lexicon and custom voices are read through the storage adapter, like the plugins do
+  const storage = new StorageAdapter()
+  const storageReady = storage.initialize()
+
+  storageReady
+    .then(() => storage.get(LEXICON_STORAGE_KEY))
+    .then((entries) => {
+      for (const entry of entries || []) {
+        renderLexiconRow(lexiconEl, entry)
+      }
+    })
+    .catch(error => {
+      console.error('Failed to load the pronunciation lexicon:', error)
+    })
+
+  storageReady
+    .then(() => storage.get(CUSTOM_VOICES_STORAGE_KEY))
+    .then((voices) => {
+      for (const voice of voices || []) {
+        renderCustomVoiceRow(customVoicesEl, voice)
+      }
+    })
+    .catch(error => {
+      console.error('Failed to load custom voices:', error)
+    })
+
+  const showStatus = (message, type) => {
+    statusEl.textContent = message
+    statusEl.className = `status ${type}`
+
+    setTimeout(() => {
+      statusEl.className = 'status'
+    }, 3000)
+  }
+
+  chrome.storage.sync.get(['voice', 'speed', 'autoRead', 'autoContinue', 'sessionPolicy', 'autoLanguage', 'languageVoices', 'pauses', 'trimSilence', AUDIO_PROCESSING_STORAGE_KEY], (result) => {
     if (result.voice) voiceEl.value = result.voice
     if (result.speed) {
       speedEl.value = result.speed
@@ -24,22 +696,88 @@ document.addEventListener('DOMContentLoaded', () => {
     if (result.autoRead !== undefined) {
       autoReadEl.checked = result.autoRead
     }
+    autoContinueEl.checked = result.autoContinue === true
+    sessionPolicyEl.value = result.sessionPolicy || 'global-exclusive'
+    autoLanguageEl.checked = result.autoLanguage === true
+    for (const [language, voiceId] of Object.entries(result.languageVoices || {})) {
+      const select = languageVoiceEls.get(language)
+      if (select) select.value = voiceId
+    }
+    for (const [type, seconds] of Object.entries(result.pauses || {})) {
+      const input = pauseEls.get(type)
+      if (input) input.value = String(Math.round(seconds * 1000))
+    }
+    trimSilenceEl.checked = result.trimSilence !== false
+
+    const processing = { ...DEFAULT_AUDIO_PROCESSING, ...result[AUDIO_PROCESSING_STORAGE_KEY] }
+    audioProcessingElements.normalization.value = processing.normalization
+    audioProcessingElements.targetLoudness.value = String(processing.targetLoudness)
+    audioProcessingElements.compressor.checked = processing.compressor
+    audioProcessingElements.limiter.checked = processing.limiter
+    audioProcessingElements.eq.value = processing.eq
+    for (const [voiceId, gain] of Object.entries(processing.voiceGains)) {
+      const input = audioProcessingElements.voiceGains.get(voiceId)
+      if (input) input.value = String(gain)
+    }
   })
 
-  saveBtn.addEventListener('click', () => {
+  saveBtn.addEventListener('click', async () => {
+    let lexicon
+    let customVoices
+    let pauses
+    let audioProcessing
+    try {
+      lexicon = readLexicon(lexiconEl)
+      customVoices = readCustomVoices(customVoicesEl)
+      pauses = readPauses(pauseEls)
+      audioProcessing = readAudioProcessing(audioProcessingElements)
+    } catch (error) {
+      showStatus(error.message, 'error')
+      return
+    }
+
     const options = {
       voice: voiceEl.value,
       speed: parseFloat(speedEl.value),
-      autoRead: autoReadEl.checked
+      autoRead: autoReadEl.checked,
+      autoContinue: autoContinueEl.checked,
+      sessionPolicy: sessionPolicyEl.value,
+      autoLanguage: autoLanguageEl.checked,
+      languageVoices: {},
+      pauses,
+      trimSilence: trimSilenceEl.checked,
+      [AUDIO_PROCESSING_STORAGE_KEY]: audioProcessing
     }
 
-    chrome.storage.sync.set(options, () => {
-      statusEl.textContent = 'Options saved!'
-      statusEl.className = 'status success'
+    // Unset languages fall back to the engine's default voice for the language
+    for (const [language, select] of languageVoiceEls) {
+      if (select.value) options.languageVoices[language] = select.value
+    }
 
-      setTimeout(() => {
-        statusEl.className = 'status'
-      }, 3000)
+    try {
+      await storageReady
+      await storage.set(LEXICON_STORAGE_KEY, lexicon)
+      await storage.set(CUSTOM_VOICES_STORAGE_KEY, customVoices)
+    } catch (error) {
+      showStatus(`Failed to save: ${error.message}`, 'error')
+      return
+    }
+
+    // Left alone when the background could not report the current profile
+    if (modelState) {
+      try {
+        await sendToBackground('MODEL_PROFILE_SET', {
+          dtype: modelElements.dtype.value,
+          device: modelElements.device.value
+        })
+      } catch (error) {
+        showStatus(`Failed to save the model profile: ${error.message}`, 'error')
+        return
+      }
+    }
+
+    chrome.storage.sync.set(options, () => {
+      showStatus('Options saved!', 'success')
     })
   })
 })
\ No newline at end of file
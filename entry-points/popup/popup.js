@@ -10,16 +10,24 @@ document.addEventListener('DOMContentLoaded', async () => {
   const progressContainer = document.getElementById('progressContainer')
   const progressFill = document.getElementById('progressFill')
   const textInput = document.getElementById('textInput')
+  const ssmlInput = document.getElementById('ssmlInput')
   const voiceSelect = document.getElementById('voiceSelect')
   const speedControl = document.getElementById('speedControl')
   const speedValue = document.getElementById('speedValue')
   const speakBtn = document.getElementById('speakBtn')
+  const pauseBtn = document.getElementById('pauseBtn')
   const stopBtn = document.getElementById('stopBtn')
+  const exportFormat = document.getElementById('exportFormat')
+  const saveAudioBtn = document.getElementById('saveAudioBtn')
   const readSelectionBtn = document.getElementById('readSelection')
+  const pdfControls = document.getElementById('pdfControls')
+  const pdfFromPage = document.getElementById('pdfFromPage')
+  const readPdfBtn = document.getElementById('readPdfBtn')
   const optionsBtn = document.getElementById('optionsBtn')
   const statusMessage = document.getElementById('statusMessage')
 
   let isPlaying = false
+  let isPaused = false
 
   /**
    * Update model status UI
@@ -77,9 +85,58 @@ document.addEventListener('DOMContentLoaded', async () => {
    */
   function updateButtonStates() {
     speakBtn.disabled = isPlaying
+    pauseBtn.disabled = !isPlaying
+    pauseBtn.textContent = isPaused ? 'Resume' : 'Pause'
     stopBtn.disabled = !isPlaying
   }
 
+  /**
+   * Sync buttons with the background's playback state
+   * @param {Object} state - Playback state
+   */
+  function applyPlaybackState(state) {
+    isPlaying = state.status === 'playing' || state.status === 'paused'
+    isPaused = state.status === 'paused'
+    updateButtonStates()
+  }
+
+  /**
+   * Send a transport command (TTS_PAUSE, TTS_STOP, ...) to the background
+   * @param {string} type - Message type
+   * @param {Object} [payload] - Command payload
+   * @returns {Promise<Object>} Playback state after the command
+   */
+  async function sendTransportCommand(type, payload = {}) {
+    const response = await chrome.runtime.sendMessage({ type, payload })
+    if (!response?.success) {
+      throw new Error(response?.error || `${type} failed`)
+    }
+    applyPlaybackState(response.state)
+    return response.state
+  }
+
+  /**
+   * Add the user's custom voices (saved on the options page) to the voice list
+   */
+  async function loadCustomVoices() {
+    // Same key the kokoro-engine reads through the storage adapter
+    const { customVoices } = await chrome.storage.local.get('customVoices')
+    if (!Array.isArray(customVoices) || customVoices.length === 0) {
+      return
+    }
+
+    const group = document.createElement('optgroup')
+    group.label = 'Custom voices'
+    for (const voice of customVoices) {
+      group.appendChild(new Option(voice.name || voice.id, voice.id))
+    }
+    voiceSelect.appendChild(group)
+  }
+
+  loadCustomVoices().catch(error => {
+    console.error('Failed to load custom voices:', error)
+  })
+
   // Speed control handler
   speedControl.addEventListener('input', (e) => {
     speedValue.textContent = parseFloat(e.target.value).toFixed(1)
@@ -104,7 +161,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         payload: {
           text,
           voice: voiceSelect.value,
-          speed: parseFloat(speedControl.value)
+          speed: parseFloat(speedControl.value),
+          options: { format: ssmlInput.checked ? 'ssml' : 'text' }
         }
       })
 
@@ -123,18 +181,56 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   })
 
+  // Pause/resume button handler
+  pauseBtn.addEventListener('click', async () => {
+    try {
+      const state = await sendTransportCommand(isPaused ? 'TTS_RESUME' : 'TTS_PAUSE')
+      showStatusMessage(state.status === 'paused' ? 'Paused' : 'Playing...', 'info')
+    } catch (error) {
+      console.error('Failed to pause/resume TTS:', error)
+      showStatusMessage(`Error: ${error.message}`, 'error')
+    }
+  })
+
   // Stop button handler
   stopBtn.addEventListener('click', async () => {
     try {
-      await chrome.runtime.sendMessage({
-        type: 'TTS_STOP'
-      })
-
+      await sendTransportCommand('TTS_STOP')
       showStatusMessage('Stopped', 'info')
-      isPlaying = false
-      updateButtonStates()
     } catch (error) {
       console.error('Failed to stop TTS:', error)
+      showStatusMessage(`Error: ${error.message}`, 'error')
+    }
+  })
+
+  // Save audio button handler
+  saveAudioBtn.addEventListener('click', async () => {
+    saveAudioBtn.disabled = true
+    showStatusMessage('Rendering audio...', 'info')
+
+    try {
+      // Empty text falls back to the current session in the background
+      const response = await chrome.runtime.sendMessage({
+        type: 'TTS_EXPORT',
+        payload: {
+          text: textInput.value.trim(),
+          voice: voiceSelect.value,
+          speed: parseFloat(speedControl.value),
+          format: exportFormat.value,
+          options: { format: ssmlInput.checked ? 'ssml' : 'text' }
+        }
+      })
+
+      if (response?.success) {
+        showStatusMessage(`Saved ${response.filename}`, 'success')
+      } else {
+        showStatusMessage(`Error: ${response?.error || 'Export failed'}`, 'error')
+      }
+    } catch (error) {
+      console.error('Failed to export audio:', error)
+      showStatusMessage(`Error: ${error.message}`, 'error')
+    } finally {
+      saveAudioBtn.disabled = false
     }
   })
 
@@ -164,6 +260,32 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   })
 
+  // Read PDF button handler (shown when the active tab is a PDF)
+  readPdfBtn.addEventListener('click', async () => {
+    readPdfBtn.disabled = true
+    showStatusMessage('Extracting PDF text...', 'info')
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'TTS_READ_PDF',
+        payload: { fromPage: parseInt(pdfFromPage.value, 10) || 1 }
+      })
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'PDF read failed')
+      }
+
+      showStatusMessage(`Reading from page ${response.fromPage} of ${response.pageCount}`, 'info')
+      isPlaying = true
+      updateButtonStates()
+    } catch (error) {
+      console.error('Failed to read PDF:', error)
+      showStatusMessage(`Error: ${error.message}`, 'error')
+    } finally {
+      readPdfBtn.disabled = false
+    }
+  })
+
   // Options button handler
   optionsBtn.addEventListener('click', () => {
     chrome.runtime.openOptionsPage()
@@ -174,15 +296,16 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (message.type === 'TTS_RESPONSE') {
       if (message.status === 'completed') {
         showStatusMessage('Completed', 'success')
-        isPlaying = false
-        updateButtonStates()
+        applyPlaybackState({ status: 'idle' })
       } else if (message.status === 'error') {
         showStatusMessage(`Error: ${message.error}`, 'error')
-        isPlaying = false
-        updateButtonStates()
+        applyPlaybackState({ status: 'idle' })
       } else if (message.status === 'playing') {
         showStatusMessage('Playing...', 'info')
       }
+    } else if (message.type === 'TTS_PLAYBACK_STATE') {
+      // Commands from the page's control panel or keyboard shortcuts
+      applyPlaybackState(message.state)
     } else if (message.type === 'MODEL_DOWNLOAD_PROGRESS') {
       showProgress()
       updateProgress(message.percentage)
@@ -219,6 +342,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     updateModelStatus('not-downloaded', 'Status unknown')
   }
 
+  // Offer PDF reading when the active tab is a PDF
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+    if (tab?.url && /\.pdf$/i.test(new URL(tab.url).pathname)) {
+      pdfControls.style.display = 'flex'
+      const page = /[#&]page=(\d+)/.exec(tab.url)
+      if (page) {
+        pdfFromPage.value = page[1]
+      }
+    }
+  } catch (error) {
+    console.error('Failed to check the active tab:', error)
+  }
+
   // Initialize button states
   updateButtonStates()
 })
\ No newline at end of file
@@ -1,12 +1,90 @@
-import { StyleTextToSpeech2Model, AutoTokenizer, Tensor, RawAudio } from "./transformers.min.js";
+import { env, StyleTextToSpeech2Model, AutoTokenizer, Tensor, RawAudio } from "./transformers.min.js";
 
 
 import { phonemize } from "./phonemize.js";
-import { getVoiceData, VOICES } from "./voices.js";
+import { getVoiceData, parseVoiceMix, VOICES } from "./voices.js";
 
 const STYLE_DIM = 256;
 const SAMPLE_RATE = 24000;
 
+// Longest input (in tokens, without padding) the model accepts - one style vector per token count
+const MAX_TOKENS = 510;
+
+// ONNX weights file for each precision, as named in the model repo
+const MODEL_FILES = {
+  fp32: "model.onnx",
+  fp16: "model_fp16.onnx",
+  q8: "model_quantized.onnx",
+  q4: "model_q4.onnx",
+  q4f16: "model_q4f16.onnx",
+};
+
+const USE_BROWSER_CACHE = env.useBrowserCache;
+
+/**
+ * Persistent store of downloaded model weights, read before the network (e.g. IndexedDB for offline use).
+ * @typedef {Object} ModelStore
+ * @property {(dtype: string) => Promise<ArrayBuffer|null>} loadModelFile Stored weights for a precision, or null
+ */
+
+/** @type {ModelStore|null} */
+let model_store = null;
+
+/**
+ * Cache handed to transformers.js while a model store is set: weights come from the store,
+ * everything else (config, tokenizer, weights the store lacks) from the Cache API as before.
+ */
+const modelStoreCache = {
+  async match(request) {
+    const url = typeof request === "string" ? request : request.url;
+    const file = url.split("/").pop();
+    const dtype = url.includes("/onnx/") ? Object.keys(MODEL_FILES).find((key) => MODEL_FILES[key] === file) : null;
+    if (dtype && model_store) {
+      try {
+        const buffer = await model_store.loadModelFile(dtype);
+        if (buffer) {
+          return new Response(buffer, { headers: { "content-length": String(buffer.byteLength) } });
+        }
+      } catch (e) {
+        console.warn("Unable to read model store", e);
+      }
+    }
+
+    const cache = await openBrowserCache();
+    return cache ? cache.match(request) : undefined;
+  },
+  async put(request, response) {
+    const cache = await openBrowserCache();
+    if (cache) {
+      await cache.put(request, response);
+    }
+  },
+};
+
+async function openBrowserCache() {
+  if (!USE_BROWSER_CACHE || typeof caches === "undefined") {
+    return null;
+  }
+  try {
+    return await caches.open("transformers-cache");
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Set the store model weights are read from before the network.
+ * Without one, transformers.js downloads them through the Cache API.
+ * @param {ModelStore|null} store The model store, or null to use the Cache API
+ */
+export function setModelStore(store) {
+  model_store = store;
+  // transformers.js only consults a custom cache when the browser cache is off
+  env.useBrowserCache = store ? false : USE_BROWSER_CACHE;
+  env.useCustomCache = Boolean(store);
+  env.customCache = store ? modelStoreCache : null;
+}
+
 export class KokoroTTS {
   /**
    * Create a new KokoroTTS instance.
@@ -46,31 +124,33 @@ export class KokoroTTS {
   /**
    * Generate audio from text.
    *
+   * Inline `[word](/phonemes/)` spans are spoken with the given phonemes instead of going through espeak-ng.
+   *
    * Note: The model will be loaded on the first call, and subsequent calls will use the same model.
+   * Input longer than MAX_TOKENS is rejected rather than truncated - split it first.
    * @param {string} text The input text
    * @param {Object} options Additional options
-   * @param {keyof typeof VOICES} [options.voice="af"] The voice style to use
+   * @param {keyof typeof VOICES|string} [options.voice="af"] The voice style to use, or a voice mix such as "af_bella:0.6+af_heart:0.4"
    * @param {number} [options.speed=1] The speaking speed
+   * @param {string|null} [options.phonemes=null] The phonemes of `text` from phonemizeText(), to skip phonemizing it again
    * @returns {Promise<RawAudio>} The generated audio
+   * @throws {Error} When the phonemized text is longer than MAX_TOKENS
    */
-  async generate(text, { voice = "af", speed = 1 } = {}) {
-    if (!VOICES.hasOwnProperty(voice)) {
-      console.error(`Voice "${voice}" not found. Available voices:`);
-      console.table(VOICES);
-      throw new Error(`Voice "${voice}" not found. Should be one of: ${Object.keys(VOICES).join(", ")}.`);
-    }
+  async generate(text, { voice = "af", speed = 1, phonemes = null } = {}) {
+    this._validate_voice(voice);
 
     const language = voice.at(0); // "a" or "b"
-    const phonemes = await phonemize(text, language);
-    const { input_ids } = this.tokenizer(phonemes, {
-      truncation: true,
-    });
+    phonemes ??= await phonemize(text, language);
+    const { input_ids } = this.tokenizer(phonemes);
 
     // Select voice style based on number of input tokens
     const num_tokens = Math.max(
       input_ids.dims.at(-1) - 2, // Without padding;
       0,
     );
+    if (num_tokens > MAX_TOKENS) {
+      throw new Error(`Input is ${num_tokens} tokens, but the model accepts at most ${MAX_TOKENS}. Split the text into shorter chunks.`);
+    }
 
     // Load voice style
     const data = await getVoiceData(voice);
@@ -89,4 +169,40 @@ export class KokoroTTS {
 
     return new RawAudio(waveform.data, SAMPLE_RATE);
   }
+
+  /**
+   * Convert text to the phonemes the model receives, without generating audio.
+   *
+   * Inline `[word](/phonemes/)` spans are passed through as written.
+   * @param {string} text The input text
+   * @param {Object} options Additional options
+   * @param {keyof typeof VOICES} [options.voice="af"] The voice, whose language selects the phonemizer
+   * @returns {Promise<{phonemes: string, tokens: number, maxTokens: number, overLimit: boolean}>} The phonemes, their token count, and whether they are longer than one generate() call accepts
+   */
+  async phonemizeText(text, { voice = "af" } = {}) {
+    this._validate_voice(voice);
+
+    const phonemes = await phonemize(text, voice.at(0));
+    const tokens = this.tokenizer.encode(phonemes, { add_special_tokens: false }).length;
+
+    return {
+      phonemes,
+      tokens,
+      maxTokens: MAX_TOKENS,
+      overLimit: tokens > MAX_TOKENS,
+    };
+  }
+
+  /**
+   * Throw if a voice does not exist.
+   * Voice mixes ("af_bella:0.6+af_heart:0.4") are valid when every voice in them exists; the first voice sets the language.
+   * @param {string} voice The voice id or mix
+   */
+  _validate_voice(voice) {
+    if (!Object.hasOwn(VOICES, voice) && !parseVoiceMix(voice)) {
+      console.error(`Voice "${voice}" not found. Available voices:`);
+      console.table(VOICES);
+      throw new Error(`Voice "${voice}" not found. Should be one of: ${Object.keys(VOICES).join(", ")}.`);
+    }
+  }
 }
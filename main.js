@@ -141,6 +141,10 @@ const onMessageReceived = async (e) => {switch (e.data.status) {
         buttonHandler.enableButtons();
       }
       break;
+
+    case "error":
+      onErrorReceived(e.data.error);
+      break;
   }
 };
 
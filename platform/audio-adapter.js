@@ -41,8 +41,8 @@ class AudioAdapter {
     try {
       await chrome.offscreen.createDocument({
         url,
-        reasons: ['AUDIO_PLAYBACK'],
-        justification: 'Playing TTS audio in offscreen document'
+        reasons: ['AUDIO_PLAYBACK', 'BLOBS', 'WORKERS'],
+        justification: 'Playing TTS audio, encoding audio exports and parsing PDFs in offscreen document'
       })
       this.offscreenDocument = true
       return true
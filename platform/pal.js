@@ -8,6 +8,7 @@ import { MessagingAdapter } from './messaging-adapter.js'
 import { AudioAdapter } from './audio-adapter.js'
 import { UIAdapter } from './ui-adapter.js'
 import { ManifestAdapter } from './manifest-adapter.js'
+import { IndexedDBWrapper } from './storage/indexeddb-wrapper.js'
 
 class PAL {
   constructor() {
@@ -16,6 +17,10 @@ class PAL {
     this.audio = new AudioAdapter()
     this.ui = new UIAdapter()
     this.manifest = new ManifestAdapter()
+    // Synthesized audio cache - opens its database lazily on first use
+    this.audioCache = new IndexedDBWrapper()
+    // Downloaded voice packs live in the same database
+    this.voiceStore = this.audioCache
     this.initialized = false
   }
 
@@ -52,6 +57,7 @@ class PAL {
         this.ui.cleanup(),
         this.manifest.cleanup()
       ])
+      this.audioCache.close()
       this.initialized = false
     } catch (error) {
       console.error('PAL cleanup failed:', error)
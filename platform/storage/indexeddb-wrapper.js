@@ -1,22 +1,31 @@
 /**
  * @module IndexedDBWrapper
- * @description Wrapper for IndexedDB operations for model and text storage
+ * @description Wrapper for IndexedDB operations for model, voice pack, text and synthesized audio storage
  */
 
 const DB_NAME = 'KokoroJSExtension'
-const DB_VERSION = 1
+const DB_VERSION = 3
 
 const STORES = {
   MODELS: 'models',
   TEXT_CACHE: 'textCache',
-  METADATA: 'metadata'
+  METADATA: 'metadata',
+  AUDIO_CACHE: 'audioCache',
+  VOICES: 'voices'
 }
 
+const DEFAULT_AUDIO_CACHE_MAX_BYTES = 100 * 1024 * 1024 // 100MB
+
 /**
  * IndexedDB wrapper implementing PAL storage interface
  */
 class IndexedDBWrapper {
-  constructor() {
+  /**
+   * @param {Object} [options] - Wrapper options
+   * @param {number} [options.audioCacheMaxBytes] - Size budget for synthesized audio cache
+   */
+  constructor(options = {}) {
+    this.audioCacheMaxBytes = options.audioCacheMaxBytes || DEFAULT_AUDIO_CACHE_MAX_BYTES
     this.db = null
     this.initPromise = null
     this.cleanupInterval = null
@@ -70,6 +79,17 @@ class IndexedDBWrapper {
         if (!db.objectStoreNames.contains(STORES.METADATA)) {
           db.createObjectStore(STORES.METADATA, { keyPath: 'key' })
         }
+
+        // Audio cache store - synthesized audio keyed by text/voice/speed hash
+        if (!db.objectStoreNames.contains(STORES.AUDIO_CACHE)) {
+          const audioCacheStore = db.createObjectStore(STORES.AUDIO_CACHE, { keyPath: 'cacheKey' })
+          audioCacheStore.createIndex('lastAccessed', 'lastAccessed', { unique: false })
+        }
+
+        // Voices store - downloaded voice packs (style vectors), for offline use
+        if (!db.objectStoreNames.contains(STORES.VOICES)) {
+          db.createObjectStore(STORES.VOICES, { keyPath: 'voiceId' })
+        }
       }
     })
 
@@ -217,6 +237,28 @@ class IndexedDBWrapper {
     }
   }
 
+  /**
+   * Delete a stored model
+   * @param {string} modelId - Model identifier
+   * @returns {Promise<void>}
+   */
+  async deleteModel(modelId) {
+    try {
+      await this.init()
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([STORES.MODELS], 'readwrite')
+        const store = transaction.objectStore(STORES.MODELS)
+        const request = store.delete(modelId)
+
+        request.onsuccess = () => resolve()
+        request.onerror = () => reject(new Error(`Failed to delete model: ${request.error}`))
+      })
+    } catch (error) {
+      throw new Error(`Failed to delete model ${modelId}: ${error.message}`)
+    }
+  }
+
   /**
    * Update model last used timestamp
    * @private
@@ -418,6 +460,282 @@ class IndexedDBWrapper {
     }
   }
 
+  /**
+   * Store synthesized audio, evicting least recently used entries over the size budget
+   * @param {string} cacheKey - Content hash of text, voice and speed
+   * @param {Object} audio - Synthesized audio
+   * @param {Float32Array} audio.data - PCM samples
+   * @param {number} audio.sampleRate - Sample rate in Hz
+   * @param {Object} [metadata] - Optional metadata (voice, speed, textLength)
+   * @returns {Promise<void>}
+   */
+  async storeAudioCache(cacheKey, audio, metadata = {}) {
+    try {
+      await this.init()
+
+      const size = audio.data.byteLength
+      if (size > this.audioCacheMaxBytes) {
+        return
+      }
+
+      const now = Date.now()
+      const cacheData = {
+        cacheKey,
+        data: audio.data,
+        sampleRate: audio.sampleRate,
+        size,
+        voice: metadata.voice,
+        speed: metadata.speed,
+        textLength: metadata.textLength,
+        created: now,
+        lastAccessed: now
+      }
+
+      await new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([STORES.AUDIO_CACHE], 'readwrite')
+        const store = transaction.objectStore(STORES.AUDIO_CACHE)
+        const request = store.put(cacheData)
+
+        request.onsuccess = () => resolve()
+        request.onerror = () => reject(new Error(`Failed to store audio cache: ${request.error}`))
+      })
+
+      await this.evictAudioCache()
+    } catch (error) {
+      throw new Error(`Failed to store audio cache ${cacheKey}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Load synthesized audio and mark it as recently used
+   * @param {string} cacheKey - Content hash of text, voice and speed
+   * @returns {Promise<{data: Float32Array, sampleRate: number}|null>}
+   */
+  async loadAudioCache(cacheKey) {
+    try {
+      await this.init()
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([STORES.AUDIO_CACHE], 'readwrite')
+        const store = transaction.objectStore(STORES.AUDIO_CACHE)
+        const request = store.get(cacheKey)
+
+        request.onsuccess = () => {
+          const result = request.result
+          if (!result) {
+            resolve(null)
+            return
+          }
+
+          // Touch entry for LRU ordering
+          result.lastAccessed = Date.now()
+          store.put(result)
+
+          resolve({ data: result.data, sampleRate: result.sampleRate })
+        }
+        request.onerror = () => reject(new Error(`Failed to load audio cache: ${request.error}`))
+      })
+    } catch (error) {
+      throw new Error(`Failed to load audio cache ${cacheKey}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Evict least recently used audio until the cache fits the size budget
+   * @param {number} [maxBytes] - Size budget (defaults to audioCacheMaxBytes)
+   * @returns {Promise<number>} Number of entries evicted
+   */
+  async evictAudioCache(maxBytes = this.audioCacheMaxBytes) {
+    try {
+      await this.init()
+
+      const { totalBytes } = await this.getAudioCacheStats()
+      if (totalBytes <= maxBytes) {
+        return 0
+      }
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([STORES.AUDIO_CACHE], 'readwrite')
+        const store = transaction.objectStore(STORES.AUDIO_CACHE)
+        const request = store.index('lastAccessed').openCursor()
+
+        let remainingBytes = totalBytes
+        let evictedCount = 0
+
+        request.onsuccess = (event) => {
+          const cursor = event.target.result
+          if (cursor && remainingBytes > maxBytes) {
+            remainingBytes -= cursor.value.size
+            cursor.delete()
+            evictedCount++
+            cursor.continue()
+          } else {
+            resolve(evictedCount)
+          }
+        }
+        request.onerror = () => reject(new Error(`Failed to evict audio cache: ${request.error}`))
+      })
+    } catch (error) {
+      console.error('Failed to evict audio cache:', error)
+      return 0
+    }
+  }
+
+  /**
+   * Get audio cache entry count and total size
+   * @returns {Promise<{entries: number, totalBytes: number, maxBytes: number}>}
+   */
+  async getAudioCacheStats() {
+    await this.init()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.AUDIO_CACHE], 'readonly')
+      const store = transaction.objectStore(STORES.AUDIO_CACHE)
+      const request = store.openCursor()
+
+      let entries = 0
+      let totalBytes = 0
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result
+        if (cursor) {
+          entries++
+          totalBytes += cursor.value.size
+          cursor.continue()
+        } else {
+          resolve({ entries, totalBytes, maxBytes: this.audioCacheMaxBytes })
+        }
+      }
+      request.onerror = () => reject(new Error(`Failed to read audio cache stats: ${request.error}`))
+    })
+  }
+
+  /**
+   * Remove all cached audio
+   * @returns {Promise<void>}
+   */
+  async clearAudioCache() {
+    try {
+      await this.init()
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([STORES.AUDIO_CACHE], 'readwrite')
+        const store = transaction.objectStore(STORES.AUDIO_CACHE)
+        const request = store.clear()
+
+        request.onsuccess = () => resolve()
+        request.onerror = () => reject(new Error(`Failed to clear audio cache: ${request.error}`))
+      })
+    } catch (error) {
+      throw new Error(`Failed to clear audio cache: ${error.message}`)
+    }
+  }
+
+  /**
+   * Store a voice pack
+   * @param {string} voiceId - Voice identifier
+   * @param {ArrayBuffer} arrayBuffer - Voice file (style vectors)
+   * @returns {Promise<void>}
+   */
+  async storeVoice(voiceId, arrayBuffer) {
+    try {
+      await this.init()
+
+      const voiceData = {
+        voiceId,
+        data: arrayBuffer,
+        size: arrayBuffer.byteLength,
+        downloadDate: Date.now()
+      }
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([STORES.VOICES], 'readwrite')
+        const store = transaction.objectStore(STORES.VOICES)
+        const request = store.put(voiceData)
+
+        request.onsuccess = () => resolve()
+        request.onerror = () => reject(new Error(`Failed to store voice: ${request.error}`))
+      })
+    } catch (error) {
+      throw new Error(`Failed to store voice ${voiceId}: ${error.message}`)
+    }
+  }
+
+  /**
+   * Load a voice pack
+   * @param {string} voiceId - Voice identifier
+   * @returns {Promise<ArrayBuffer|null>}
+   */
+  async loadVoice(voiceId) {
+    try {
+      await this.init()
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([STORES.VOICES], 'readonly')
+        const store = transaction.objectStore(STORES.VOICES)
+        const request = store.get(voiceId)
+
+        request.onsuccess = () => {
+          const result = request.result
+          resolve(result ? result.data : null)
+        }
+        request.onerror = () => reject(new Error(`Failed to load voice: ${request.error}`))
+      })
+    } catch (error) {
+      throw new Error(`Failed to load voice ${voiceId}: ${error.message}`)
+    }
+  }
+
+  /**
+   * List stored voice packs without their data
+   * @returns {Promise<Array<{voiceId: string, size: number, downloadDate: number}>>}
+   */
+  async listVoices() {
+    await this.init()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.VOICES], 'readonly')
+      const store = transaction.objectStore(STORES.VOICES)
+      const request = store.openCursor()
+
+      const voices = []
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result
+        if (cursor) {
+          const { voiceId, size, downloadDate } = cursor.value
+          voices.push({ voiceId, size, downloadDate })
+          cursor.continue()
+        } else {
+          resolve(voices)
+        }
+      }
+      request.onerror = () => reject(new Error(`Failed to list voices: ${request.error}`))
+    })
+  }
+
+  /**
+   * Delete a voice pack
+   * @param {string} voiceId - Voice identifier
+   * @returns {Promise<void>}
+   */
+  async deleteVoice(voiceId) {
+    try {
+      await this.init()
+
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction([STORES.VOICES], 'readwrite')
+        const store = transaction.objectStore(STORES.VOICES)
+        const request = store.delete(voiceId)
+
+        request.onsuccess = () => resolve()
+        request.onerror = () => reject(new Error(`Failed to delete voice: ${request.error}`))
+      })
+    } catch (error) {
+      throw new Error(`Failed to delete voice ${voiceId}: ${error.message}`)
+    }
+  }
+
   /**
    * Start automatic cleanup interval for TextCache
    * @private
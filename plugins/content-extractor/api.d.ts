@@ -2,9 +2,9 @@
  * ContentExtractor Plugin API TypeScript Definitions
  */
 
-export type ExtractionMode = 'selection' | 'article' | 'full' | 'custom'
+export type ExtractionMode = 'selection' | 'article' | 'full' | 'custom' | 'from-here' | 'from-cursor' | 'pdf'
 
-export type ExtractorMode = 'simple' | 'advanced'
+export type ExtractorMode = 'simple' | 'advanced' | 'pdf'
 
 export interface ExtractedContent {
   text: string
@@ -17,12 +17,31 @@ export interface ExtractedContent {
   extractionMode: ExtractorMode
   url: string
   timestamp: number
+  paragraphs?: PdfParagraph[]
+  pageCount?: number
+  fromPage?: number
+}
+
+export interface PdfParagraph {
+  text: string
+  page: number
+}
+
+/**
+ * Where reading starts - a caret position or a clicked node
+ */
+export interface ReadingPoint {
+  node: Node
+  offset?: number
 }
 
 export interface ExtractionOptions {
   mode: ExtractionMode
   selector?: string
   filters?: ExtractorFilter[]
+  target?: ReadingPoint
+  url?: string
+  fromPage?: number
 }
 
 export interface ExtractorFilter {
@@ -50,12 +69,58 @@ export interface ExtractorCapabilities {
   supportedModes: ExtractionMode[]
 }
 
+export interface TextSpan {
+  start: number
+  end: number
+}
+
+/**
+ * Maps offsets in extracted text back to live DOM Ranges
+ */
+export interface SourceMap {
+  root: Node
+  text: string
+
+  find(fragment: string, fromIndex?: number): TextSpan | null
+  toRange(start: number, end: number): Range | null
+}
+
+export interface HighlightSourceEvent {
+  sourceMap: SourceMap
+  text?: string
+  mode: ExtractionMode
+  timestamp: number
+}
+
+/**
+ * 'extraction:request' payload - extract, map for highlighting and send to the queue
+ */
+export interface ExtractionRequestEvent {
+  mode?: ExtractionMode
+  selector?: string
+  filters?: ExtractorFilter[]
+  autoContinue?: boolean
+  url?: string
+  timestamp?: number
+}
+
+/**
+ * Emitted when an auto-continued read moves on to the next page
+ */
+export interface ExtractionContinuedEvent {
+  url: string
+  page: number
+  timestamp: number
+}
+
 export interface PluginConfig {
   debounceDelay?: number
   maxTextLength?: number
   buttonTimeout?: number
   defaultVoice?: string
   defaultSpeed?: number
+  autoContinue?: boolean
+  maxContinuePages?: number
 }
 
 export default class ContentExtractorPlugin {
@@ -92,6 +157,16 @@ export default class ContentExtractorPlugin {
    */
   extractSimple(): Promise<ExtractedContent>
 
+  /**
+   * Extract the main content from a clicked paragraph or the caret to the end of the article
+   */
+  extractFrom(mode: 'from-here' | 'from-cursor', target?: ReadingPoint): Promise<ExtractedContent>
+
+  /**
+   * Map spoken text back to the page and emit 'highlight:source'
+   */
+  mapSource(mode: ExtractionMode, options?: { selector?: string, target?: ReadingPoint, text?: string }): SourceMap | null
+
   /**
    * Get plugin capabilities
    */
@@ -7,6 +7,9 @@ import SimpleExtractor from './simple-extractor.js'
 import ReadabilityWrapper from './readability-wrapper.js'
 import SelectionHandler from './selection-handler.js'
 import FloatingButton from './floating-button.js'
+import SourceMap from './source-map.js'
+import { findNextPage } from './pagination.js'
+import PdfExtractor from './pdf-extractor.js'
 
 /**
  * @typedef {Object} ExtractedContent
@@ -17,16 +20,42 @@ import FloatingButton from './floating-button.js'
  * @property {string} [byline] - Author info
  * @property {number} length - Text length in characters
  * @property {number} wordCount - Word count
- * @property {'simple'|'advanced'} extractionMode - Extraction mode used
+ * @property {'simple'|'advanced'|'pdf'} extractionMode - Extraction mode used
+ * @property {Array<{text: string, page: number}>} [paragraphs] - PDF paragraphs with page numbers
  * @property {string} url - Source URL
  * @property {number} timestamp - Extraction time
  */
 
+/**
+ * @typedef {Object} ReadingPoint
+ * @property {Node} node - Node reading starts in
+ * @property {number} [offset] - Caret offset within the node
+ */
+
 /**
  * @typedef {Object} ExtractionOptions
- * @property {'selection'|'article'|'full'|'custom'} mode - Extraction mode
+ * @property {'selection'|'article'|'full'|'custom'|'from-here'|'from-cursor'|'pdf'} mode - Extraction mode
  * @property {string} [selector] - Custom selector for extraction
+ * @property {string} [url] - PDF to read in 'pdf' mode (defaults to the current page)
+ * @property {number} [fromPage] - First PDF page to read (1-based, defaults to #page=N in the URL)
  * @property {Array} [filters] - Content filters
+ * @property {ReadingPoint} [target] - Start point for 'from-here'/'from-cursor' (defaults to the
+ *   last right-clicked point or the selection caret)
+ */
+
+// Elements "Read from here" starts at the beginning of
+const READING_BLOCKS = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, th, dd, dt, figcaption'
+
+// Words of the clicked paragraph used to find it in the Readability article text
+const PROBE_WORDS = 12
+
+/**
+ * @typedef {Object} Continuation
+ * @property {string} nextUrl - Page being fetched
+ * @property {Set<string>} visited - Pages already read, so pagination loops stop
+ * @property {number} pages - Pages read after the first one
+ * @property {Promise<Object|null>} prefetch - Next page's { url, doc, content }, fetched while the current one plays
+ * @property {boolean} busy - Whether the next page is being handed to the queue
  */
 
 class ContentExtractorPlugin {
@@ -46,6 +75,7 @@ class ContentExtractorPlugin {
     this.readabilityWrapper = null
     this.selectionHandler = null
     this.floatingButton = null
+    this.pdfExtractor = null
 
     // Configuration
     this.debounceDelay = config.debounceDelay || 200
@@ -54,6 +84,16 @@ class ContentExtractorPlugin {
     this.defaultVoice = config.defaultVoice || 'af_bella'
     this.defaultSpeed = config.defaultSpeed || 1.0
 
+    // Auto-continue onto "next page" links after an article read finishes
+    this.autoContinue = config.autoContinue === true
+    this.maxContinuePages = config.maxContinuePages || 20
+    this.continuation = null
+
+    // Last right-clicked point, for "Read from here"
+    this.contextPoint = null
+    this.contextDocument = null
+    this._handleContextMenu = this._handleContextMenu.bind(this)
+
     // Tab tracking (null in content script context, set by background when available)
     this.tabId = config.tabId || null
 
@@ -89,6 +129,7 @@ class ContentExtractorPlugin {
       this.floatingButton = new FloatingButton({
         timeout: this.buttonTimeout
       })
+      this.pdfExtractor = new PdfExtractor()
 
       // Initialize selection handler
       await this.selectionHandler.init()
@@ -104,6 +145,15 @@ class ContentExtractorPlugin {
 
       // Subscribe to TTS events
       this.eventBus.subscribe('tts:extract', this._handleExtractionEvent.bind(this))
+      this.eventBus.subscribe('extraction:request', this._handleExtractionRequest.bind(this))
+
+      // Paginated articles continue when the queue finishes a page; stopping ends the run
+      this.eventBus.subscribe('queue:completed', this._handleQueueCompleted.bind(this))
+      this.eventBus.subscribe('audio:playbackStopped', this._handlePlaybackStopped.bind(this))
+
+      // Remember where the context menu was opened - the menu click arrives without it
+      this.contextDocument = document
+      this.contextDocument.addEventListener('contextmenu', this._handleContextMenu, true)
 
       console.log(`${this.name} v${this.version} initialized at stage: ${this.stage}`)
       return true
@@ -173,6 +223,13 @@ class ContentExtractorPlugin {
         case 'custom':
           result = await this._extractCustom(options.selector, options.filters)
           break
+        case 'from-here':
+        case 'from-cursor':
+          result = await this.extractFrom(options.mode, options.target)
+          break
+        case 'pdf':
+          result = await this._extractPdf(options.url, options.fromPage)
+          break
         default:
           throw new Error(`Unknown extraction mode: ${options.mode}`)
       }
@@ -182,8 +239,8 @@ class ContentExtractorPlugin {
       this.lastExtractionTime = endTime - startTime
       this.extractionCount++
 
-      // Add metadata
-      result.url = window.location.href
+      // Add metadata (PDFs keep their own URL - they may be read from another page)
+      result.url = options.mode === 'pdf' ? result.url : window.location.href
       result.timestamp = Date.now()
 
       // Handle large text (>50KB)
@@ -237,6 +294,88 @@ class ContentExtractorPlugin {
     return this.simpleExtractor.extract(doc)
   }
 
+  /**
+   * Extract the main content from a point in the page to the end of the article
+   * 'from-here' starts at the beginning of the paragraph containing the point, 'from-cursor'
+   * at the word under the caret
+   * @param {'from-here'|'from-cursor'} mode - Where in the page to start
+   * @param {ReadingPoint} [target] - Start point (defaults to the last right-click or the selection caret)
+   * @returns {Promise<ExtractedContent>}
+   */
+  async extractFrom(mode, target) {
+    try {
+      const start = this._readingStart(mode, target)
+      const sourceMap = this._sourceMapFrom(start)
+      if (!sourceMap || !sourceMap.text) {
+        throw new Error('No text to read after this point')
+      }
+
+      // Prefer the Readability article so ads and navigation after the point are skipped
+      const lead = this._leadText(start)
+      const article = await this.extractArticle(start.node.ownerDocument)
+      const index = this._locate(article.text, lead, this._textBefore(start))
+
+      const text = index === -1 ? sourceMap.text : article.text.slice(index)
+      if (index === -1) {
+        console.log('Start point not found in the main content, reading the page from there')
+      }
+
+      return {
+        ...article,
+        text,
+        length: text.length,
+        wordCount: text.split(/\s+/).filter(word => word.length > 0).length,
+        extractionMode: index === -1 ? 'simple' : article.extractionMode,
+        url: window.location.href,
+        timestamp: Date.now()
+      }
+    } catch (error) {
+      console.error('Read-from-here extraction error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Map the text about to be read back to the page and publish it for highlighting
+   * @param {'selection'|'article'|'full'|'custom'|'from-here'|'from-cursor'} mode - Extraction mode the text came from
+   * @param {Object} [options] - Mapping options
+   * @param {string} [options.selector] - Root selector for 'custom' mode
+   * @param {ReadingPoint} [options.target] - Start point for 'from-here'/'from-cursor' modes
+   * @param {string} [options.text] - Text that will be spoken
+   * @returns {SourceMap|null}
+   */
+  mapSource(mode, options = {}) {
+    try {
+      let sourceMap = null
+
+      if (mode === 'selection') {
+        const selection = this.selectionHandler.getSelection()
+        sourceMap = this.selectionHandler.createSourceMap(selection)
+      } else if (mode === 'from-here' || mode === 'from-cursor') {
+        sourceMap = this._sourceMapFrom(this._readingStart(mode, options.target))
+      } else {
+        const root = mode === 'custom'
+          ? document.querySelector(options.selector)
+          : mode === 'full' ? document.body : this.simpleExtractor.getContentRoot(document)
+        sourceMap = root ? new SourceMap(root) : null
+      }
+
+      if (sourceMap) {
+        this.eventBus.emit('highlight:source', {
+          sourceMap,
+          text: options.text,
+          mode,
+          timestamp: Date.now()
+        })
+      }
+
+      return sourceMap
+    } catch (error) {
+      console.error('Error mapping source for highlighting:', error)
+      return null
+    }
+  }
+
   /**
    * Get plugin capabilities
    * @returns {Object}
@@ -246,7 +385,7 @@ class ContentExtractorPlugin {
       supportsReadability: true,
       supportsShadowDOM: true,
       maxTextSize: this.maxTextLength,
-      supportedModes: ['selection', 'article', 'full', 'custom']
+      supportedModes: ['selection', 'article', 'full', 'custom', 'from-here', 'from-cursor', 'pdf']
     }
   }
 
@@ -268,6 +407,10 @@ class ContentExtractorPlugin {
         this.floatingButton.hide()
       }
 
+      if (this.contextDocument) {
+        this.contextDocument.removeEventListener('contextmenu', this._handleContextMenu, true)
+      }
+
       // Clear references
       this.eventBus = null
       this.pal = null
@@ -275,6 +418,10 @@ class ContentExtractorPlugin {
       this.readabilityWrapper = null
       this.selectionHandler = null
       this.floatingButton = null
+      this.pdfExtractor = null
+      this.contextDocument = null
+      this.contextPoint = null
+      this.continuation = null
 
       // Reset counters
       this.extractionCount = 0
@@ -333,6 +480,205 @@ class ContentExtractorPlugin {
     return this.simpleExtractor.extractCustom(document, selector, filters)
   }
 
+  async _extractPdf(url = window.location.href, fromPage) {
+    return this.pdfExtractor.extract(url, {
+      fromPage: fromPage || PdfExtractor.pageFromUrl(url) || 1
+    })
+  }
+
+  /**
+   * Resolve where reading starts
+   * @private
+   * @param {'from-here'|'from-cursor'} mode - Start mode
+   * @param {ReadingPoint} [target] - Explicit start point
+   * @returns {{node: Node, offset: number}}
+   */
+  _readingStart(mode, target) {
+    const point = target || (mode === 'from-here' ? this.contextPoint : this._caretPoint())
+    if (!point || !point.node || !point.node.isConnected) {
+      throw new Error(mode === 'from-here' ? 'No clicked position to read from' : 'No cursor position to read from')
+    }
+
+    if (mode === 'from-here') {
+      return { node: this._blockOf(point.node), offset: 0 }
+    }
+
+    // Back up to the start of the word under the caret
+    if (point.node.nodeType === Node.TEXT_NODE) {
+      const value = point.node.nodeValue
+      let offset = Math.min(point.offset || 0, value.length)
+      while (offset > 0 && /\S/.test(value[offset - 1])) {
+        offset--
+      }
+      return { node: point.node, offset }
+    }
+
+    return { node: point.node, offset: point.offset || 0 }
+  }
+
+  /**
+   * Caret (collapsed selection start) in the page
+   * @private
+   * @returns {ReadingPoint|null}
+   */
+  _caretPoint() {
+    const selection = window.getSelection?.()
+    if (!selection || selection.rangeCount === 0) {
+      return null
+    }
+    const range = selection.getRangeAt(0)
+    return { node: range.startContainer, offset: range.startOffset }
+  }
+
+  /**
+   * @private
+   * @param {Node} node - Node inside a paragraph
+   * @returns {Element}
+   */
+  _blockOf(node) {
+    const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node
+    return element.closest(READING_BLOCKS) || element
+  }
+
+  /**
+   * Content root containing a node, or the body for nodes outside it
+   * @private
+   * @param {Node} node - Node in the page
+   * @returns {Element}
+   */
+  _readingRoot(node) {
+    const doc = node.ownerDocument
+    const contentRoot = this.simpleExtractor.getContentRoot(doc)
+    return contentRoot.contains(node) ? contentRoot : doc.body
+  }
+
+  /**
+   * Map the page from a start point to the end of the content root containing it
+   * @private
+   * @param {{node: Node, offset: number}} start - Start point
+   * @returns {SourceMap}
+   */
+  _sourceMapFrom(start) {
+    const root = this._readingRoot(start.node)
+
+    const range = start.node.ownerDocument.createRange()
+    range.setStart(start.node, start.offset)
+    range.setEnd(root, root.childNodes.length)
+    return new SourceMap(root, { range })
+  }
+
+  /**
+   * Text of the starting paragraph from the start point
+   * @private
+   * @param {{node: Node, offset: number}} start - Start point
+   * @returns {string}
+   */
+  _leadText(start) {
+    const block = this._blockOf(start.node)
+    const range = start.node.ownerDocument.createRange()
+    range.setStart(start.node, start.offset)
+    range.setEnd(block, block.childNodes.length)
+    return SourceMap.normalize(range.toString())
+  }
+
+  /**
+   * Page text of the content root before the start point
+   * @private
+   * @param {{node: Node, offset: number}} start - Start point
+   * @returns {string}
+   */
+  _textBefore(start) {
+    const range = start.node.ownerDocument.createRange()
+    range.setStart(this._readingRoot(start.node), 0)
+    range.setEnd(start.node, start.offset)
+    return SourceMap.normalize(range.toString())
+  }
+
+  /**
+   * Find where the leading words of a paragraph appear in extracted text
+   * Words repeated across the article (a refrain, a quoted sentence) are told apart by how many
+   * times they appear on the page before the start point
+   * @private
+   * @param {string} text - Extracted text
+   * @param {string} lead - Normalized paragraph text
+   * @param {string} [before] - Page text before the start point
+   * @returns {number} Offset in text, or -1
+   */
+  _locate(text, lead, before = '') {
+    const words = lead.split(' ').filter(Boolean).slice(0, PROBE_WORDS)
+    if (words.length === 0) {
+      return -1
+    }
+
+    const pattern = new RegExp(words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\s+'), 'g')
+    const matches = [...text.matchAll(pattern)]
+    if (matches.length <= 1) {
+      return matches.length ? matches[0].index : -1
+    }
+
+    // Same occurrence as on the page; the first when the article dropped some of them
+    const earlier = [...before.matchAll(pattern)].length
+    return (matches[earlier] || matches[0]).index
+  }
+
+  /**
+   * Look for a next page and start fetching it while the current page is read
+   * @private
+   * @param {Document} doc - Page being read
+   * @param {string} url - Its URL
+   */
+  _startContinuation(doc, url) {
+    this.continuation = null
+
+    const nextUrl = findNextPage(doc, url)
+    if (!nextUrl) {
+      return
+    }
+
+    this.continuation = {
+      nextUrl,
+      visited: new Set([url.split('#')[0]]),
+      pages: 0,
+      prefetch: null,
+      busy: false
+    }
+    this._prefetchNextPage(this.continuation)
+  }
+
+  /**
+   * @private
+   * @param {Continuation} continuation - Run to fetch the next page for
+   */
+  _prefetchNextPage(continuation) {
+    continuation.prefetch = this._fetchPage(continuation.nextUrl).catch(error => {
+      console.error(`Failed to fetch next page ${continuation.nextUrl}:`, error)
+      return null
+    })
+  }
+
+  /**
+   * Fetch a same-origin page and extract its article without rendering it
+   * @private
+   * @param {string} url - Page URL
+   * @returns {Promise<{url: string, doc: Document, content: ExtractedContent}>}
+   */
+  async _fetchPage(url) {
+    const response = await fetch(url, { credentials: 'same-origin' })
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+
+    const doc = new DOMParser().parseFromString(await response.text(), 'text/html')
+
+    // Relative links in the fetched page resolve against its own URL
+    const base = doc.createElement('base')
+    base.href = url
+    doc.head.prepend(base)
+
+    const content = await this.extractArticle(doc)
+    return { url, doc, content: { ...content, url, timestamp: Date.now() } }
+  }
+
   async _handleButtonClick(action) {
     try {
       let extractedContent
@@ -344,6 +690,11 @@ class ContentExtractorPlugin {
       }
 
       if (extractedContent) {
+        // Map before sending so highlighting is ready when timings arrive
+        this.mapSource(action === 'read-selection' ? 'selection' : 'article', {
+          text: extractedContent.text
+        })
+
         // Create TTS request
         await this._sendTTSRequest(extractedContent)
       }
@@ -360,6 +711,7 @@ class ContentExtractorPlugin {
       const payload = {
         text: extractedContent.textId ? undefined : extractedContent.text,
         textId: extractedContent.textId,
+        title: extractedContent.title,
         voice: this.defaultVoice,
         speed: this.defaultSpeed,
         source: {
@@ -399,6 +751,36 @@ class ContentExtractorPlugin {
 
   // Event handlers
 
+  _handleContextMenu(event) {
+    try {
+      this.contextPoint = this._pointFromEvent(event)
+    } catch (error) {
+      console.error('Error recording context menu position:', error)
+    }
+  }
+
+  /**
+   * Caret position under the pointer, falling back to the clicked element
+   * @private
+   * @param {MouseEvent} event - contextmenu event
+   * @returns {ReadingPoint}
+   */
+  _pointFromEvent(event) {
+    const doc = this.contextDocument
+    if (typeof doc.caretPositionFromPoint === 'function') {
+      const position = doc.caretPositionFromPoint(event.clientX, event.clientY)
+      if (position) {
+        return { node: position.offsetNode, offset: position.offset }
+      }
+    } else if (typeof doc.caretRangeFromPoint === 'function') {
+      const range = doc.caretRangeFromPoint(event.clientX, event.clientY)
+      if (range) {
+        return { node: range.startContainer, offset: range.startOffset }
+      }
+    }
+    return { node: event.target, offset: 0 }
+  }
+
   _handleSelectionDetected(event) {
     try {
       const { selection } = event
@@ -429,6 +811,79 @@ class ContentExtractorPlugin {
     }
   }
 
+  async _handleExtractionRequest(event) {
+    try {
+      const mode = event.mode || 'article'
+      const content = await this.extract({ mode, selector: event.selector, filters: event.filters })
+
+      this.mapSource(mode, { text: content.text, selector: event.selector })
+      await this._sendTTSRequest(content)
+
+      // Only whole articles continue onto their next page
+      const autoContinue = event.autoContinue ?? this.autoContinue
+      if (autoContinue && mode === 'article') {
+        this._startContinuation(document, content.url)
+      } else {
+        this.continuation = null
+      }
+
+      return { success: true, data: content }
+    } catch (error) {
+      console.error('Error handling extraction request:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleQueueCompleted() {
+    const continuation = this.continuation
+    if (!continuation || continuation.busy) {
+      return { success: true, data: null }
+    }
+
+    try {
+      continuation.busy = true
+      const page = await continuation.prefetch
+
+      // Stopped or replaced by another read while the page was loading
+      if (this.continuation !== continuation) {
+        return { success: true, data: null }
+      }
+      if (!page) {
+        this.continuation = null
+        return { success: false, error: `Could not load ${continuation.nextUrl}` }
+      }
+
+      continuation.visited.add(page.url)
+      continuation.pages++
+      await this._sendTTSRequest(page.content)
+
+      this.eventBus.emit('extraction:continued', {
+        url: page.url,
+        page: continuation.pages + 1,
+        timestamp: Date.now()
+      })
+
+      const nextUrl = findNextPage(page.doc, page.url)
+      if (!nextUrl || continuation.visited.has(nextUrl) || continuation.pages >= this.maxContinuePages) {
+        this.continuation = null
+      } else {
+        continuation.nextUrl = nextUrl
+        continuation.busy = false
+        this._prefetchNextPage(continuation)
+      }
+
+      return { success: true, data: page.content }
+    } catch (error) {
+      console.error('Error continuing to next page:', error)
+      this.continuation = null
+      return { success: false, error: error.message }
+    }
+  }
+
+  _handlePlaybackStopped() {
+    this.continuation = null
+  }
+
   async _processExtraction(event, context) {
     const result = await this.extract(event.data)
     event.result = result
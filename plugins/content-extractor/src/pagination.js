@@ -0,0 +1,89 @@
+/**
+ * @module Pagination
+ * @description Finds the "next page" link of articles split across several pages
+ */
+
+// Containers sites put page links in
+const PAGINATION_CONTAINERS = [
+  '.pagination',
+  '.pager',
+  '.page-numbers',
+  '.nav-links',
+  '[class*="paginat"]',
+  '[aria-label*="pagination" i]',
+  '[role="navigation"]'
+].join(', ')
+
+// Link text (or aria-label) of a next page link
+const NEXT_TEXT = /^(next|next page|older|older posts|continue|›|»|→|>)(\s*[›»→>])?$/i
+
+/**
+ * Resolve a link against the page URL, keeping only same-origin pages other than the current one
+ * @param {string} href - Link target
+ * @param {string} currentUrl - URL of the page the link is on
+ * @returns {string|null}
+ */
+function resolvePageUrl(href, currentUrl) {
+  if (!href) {
+    return null
+  }
+
+  try {
+    const current = new URL(currentUrl)
+    const target = new URL(href, currentUrl)
+    target.hash = ''
+
+    if (target.origin !== current.origin || !/^https?:$/.test(target.protocol)) {
+      return null
+    }
+
+    current.hash = ''
+    return target.href === current.href ? null : target.href
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Find the URL of the next page of an article
+ * Tries rel="next" first, then "Next"-style links and the following page number in pagination blocks
+ * @param {Document} doc - Page to search
+ * @param {string} currentUrl - URL of the page
+ * @returns {string|null} Same-origin URL of the next page
+ */
+function findNextPage(doc, currentUrl) {
+  for (const link of doc.querySelectorAll('link[rel~="next" i][href], a[rel~="next" i][href]')) {
+    const url = resolvePageUrl(link.getAttribute('href'), currentUrl)
+    if (url) {
+      return url
+    }
+  }
+
+  for (const container of doc.querySelectorAll(PAGINATION_CONTAINERS)) {
+    const links = [...container.querySelectorAll('a[href]')]
+
+    const next = links.find(link => {
+      const label = (link.getAttribute('aria-label') || link.textContent).replace(/\s+/g, ' ').trim()
+      return NEXT_TEXT.test(label)
+    })
+    const nextUrl = next && resolvePageUrl(next.getAttribute('href'), currentUrl)
+    if (nextUrl) {
+      return nextUrl
+    }
+
+    // Numbered pagination: the link after the current page number
+    const current = container.querySelector('[aria-current="page"], .current, .active')
+    const number = current ? parseInt(current.textContent.trim(), 10) : NaN
+    if (Number.isFinite(number)) {
+      const following = links.find(link => link.textContent.trim() === String(number + 1))
+      const followingUrl = following && resolvePageUrl(following.getAttribute('href'), currentUrl)
+      if (followingUrl) {
+        return followingUrl
+      }
+    }
+  }
+
+  return null
+}
+
+export { findNextPage, resolvePageUrl }
@@ -0,0 +1,222 @@
+/**
+ * @module PdfExtractor
+ * @description Extracts ordered paragraphs with page numbers from PDFs using the bundled pdf.js
+ */
+
+/**
+ * @typedef {Object} PdfParagraph
+ * @property {string} text - Paragraph text, lines joined and de-hyphenated
+ * @property {number} page - 1-based page number
+ */
+
+/**
+ * @typedef {Object} PdfContent
+ * @property {string} text - Paragraphs joined with blank lines
+ * @property {PdfParagraph[]} paragraphs - Paragraphs in reading order
+ * @property {number} pageCount - Pages in the document
+ * @property {number} fromPage - First page read
+ * @property {string} title - Document title from the PDF metadata
+ * @property {number} length - Text length in characters
+ * @property {number} wordCount - Word count
+ * @property {'pdf'} extractionMode - Extraction mode
+ * @property {string} url - Source URL
+ * @property {number} timestamp - Extraction time
+ */
+
+// Copied from node_modules/pdfjs-dist by the build
+const PDFJS_PATH = 'lib/pdfjs/pdf.min.mjs'
+const PDFJS_WORKER_PATH = 'lib/pdfjs/pdf.worker.min.mjs'
+
+// Text items within this fraction of a line height share a baseline
+const SAME_LINE = 0.5
+
+// A vertical gap of more than this many line heights starts a new paragraph
+const PARAGRAPH_GAP = 1.6
+
+// Horizontal gap (in line heights) between items that reads as a space
+const WORD_GAP = 0.15
+
+/**
+ * Load the bundled pdf.js build
+ * @returns {Promise<Object>} pdf.js module
+ */
+async function loadPdfjs() {
+  const pdfjs = await import(/* webpackIgnore: true */ chrome.runtime.getURL(PDFJS_PATH))
+  pdfjs.GlobalWorkerOptions.workerSrc = chrome.runtime.getURL(PDFJS_WORKER_PATH)
+  return pdfjs
+}
+
+/**
+ * Group pdf.js text items into lines
+ * @param {Array} items - TextContent items of a page
+ * @returns {Array<{text: string, x: number, y: number, height: number}>}
+ */
+function groupLines(items) {
+  const lines = []
+  let line = null
+
+  for (const item of items) {
+    if (!item.str) {
+      // Marked-content items carry no text but may end the line
+      if (item.hasEOL && line) {
+        line.ended = true
+      }
+      continue
+    }
+
+    const x = item.transform[4]
+    const y = item.transform[5]
+    const height = item.height || Math.abs(item.transform[3]) || 1
+
+    if (line && !line.ended && Math.abs(y - line.y) < height * SAME_LINE) {
+      const gap = x - line.right
+      const spaced = /\s$/.test(line.text) || /^\s/.test(item.str)
+      line.text += !spaced && gap > height * WORD_GAP ? ` ${item.str}` : item.str
+    } else {
+      line = { text: item.str, x, y, height, ended: false }
+      lines.push(line)
+    }
+
+    line.right = x + (item.width || 0)
+    if (item.hasEOL) {
+      line.ended = true
+    }
+  }
+
+  return lines
+}
+
+/**
+ * Build paragraphs from one page's text items
+ * Lines are joined until a larger vertical gap or a jump back up the page (a new column)
+ * @param {Array} items - TextContent items
+ * @param {number} page - 1-based page number
+ * @returns {PdfParagraph[]}
+ */
+function paragraphsFromTextContent(items, page) {
+  const lines = groupLines(items)
+    .map(line => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+    .filter(line => line.text)
+
+  // Running headers/footers that are just the page number
+  const content = lines.filter((line, index) =>
+    !(/^\d{1,4}$/.test(line.text) && (index === 0 || index === lines.length - 1)))
+
+  const paragraphs = []
+  let current = null
+  let previous = null
+
+  for (const line of content) {
+    const gap = previous ? previous.y - line.y : 0
+    const breaks = !current || gap > previous.height * PARAGRAPH_GAP || gap < -previous.height
+
+    if (breaks) {
+      current = { text: line.text, page }
+      paragraphs.push(current)
+    } else if (/\p{L}-$/u.test(current.text) && /^\p{Ll}/u.test(line.text)) {
+      // Word broken across lines
+      current.text = current.text.slice(0, -1) + line.text
+    } else {
+      current.text += ` ${line.text}`
+    }
+
+    previous = line
+  }
+
+  return paragraphs
+}
+
+class PdfExtractor {
+  /**
+   * @param {Object} [options] - Extractor options
+   * @param {() => Promise<Object>} [options.loadPdfjs] - Loads the pdf.js module
+   */
+  constructor(options = {}) {
+    this.loadPdfjs = options.loadPdfjs || loadPdfjs
+    this.pdfjs = null
+  }
+
+  /**
+   * Whether a URL points at a PDF
+   * @param {string} url - URL to check
+   * @returns {boolean}
+   */
+  static isPdfUrl(url) {
+    try {
+      return new URL(url).pathname.toLowerCase().endsWith('.pdf')
+    } catch {
+      return false
+    }
+  }
+
+  /**
+   * Page requested in a PDF URL fragment (#page=N)
+   * @param {string} url - PDF URL
+   * @returns {number|null}
+   */
+  static pageFromUrl(url) {
+    const match = /[#&]page=(\d+)/.exec(url || '')
+    return match ? parseInt(match[1], 10) : null
+  }
+
+  /**
+   * Extract text from a PDF
+   * @param {string|ArrayBuffer|Uint8Array} source - PDF URL or data
+   * @param {Object} [options] - Extraction options
+   * @param {number} [options.fromPage] - First page to read (1-based)
+   * @returns {Promise<PdfContent>}
+   */
+  async extract(source, options = {}) {
+    try {
+      if (!this.pdfjs) {
+        this.pdfjs = await this.loadPdfjs()
+      }
+
+      const url = typeof source === 'string' ? source : ''
+      const pdf = await this.pdfjs.getDocument(url ? { url } : { data: source }).promise
+
+      try {
+        const fromPage = Math.max(1, Math.floor(options.fromPage || 1))
+        if (fromPage > pdf.numPages) {
+          throw new Error(`Page ${fromPage} is past the end of the document (${pdf.numPages} pages)`)
+        }
+
+        const paragraphs = []
+        for (let number = fromPage; number <= pdf.numPages; number++) {
+          const page = await pdf.getPage(number)
+          const content = await page.getTextContent()
+          paragraphs.push(...paragraphsFromTextContent(content.items, number))
+          page.cleanup()
+        }
+
+        if (paragraphs.length === 0) {
+          throw new Error('No text found in PDF - it may contain only scanned images')
+        }
+
+        const metadata = await pdf.getMetadata().catch(() => null)
+        const text = paragraphs.map(paragraph => paragraph.text).join('\n\n')
+
+        return {
+          text,
+          paragraphs,
+          pageCount: pdf.numPages,
+          fromPage,
+          title: metadata?.info?.Title || '',
+          length: text.length,
+          wordCount: text.split(/\s+/).filter(word => word.length > 0).length,
+          extractionMode: 'pdf',
+          url,
+          timestamp: Date.now()
+        }
+      } finally {
+        await pdf.destroy()
+      }
+    } catch (error) {
+      console.error('PDF extraction error:', error)
+      throw error
+    }
+  }
+}
+
+export { paragraphsFromTextContent }
+export default PdfExtractor
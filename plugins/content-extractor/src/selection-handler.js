@@ -3,6 +3,8 @@
  * @description Handles text selection detection and TTS request creation
  */
 
+import SourceMap from './source-map.js'
+
 /**
  * @typedef {Object} TTSEvent
  * @property {string} id - Unique event ID
@@ -111,6 +113,8 @@ class SelectionHandler {
       return {
         text,
         length: text.length,
+        // Copy so later selection changes don't move it
+        range: range.cloneRange(),
         rect: {
           top: rect.top,
           left: rect.left,
@@ -127,6 +131,23 @@ class SelectionHandler {
     }
   }
 
+  /**
+   * Map selected text back to the DOM for highlighting
+   * @param {Object} selection - Selection data from getSelection()
+   * @returns {SourceMap|null}
+   */
+  createSourceMap(selection) {
+    try {
+      if (!selection || !selection.range) {
+        return null
+      }
+      return SourceMap.fromRange(selection.range)
+    } catch (error) {
+      console.error('Error mapping selection:', error)
+      return null
+    }
+  }
+
   /**
    * Create TTSEvent from selection
    * @param {Object} selection - Selection data
@@ -163,6 +163,15 @@ class SimpleExtractor {
     }
   }
 
+  /**
+   * Element the simple extractor reads from - used to map extracted text back to the page
+   * @param {Document} doc - Document to search
+   * @returns {Element}
+   */
+  getContentRoot(doc) {
+    return this._findMainElement(doc) || doc.body
+  }
+
   // Private methods
 
   /**
@@ -0,0 +1,216 @@
+/**
+ * @module SourceMap
+ * @description Maps offsets in extracted text back to live DOM Ranges for highlighting
+ */
+
+/**
+ * @typedef {Object} TextSpan
+ * @property {number} start - Start offset in SourceMap.text
+ * @property {number} end - End offset (exclusive) in SourceMap.text
+ */
+
+const SKIPPED_ELEMENTS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA'])
+const BLOCK_DISPLAYS = new Set(['block', 'flex', 'grid', 'list-item', 'table', 'table-row', 'table-cell'])
+
+class SourceMap {
+  /**
+   * Build a map over the text nodes under a root element
+   * Whitespace is collapsed so extracted text (trimmed, paragraphs joined) can be found in it
+   * @param {Node} root - Root to walk
+   * @param {Object} [options] - Map options
+   * @param {Range} [options.range] - Restrict the map to a Range (e.g. the user's selection)
+   */
+  constructor(root, options = {}) {
+    this.root = root
+    this.text = ''
+
+    // Parallel arrays: for each character of this.text, its text node and offset in that node
+    this.nodes = []
+    this.nodeIndexes = []
+    this.nodeOffsets = []
+
+    this._build(options.range || null)
+  }
+
+  /**
+   * Build a map over the contents of a Range
+   * @param {Range} range - Source range
+   * @returns {SourceMap}
+   */
+  static fromRange(range) {
+    const root = range.commonAncestorContainer.nodeType === Node.TEXT_NODE
+      ? range.commonAncestorContainer.parentNode
+      : range.commonAncestorContainer
+    return new SourceMap(root, { range })
+  }
+
+  /**
+   * Collapse whitespace the same way the map does
+   * @param {string} text - Text to normalize
+   * @returns {string}
+   */
+  static normalize(text) {
+    return text.replace(/\s+/g, ' ').trim()
+  }
+
+  /**
+   * Find a fragment of text in the map
+   * @param {string} fragment - Text to find (whitespace-insensitive)
+   * @param {number} [fromIndex] - Offset to search from
+   * @returns {TextSpan|null}
+   */
+  find(fragment, fromIndex = 0) {
+    const needle = SourceMap.normalize(fragment)
+    if (!needle) {
+      return null
+    }
+
+    const start = this.text.indexOf(needle, fromIndex)
+    if (start === -1) {
+      return null
+    }
+
+    return { start, end: start + needle.length }
+  }
+
+  /**
+   * Create a live DOM Range for a span of the map
+   * @param {number} start - Start offset in this.text
+   * @param {number} end - End offset (exclusive) in this.text
+   * @returns {Range|null}
+   */
+  toRange(start, end) {
+    if (start < 0 || end > this.text.length || start >= end) {
+      return null
+    }
+
+    const first = this._position(start)
+    const last = this._position(end - 1)
+    if (!first || !last || !first.node.isConnected || !last.node.isConnected) {
+      return null
+    }
+
+    const range = first.node.ownerDocument.createRange()
+    range.setStart(first.node, first.offset)
+    range.setEnd(last.node, last.offset + 1)
+    return range
+  }
+
+  // Private methods
+
+  /**
+   * Walk text nodes and record positions
+   * @private
+   * @param {Range|null} range - Optional range restriction
+   */
+  _build(range) {
+    const doc = this.root.ownerDocument || this.root
+    const walker = doc.createTreeWalker(this.root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        if (range && !range.intersectsNode(node)) {
+          return NodeFilter.FILTER_REJECT
+        }
+        for (let parent = node.parentNode; parent && parent !== this.root; parent = parent.parentNode) {
+          if (SKIPPED_ELEMENTS.has(parent.nodeName)) {
+            return NodeFilter.FILTER_REJECT
+          }
+        }
+        return NodeFilter.FILTER_ACCEPT
+      }
+    })
+
+    const blockCache = new Map()
+    let pendingSpace = false
+    let previousBlock = null
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      // Crossing into another block element reads as whitespace
+      const block = this._blockAncestor(node, blockCache)
+      if (block !== previousBlock) {
+        pendingSpace = this.text.length > 0
+        previousBlock = block
+      }
+
+      const value = node.nodeValue
+      let from = 0
+      let to = value.length
+
+      if (range) {
+        if (node === range.startContainer) {
+          from = range.startOffset
+        }
+        if (node === range.endContainer) {
+          to = range.endOffset
+        }
+      }
+
+      const nodeIndex = this.nodes.push(node) - 1
+
+      for (let offset = from; offset < to; offset++) {
+        const char = value[offset]
+
+        if (/\s/.test(char)) {
+          pendingSpace = this.text.length > 0
+          continue
+        }
+
+        if (pendingSpace) {
+          // Collapsed whitespace maps to the character that follows it
+          this._push(' ', nodeIndex, offset)
+          pendingSpace = false
+        }
+        this._push(char, nodeIndex, offset)
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} char - Mapped character
+   * @param {number} nodeIndex - Index into this.nodes
+   * @param {number} offset - Offset within the text node
+   */
+  _push(char, nodeIndex, offset) {
+    this.text += char
+    this.nodeIndexes.push(nodeIndex)
+    this.nodeOffsets.push(offset)
+  }
+
+  /**
+   * @private
+   * @param {number} index - Offset in this.text
+   * @returns {{node: Text, offset: number}|null}
+   */
+  _position(index) {
+    if (index < 0 || index >= this.nodeIndexes.length) {
+      return null
+    }
+    return {
+      node: this.nodes[this.nodeIndexes[index]],
+      offset: this.nodeOffsets[index]
+    }
+  }
+
+  /**
+   * Nearest block-level ancestor of a text node
+   * @private
+   * @param {Text} node - Text node
+   * @param {Map<Element, boolean>} cache - Element -> isBlock cache for this walk
+   * @returns {Element|null}
+   */
+  _blockAncestor(node, cache) {
+    const view = node.ownerDocument.defaultView
+    for (let element = node.parentElement; element; element = element.parentElement) {
+      if (!cache.has(element)) {
+        const display = view ? view.getComputedStyle(element).display : ''
+        cache.set(element, BLOCK_DISPLAYS.has(display))
+      }
+      if (cache.get(element) || element === this.root) {
+        return element
+      }
+    }
+    return null
+  }
+}
+
+export default SourceMap
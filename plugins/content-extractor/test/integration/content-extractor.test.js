@@ -8,6 +8,9 @@ import SimpleExtractor from '../../src/simple-extractor.js'
 import ReadabilityWrapper from '../../src/readability-wrapper.js'
 import SelectionHandler from '../../src/selection-handler.js'
 import FloatingButton from '../../src/floating-button.js'
+import SourceMap from '../../src/source-map.js'
+import { findNextPage } from '../../src/pagination.js'
+import PdfExtractor, { paragraphsFromTextContent } from '../../src/pdf-extractor.js'
 
 // Mock EventBus
 class MockEventBus {
@@ -282,6 +285,7 @@ describe('ContentExtractor Plugin', () => {
         toString: () => 'Selected text',
         rangeCount: 1,
         getRangeAt: () => ({
+          cloneRange: () => ({}),
           getBoundingClientRect: () => ({
             top: 100,
             left: 100,
@@ -400,6 +404,330 @@ describe('ContentExtractor Plugin', () => {
     })
   })
 
+  describe('Source Mapping', () => {
+    test('should collapse whitespace and map fragments back to DOM ranges', () => {
+      const doc = createMockDocument('<div id="root"><p>Hello   <b>brave</b>\n new world.</p><p>Second line.</p></div>')
+      const sourceMap = new SourceMap(doc.getElementById('root'))
+
+      expect(sourceMap.text).toBe('Hello brave new world.Second line.')
+
+      const span = sourceMap.find('brave new', 0)
+      expect(span).toEqual({ start: 6, end: 15 })
+      expect(sourceMap.toRange(span.start, span.end).toString()).toBe('brave\n new')
+    })
+
+    test('should search from an offset so repeated words map in order', () => {
+      const doc = createMockDocument('<p id="root">the cat and the dog</p>')
+      const sourceMap = new SourceMap(doc.getElementById('root'))
+
+      const first = sourceMap.find('the')
+      const second = sourceMap.find('the', first.end)
+
+      expect(first.start).toBe(0)
+      expect(second.start).toBe(12)
+      expect(sourceMap.find('bird')).toBeNull()
+      expect(sourceMap.toRange(5, 5)).toBeNull()
+    })
+
+    test('should skip script and style text', () => {
+      const doc = createMockDocument('<div id="root">Visible <script>var hidden = 1</script><style>p {}</style>text</div>')
+      const sourceMap = new SourceMap(doc.getElementById('root'))
+
+      expect(sourceMap.text).toBe('Visible text')
+    })
+
+    test('should restrict the map to a selection range', () => {
+      const doc = createMockDocument('<p id="root">Only part of this is selected</p>')
+      const textNode = doc.getElementById('root').firstChild
+      const range = doc.createRange()
+      range.setStart(textNode, 5)
+      range.setEnd(textNode, 12)
+
+      const sourceMap = SourceMap.fromRange(range)
+
+      expect(sourceMap.text).toBe('part of')
+      expect(sourceMap.toRange(0, 4).toString()).toBe('part')
+    })
+
+    test('should emit highlight:source for the article root', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+      const page = createMockDocument(wikipediaHTML)
+      jest.spyOn(plugin.simpleExtractor, 'getContentRoot').mockReturnValue(page.querySelector('article'))
+
+      const sourceMap = plugin.mapSource('article', { text: 'Article text' })
+
+      expect(sourceMap).toBeInstanceOf(SourceMap)
+      expect(sourceMap.text).toContain('first paragraph')
+      expect(sourceMap.text).not.toContain('should be excluded')
+
+      const event = mockEventBus.events.find(e => e.type === 'highlight:source')
+      expect(event.data.sourceMap).toBe(sourceMap)
+      expect(event.data.mode).toBe('article')
+      expect(event.data.text).toBe('Article text')
+    })
+  })
+
+  describe('Read From Here', () => {
+    beforeEach(() => {
+      // Read-from-here maps the live page, so the fixture has to be the real document
+      document.body.innerHTML = createMockDocument(wikipediaHTML).body.innerHTML
+    })
+
+    afterEach(() => {
+      document.body.innerHTML = ''
+    })
+
+    const paragraphText = (index) => document.querySelectorAll('article p')[index].firstChild
+
+    test('should read from the clicked paragraph to the end of the article', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+
+      const result = await plugin.extract({ mode: 'from-here', target: { node: paragraphText(1), offset: 20 } })
+
+      expect(result.text).toMatch(/^This is the second paragraph/)
+      expect(result.text).toContain('third paragraph')
+      expect(result.text).not.toContain('first paragraph')
+      expect(result.text).not.toContain('should be excluded')
+      expect(result.wordCount).toBe(result.text.split(/\s+/).length)
+    })
+
+    test('should read from the word under the cursor', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+
+      // Caret inside "second"
+      const result = await plugin.extract({ mode: 'from-cursor', target: { node: paragraphText(1), offset: 14 } })
+
+      expect(result.text).toMatch(/^second paragraph with more content\./)
+    })
+
+    test('should start at the last right-clicked paragraph', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+      const third = document.querySelectorAll('article p')[2]
+
+      third.dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, clientX: 10, clientY: 10 }))
+      const result = await plugin.extract({ mode: 'from-here' })
+
+      expect(result.text).toBe('This is the third paragraph for testing.')
+    })
+
+    test('should map the page from the start point for highlighting', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+
+      const sourceMap = plugin.mapSource('from-here', { target: { node: paragraphText(2) }, text: 'Third' })
+
+      expect(sourceMap.text).toMatch(/^This is the third paragraph/)
+      expect(sourceMap.toRange(0, 4).toString()).toBe('This')
+      expect(mockEventBus.events.find(e => e.type === 'highlight:source').data.mode).toBe('from-here')
+    })
+
+    test('should start at the clicked copy of a paragraph repeated in the article', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+      const article = document.querySelector('article')
+      article.insertAdjacentHTML('beforeend', '<p>This is the first paragraph of the article.</p>\n<p>Closing words.</p>')
+
+      const repeated = document.querySelectorAll('article p')[3].firstChild
+      const result = await plugin.extract({ mode: 'from-here', target: { node: repeated, offset: 0 } })
+
+      expect(result.text).toMatch(/^This is the first paragraph of the article\.\s+Closing words\.$/)
+    })
+
+    test('should read the page from points outside the main content', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+
+      const result = await plugin.extract({ mode: 'from-here', target: { node: document.querySelector('nav p') } })
+
+      expect(result.text).toBe('This should be excluded')
+      expect(result.extractionMode).toBe('simple')
+    })
+
+    test('should reject when there is no position to read from', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+
+      await expect(plugin.extract({ mode: 'from-here' })).rejects.toThrow('No clicked position to read from')
+    })
+  })
+
+  describe('Pagination', () => {
+    const pageHTML = (body, next = '') => `<html><head>${next}</head><body><main><article>${body}</article></main></body></html>`
+
+    test('should find rel=next links and resolve them against the page', () => {
+      const doc = createMockDocument(pageHTML('<p>Page one</p>', '<link rel="next" href="/story?page=2">'))
+
+      expect(findNextPage(doc, 'https://news.example/story')).toBe('https://news.example/story?page=2')
+    })
+
+    test('should find "Next" and numbered links in pagination blocks', () => {
+      const labelled = createMockDocument(pageHTML('<nav class="pagination"><a href="/a/1">1</a><a href="/a/2">Next ›</a></nav>'))
+      const numbered = createMockDocument(pageHTML(
+        '<div class="page-numbers"><a href="/a/1">1</a><span aria-current="page">2</span><a href="/a/3">3</a></div>'
+      ))
+
+      expect(findNextPage(labelled, 'https://site.example/a/1')).toBe('https://site.example/a/2')
+      expect(findNextPage(numbered, 'https://site.example/a/2')).toBe('https://site.example/a/3')
+    })
+
+    test('should ignore cross-origin, self and unrelated links', () => {
+      const crossOrigin = createMockDocument(pageHTML('', '<link rel="next" href="https://other.example/page/2">'))
+      const self = createMockDocument(pageHTML('<a rel="next" href="#comments">Next</a>'))
+      const unrelated = createMockDocument(pageHTML('<p><a href="/next-story">Next</a></p>'))
+
+      expect(findNextPage(crossOrigin, 'https://site.example/page/1')).toBeNull()
+      expect(findNextPage(self, 'https://site.example/page/1')).toBeNull()
+      expect(findNextPage(unrelated, 'https://site.example/page/1')).toBeNull()
+    })
+
+    describe('auto-continue', () => {
+      const pages = {
+        'http://localhost/story/2': pageHTML('<p>Second page text.</p>', '<link rel="next" href="/story/3">'),
+        'http://localhost/story/3': pageHTML('<p>Third page text.</p>', '<link rel="next" href="/story/2">')
+      }
+
+      const requestedTexts = () => mockPAL.messages.map(message => message.payload.text)
+      const handler = (type) => (data) => Promise.all(mockEventBus.subscribers.get(type).map(fn => fn(data)))
+
+      beforeEach(() => {
+        document.head.innerHTML = '<link rel="next" href="/story/2">'
+        document.body.innerHTML = '<main><article><p>First page text.</p></article></main>'
+        global.fetch = jest.fn(async (url) => ({
+          ok: url in pages,
+          status: url in pages ? 200 : 404,
+          text: async () => pages[url]
+        }))
+      })
+
+      afterEach(() => {
+        document.head.innerHTML = ''
+        document.body.innerHTML = ''
+        delete global.fetch
+      })
+
+      test('should read the next pages as each one finishes', async () => {
+        plugin = new ContentExtractorPlugin({ autoContinue: true })
+        await plugin.init(mockEventBus, mockPAL)
+
+        await handler('extraction:request')({ mode: 'article' })
+        expect(global.fetch).toHaveBeenCalledWith('http://localhost/story/2', { credentials: 'same-origin' })
+        expect(requestedTexts()).toEqual(['First page text.'])
+
+        await handler('queue:completed')({ sessionId: 's1' })
+        await handler('queue:completed')({ sessionId: 's2' })
+
+        // Page 3 links back to page 2, which was already read
+        expect(requestedTexts()).toEqual(['First page text.', 'Second page text.', 'Third page text.'])
+        expect(mockEventBus.events.filter(e => e.type === 'extraction:continued').map(e => e.data.page)).toEqual([2, 3])
+        expect(plugin.continuation).toBeNull()
+      })
+
+      test('should not continue unless enabled and should stop with playback', async () => {
+        await plugin.init(mockEventBus, mockPAL)
+
+        await handler('extraction:request')({ mode: 'article' })
+        expect(plugin.continuation).toBeNull()
+        expect(global.fetch).not.toHaveBeenCalled()
+
+        await handler('extraction:request')({ mode: 'article', autoContinue: true })
+        mockEventBus.emit('audio:playbackStopped', {})
+        await handler('queue:completed')({ sessionId: 's1' })
+
+        expect(requestedTexts()).toEqual(['First page text.', 'First page text.'])
+      })
+    })
+  })
+
+  describe('PDF Extraction', () => {
+    // pdf.js text item at (x, y) - PDF y grows up the page
+    const item = (str, x, y, { width = str.length * 5, height = 10, hasEOL = false } = {}) => ({
+      str, width, height, hasEOL, transform: [height, 0, 0, height, x, y]
+    })
+
+    // Fake pdf.js whose pages hold the given items
+    const createPdfjs = (pages) => {
+      const pdf = {
+        numPages: pages.length,
+        getPage: jest.fn(async (number) => ({
+          getTextContent: async () => ({ items: pages[number - 1] }),
+          cleanup: jest.fn()
+        })),
+        getMetadata: async () => ({ info: { Title: 'Report' } }),
+        destroy: jest.fn(async () => {})
+      }
+      return { pdf, pdfjs: { getDocument: jest.fn(() => ({ promise: Promise.resolve(pdf) })) } }
+    }
+
+    test('should join lines into paragraphs and split on larger gaps', () => {
+      const paragraphs = paragraphsFromTextContent([
+        item('7', 300, 780),
+        item('The first para-', 50, 700),
+        item('graph wraps', 50, 688),
+        item('onto', 50, 676),
+        item('two', 75, 676),
+        item('A second paragraph.', 50, 640),
+        item('12', 300, 40)
+      ], 3)
+
+      expect(paragraphs).toEqual([
+        { text: 'The first paragraph wraps onto two', page: 3 },
+        { text: 'A second paragraph.', page: 3 }
+      ])
+    })
+
+    test('should keep items on one baseline together and start columns as paragraphs', () => {
+      const paragraphs = paragraphsFromTextContent([
+        item('Left ', 50, 700),
+        item('column', 75, 700, { hasEOL: true }),
+        item('continues', 50, 688),
+        item('Right column', 320, 700)
+      ], 1)
+
+      expect(paragraphs.map(paragraph => paragraph.text)).toEqual(['Left column continues', 'Right column'])
+    })
+
+    test('should read from a page to the end of the document', async () => {
+      const { pdf, pdfjs } = createPdfjs([
+        [item('Page one.', 50, 700)],
+        [item('Page two.', 50, 700)],
+        [item('Page three.', 50, 700)]
+      ])
+      const extractor = new PdfExtractor({ loadPdfjs: async () => pdfjs })
+
+      const result = await extractor.extract('https://example.com/report.pdf', { fromPage: 2 })
+
+      expect(pdfjs.getDocument).toHaveBeenCalledWith({ url: 'https://example.com/report.pdf' })
+      expect(result.paragraphs).toEqual([{ text: 'Page two.', page: 2 }, { text: 'Page three.', page: 3 }])
+      expect(result.text).toBe('Page two.\n\nPage three.')
+      expect(result).toMatchObject({ pageCount: 3, fromPage: 2, title: 'Report', extractionMode: 'pdf', wordCount: 4 })
+      expect(pdf.destroy).toHaveBeenCalled()
+    })
+
+    test('should reject pages past the end and PDFs without text', async () => {
+      const { pdf, pdfjs } = createPdfjs([[item('   ', 50, 700)]])
+      const extractor = new PdfExtractor({ loadPdfjs: async () => pdfjs })
+
+      await expect(extractor.extract('https://example.com/a.pdf', { fromPage: 5 })).rejects.toThrow('past the end')
+      await expect(extractor.extract('https://example.com/a.pdf')).rejects.toThrow('No text found in PDF')
+      expect(pdf.destroy).toHaveBeenCalledTimes(2)
+    })
+
+    test('should recognise PDF URLs and #page fragments', () => {
+      expect(PdfExtractor.isPdfUrl('https://example.com/files/Guide.PDF?download=1')).toBe(true)
+      expect(PdfExtractor.isPdfUrl('https://example.com/pdf-guide.html')).toBe(false)
+      expect(PdfExtractor.pageFromUrl('https://example.com/a.pdf#page=4')).toBe(4)
+      expect(PdfExtractor.pageFromUrl('https://example.com/a.pdf')).toBeNull()
+    })
+
+    test('should extract PDFs in pdf mode starting at the #page in the URL', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+      const { pdfjs } = createPdfjs([[item('One.', 50, 700)], [item('Two.', 50, 700)]])
+      plugin.pdfExtractor.loadPdfjs = async () => pdfjs
+
+      const result = await plugin.extract({ mode: 'pdf', url: 'https://example.com/a.pdf#page=2' })
+
+      expect(result.text).toBe('Two.')
+      expect(result.url).toBe('https://example.com/a.pdf#page=2')
+      expect(plugin.getCapabilities().supportedModes).toContain('pdf')
+    })
+  })
+
   describe('Complete Integration Flow', () => {
     test('should complete full extraction flow: selection → extract → TTSEvent (IV1)', async () => {
       await plugin.init(mockEventBus, mockPAL)
@@ -578,6 +906,7 @@ export default {
     'Advanced Extraction Mode (Readability)',
     'Text Selection Detection',
     'Floating Button UI',
+    'Source Mapping',
     'Complete Integration Flow',
     'Error Handling',
     'Plugin Capabilities',
@@ -8,12 +8,72 @@ export interface KokoroVoice {
   language: string
   gender: string
   traits?: string
+  /** Saved voice mix */
+  custom?: boolean
+  /** Canonical mix of a custom voice, e.g. "af_bella:0.6+af_heart:0.4" */
+  mix?: string
+}
+
+export interface CustomVoiceInput {
+  /** Lower-case letters, digits, "_" and "-"; cannot be a built-in voice ID */
+  id: string
+  name?: string
+  /** Weighted voice mix, e.g. "af_bella:0.6+af_heart:0.4"; weights are normalized */
+  mix: string
+}
+
+export interface VoicePack {
+  id: string
+  name: string
+  language: string
+  gender: string
+  /** Stored in IndexedDB for offline use */
+  downloaded: boolean
+  /** Bytes; the expected size when not downloaded */
+  size: number
+  downloadDate: number | null
+}
+
+export interface VoicePackFilter {
+  /** Only downloaded (true) or not yet downloaded (false) voices */
+  downloaded?: boolean
+}
+
+export interface VoicePackProgressEvent {
+  voiceId: string
+  completed: number
+  total: number
+  timestamp: number
+}
+
+export interface LanguageOptions {
+  autoLanguage?: boolean
+  languageVoices?: Record<string, string>
+}
+
+/** What ends a chunk: its block (paragraph, heading, list item) or its closing punctuation */
+export type BoundaryType = 'paragraph' | 'heading' | 'listItem' | 'sentence' | 'comma' | 'none'
+
+export interface ProsodyOptions {
+  /** Seconds of silence after each boundary type; types left out keep their defaults */
+  pauses?: Partial<Record<BoundaryType, number>>
+  /** Trim near-silence from the ends of generated audio (default true) */
+  trimSilence?: boolean
+  /** Crossfade between chunks that run together, in seconds (default 0.01) */
+  crossfade?: number
+}
+
+export interface VoiceFilter {
+  /** Language code; a base code like "en" also matches "en-us" and "en-gb" */
+  language?: string
 }
 
 export interface AudioResult {
   buffer: Float32Array
   sampleRate: number
   duration: number
+  /** True when served from the synthesized audio cache */
+  cached?: boolean
   metadata?: {
     voice: string
     speed: number
@@ -22,14 +82,135 @@ export interface AudioResult {
   }
 }
 
+export interface WordTiming {
+  text: string
+  start: number
+  end: number
+  charStart: number
+  charEnd: number
+  sentenceIndex: number
+}
+
+export interface AudioChunkResult extends AudioResult {
+  streamId: string
+  chunkIndex: number
+  totalChunks: number
+  isLast: boolean
+  text: string
+  startTime: number
+  /** Seconds of silence at the end of the chunk, after its speech */
+  pause: number
+  words: WordTiming[]
+  /** Voice the chunk was read with (differs from the request when autoLanguage switched it) */
+  voice: string
+  /** Base language code of the chunk, or null when unknown */
+  language: string | null
+}
+
+/**
+ * Payload of the 'tts:timing' event, emitted once per synthesized chunk
+ */
+export interface TimingEvent {
+  streamId: string
+  chunkIndex: number
+  startTime: number
+  duration: number
+  text: string
+  words: WordTiming[]
+  timestamp: number
+}
+
+/**
+ * Payload of the 'tts:tokenOverflow' warning, emitted when a word run alone is longer than the
+ * model's token window and synthesis had to cut it between characters
+ */
+export interface TokenOverflowEvent {
+  /** The word run that was cut */
+  text: string
+  tokens: number
+  maxTokens: number
+  /** Pieces it was cut into */
+  parts: number
+  voice: string
+  timestamp: number
+}
+
 export type ModelStatus = 'unloaded' | 'loading' | 'loaded' | 'error'
 
 export type Quality = 'draft' | 'normal' | 'high'
 
+export type TextFormat = 'text' | 'ssml'
+
+export type ModelDtype = 'fp32' | 'fp16' | 'q8' | 'q4' | 'q4f16'
+
+export type ModelDevice = 'wasm' | 'webgpu' | 'cpu'
+
+export interface ModelStore {
+  /** Stored weights for a precision, or null */
+  loadModelFile(dtype: ModelDtype): Promise<ArrayBuffer | null>
+}
+
+export interface ModelProfile {
+  dtype: ModelDtype
+  device: ModelDevice
+}
+
+export interface ResolvedModelProfile extends ModelProfile {
+  /** Why the requested profile could not be used, or null */
+  fallback: string | null
+}
+
+export interface BenchmarkOptions {
+  /** Profiles to compare (default: the current one) */
+  profiles?: Array<Partial<ModelProfile>>
+  text?: string
+  voice?: string
+}
+
+export interface BenchmarkResult extends ModelProfile {
+  /** Profile that ran, after fallback */
+  active: ResolvedModelProfile | null
+  /** Model load time in ms */
+  loadTime: number | null
+  synthesisTime: number | null
+  /** Seconds of audio generated */
+  audioDuration: number | null
+  /** Synthesis time over audio duration; below 1 is faster than real time */
+  rtf: number | null
+  error: string | null
+}
+
 export interface SynthesisOptions {
+  /** Inline `[word](/phonemes/)` spans are spoken with the given phonemes, bypassing espeak-ng */
   text: string
+  /** Voice ID, custom voice ID or voice mix such as "af_bella:0.6+af_heart:0.4" */
   voice?: string
   speed?: number
+  /** 'ssml' accepts <speak>, <break>, <prosody rate>, <voice>, <say-as>, <sub>, <p> and <s> */
+  format?: TextFormat
+}
+
+export interface StreamSynthesisOptions extends SynthesisOptions {
+  maxChunkLength?: number
+  streamId?: string
+}
+
+export interface PhonemizeOptions {
+  /** Text, with optional `[word](/phonemes/)` spans */
+  text: string
+  voice?: string
+}
+
+export interface PhonemizeResult {
+  /** Phoneme string the model receives */
+  phonemes: string
+  tokens: number
+  /** Most tokens the model reads in one pass */
+  maxTokens: number
+  /** Whether the input is longer than one pass (synthesis splits it at sentence and clause boundaries) */
+  overLimit: boolean
+  /** Voice whose language selected the phonemizer */
+  voice: string
 }
 
 export interface PluginConfig {
@@ -37,9 +218,24 @@ export interface PluginConfig {
   quality?: Quality
   batchSize?: number
   speed?: number
+  streamChunkLength?: number
+  /** Cache synthesized audio via pal.audioCache (default true) */
+  audioCache?: boolean
   modelId?: string
-  dtype?: 'fp32' | 'fp16' | 'q8' | 'q4' | 'q4f16'
-  device?: 'wasm' | 'webgpu' | 'cpu' | null
+  /** Detect each chunk's language and switch voice to match (default false) */
+  autoLanguage?: boolean
+  /** Language code -> voice ID overrides for autoLanguage */
+  languageVoices?: Record<string, string>
+  /** Initial precision (default 'fp32'); a profile stored with setModelProfile() takes precedence */
+  dtype?: ModelDtype
+  /** Initial backend (default 'wasm'); unavailable backends fall back to wasm */
+  device?: ModelDevice
+  /** Seconds of silence after each boundary type */
+  pauses?: Partial<Record<BoundaryType, number>>
+  /** Trim near-silence from the ends of generated audio (default true) */
+  trimSilence?: boolean
+  /** Crossfade between chunks, in seconds (default 0.01) */
+  crossfade?: number
 }
 
 export interface HealthCheckResult {
@@ -47,6 +243,8 @@ export interface HealthCheckResult {
   modelStatus: ModelStatus
   synthesisCount: number
   lastSynthesisTime: number
+  cacheHits: number
+  cacheMisses: number
   currentVoice: string
   initialized: boolean
 }
@@ -71,20 +269,86 @@ export default class KokoroEnginePlugin {
   process(event: any, context: any): Promise<any>
 
   /**
-   * Synthesize text to audio
+   * Synthesize text to audio; text longer than the model's token window is synthesized in passes
+   * (emits tts:tokenOverflow when a word run has to be cut)
    */
   synthesize(options: SynthesisOptions): Promise<AudioResult>
 
+  /**
+   * Synthesize text chunk by chunk, emitting 'tts:chunk' for each
+   */
+  synthesizeStream(options: StreamSynthesisOptions): AsyncGenerator<AudioChunkResult>
+
+  /**
+   * Cancel an active synthesis stream
+   */
+  cancelStream(streamId: string): boolean
+
+  /**
+   * Render full text into a single buffer (for export), without streaming events
+   */
+  render(options: StreamSynthesisOptions): Promise<AudioResult>
+
+  /**
+   * Phonemes and token count the model would receive for text (loads the model for its tokenizer)
+   */
+  phonemizeText(options: PhonemizeOptions): Promise<PhonemizeResult>
+
   /**
    * List available voices
    */
-  listVoices(): KokoroVoice[]
+  listVoices(options?: VoiceFilter): KokoroVoice[]
+
+  /**
+   * Save a named voice mix, usable wherever a voice ID is
+   */
+  saveCustomVoice(voice: CustomVoiceInput): Promise<KokoroVoice>
+
+  /**
+   * Delete a custom voice; resolves to whether it existed
+   */
+  deleteCustomVoice(voiceId: string): Promise<boolean>
+
+  /**
+   * Re-read custom voices from storage
+   */
+  loadCustomVoices(): Promise<KokoroVoice[]>
+
+  /**
+   * List every voice with whether its pack is downloaded
+   */
+  listVoicePacks(options?: VoicePackFilter): Promise<VoicePack[]>
+
+  /**
+   * Download voice packs for offline use; emits tts:voicePackProgress after each voice
+   */
+  downloadVoicePacks(voiceIds: string[]): Promise<string[]>
+
+  /**
+   * Delete a downloaded voice pack
+   */
+  deleteVoicePack(voiceId: string): Promise<void>
+
+  /**
+   * List the languages available voices speak
+   */
+  listLanguages(): string[]
 
   /**
    * Set current voice
    */
   setVoice(voiceId: string): void
 
+  /**
+   * Configure automatic per-chunk language detection
+   */
+  setLanguageOptions(options: LanguageOptions): void
+
+  /**
+   * Configure pauses, silence trimming and crossfades between chunks
+   */
+  setProsodyOptions(options: ProsodyOptions): void
+
   /**
    * Load ONNX model
    */
@@ -100,6 +364,31 @@ export default class KokoroEnginePlugin {
    */
   getModelStatus(): ModelStatus
 
+  /**
+   * Requested model profile and the profile actually loaded
+   */
+  getModelProfile(): ModelProfile & { active: ResolvedModelProfile | null }
+
+  /**
+   * Store a model profile; a model loaded with another profile is unloaded
+   */
+  setModelProfile(profile: Partial<ModelProfile>): Promise<ModelProfile>
+
+  /**
+   * Re-read the model profile from storage
+   */
+  loadModelProfile(): Promise<ModelProfile>
+
+  /**
+   * Read model weights from downloaded variants before the network
+   */
+  setModelStore(store: ModelStore | null): void
+
+  /**
+   * Time loading and synthesis per profile
+   */
+  benchmark(options?: BenchmarkOptions): Promise<BenchmarkResult[]>
+
   /**
    * Set synthesis quality
    */
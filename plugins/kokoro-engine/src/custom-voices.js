@@ -0,0 +1,70 @@
+/**
+ * @module CustomVoices
+ * @description Named voice mixes saved by the user
+ */
+
+import { VOICES, parseVoiceMix, formatVoiceMix } from './voices.js'
+
+/**
+ * @typedef {Object} CustomVoice
+ * @property {string} id - Voice ID used wherever a built-in voice ID is
+ * @property {string} name - Display name
+ * @property {string} mix - Canonical voice mix, e.g. "af_bella:0.6+af_heart:0.4"
+ */
+
+// Storage adapter key shared by the engine and the options page
+const CUSTOM_VOICES_STORAGE_KEY = 'customVoices'
+
+const CUSTOM_VOICE_ID = /^[a-z0-9][a-z0-9_-]{0,39}$/
+
+/**
+ * Validate a custom voice and canonicalize its mix
+ * @param {Object} voice - Voice to validate
+ * @param {string} voice.id - Voice ID (lower-case letters, digits, "_" and "-")
+ * @param {string} [voice.name] - Display name (defaults to the ID)
+ * @param {string} voice.mix - Voice mix
+ * @returns {CustomVoice}
+ * @throws {Error} When the ID is taken by a built-in voice or the mix is invalid
+ */
+function validateCustomVoice(voice) {
+  const id = String(voice?.id || '').trim()
+  if (!CUSTOM_VOICE_ID.test(id)) {
+    throw new Error(`Invalid custom voice ID "${id}". Use up to 40 lower-case letters, digits, "_" or "-"`)
+  }
+  if (Object.hasOwn(VOICES, id)) {
+    throw new Error(`"${id}" is a built-in voice`)
+  }
+
+  const mix = parseVoiceMix(voice.mix)
+  if (!mix) {
+    throw new Error(`Custom voice "${id}" needs a mix such as "af_bella:0.6+af_heart:0.4"`)
+  }
+
+  return {
+    id,
+    name: String(voice.name || '').trim() || id,
+    mix: formatVoiceMix(mix)
+  }
+}
+
+/**
+ * Voice list entry for a custom voice - language from the first voice in the mix, which also picks the phonemizer
+ * @param {CustomVoice} voice - Custom voice
+ * @returns {{id: string, name: string, language: string, gender: string, traits: string, custom: true, mix: string}}
+ */
+function describeCustomVoice(voice) {
+  const components = parseVoiceMix(voice.mix).map(component => VOICES[component.voice])
+  const genders = new Set(components.map(component => component.gender))
+
+  return {
+    id: voice.id,
+    name: voice.name,
+    language: components[0].language,
+    gender: genders.size === 1 ? components[0].gender : 'Mixed',
+    traits: '',
+    custom: true,
+    mix: voice.mix
+  }
+}
+
+export { validateCustomVoice, describeCustomVoice, CUSTOM_VOICES_STORAGE_KEY }
@@ -3,8 +3,25 @@
  * @description Wraps existing kokoro.js TTS engine as a plugin
  */
 
-import { KokoroTTS } from './kokoro.js'
-import { VOICES } from './voices.js'
+import { KokoroTTS, setModelStore as setKokoroModelStore } from './kokoro.js'
+import { LANGUAGES as PHONEMIZER_LANGUAGES } from './phonemize.js'
+import { VOICES, parseVoiceMix, formatVoiceMix, setVoiceStore } from './voices.js'
+import { splitTextSmart } from './semantic-split.js'
+import { estimateWordTimings } from './word-timing.js'
+import { detectLanguage } from './language-detect.js'
+import { parseSSML } from './ssml.js'
+import { stripPhonemeMarkup, splitKeepingPhonemes } from './phoneme-markup.js'
+import { validateCustomVoice, describeCustomVoice, CUSTOM_VOICES_STORAGE_KEY } from './custom-voices.js'
+import { VoicePackManager } from './voice-packs.js'
+import { splitByTokens, MAX_TOKENS } from './token-chunker.js'
+import { validatePauses, splitBlocks, classifyBoundary, trimSilence, ChunkJoiner, DEFAULT_CROSSFADE } from './prosody.js'
+import {
+  validateModelProfile,
+  detectCapabilities,
+  resolveModelProfile,
+  formatModelProfile,
+  MODEL_PROFILE_STORAGE_KEY
+} from './model-profile.js'
 
 /**
  * @typedef {Object} KokoroVoice
@@ -13,6 +30,14 @@ import { VOICES } from './voices.js'
  * @property {string} language - Language code
  * @property {string} gender - Voice gender
  * @property {string} [traits] - Optional traits emoji
+ * @property {boolean} [custom] - Saved voice mix
+ * @property {string} [mix] - Voice mix of a custom voice
+ */
+
+/**
+ * @typedef {Object} ResolvedVoice
+ * @property {string} voice - Voice ID or canonical mix passed to kokoro.js
+ * @property {Object} info - VOICES entry for the voice (the first voice of a mix)
  */
 
 /**
@@ -20,12 +45,67 @@ import { VOICES } from './voices.js'
  * @property {Float32Array} buffer - Audio data
  * @property {number} sampleRate - Sample rate in Hz
  * @property {number} duration - Duration in seconds
+ * @property {boolean} cached - Whether the audio came from the audio cache
+ */
+
+/**
+ * @typedef {Object} AudioChunkResult
+ * @property {Float32Array} buffer - Audio data for this chunk
+ * @property {number} sampleRate - Sample rate in Hz
+ * @property {number} duration - Chunk duration in seconds
+ * @property {string} streamId - Stream the chunk belongs to
+ * @property {number} chunkIndex - Zero-based chunk position
+ * @property {number} totalChunks - Total chunks in the stream
+ * @property {boolean} isLast - Whether this is the final chunk
+ * @property {string} text - Source text for this chunk
+ * @property {number} startTime - Chunk start within the stream in seconds
+ * @property {number} pause - Seconds of silence at the end of the chunk, after its speech
+ * @property {import('./word-timing.js').WordTiming[]} words - Estimated word timings within the chunk
+ */
+
+/**
+ * @typedef {Object} PhonemizeResult
+ * @property {string} phonemes - Phoneme string the model receives
+ * @property {number} tokens - Token count of the phonemes
+ * @property {number} maxTokens - Most tokens the model reads in one pass
+ * @property {boolean} overLimit - Whether the input is longer than one pass (synthesis splits it)
+ * @property {string} voice - Voice whose language was used
  */
 
 /**
  * @typedef {'unloaded'|'loading'|'loaded'|'error'} ModelStatus
  */
 
+/**
+ * @typedef {import('./model-profile.js').ModelProfile} ModelProfile
+ * @typedef {import('./model-profile.js').ResolvedProfile} ResolvedProfile
+ */
+
+/**
+ * @typedef {Object} BenchmarkResult
+ * @property {string} dtype - Requested precision
+ * @property {string} device - Requested backend
+ * @property {ResolvedProfile|null} active - Profile that ran, after fallback
+ * @property {number|null} loadTime - Model load time in ms (0 when it was already loaded)
+ * @property {number|null} synthesisTime - Synthesis time in ms
+ * @property {number|null} audioDuration - Generated audio in seconds
+ * @property {number|null} rtf - Real-time factor (synthesis time / audio duration)
+ * @property {string|null} error - Why the profile could not run
+ */
+
+const DEFAULT_STREAM_CHUNK_LENGTH = 300
+
+// Benchmark input - a couple of sentences of ordinary prose
+const BENCHMARK_TEXT = 'The quick brown fox jumps over the lazy dog. Reading aloud is a good test of a voice, because every sentence has its own rhythm.'
+
+// Kokoro output rate - used for silence emitted before any speech
+const DEFAULT_SAMPLE_RATE = 24000
+
+// Longest crossfade accepted by setProsodyOptions, in seconds
+const MAX_CROSSFADE = 0.1
+
+const TEXT_FORMATS = ['text', 'ssml']
+
 class KokoroEnginePlugin {
   constructor(config = {}) {
     this.id = 'kokoro-engine'
@@ -46,9 +126,41 @@ class KokoroEnginePlugin {
     this.batchSize = config.batchSize || 1
     this.speed = config.speed || 1.0
 
+    this.streamChunkLength = config.streamChunkLength || DEFAULT_STREAM_CHUNK_LENGTH
+
+    // Joining chunks: seconds of silence per boundary type, near-silence trimming and crossfade length
+    this.pauses = validatePauses(config.pauses)
+    this.trimSilence = config.trimSilence !== false
+    this.crossfade = config.crossfade ?? DEFAULT_CROSSFADE
+
+    // Per-chunk language detection (language code -> voice ID overrides)
+    this.autoLanguage = config.autoLanguage === true
+    this.languageVoices = { ...config.languageVoices }
+
+    // Synthesized audio cache (pal.audioCache) - disable with audioCache: false
+    this.cacheEnabled = config.audioCache !== false
+
+    // Named voice mixes (id -> CustomVoice), persisted through pal.storage
+    this.customVoices = new Map()
+
+    // Model precision and backend - config.dtype/config.device until a stored profile is read
+    this.modelProfile = validateModelProfile({ dtype: config.dtype, device: config.device })
+    // Profile actually loaded, after backend fallback
+    this.activeProfile = null
+    // Downloaded model variants (setModelStore) - weights are read from there before the network
+    this.modelStore = null
+
+    // Downloaded voice packs (pal.voiceStore) - voices are read from there before the network
+    this.voicePacks = null
+
     // Performance tracking
     this.synthesisCount = 0
     this.lastSynthesisTime = 0
+    this.cacheHits = 0
+    this.cacheMisses = 0
+
+    // Active streams (streamId -> { cancelled })
+    this.activeStreams = new Map()
   }
 
   /**
@@ -71,8 +183,26 @@ class KokoroEnginePlugin {
 
       // Subscribe to TTS events
       this.eventBus.subscribe('tts:synthesize', this._handleSynthesisEvent.bind(this))
+      this.eventBus.subscribe('tts:synthesizeStream', this._handleSynthesisStreamEvent.bind(this))
+      this.eventBus.subscribe('tts:cancelStream', this._handleCancelStreamEvent.bind(this))
       this.eventBus.subscribe('tts:getVoices', this._handleGetVoicesEvent.bind(this))
       this.eventBus.subscribe('tts:setVoice', this._handleSetVoiceEvent.bind(this))
+      this.eventBus.subscribe('tts:phonemize', this._handlePhonemizeEvent.bind(this))
+      this.eventBus.subscribe('tts:saveCustomVoice', this._handleSaveCustomVoiceEvent.bind(this))
+      this.eventBus.subscribe('tts:deleteCustomVoice', this._handleDeleteCustomVoiceEvent.bind(this))
+      this.eventBus.subscribe('tts:listVoicePacks', this._handleListVoicePacksEvent.bind(this))
+      this.eventBus.subscribe('tts:downloadVoicePacks', this._handleDownloadVoicePacksEvent.bind(this))
+      this.eventBus.subscribe('tts:deleteVoicePack', this._handleDeleteVoicePackEvent.bind(this))
+      this.eventBus.subscribe('tts:setModelProfile', this._handleSetModelProfileEvent.bind(this))
+      this.eventBus.subscribe('tts:benchmark', this._handleBenchmarkEvent.bind(this))
+
+      if (this.pal.voiceStore) {
+        this.voicePacks = new VoicePackManager(this.pal.voiceStore)
+        setVoiceStore(this.pal.voiceStore)
+      }
+
+      await this.loadCustomVoices()
+      await this.loadModelProfile()
 
       console.log(`${this.name} v${this.version} initialized at stage: ${this.stage}`)
       return true
@@ -104,10 +234,14 @@ class KokoroEnginePlugin {
       switch (event.type) {
         case 'tts:synthesize':
           return await this._processSynthesis(event, context)
+        case 'tts:synthesizeStream':
+          return await this._processSynthesisStream(event)
         case 'tts:getVoices':
           return await this._processGetVoices(event, context)
         case 'tts:setVoice':
           return await this._processSetVoice(event, context)
+        case 'tts:phonemize':
+          return await this._processPhonemize(event)
         default:
           console.warn(`${this.name} received unknown event type: ${event.type}`)
           return event
@@ -126,9 +260,10 @@ class KokoroEnginePlugin {
   /**
    * Core synthesis method - wraps kokoro.js generate()
    * @param {Object} options - Synthesis options
-   * @param {string} options.text - Text to synthesize
-   * @param {string} [options.voice] - Voice ID
+   * @param {string} options.text - Text to synthesize; `[word](/phonemes/)` spans bypass espeak-ng
+   * @param {string} [options.voice] - Voice ID, custom voice ID or voice mix ("af_bella:0.6+af_heart:0.4")
    * @param {number} [options.speed] - Speaking speed
+   * @param {'text'|'ssml'} [options.format] - Input format; SSML is rendered to a single buffer
    * @returns {Promise<AudioResult>}
    */
   async synthesize(options) {
@@ -138,35 +273,79 @@ class KokoroEnginePlugin {
         throw new Error('Text is required for synthesis')
       }
 
-      const startTime = performance.now()
-
-      // Ensure model is loaded
-      if (this.modelStatus !== 'loaded') {
-        await this.loadModel()
+      // SSML needs a chunk plan (voices, speeds, silence) - render it as one buffer
+      if (options.format === 'ssml') {
+        return await this.render(options)
       }
 
+      const startTime = performance.now()
+
       // Use provided voice or current voice
       const voice = options.voice || this.currentVoice
       const speed = options.speed || this.speed
 
-      // Validate voice
-      if (!Object.hasOwn(VOICES, voice)) {
-        throw new Error(`Voice "${voice}" not found. Available voices: ${Object.keys(VOICES).join(', ')}`)
+      // Custom voices and mixes reach kokoro.js as a canonical mix
+      const { voice: modelVoice } = await this._requireVoice(voice)
+
+      const cachedResult = (cachedAudio) => {
+        const buffer = this._trimSilence(cachedAudio.data, cachedAudio.sampleRate)
+        return {
+          buffer,
+          sampleRate: cachedAudio.sampleRate,
+          duration: buffer.length / cachedAudio.sampleRate,
+          cached: true,
+          metadata: {
+            voice,
+            speed,
+            synthesisTime: performance.now() - startTime,
+            textLength: options.text.length
+          }
+        }
+      }
+
+      // Cached audio skips model loading and inference entirely
+      let cacheKey = await this._getAudioCacheKey(options.text, modelVoice, speed)
+      const cachedAudio = await this._loadCachedAudio(cacheKey)
+      if (cachedAudio) {
+        return cachedResult(cachedAudio)
+      }
+
+      // Ensure model is loaded
+      if (this.modelStatus !== 'loaded') {
+        await this.loadModel()
+
+        // A fallback profile keys its audio apart from the requested one
+        const activeKey = await this._getAudioCacheKey(options.text, modelVoice, speed)
+        if (activeKey !== cacheKey) {
+          cacheKey = activeKey
+          const fallbackAudio = await this._loadCachedAudio(cacheKey)
+          if (fallbackAudio) {
+            return cachedResult(fallbackAudio)
+          }
+        }
       }
 
-      // Generate audio using original TTS engine
-      const rawAudio = await this.ttsEngine.generate(options.text, { voice, speed })
+      // Generate audio using original TTS engine, in passes that fit its token window
+      const rawAudio = await this._generateWithinTokenLimit(options.text, modelVoice, speed)
 
       // Calculate metrics
       const endTime = performance.now()
       this.lastSynthesisTime = endTime - startTime
       this.synthesisCount++
 
+      await this._storeCachedAudio(cacheKey, rawAudio, {
+        voice,
+        speed,
+        textLength: options.text.length
+      })
+
       // Return structured AudioResult
+      const buffer = this._trimSilence(rawAudio.data, rawAudio.sampling_rate)
       return {
-        buffer: rawAudio.data,
+        buffer,
         sampleRate: rawAudio.sampling_rate,
-        duration: rawAudio.data.length / rawAudio.sampling_rate,
+        duration: buffer.length / rawAudio.sampling_rate,
+        cached: false,
         metadata: {
           voice,
           speed,
@@ -181,17 +360,395 @@ class KokoroEnginePlugin {
   }
 
   /**
-   * List available voices
+   * Streaming synthesis - splits text with splitTextSmart and yields audio per chunk
+   * Each chunk is also emitted as 'tts:chunk' so playback can start after the first sentence
+   * @param {Object} options - Synthesis options
+   * @param {string} options.text - Text to synthesize
+   * @param {string} [options.voice] - Voice ID
+   * @param {number} [options.speed] - Speaking speed
+   * @param {'text'|'ssml'} [options.format] - Input format (default 'text')
+   * @param {number} [options.maxChunkLength] - Maximum characters per chunk
+   * @param {string} [options.streamId] - Stream identifier (generated if omitted)
+   * @returns {AsyncGenerator<AudioChunkResult>}
+   */
+  async *synthesizeStream(options) {
+    if (!options || !options.text) {
+      throw new Error('Text is required for synthesis')
+    }
+
+    const voice = options.voice || this.currentVoice
+    const speed = options.speed || this.speed
+    const maxChunkLength = options.maxChunkLength || this.streamChunkLength
+    const streamId = options.streamId || `stream-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+    await this._requireVoice(voice)
+    const plan = this._planChunks(options, voice, speed, maxChunkLength)
+
+    const streamState = { cancelled: false }
+    this.activeStreams.set(streamId, streamState)
+
+    const totalChunks = plan.length
+    const joiner = new ChunkJoiner({ crossfade: this.crossfade })
+    let emittedChunks = 0
+    let streamOffset = 0
+    let sampleRate = DEFAULT_SAMPLE_RATE
+
+    try {
+      this._emit('tts:streamStarted', {
+        streamId,
+        totalChunks,
+        voice,
+        speed,
+        timestamp: Date.now()
+      })
+
+      for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+        if (streamState.cancelled) {
+          break
+        }
+
+        const { text, voice: chunkVoice, speed: chunkSpeed, language, silence } = plan[chunkIndex]
+        const result = silence > 0
+          ? this._createSilence(silence, sampleRate)
+          : await this.synthesize({ text, voice: chunkVoice, speed: chunkSpeed })
+        sampleRate = result.sampleRate
+
+        // Stream may have been cancelled while the chunk was rendering
+        if (streamState.cancelled) {
+          break
+        }
+
+        // Listeners and highlighting see the words, not their phoneme markup
+        const displayText = stripPhonemeMarkup(text)
+        const isLast = chunkIndex === totalChunks - 1
+        const join = this._joinAfter(plan, chunkIndex)
+        const buffer = joiner.join(result.buffer, sampleRate, join)
+        const duration = buffer.length / sampleRate
+        const pause = join.pause
+        const startTime = streamOffset
+        const words = estimateWordTimings(displayText, duration - pause)
+        streamOffset += duration
+
+        const chunkResult = {
+          ...result,
+          buffer,
+          duration,
+          pause,
+          streamId,
+          chunkIndex,
+          totalChunks,
+          isLast,
+          text: displayText,
+          startTime,
+          words,
+          voice: chunkVoice,
+          language
+        }
+
+        // Payload matches the offscreen-audio AudioChunk shape
+        this._emit('tts:chunk', {
+          streamId,
+          chunkIndex,
+          totalChunks,
+          data: buffer,
+          sampleRate: result.sampleRate,
+          duration,
+          timestamp: Date.now(),
+          isLast,
+          text: displayText,
+          startTime,
+          voice: chunkVoice,
+          language
+        })
+
+        if (displayText) {
+          this._emitTiming(streamId, chunkIndex, startTime, displayText, duration, words)
+        }
+
+        emittedChunks++
+        yield chunkResult
+      }
+
+      this._emit(streamState.cancelled ? 'tts:streamCancelled' : 'tts:streamCompleted', {
+        streamId,
+        chunks: emittedChunks,
+        totalChunks,
+        timestamp: Date.now()
+      })
+    } catch (error) {
+      this._emit('tts:streamError', {
+        streamId,
+        error: error.message,
+        chunkIndex: emittedChunks,
+        timestamp: Date.now()
+      })
+      throw error
+    } finally {
+      this.activeStreams.delete(streamId)
+    }
+  }
+
+  /**
+   * Cancel an active synthesis stream
+   * @param {string} streamId - Stream identifier
+   * @returns {boolean} Whether a stream was cancelled
+   */
+  cancelStream(streamId) {
+    const streamState = this.activeStreams.get(streamId)
+    if (!streamState) {
+      return false
+    }
+    streamState.cancelled = true
+    return true
+  }
+
+  /**
+   * Render full text to a single buffer for export - chunked like streaming, but emits nothing
+   * @param {Object} options - Synthesis options
+   * @param {string} options.text - Text to synthesize
+   * @param {string} [options.voice] - Voice ID
+   * @param {number} [options.speed] - Speaking speed
+   * @param {'text'|'ssml'} [options.format] - Input format (default 'text')
+   * @param {number} [options.maxChunkLength] - Maximum characters per chunk
+   * @returns {Promise<AudioResult>}
+   */
+  async render(options) {
+    try {
+      if (!options || !options.text) {
+        throw new Error('Text is required for synthesis')
+      }
+
+      const startTime = performance.now()
+      const voice = options.voice || this.currentVoice
+      const speed = options.speed || this.speed
+      const maxChunkLength = options.maxChunkLength || this.streamChunkLength
+
+      await this._requireVoice(voice)
+      const plan = this._planChunks(options, voice, speed, maxChunkLength)
+
+      const results = []
+      const joined = []
+      const joiner = new ChunkJoiner({ crossfade: this.crossfade })
+      let sampleRate = DEFAULT_SAMPLE_RATE
+      for (const [index, chunk] of plan.entries()) {
+        const result = chunk.silence > 0
+          ? this._createSilence(chunk.silence, sampleRate)
+          : await this.synthesize({ text: chunk.text, voice: chunk.voice, speed: chunk.speed })
+        sampleRate = result.sampleRate
+        results.push(result)
+        joined.push(joiner.join(result.buffer, sampleRate, this._joinAfter(plan, index)))
+      }
+
+      const totalLength = joined.reduce((total, samples) => total + samples.length, 0)
+      const buffer = new Float32Array(totalLength)
+
+      let offset = 0
+      for (const samples of joined) {
+        buffer.set(samples, offset)
+        offset += samples.length
+      }
+
+      return {
+        buffer,
+        sampleRate,
+        duration: totalLength / sampleRate,
+        cached: results.every(result => result.cached || result.metadata.silence),
+        metadata: {
+          voice,
+          speed,
+          chunks: results.length,
+          format: options.format || 'text',
+          synthesisTime: performance.now() - startTime,
+          textLength: options.text.length
+        }
+      }
+    } catch (error) {
+      console.error('Render error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Phonemes and token count the model would receive for text - previews lexicon and phoneme markup
+   * @param {Object} options - Phonemize options
+   * @param {string} options.text - Text, with optional `[word](/phonemes/)` spans
+   * @param {string} [options.voice] - Voice ID; its language selects the phonemizer
+   * @returns {Promise<PhonemizeResult>}
+   */
+  async phonemizeText(options) {
+    try {
+      if (!options || !options.text) {
+        throw new Error('Text is required for phonemization')
+      }
+
+      const voice = options.voice || this.currentVoice
+      const { voice: modelVoice } = await this._requireVoice(voice)
+
+      // The tokenizer is loaded with the model
+      if (this.modelStatus !== 'loaded') {
+        await this.loadModel()
+      }
+
+      const result = await this.ttsEngine.phonemizeText(options.text, { voice: modelVoice })
+      return { ...result, voice }
+    } catch (error) {
+      console.error('Phonemize error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * List available voices - built-in voices, then custom voices
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.language] - Language code; a base code like "en" also matches "en-us" and "en-gb"
    * @returns {KokoroVoice[]}
    */
-  listVoices() {
-    return Object.entries(VOICES).map(([id, voice]) => ({
-      id,
-      name: voice.name,
-      language: voice.language,
-      gender: voice.gender,
-      traits: voice.traits || ''
-    }))
+  listVoices(options = {}) {
+    const language = options.language ? options.language.toLowerCase() : null
+    const matches = (voice) => !language || voice.language === language || voice.language.startsWith(`${language}-`)
+
+    const builtIn = Object.entries(VOICES)
+      .filter(([, voice]) => matches(voice))
+      .map(([id, voice]) => ({
+        id,
+        name: voice.name,
+        language: voice.language,
+        gender: voice.gender,
+        traits: voice.traits || ''
+      }))
+
+    const custom = [...this.customVoices.values()]
+      .map(describeCustomVoice)
+      .filter(matches)
+
+    return [...builtIn, ...custom]
+  }
+
+  /**
+   * Save a named voice mix - it can then be used wherever a voice ID is
+   * @param {Object} voice - Custom voice
+   * @param {string} voice.id - Voice ID (lower-case letters, digits, "_" and "-")
+   * @param {string} [voice.name] - Display name
+   * @param {string} voice.mix - Voice mix, e.g. "af_bella:0.6+af_heart:0.4"
+   * @returns {Promise<KokoroVoice>} The saved voice as listVoices() shows it
+   */
+  async saveCustomVoice(voice) {
+    try {
+      const customVoice = validateCustomVoice(voice)
+
+      const customVoices = new Map(this.customVoices)
+      customVoices.set(customVoice.id, customVoice)
+      await this._storeCustomVoices(customVoices)
+
+      return describeCustomVoice(customVoice)
+    } catch (error) {
+      console.error('Save custom voice error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Delete a custom voice
+   * @param {string} voiceId - Custom voice ID
+   * @returns {Promise<boolean>} Whether the voice existed
+   */
+  async deleteCustomVoice(voiceId) {
+    try {
+      if (!this.customVoices.has(voiceId)) {
+        return false
+      }
+
+      const customVoices = new Map(this.customVoices)
+      customVoices.delete(voiceId)
+      await this._storeCustomVoices(customVoices)
+
+      if (this.currentVoice === voiceId) {
+        this.currentVoice = this.config.defaultVoice || 'af_bella'
+      }
+      return true
+    } catch (error) {
+      console.error('Delete custom voice error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Read custom voices from storage; invalid entries are skipped
+   * @returns {Promise<KokoroVoice[]>} Custom voices
+   */
+  async loadCustomVoices() {
+    if (!this.pal || !this.pal.storage) {
+      return [...this.customVoices.values()].map(describeCustomVoice)
+    }
+
+    try {
+      const stored = await this.pal.storage.get(CUSTOM_VOICES_STORAGE_KEY)
+      const customVoices = new Map()
+      for (const voice of Array.isArray(stored) ? stored : []) {
+        try {
+          const customVoice = validateCustomVoice(voice)
+          customVoices.set(customVoice.id, customVoice)
+        } catch (error) {
+          console.warn('Skipping custom voice:', error.message)
+        }
+      }
+      this.customVoices = customVoices
+    } catch (error) {
+      console.warn('Could not read custom voices:', error.message)
+    }
+    return [...this.customVoices.values()].map(describeCustomVoice)
+  }
+
+  /**
+   * List every voice with whether its pack is downloaded for offline use
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.downloaded] - Only downloaded (true) or not downloaded (false) voices
+   * @returns {Promise<import('./voice-packs.js').VoicePack[]>}
+   */
+  async listVoicePacks(options = {}) {
+    return this._requireVoicePacks().list(options)
+  }
+
+  /**
+   * Download voice packs so the voices work offline; emits tts:voicePackProgress after each voice
+   * @param {string[]} voiceIds - Voices to download
+   * @returns {Promise<string[]>} Voices that were downloaded (already downloaded ones are skipped)
+   */
+  async downloadVoicePacks(voiceIds) {
+    try {
+      if (!Array.isArray(voiceIds)) {
+        throw new Error('voiceIds must be an array')
+      }
+
+      return await this._requireVoicePacks().download(voiceIds, (progress) => {
+        this._emit('tts:voicePackProgress', { ...progress, timestamp: Date.now() })
+      })
+    } catch (error) {
+      console.error('Voice pack download error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Delete a downloaded voice pack; the voice is downloaded again the next time it is used
+   * @param {string} voiceId - Voice ID
+   * @returns {Promise<void>}
+   */
+  async deleteVoicePack(voiceId) {
+    try {
+      await this._requireVoicePacks().delete(voiceId)
+    } catch (error) {
+      console.error('Voice pack delete error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * List the languages available voices speak
+   * @returns {string[]}
+   */
+  listLanguages() {
+    return [...new Set(Object.values(VOICES).map(voice => voice.language))]
   }
 
   /**
@@ -199,11 +756,54 @@ class KokoroEnginePlugin {
    * @param {string} voiceId - Voice identifier
    */
   setVoice(voiceId) {
-    if (!Object.hasOwn(VOICES, voiceId)) {
+    if (!this._findVoice(voiceId)) {
       throw new Error(`Voice "${voiceId}" not found`)
     }
     this.currentVoice = voiceId
-    console.log(`Voice set to: ${voiceId} (${VOICES[voiceId].name})`)
+    console.log(`Voice set to: ${voiceId}`)
+  }
+
+  /**
+   * Configure automatic per-chunk language detection
+   * @param {Object} options - Language options
+   * @param {boolean} [options.autoLanguage] - Switch voices to match each chunk's language
+   * @param {Object<string, string>} [options.languageVoices] - Language code -> voice ID overrides
+   */
+  setLanguageOptions(options = {}) {
+    if (options.autoLanguage !== undefined) {
+      this.autoLanguage = options.autoLanguage === true
+    }
+    if (options.languageVoices) {
+      for (const voiceId of Object.values(options.languageVoices)) {
+        if (voiceId && !this._findVoice(voiceId)) {
+          throw new Error(`Voice "${voiceId}" not found`)
+        }
+      }
+      this.languageVoices = { ...options.languageVoices }
+    }
+  }
+
+  /**
+   * Configure how chunks are joined
+   * @param {Object} options - Prosody options
+   * @param {Partial<Record<import('./prosody.js').BoundaryType, number>>} [options.pauses] - Seconds of silence per
+   *   boundary type; types left out take the defaults
+   * @param {boolean} [options.trimSilence] - Trim near-silence from the ends of generated audio
+   * @param {number} [options.crossfade] - Crossfade length in seconds
+   */
+  setProsodyOptions(options = {}) {
+    if (options.crossfade !== undefined && !(options.crossfade >= 0 && options.crossfade <= MAX_CROSSFADE)) {
+      throw new Error(`Crossfade must be between 0 and ${MAX_CROSSFADE} seconds`)
+    }
+    if (options.pauses) {
+      this.pauses = validatePauses(options.pauses)
+    }
+    if (options.trimSilence !== undefined) {
+      this.trimSilence = options.trimSilence !== false
+    }
+    if (options.crossfade !== undefined) {
+      this.crossfade = options.crossfade
+    }
   }
 
   /**
@@ -225,19 +825,43 @@ class KokoroEnginePlugin {
       this.modelStatus = 'loading'
       console.log('Loading Kokoro TTS model...')
 
-      const modelId = this.config.modelId || 'onnx-community/Kokoro-82M-v1.0-ONNX'
-      const dtype = this.config.dtype || 'fp32'
-      const device = this.config.device || null
+      const capabilities = await detectCapabilities()
+      let profile = resolveModelProfile(this.modelProfile, capabilities)
 
-      this.ttsEngine = await KokoroTTS.from_pretrained(modelId, {
-        dtype,
-        device,
-        progress_callback: (progress) => {
+      try {
+        this.ttsEngine = await this._loadKokoro(profile, (progress) => {
           if (this.eventBus) {
             this.eventBus.emit('tts:modelLoadProgress', { progress })
           }
+        })
+      } catch (error) {
+        // A backend can be present but fail to create a session (e.g. a lost GPU device)
+        if (profile.device === 'wasm' || !capabilities.wasm) {
+          throw error
         }
-      })
+        console.warn(`Loading the model on ${profile.device} failed, falling back to wasm:`, error)
+        profile = {
+          dtype: this.modelProfile.dtype,
+          device: 'wasm',
+          fallback: `${profile.device} failed to load (${error.message}); using wasm`
+        }
+        this.ttsEngine = await this._loadKokoro(profile, (progress) => {
+          if (this.eventBus) {
+            this.eventBus.emit('tts:modelLoadProgress', { progress })
+          }
+        })
+      }
+
+      this.activeProfile = profile
+      if (profile.fallback) {
+        console.warn(`Model profile fallback: ${profile.fallback}`)
+        this._emit('tts:modelProfileFallback', {
+          requested: { ...this.modelProfile },
+          active: { ...profile },
+          reason: profile.fallback,
+          timestamp: Date.now()
+        })
+      }
 
       this.modelStatus = 'loaded'
       console.log('Model loaded successfully')
@@ -254,9 +878,11 @@ class KokoroEnginePlugin {
   unloadModel() {
     try {
       if (this.ttsEngine) {
-        // Cleanup model resources
+        // Cleanup model resources - release the inference session, which holds the weights
+        this._disposeKokoro(this.ttsEngine)
         this.ttsEngine = null
       }
+      this.activeProfile = null
       this.modelStatus = 'unloaded'
       console.log('Model unloaded and resources cleaned up')
     } catch (error) {
@@ -273,6 +899,129 @@ class KokoroEnginePlugin {
     return this.modelStatus
   }
 
+  /**
+   * Requested model profile, and the profile loaded after any backend fallback
+   * @returns {{dtype: string, device: string, active: ResolvedProfile|null}}
+   */
+  getModelProfile() {
+    return { ...this.modelProfile, active: this.activeProfile ? { ...this.activeProfile } : null }
+  }
+
+  /**
+   * Choose the model precision and backend; a loaded model is unloaded so the next request loads the new one
+   * @param {Partial<ModelProfile>} profile - Profile (missing fields take the defaults)
+   * @returns {Promise<ModelProfile>} The saved profile
+   */
+  async setModelProfile(profile) {
+    try {
+      const modelProfile = validateModelProfile(profile)
+
+      if (this.pal && this.pal.storage) {
+        await this.pal.storage.set(MODEL_PROFILE_STORAGE_KEY, modelProfile)
+      }
+
+      const changed = formatModelProfile(modelProfile) !== formatModelProfile(this.modelProfile)
+      this.modelProfile = modelProfile
+      if (changed && this.modelStatus === 'loaded') {
+        this.unloadModel()
+      }
+
+      this._emit('tts:modelProfileChanged', { profile: { ...modelProfile }, timestamp: Date.now() })
+      return { ...modelProfile }
+    } catch (error) {
+      console.error('Set model profile error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Read the model profile from storage; keeps the current one when none is stored or it is invalid
+   * @returns {Promise<ModelProfile>}
+   */
+  async loadModelProfile() {
+    if (this.pal && this.pal.storage) {
+      try {
+        const stored = await this.pal.storage.get(MODEL_PROFILE_STORAGE_KEY)
+        if (stored) {
+          this.modelProfile = validateModelProfile(stored)
+        }
+      } catch (error) {
+        console.warn('Could not read model profile:', error.message)
+      }
+    }
+    return { ...this.modelProfile }
+  }
+
+  /**
+   * Read model weights from downloaded variants before the network
+   * @param {Object|null} store - Store with loadModelFile(dtype) (e.g. ModelLoader), or null to download as usual
+   */
+  setModelStore(store) {
+    this.modelStore = store || null
+    setKokoroModelStore(this.modelStore)
+  }
+
+  /**
+   * Time model loading and synthesis for each profile; the real-time factor is synthesis time
+   * over audio duration (below 1 is faster than real time). Profiles other than the loaded one
+   * are loaded one at a time and released afterwards
+   * @param {Object} [options] - Options
+   * @param {Array<Partial<ModelProfile>>} [options.profiles] - Profiles to compare (default: the current one)
+   * @param {string} [options.text] - Text to synthesize
+   * @param {string} [options.voice] - Voice ID
+   * @returns {Promise<BenchmarkResult[]>}
+   */
+  async benchmark(options = {}) {
+    try {
+      const profiles = (options.profiles || [this.modelProfile]).map(validateModelProfile)
+      const text = options.text || BENCHMARK_TEXT
+      const { voice } = await this._requireVoice(options.voice || this.currentVoice)
+      const capabilities = await detectCapabilities()
+
+      const results = []
+      for (const requested of profiles) {
+        const result = { ...requested, active: null, loadTime: null, synthesisTime: null, audioDuration: null, rtf: null, error: null }
+        results.push(result)
+
+        let tts = null
+        let temporary = false
+        try {
+          const profile = resolveModelProfile(requested, capabilities)
+          result.active = profile
+
+          const loadStart = performance.now()
+          if (this.modelStatus === 'loaded' && formatModelProfile(this.activeProfile) === formatModelProfile(profile)) {
+            tts = this.ttsEngine
+          } else {
+            tts = await this._loadKokoro(profile)
+            temporary = true
+          }
+          result.loadTime = performance.now() - loadStart
+
+          const synthesisStart = performance.now()
+          const audio = await tts.generate(text, { voice, speed: 1 })
+          result.synthesisTime = performance.now() - synthesisStart
+          result.audioDuration = audio.data.length / audio.sampling_rate
+          result.rtf = result.synthesisTime / 1000 / result.audioDuration
+        } catch (error) {
+          console.warn(`Benchmark of ${formatModelProfile(requested)} failed:`, error)
+          result.error = error.message
+        } finally {
+          if (temporary) {
+            this._disposeKokoro(tts)
+          }
+        }
+
+        this._emit('tts:benchmarkProgress', { result: { ...result }, completed: results.length, total: profiles.length })
+      }
+
+      return results
+    } catch (error) {
+      console.error('Benchmark error:', error)
+      throw error
+    }
+  }
+
   /**
    * Set synthesis quality
    * @param {'draft'|'normal'|'high'} quality - Quality setting
@@ -306,16 +1055,31 @@ class KokoroEnginePlugin {
     try {
       console.log(`${this.name} cleaning up...`)
 
+      // Cancel active streams
+      for (const streamState of this.activeStreams.values()) {
+        streamState.cancelled = true
+      }
+      this.activeStreams.clear()
+
       // Unload model
       this.unloadModel()
 
       // Clear references
+      if (this.voicePacks) {
+        setVoiceStore(null)
+        this.voicePacks = null
+      }
+      if (this.modelStore) {
+        this.setModelStore(null)
+      }
       this.eventBus = null
       this.pal = null
 
       // Reset counters
       this.synthesisCount = 0
       this.lastSynthesisTime = 0
+      this.cacheHits = 0
+      this.cacheMisses = 0
 
       console.log(`${this.name} cleaned up successfully`)
     } catch (error) {
@@ -334,6 +1098,8 @@ class KokoroEnginePlugin {
       modelStatus: this.modelStatus,
       synthesisCount: this.synthesisCount,
       lastSynthesisTime: this.lastSynthesisTime,
+      cacheHits: this.cacheHits,
+      cacheMisses: this.cacheMisses,
       currentVoice: this.currentVoice,
       initialized: this.eventBus !== null && this.pal !== null
     }
@@ -350,9 +1116,33 @@ class KokoroEnginePlugin {
     }
   }
 
+  async _handleSynthesisStreamEvent(event) {
+    try {
+      const chunks = []
+      for await (const chunk of this.synthesizeStream(event.data)) {
+        chunks.push({
+          chunkIndex: chunk.chunkIndex,
+          duration: chunk.duration
+        })
+      }
+      return { success: true, data: { chunks } }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleCancelStreamEvent(event) {
+    try {
+      const cancelled = this.cancelStream(event.data.streamId)
+      return { success: true, data: { cancelled } }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
   async _handleGetVoicesEvent(event) {
     try {
-      const voices = this.listVoices()
+      const voices = this.listVoices(event?.data)
       return { success: true, data: voices }
     } catch (error) {
       return { success: false, error: error.message }
@@ -368,15 +1158,113 @@ class KokoroEnginePlugin {
     }
   }
 
+  async _handlePhonemizeEvent(event) {
+    try {
+      const result = await this.phonemizeText(event.data)
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleSaveCustomVoiceEvent(event) {
+    try {
+      const voice = await this.saveCustomVoice(event.data)
+      return { success: true, data: voice }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleDeleteCustomVoiceEvent(event) {
+    try {
+      const deleted = await this.deleteCustomVoice(event.data.voiceId)
+      return { success: true, data: { deleted } }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleSetModelProfileEvent(event) {
+    try {
+      const profile = await this.setModelProfile(event.data)
+      return { success: true, data: profile }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleBenchmarkEvent(event) {
+    try {
+      const results = await this.benchmark(event?.data)
+      return { success: true, data: results }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleListVoicePacksEvent(event) {
+    try {
+      const packs = await this.listVoicePacks(event?.data)
+      return { success: true, data: packs }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleDownloadVoicePacksEvent(event) {
+    try {
+      const downloaded = await this.downloadVoicePacks(event.data.voiceIds)
+      return { success: true, data: { downloaded } }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleDeleteVoicePackEvent(event) {
+    try {
+      await this.deleteVoicePack(event.data.voiceId)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
   async _processSynthesis(event, context) {
     const result = await this.synthesize(event.data)
+    this._emitTiming(event.id, 0, 0, stripPhonemeMarkup(event.data.text), result.duration)
     event.result = result
+    if (event.response) {
+      event.response.cached = result.cached
+    }
+    event.completed = true
+    return event
+  }
+
+  async _processSynthesisStream(event) {
+    const chunks = []
+    let duration = 0
+    for await (const chunk of this.synthesizeStream(event.data)) {
+      duration += chunk.duration
+      chunks.push({
+        chunkIndex: chunk.chunkIndex,
+        duration: chunk.duration,
+        text: chunk.text
+      })
+    }
+    event.result = { chunks, duration }
+    event.completed = true
+    return event
+  }
+
+  async _processPhonemize(event) {
+    event.result = await this.phonemizeText(event.data)
     event.completed = true
     return event
   }
 
   async _processGetVoices(event, context) {
-    const voices = this.listVoices()
+    const voices = this.listVoices(event.data)
     event.result = voices
     event.completed = true
     return event
@@ -387,6 +1275,456 @@ class KokoroEnginePlugin {
     event.completed = true
     return event
   }
+
+  /**
+   * Get the audio cache backend from the PAL if caching is enabled
+   * @private
+   * @returns {Object|null}
+   */
+  _getAudioCache() {
+    if (!this.cacheEnabled || !this.pal || !this.pal.audioCache) {
+      return null
+    }
+    return this.pal.audioCache
+  }
+
+  /**
+   * Content-addressed cache key for text, voice, speed and model profile - other precisions and backends
+   * sound slightly different, so they don't share entries. The loaded (active) profile is used once there
+   * is one, so audio from a fallback profile isn't stored under the requested profile
+   * @private
+   * @param {string} text - Text to synthesize
+   * @param {string} voice - Voice ID
+   * @param {number} speed - Speaking speed
+   * @returns {Promise<string|null>} Key, or null when caching is disabled
+   */
+  async _getAudioCacheKey(text, voice, speed) {
+    if (!this._getAudioCache()) {
+      return null
+    }
+
+    const source = `${formatModelProfile(this.activeProfile || this.modelProfile)}|${voice}|${Number(speed).toFixed(2)}|${text}`
+    const subtle = globalThis.crypto && globalThis.crypto.subtle
+    if (!subtle) {
+      return source
+    }
+
+    const digest = await subtle.digest('SHA-256', new TextEncoder().encode(source))
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+  }
+
+  /**
+   * Look up cached audio - cache failures fall back to synthesis
+   * @private
+   * @param {string|null} cacheKey - Cache key
+   * @returns {Promise<{data: Float32Array, sampleRate: number}|null>}
+   */
+  async _loadCachedAudio(cacheKey) {
+    const audioCache = this._getAudioCache()
+    if (!audioCache || !cacheKey) {
+      return null
+    }
+
+    try {
+      const cached = await audioCache.loadAudioCache(cacheKey)
+      if (cached) {
+        this.cacheHits++
+        return cached
+      }
+    } catch (error) {
+      console.warn('Audio cache lookup failed:', error)
+    }
+
+    this.cacheMisses++
+    return null
+  }
+
+  /**
+   * Store synthesized audio - cache failures never fail synthesis
+   * @private
+   * @param {string|null} cacheKey - Cache key
+   * @param {Object} rawAudio - kokoro.js RawAudio
+   * @param {Object} metadata - Voice, speed and text length
+   */
+  async _storeCachedAudio(cacheKey, rawAudio, metadata) {
+    const audioCache = this._getAudioCache()
+    if (!audioCache || !cacheKey) {
+      return
+    }
+
+    try {
+      await audioCache.storeAudioCache(cacheKey, {
+        data: rawAudio.data,
+        sampleRate: rawAudio.sampling_rate
+      }, metadata)
+    } catch (error) {
+      console.warn('Audio cache store failed:', error)
+    }
+  }
+
+  /**
+   * Generate audio for text of any length - text past the model's token window is split on its phonemes at
+   * sentence, clause or word boundaries and the passes are joined; nothing is truncated
+   * Emits 'tts:tokenOverflow' when a word run alone is longer than the window and has to be cut
+   * @private
+   * @param {string} text - Text to speak
+   * @param {string} voice - Model voice (voice ID or canonical mix)
+   * @param {number} speed - Speaking speed
+   * @returns {Promise<{data: Float32Array, sampling_rate: number}>}
+   */
+  async _generateWithinTokenLimit(text, voice, speed) {
+    // Each piece is phonemized once: splitByTokens measures pieces again when packing them, and generate()
+    // takes the phonemes. Surrounding whitespace doesn't change the phonemes, so trimmed pieces share entries
+    const phonemized = new Map()
+    const phonemizePiece = (piece) => {
+      const key = piece.trim()
+      if (!phonemized.has(key)) {
+        phonemized.set(key, this.ttsEngine.phonemizeText(key, { voice }))
+      }
+      return phonemized.get(key)
+    }
+    const countTokens = async (piece) => (await phonemizePiece(piece)).tokens
+    const generate = async (piece) => {
+      const { phonemes } = await phonemizePiece(piece)
+      return this.ttsEngine.generate(piece, { voice, speed, phonemes })
+    }
+
+    if (await countTokens(text) <= MAX_TOKENS) {
+      return generate(text)
+    }
+
+    const pieces = await splitByTokens(text, countTokens, {
+      maxTokens: MAX_TOKENS,
+      onOverflow: (overflow) => {
+        this._emit('tts:tokenOverflow', { ...overflow, voice, timestamp: Date.now() })
+      }
+    })
+
+    // Passes are joined like stream chunks, pausing by the punctuation each one ends on
+    const joiner = new ChunkJoiner({ crossfade: this.crossfade })
+    const passes = []
+    let sampleRate = DEFAULT_SAMPLE_RATE
+    for (const [index, piece] of pieces.entries()) {
+      const audio = await generate(piece)
+      const isLast = index === pieces.length - 1
+      const pause = isLast ? 0 : this.pauses[classifyBoundary(piece)]
+      sampleRate = audio.sampling_rate
+      passes.push(joiner.join(this._trimSilence(audio.data, sampleRate), sampleRate, {
+        pause,
+        continues: !isLast && pause === 0
+      }))
+    }
+
+    const data = new Float32Array(passes.reduce((total, pass) => total + pass.length, 0))
+    let offset = 0
+    for (const pass of passes) {
+      data.set(pass, offset)
+      offset += pass.length
+    }
+    return { data, sampling_rate: sampleRate }
+  }
+
+  /**
+   * Trim near-silence from the ends of generated audio, unless trimming is turned off
+   * @private
+   * @param {Float32Array} samples - Waveform
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {Float32Array}
+   */
+  _trimSilence(samples, sampleRate) {
+    return this.trimSilence ? trimSilence(samples, sampleRate) : samples
+  }
+
+  /**
+   * Split a request into synthesis chunks
+   * SSML is parsed into segments first: each segment keeps its voice and speed, and breaks become silence
+   * @private
+   * @param {Object} options - Synthesis options (text, format)
+   * @param {string} voice - Requested voice
+   * @param {number} speed - Requested speed
+   * @param {number} maxChunkLength - Maximum characters per chunk
+   * @returns {{text: string, voice: string|null, speed: number, language: string|null, silence: number, boundary: import('./prosody.js').BoundaryType}[]}
+   */
+  _planChunks(options, voice, speed, maxChunkLength) {
+    const format = options.format || 'text'
+    if (!TEXT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported text format "${format}". Must be one of: ${TEXT_FORMATS.join(', ')}`)
+    }
+
+    const segments = format === 'ssml'
+      ? parseSSML(options.text, {
+        voice,
+        speed,
+        localeForVoice: (voiceId) => this._findVoice(voiceId)?.info.language || 'en-us'
+      })
+      : [{ type: 'speech', text: options.text, voice, speed, explicitVoice: false }]
+
+    const plan = []
+    for (const segment of segments) {
+      if (segment.type === 'break') {
+        plan.push({ text: '', voice: null, speed, language: null, silence: segment.duration, boundary: 'none' })
+        continue
+      }
+
+      const resolved = this._findVoice(segment.voice)
+      if (!resolved) {
+        throw new Error(`Voice "${segment.voice}" not found. Available voices: ${Object.keys(VOICES).join(', ')}`)
+      }
+
+      // Plain text is split into paragraphs, headings and list items first, so each chunk knows the pause
+      // after it; SSML segments are already whitespace-normalized and mark paragraphs with breaks
+      const blocks = format === 'ssml' ? [{ text: segment.text, type: null }] : splitBlocks(segment.text)
+      const textChunks = []
+      const boundaries = []
+      for (const block of blocks) {
+        const blockChunks = splitKeepingPhonemes(block.text, text => splitTextSmart(text, maxChunkLength))
+          .filter(chunk => chunk.length > 0)
+        blockChunks.forEach((chunk, index) => {
+          textChunks.push(chunk)
+          boundaries.push(index === blockChunks.length - 1 && block.type ? block.type : classifyBoundary(chunk))
+        })
+      }
+
+      // An explicit <voice> wins over language detection
+      const chunkVoices = segment.explicitVoice
+        ? textChunks.map(() => ({ voice: segment.voice, language: resolved.info.language.split('-')[0] }))
+        : this._resolveChunkVoices(textChunks, segment.voice)
+
+      textChunks.forEach((text, index) => {
+        plan.push({ text, speed: segment.speed, ...chunkVoices[index], silence: 0, boundary: boundaries[index] })
+      })
+    }
+
+    if (!plan.some(chunk => chunk.text)) {
+      throw new Error('Text is required for synthesis')
+    }
+
+    return plan
+  }
+
+  /**
+   * How a planned chunk joins the next: the pause for its boundary, or a crossfade when there is none
+   * Nothing is added at the end, or next to an SSML break (the break is the pause)
+   * @private
+   * @param {Array<{silence: number, boundary: import('./prosody.js').BoundaryType}>} plan - Chunk plan
+   * @param {number} index - Chunk position
+   * @returns {{pause: number, continues: boolean}}
+   */
+  _joinAfter(plan, index) {
+    const chunk = plan[index]
+    const next = plan[index + 1]
+    if (!next || chunk.silence > 0 || next.silence > 0) {
+      return { pause: 0, continues: false }
+    }
+    const pause = this.pauses[chunk.boundary] || 0
+    return { pause, continues: pause === 0 }
+  }
+
+  /**
+   * Look up a voice ID, custom voice ID or voice mix
+   * @private
+   * @param {string} voiceId - Voice to look up
+   * @returns {ResolvedVoice|null} Null for unknown voices
+   * @throws {Error} For mixes naming unknown voices or invalid weights
+   */
+  _findVoice(voiceId) {
+    if (Object.hasOwn(VOICES, voiceId)) {
+      return { voice: voiceId, info: VOICES[voiceId] }
+    }
+
+    const mixString = this.customVoices.has(voiceId) ? this.customVoices.get(voiceId).mix : voiceId
+    const mix = parseVoiceMix(mixString)
+    return mix ? { voice: formatVoiceMix(mix), info: VOICES[mix[0].voice] } : null
+  }
+
+  /**
+   * Resolve a voice for synthesis, re-reading custom voices once if it is unknown (they may have been
+   * saved from another extension page)
+   * @private
+   * @param {string} voiceId - Voice to resolve
+   * @returns {Promise<ResolvedVoice>}
+   */
+  async _requireVoice(voiceId) {
+    let resolved = this._findVoice(voiceId)
+    if (!resolved && this.pal && this.pal.storage) {
+      await this.loadCustomVoices()
+      resolved = this._findVoice(voiceId)
+    }
+    if (!resolved) {
+      throw new Error(`Voice "${voiceId}" not found. Available voices: ${Object.keys(VOICES).join(', ')}`)
+    }
+    return resolved
+  }
+
+  /**
+   * Persist custom voices and announce the new voice list
+   * @private
+   * @param {Map<string, import('./custom-voices.js').CustomVoice>} customVoices - Complete set of custom voices
+   */
+  async _storeCustomVoices(customVoices) {
+    if (this.pal && this.pal.storage) {
+      await this.pal.storage.set(CUSTOM_VOICES_STORAGE_KEY, [...customVoices.values()])
+    }
+    this.customVoices = customVoices
+    this._emit('tts:voicesChanged', { voices: this.listVoices(), timestamp: Date.now() })
+  }
+
+  /**
+   * Silent audio for SSML breaks
+   * @private
+   * @param {number} duration - Seconds of silence
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {AudioResult}
+   */
+  _createSilence(duration, sampleRate) {
+    const buffer = new Float32Array(Math.round(duration * sampleRate))
+    return {
+      buffer,
+      sampleRate,
+      duration: buffer.length / sampleRate,
+      cached: false,
+      metadata: { silence: true }
+    }
+  }
+
+  /**
+   * Pick a voice for each chunk - with autoLanguage, chunks in another language switch voice
+   * Chunks too short to identify keep the previous chunk's voice
+   * @private
+   * @param {string[]} textChunks - Chunks from splitTextSmart
+   * @param {string} voice - Requested voice
+   * @returns {{voice: string, language: string|null}[]}
+   */
+  _resolveChunkVoices(textChunks, voice) {
+    const resolved = this._findVoice(voice)
+    const requestedLanguage = resolved ? resolved.info.language.split('-')[0] : null
+
+    if (!this.autoLanguage) {
+      return textChunks.map(() => ({ voice, language: requestedLanguage }))
+    }
+
+    let previous = { voice, language: requestedLanguage }
+    return textChunks.map(text => {
+      const { language } = detectLanguage(stripPhonemeMarkup(text))
+      if (language && language !== previous.language) {
+        previous = { voice: this._voiceForLanguage(language, voice, requestedLanguage), language }
+      }
+      return previous
+    })
+  }
+
+  /**
+   * Voice to read a language with: the requested voice if it speaks it, then the
+   * configured override, then the first voice for the language. Languages the phonemizer
+   * can't handle keep the requested voice - read with an accent rather than not at all
+   * @private
+   * @param {string} language - Base language code
+   * @param {string} voice - Requested voice
+   * @param {string|null} requestedLanguage - Base language of the requested voice
+   * @returns {string}
+   */
+  _voiceForLanguage(language, voice, requestedLanguage) {
+    if (language === requestedLanguage) {
+      return voice
+    }
+
+    const override = this.languageVoices[language]
+    if (override && this._canPhonemize(override)) {
+      return override
+    }
+
+    const fallback = this.listVoices({ language }).find(({ id }) => this._canPhonemize(id))
+    return fallback ? fallback.id : voice
+  }
+
+  /**
+   * Whether the bundled phonemizer has data for a voice's language
+   * @private
+   * @param {string} voiceId - Voice, mix or custom voice ID
+   * @returns {boolean}
+   */
+  _canPhonemize(voiceId) {
+    const resolved = this._findVoice(voiceId)
+    // kokoro.js picks the phonemizer language from the first letter of the voice ID
+    return Boolean(resolved) && Object.hasOwn(PHONEMIZER_LANGUAGES, resolved.voice.at(0))
+  }
+
+  /**
+   * Load kokoro.js with a resolved profile
+   * @private
+   * @param {ResolvedProfile} profile - Precision and backend
+   * @param {Function} [onProgress] - Download progress callback
+   * @returns {Promise<KokoroTTS>}
+   */
+  _loadKokoro(profile, onProgress = null) {
+    const modelId = this.config.modelId || 'onnx-community/Kokoro-82M-v1.0-ONNX'
+    return KokoroTTS.from_pretrained(modelId, {
+      dtype: profile.dtype,
+      device: profile.device,
+      progress_callback: onProgress
+    })
+  }
+
+  /**
+   * Release a kokoro.js instance's inference session
+   * @private
+   * @param {KokoroTTS|null} tts - Instance to release
+   */
+  _disposeKokoro(tts) {
+    const model = tts && tts.model
+    if (model && typeof model.dispose === 'function') {
+      Promise.resolve(model.dispose()).catch(error => {
+        console.warn('Failed to release model session:', error)
+      })
+    }
+  }
+
+  /**
+   * Voice pack manager, when the PAL has a voice store
+   * @private
+   * @returns {VoicePackManager}
+   * @throws {Error} When voice packs are not available
+   */
+  _requireVoicePacks() {
+    if (!this.voicePacks) {
+      throw new Error('Voice packs are not available: no voice store')
+    }
+    return this.voicePacks
+  }
+
+  /**
+   * Emit event on the event bus if available
+   * @private
+   * @param {string} eventType - Event type
+   * @param {Object} data - Event payload
+   */
+  _emit(eventType, data) {
+    if (this.eventBus) {
+      this.eventBus.emit(eventType, data)
+    }
+  }
+
+  /**
+   * Emit estimated word timings for a piece of audio - drives playback highlighting
+   * @private
+   * @param {string} streamId - Stream or request identifier
+   * @param {number} chunkIndex - Chunk position in the stream
+   * @param {number} startTime - Chunk start within the stream in seconds
+   * @param {string} text - Synthesized text
+   * @param {number} duration - Audio duration in seconds
+   * @param {import('./word-timing.js').WordTiming[]} [words] - Precomputed timings
+   */
+  _emitTiming(streamId, chunkIndex, startTime, text, duration, words) {
+    this._emit('tts:timing', {
+      streamId,
+      chunkIndex,
+      startTime,
+      duration,
+      text,
+      words: words || estimateWordTimings(text, duration),
+      timestamp: Date.now()
+    })
+  }
 }
 
 export default KokoroEnginePlugin
\ No newline at end of file
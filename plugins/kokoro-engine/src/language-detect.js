@@ -0,0 +1,116 @@
+/**
+ * @module LanguageDetect
+ * @description Lightweight offline language identification for the languages Kokoro voices speak
+ */
+
+/**
+ * @typedef {Object} LanguageGuess
+ * @property {string|null} language - Base language code ("en", "fr", ...), or null when undetermined
+ * @property {number} confidence - 0..1 share of the evidence pointing at the language
+ */
+
+// Non-Latin scripts identify the language on their own
+const KANA = /[\p{Script=Hiragana}\p{Script=Katakana}]/gu
+const HAN = /\p{Script=Han}/gu
+const DEVANAGARI = /\p{Script=Devanagari}/gu
+const LETTER = /\p{L}/gu
+
+// Share of letters a script needs before it decides the language
+const SCRIPT_THRESHOLD = 0.3
+
+// Most frequent function words - they dominate any sentence, whatever its topic
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'was', 'for', 'with', 'as', 'on', 'are', 'this', 'be', 'have', 'not', 'you', 'but', 'by', 'from', 'they', 'at', 'which', 'we', 'were', 'has', 'or', 'will'],
+  es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'del', 'se', 'por', 'un', 'una', 'con', 'para', 'es', 'no', 'al', 'lo', 'como', 'más', 'pero', 'sus', 'le', 'ya', 'o', 'este', 'también', 'fue', 'muy'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'du', 'en', 'que', 'qui', 'dans', 'pour', 'pas', 'sur', 'au', 'avec', 'ce', 'il', 'elle', 'nous', 'vous', 'sont', 'mais', 'ou', 'aux', 'cette', 'être'],
+  it: ['il', 'di', 'che', 'la', 'e', 'un', 'una', 'per', 'non', 'sono', 'del', 'della', 'gli', 'le', 'con', 'è', 'al', 'nel', 'anche', 'come', 'si', 'ma', 'questo', 'alla', 'dei', 'lo', 'ha', 'più', 'essere', 'molto'],
+  pt: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'os', 'não', 'para', 'com', 'se', 'por', 'mais', 'as', 'dos', 'é', 'mas', 'ao', 'na', 'no', 'foi', 'das', 'ele', 'ela', 'isso', 'também']
+}
+
+// Letters used by only one of the Latin-script languages
+const MARKERS = {
+  es: /[ñ¿¡]/gu,
+  fr: /[œùûëïÿ]/gu,
+  it: /[ìò]/gu,
+  pt: /[ãõ]/gu
+}
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+)
+
+// Fewer function words than this is too little evidence to switch voices on
+const MIN_EVIDENCE = 2
+
+/**
+ * Languages detectLanguage() can return
+ * @type {string[]}
+ */
+const SUPPORTED_LANGUAGES = ['en', 'es', 'fr', 'it', 'pt', 'hi', 'ja', 'zh']
+
+/**
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @returns {number}
+ */
+function count(text, pattern) {
+  return (text.match(pattern) || []).length
+}
+
+/**
+ * Guess the language of a chunk of text
+ * @param {string} text - Text to identify
+ * @returns {LanguageGuess}
+ */
+function detectLanguage(text) {
+  const undetermined = { language: null, confidence: 0 }
+  if (!text) {
+    return undetermined
+  }
+
+  const letters = count(text, LETTER)
+  if (letters === 0) {
+    return undetermined
+  }
+
+  // Japanese mixes kana with Han characters; Chinese uses Han alone
+  const kana = count(text, KANA)
+  const han = count(text, HAN)
+  if (kana > 0 && (kana + han) / letters >= SCRIPT_THRESHOLD) {
+    return { language: 'ja', confidence: (kana + han) / letters }
+  }
+  if (han / letters >= SCRIPT_THRESHOLD) {
+    return { language: 'zh', confidence: han / letters }
+  }
+
+  const devanagari = count(text, DEVANAGARI)
+  if (devanagari / letters >= SCRIPT_THRESHOLD) {
+    return { language: 'hi', confidence: devanagari / letters }
+  }
+
+  const lower = text.toLowerCase()
+  const words = lower.match(/\p{L}+/gu) || []
+  const scores = {}
+  let evidence = 0
+
+  for (const language of Object.keys(STOPWORD_SETS)) {
+    const set = STOPWORD_SETS[language]
+    let score = words.reduce((total, word) => total + (set.has(word) ? 1 : 0), 0)
+    if (MARKERS[language]) {
+      score += count(lower, MARKERS[language])
+    }
+    scores[language] = score
+    evidence += score
+  }
+
+  const [best, bestScore] = Object.entries(scores).reduce((a, b) => (b[1] > a[1] ? b : a))
+  const tied = Object.values(scores).filter(score => score === bestScore).length > 1
+
+  if (bestScore < MIN_EVIDENCE || tied) {
+    return undetermined
+  }
+
+  return { language: best, confidence: bestScore / evidence }
+}
+
+export { detectLanguage, SUPPORTED_LANGUAGES }
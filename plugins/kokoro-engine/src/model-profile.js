@@ -0,0 +1,142 @@
+/**
+ * @module ModelProfile
+ * @description Model precision (dtype) and execution backend (device) selection with fallback
+ */
+
+/**
+ * @typedef {'fp32'|'fp16'|'q8'|'q4'|'q4f16'} ModelDtype
+ * @typedef {'wasm'|'webgpu'|'cpu'} ModelDevice
+ */
+
+/**
+ * @typedef {Object} ModelProfile
+ * @property {ModelDtype} dtype - Weight precision
+ * @property {ModelDevice} device - Execution backend
+ */
+
+/**
+ * @typedef {Object} ResolvedProfile
+ * @property {ModelDtype} dtype - Precision that will be loaded
+ * @property {ModelDevice} device - Backend that will run it
+ * @property {string|null} fallback - Why the requested profile could not be used, or null
+ */
+
+/**
+ * @typedef {Object} BackendCapabilities
+ * @property {boolean} wasm - WebAssembly is available
+ * @property {boolean} webgpu - A WebGPU adapter is available
+ * @property {boolean} shaderF16 - The WebGPU adapter supports fp16 shaders
+ * @property {boolean} cpu - Native onnxruntime is available (Node.js only)
+ */
+
+const MODEL_DTYPES = ['fp32', 'fp16', 'q8', 'q4', 'q4f16']
+const MODEL_DEVICES = ['wasm', 'webgpu', 'cpu']
+
+// Storage adapter key shared by the engine, the background and the options page
+const MODEL_PROFILE_STORAGE_KEY = 'modelProfile'
+
+const DEFAULT_MODEL_PROFILE = Object.freeze({ dtype: 'fp32', device: 'wasm' })
+
+// fp16 weights on WebGPU need shader-f16; these are the closest precisions without it
+const WITHOUT_SHADER_F16 = { fp16: 'fp32', q4f16: 'q4' }
+
+/**
+ * Validate a model profile
+ * @param {Partial<ModelProfile>} profile - Profile to validate; missing fields take the defaults
+ * @returns {ModelProfile}
+ * @throws {Error} When the precision or backend is unknown
+ */
+function validateModelProfile(profile = {}) {
+  const dtype = profile.dtype || DEFAULT_MODEL_PROFILE.dtype
+  const device = profile.device || DEFAULT_MODEL_PROFILE.device
+
+  if (!MODEL_DTYPES.includes(dtype)) {
+    throw new Error(`Invalid model precision "${dtype}". Must be one of: ${MODEL_DTYPES.join(', ')}`)
+  }
+  if (!MODEL_DEVICES.includes(device)) {
+    throw new Error(`Invalid model backend "${device}". Must be one of: ${MODEL_DEVICES.join(', ')}`)
+  }
+
+  return { dtype, device }
+}
+
+/**
+ * Detect the execution backends this context can use
+ * @returns {Promise<BackendCapabilities>}
+ */
+async function detectCapabilities() {
+  const capabilities = {
+    wasm: typeof WebAssembly === 'object',
+    webgpu: false,
+    shaderF16: false,
+    cpu: typeof process === 'object' && Boolean(process.versions?.node) && typeof window === 'undefined'
+  }
+
+  try {
+    const adapter = typeof navigator !== 'undefined' && navigator.gpu
+      ? await navigator.gpu.requestAdapter()
+      : null
+    if (adapter) {
+      capabilities.webgpu = true
+      capabilities.shaderF16 = adapter.features.has('shader-f16')
+    }
+  } catch (error) {
+    console.warn('WebGPU adapter request failed:', error.message)
+  }
+
+  return capabilities
+}
+
+/**
+ * Pick the profile to load: the requested one when its backend is available, otherwise WASM
+ * (and on WebGPU without fp16 shaders, the nearest precision without fp16)
+ * @param {ModelProfile} profile - Requested profile
+ * @param {BackendCapabilities} capabilities - Available backends
+ * @returns {ResolvedProfile}
+ * @throws {Error} When no backend is available
+ */
+function resolveModelProfile(profile, capabilities) {
+  const { dtype, device } = validateModelProfile(profile)
+
+  if (device === 'webgpu' && capabilities.webgpu) {
+    if (!capabilities.shaderF16 && WITHOUT_SHADER_F16[dtype]) {
+      return {
+        dtype: WITHOUT_SHADER_F16[dtype],
+        device,
+        fallback: `WebGPU adapter lacks shader-f16; using ${WITHOUT_SHADER_F16[dtype]} instead of ${dtype}`
+      }
+    }
+    return { dtype, device, fallback: null }
+  }
+  if (device === 'cpu' && capabilities.cpu) {
+    return { dtype, device, fallback: null }
+  }
+  if (device === 'wasm' && capabilities.wasm) {
+    return { dtype, device, fallback: null }
+  }
+
+  if (!capabilities.wasm) {
+    throw new Error(`Model backend "${device}" is unavailable and there is no WebAssembly fallback`)
+  }
+  return { dtype, device: 'wasm', fallback: `${device} backend unavailable; using wasm` }
+}
+
+/**
+ * Short label for a profile, e.g. "q8/wasm"
+ * @param {ModelProfile} profile - Profile
+ * @returns {string}
+ */
+function formatModelProfile(profile) {
+  return `${profile.dtype}/${profile.device}`
+}
+
+export {
+  validateModelProfile,
+  detectCapabilities,
+  resolveModelProfile,
+  formatModelProfile,
+  MODEL_DTYPES,
+  MODEL_DEVICES,
+  DEFAULT_MODEL_PROFILE,
+  MODEL_PROFILE_STORAGE_KEY
+}
@@ -0,0 +1,47 @@
+/**
+ * @module PhonemeMarkup
+ * @description Inline phoneme spans - `[word](/phonemes/)` as in upstream Kokoro - outside the phonemizer
+ */
+
+// Inline phonemes, as in upstream Kokoro: [Kokoro](/kˈOkəɹO/) - phonemize.js passes them to the model as written
+const PHONEME_SPAN = /\[([^\]]*)\]\(\/([^/)]*)\/\)/g
+
+// Private-use characters stand in for spans while text is split, padded to the span's length
+const PLACEHOLDER = /\uE000(\d+)\uE001*/g
+
+/**
+ * Annotate a word with the phonemes the model should speak for it
+ * @param {string} word - Word as written
+ * @param {string} phonemes - IPA phonemes (no brackets or slashes)
+ * @returns {string} Phoneme span
+ */
+function formatPhonemeSpan(word, phonemes) {
+  return `[${word}](/${phonemes}/)`
+}
+
+/**
+ * Replace phoneme spans with the words they annotate - what the listener hears as text
+ * @param {string} text - Text with optional phoneme spans
+ * @returns {string}
+ */
+function stripPhonemeMarkup(text) {
+  return text.replace(PHONEME_SPAN, '$1')
+}
+
+/**
+ * Split text without breaking phoneme spans apart (a "." inside a span is not a sentence end)
+ * @param {string} text - Text with optional phoneme spans
+ * @param {(text: string) => string[]} splitter - Splits plain text into chunks
+ * @returns {string[]}
+ */
+function splitKeepingPhonemes(text, splitter) {
+  const spans = []
+  const masked = text.replace(PHONEME_SPAN, (span) => {
+    const marker = `\uE000${spans.push(span) - 1}`
+    return marker.padEnd(span.length, '\uE001')
+  })
+
+  return splitter(masked).map(chunk => chunk.replace(PLACEHOLDER, (match, index) => spans[index]))
+}
+
+export { PHONEME_SPAN, formatPhonemeSpan, stripPhonemeMarkup, splitKeepingPhonemes }
@@ -1,4 +1,5 @@
 import { phonemize as espeakng } from "./phonemizer.min.js";
+import { PHONEME_SPAN } from "./phoneme-markup.js";
 
 /**
  * Helper function to split a string on a regex, but keep the delimiters.
@@ -91,11 +92,21 @@ function point_num(match) {
 }
 
 /**
- * Normalize text for phonemization
+ * espeak-ng language codes, keyed by the first letter of a voice id.
+ * The bundled espeak-ng build (phonemizer.min.js) only includes English data, so Kokoro's other
+ * languages can't be phonemized and their voices aren't listed in VOICES.
+ */
+export const LANGUAGES = Object.freeze({
+  a: "en-us",
+  b: "en",
+});
+
+/**
+ * Normalize punctuation and whitespace (all languages)
  * @param {string} text The text to normalize
  * @returns {string} The normalized text
  */
-function normalize_text(text) {
+function normalize_punctuation(text) {
   return (
     text
       // 1. Handle quotes and brackets
@@ -119,7 +130,17 @@ function normalize_text(text) {
       .replace(/[^\S \n]/g, " ")
       .replace(/  +/, " ")
       .replace(/(?<=\n) +(?=\n)/g, "")
+  );
+}
 
+/**
+ * Normalize English text
+ * @param {string} text The text to normalize
+ * @returns {string} The normalized text
+ */
+function normalize_english(text) {
+  return (
+    text
       // 4. Abbreviations
       .replace(/\bD[Rr]\.(?= [A-Z])/g, "Doctor")
       .replace(/\b(?:Mr\.|MR\.(?= [A-Z]))/g, "Mister")
@@ -145,12 +166,29 @@ function normalize_text(text) {
       // 7. Handle hyphenated words/letters
       .replace(/(?:[A-Za-z]\.){2,} [a-z]/g, (m) => m.replace(/\./g, "-"))
       .replace(/(?<=[A-Z])\.(?=[A-Z])/gi, "-")
-
-      // 8. Strip leading and trailing whitespace
-      .trim()
   );
 }
 
+/**
+ * Language-specific normalizers, keyed by the first letter of a voice id
+ */
+const NORMALIZERS = {
+  a: normalize_english,
+  b: normalize_english,
+};
+
+/**
+ * Normalize text for phonemization
+ * @param {string} text The text to normalize
+ * @param {string} [language="a"] The language (first letter of the voice id)
+ * @returns {string} The normalized text
+ */
+export function normalize_text(text, language = "a") {
+  const normalizer = NORMALIZERS[language];
+  text = normalize_punctuation(text);
+  return (normalizer ? normalizer(text) : text).trim();
+}
+
 /**
  * Escapes regular expression special characters from a string by replacing them with their escaped counterparts.
  *
@@ -164,32 +202,73 @@ function escapeRegExp(string) {
 const PUNCTUATION = ';:,.!?¡¿—…"«»“”(){}[]';
 const PUNCTUATION_PATTERN = new RegExp(`(\\s*[${escapeRegExp(PUNCTUATION)}]+\\s*)+`, "g");
 
+/**
+ * Convert text to phonemes.
+ * Inline `[word](/phonemes/)` spans are passed to the model as written, bypassing normalization and espeak-ng.
+ * @param {string} text The text to phonemize
+ * @param {string} [language="a"] The language (first letter of the voice id)
+ * @param {boolean} [norm=true] Whether to normalize the text first
+ * @returns {Promise<string>} The phonemes
+ */
 export async function phonemize(text, language = "a", norm = true) {
+  if (!Object.hasOwn(LANGUAGES, language)) {
+    throw new Error(`Unsupported language "${language}". Should be one of: ${Object.keys(LANGUAGES).join(", ")}.`);
+  }
+
+  let result = "";
+  let space = false;
+  for (const { match, text: part } of split(text, PHONEME_SPAN)) {
+    const ps = match ? part.replace(PHONEME_SPAN, "$2").trim() : await phonemize_text(part, language, norm);
+
+    // Keep the word boundaries of the original text between sections
+    space ||= /^\s/.test(part);
+    if (ps) {
+      result += result && space ? ` ${ps}` : ps;
+      space = false;
+    }
+    space ||= /\s$/.test(part);
+  }
+  return result;
+}
+
+/**
+ * Convert text without phoneme markup to phonemes with espeak-ng.
+ * @param {string} text The text to phonemize
+ * @param {string} language The language (first letter of the voice id)
+ * @param {boolean} norm Whether to normalize the text first
+ * @returns {Promise<string>} The phonemes
+ */
+async function phonemize_text(text, language, norm) {
   // 1. Normalize text
   if (norm) {
-    text = normalize_text(text);
+    text = normalize_text(text, language);
   }
 
   // 2. Split into chunks, to ensure we preserve punctuation
   const sections = split(text, PUNCTUATION_PATTERN);
 
   // 3. Convert each section to phonemes
-  const lang = language === "a" ? "en-us" : "en";
+  const lang = LANGUAGES[language];
   const ps = (await Promise.all(sections.map(async ({ match, text }) => (match ? text : (await espeakng(text, lang)).join(" "))))).join("");
 
-  // 4. Post-process phonemes
+  // 4. Post-process phonemes (map symbols outside the model vocabulary)
   let processed = ps
-    // https://en.wiktionary.org/wiki/kokoro#English
-    .replace(/kəkˈoːɹoʊ/g, "kˈoʊkəɹoʊ")
-    .replace(/kəkˈɔːɹəʊ/g, "kˈəʊkəɹəʊ")
     .replace(/ʲ/g, "j")
     .replace(/r/g, "ɹ")
     .replace(/x/g, "k")
-    .replace(/ɬ/g, "l")
-    .replace(/(?<=[a-zɹː])(?=hˈʌndɹɪd)/g, " ")
-    .replace(/ z(?=[;:,.!?¡¿—…"«»“” ]|$)/g, "z");
+    .replace(/ɬ/g, "l");
+
+  // 5. Additional post-processing for English
+  if (language === "a" || language === "b") {
+    processed = processed
+      // https://en.wiktionary.org/wiki/kokoro#English
+      .replace(/kəkˈoːɹoʊ/g, "kˈoʊkəɹoʊ")
+      .replace(/kəkˈɔːɹəʊ/g, "kˈəʊkəɹəʊ")
+      .replace(/(?<=[a-zɹː])(?=hˈʌndɹɪd)/g, " ")
+      .replace(/ z(?=[;:,.!?¡¿—…"«»“” ]|$)/g, "z");
+  }
 
-  // 5. Additional post-processing for American English
+  // 6. Additional post-processing for American English
   if (language === "a") {
     processed = processed.replace(/(?<=nˈaɪn)ti(?!ː)/g, "di");
   }
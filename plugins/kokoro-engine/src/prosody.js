@@ -0,0 +1,238 @@
+/**
+ * @module Prosody
+ * @description Joins synthesized chunks into continuous speech - pauses by boundary type, silence trimming and crossfades
+ */
+
+/**
+ * @typedef {'paragraph'|'heading'|'listItem'|'sentence'|'comma'|'none'} BoundaryType
+ */
+
+/**
+ * @typedef {Object} TextBlock
+ * @property {string} text - Block text
+ * @property {'paragraph'|'heading'|'listItem'} type - What the block is
+ */
+
+const BOUNDARY_TYPES = ['paragraph', 'heading', 'listItem', 'sentence', 'comma', 'none']
+
+// Seconds of silence after a chunk, by what ends it; 'none' is a cut inside a clause
+const DEFAULT_PAUSES = Object.freeze({
+  paragraph: 0.6,
+  heading: 0.75,
+  listItem: 0.4,
+  sentence: 0.3,
+  comma: 0.15,
+  none: 0
+})
+
+// Longest pause accepted - matches the SSML <break> cap
+const MAX_PAUSE = 10
+
+// Overlap between chunks that run into each other, and fade length at pauses
+const DEFAULT_CROSSFADE = 0.01
+
+// Samples below this level (about -50 dBFS) at either end of a waveform count as silence
+const SILENCE_THRESHOLD = 0.003
+
+// Quiet audio kept around trimmed speech so soft onsets and releases survive
+const TRIM_MARGIN = 0.02
+
+const LIST_ITEM = /^(?:[-*•‣◦▪]|\d{1,3}[.)])\s+\S/
+const SENTENCE_END = /[.?!…。！？]["”’)\]]*\s*$/
+const CLAUSE_END = /[,;:—–，、；：]["”’)\]]*\s*$/
+
+// Longest line (in words) taken for a heading
+const HEADING_MAX_WORDS = 12
+
+/**
+ * Validate pause durations; missing boundary types take the defaults
+ * @param {Partial<Record<BoundaryType, number>>} [pauses] - Seconds per boundary type
+ * @returns {Record<BoundaryType, number>}
+ * @throws {Error} For unknown boundary types or durations outside 0-10 seconds
+ */
+function validatePauses(pauses = {}) {
+  const validated = { ...DEFAULT_PAUSES }
+
+  for (const [type, seconds] of Object.entries(pauses)) {
+    if (!BOUNDARY_TYPES.includes(type)) {
+      throw new Error(`Unknown pause boundary "${type}". Must be one of: ${BOUNDARY_TYPES.join(', ')}`)
+    }
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0 || seconds > MAX_PAUSE) {
+      throw new Error(`Pause after ${type} must be between 0 and ${MAX_PAUSE} seconds`)
+    }
+    validated[type] = seconds
+  }
+
+  return validated
+}
+
+/**
+ * What a single line of text is - a short line with no closing punctuation is a heading, unless the
+ * next line carries on in lower case (prose wrapped across lines)
+ * @param {string} line - Trimmed line
+ * @param {string} [next] - Trimmed line after it in the same paragraph
+ * @returns {'paragraph'|'heading'|'listItem'}
+ */
+function classifyLine(line, next) {
+  if (LIST_ITEM.test(line)) {
+    return 'listItem'
+  }
+  const unpunctuated = !SENTENCE_END.test(line) && !CLAUSE_END.test(line)
+  if (unpunctuated && line.split(/\s+/).length <= HEADING_MAX_WORDS && !(next && /^\p{Ll}/u.test(next))) {
+    return 'heading'
+  }
+  return 'paragraph'
+}
+
+/**
+ * Split text into paragraphs, headings and list items - blank lines separate paragraphs, and heading
+ * or list item lines are taken out of the paragraph around them
+ * @param {string} text - Plain text
+ * @returns {TextBlock[]}
+ */
+function splitBlocks(text) {
+  const blocks = []
+
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const lines = paragraph.split('\n').map(line => line.trim()).filter(line => line.length > 0)
+
+    let body = []
+    const flush = () => {
+      if (body.length > 0) {
+        blocks.push({ text: body.join('\n'), type: 'paragraph' })
+        body = []
+      }
+    }
+
+    lines.forEach((line, index) => {
+      const type = classifyLine(line, lines[index + 1])
+      if (type === 'paragraph') {
+        body.push(line)
+      } else {
+        flush()
+        blocks.push({ text: line, type })
+      }
+    })
+    flush()
+  }
+
+  // A heading needs text after it - a short unpunctuated ending is just the end
+  const last = blocks[blocks.length - 1]
+  if (last && last.type === 'heading') {
+    last.type = 'paragraph'
+  }
+
+  return blocks
+}
+
+/**
+ * Boundary at the end of a chunk cut out of a block, from its closing punctuation
+ * @param {string} text - Chunk text
+ * @returns {'sentence'|'comma'|'none'}
+ */
+function classifyBoundary(text) {
+  if (SENTENCE_END.test(text)) {
+    return 'sentence'
+  }
+  if (CLAUSE_END.test(text)) {
+    return 'comma'
+  }
+  return 'none'
+}
+
+/**
+ * Drop near-silence from both ends of a waveform, keeping a short margin
+ * @param {Float32Array} samples - Waveform
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [threshold] - Level below which samples count as silence
+ * @returns {Float32Array} The same array when nothing is trimmed, otherwise a copy
+ */
+function trimSilence(samples, sampleRate, threshold = SILENCE_THRESHOLD) {
+  let start = 0
+  while (start < samples.length && Math.abs(samples[start]) < threshold) {
+    start++
+  }
+  if (start === samples.length) {
+    return new Float32Array(0)
+  }
+
+  let end = samples.length
+  while (end > start && Math.abs(samples[end - 1]) < threshold) {
+    end--
+  }
+
+  const margin = Math.round(TRIM_MARGIN * sampleRate)
+  start = Math.max(0, start - margin)
+  end = Math.min(samples.length, end + margin)
+
+  return start === 0 && end === samples.length ? samples : samples.slice(start, end)
+}
+
+/**
+ * Joins consecutive chunks: chunks that run straight into the next hold back their tail to crossfade
+ * it with the next chunk's start; any other chunk fades out, into its pause if it has one
+ */
+class ChunkJoiner {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.crossfade] - Crossfade and fade length in seconds
+   */
+  constructor(options = {}) {
+    this.crossfade = options.crossfade ?? DEFAULT_CROSSFADE
+    this.tail = null
+  }
+
+  /**
+   * Audio to play for the next chunk
+   * @param {Float32Array} samples - Chunk waveform
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} [options] - Options
+   * @param {number} [options.pause] - Seconds of silence after the chunk
+   * @param {boolean} [options.continues] - Whether the next chunk follows without a pause
+   * @returns {Float32Array}
+   */
+  join(samples, sampleRate, options = {}) {
+    const pauseLength = Math.round((options.pause || 0) * sampleRate)
+    const fadeLength = Math.min(Math.round(this.crossfade * sampleRate), Math.floor(samples.length / 2))
+    const holdTail = options.continues === true && pauseLength === 0 && fadeLength > 0
+    const bodyLength = samples.length - (holdTail ? fadeLength : 0)
+
+    const output = new Float32Array(bodyLength + pauseLength)
+    output.set(samples.subarray(0, bodyLength))
+
+    // Overlap the previous chunk's held tail with this chunk's start; without one, fade in
+    if (this.tail) {
+      const overlap = Math.min(this.tail.length, bodyLength)
+      for (let i = 0; i < overlap; i++) {
+        const gain = (i + 1) / (overlap + 1)
+        output[i] = this.tail[i] * (1 - gain) + output[i] * gain
+      }
+    } else {
+      for (let i = 0; i < fadeLength; i++) {
+        output[i] *= (i + 1) / (fadeLength + 1)
+      }
+    }
+
+    if (holdTail) {
+      this.tail = samples.slice(bodyLength)
+    } else {
+      this.tail = null
+      for (let i = 0; i < fadeLength; i++) {
+        output[bodyLength - 1 - i] *= (i + 1) / (fadeLength + 1)
+      }
+    }
+
+    return output
+  }
+}
+
+export {
+  validatePauses,
+  splitBlocks,
+  classifyBoundary,
+  trimSilence,
+  ChunkJoiner,
+  BOUNDARY_TYPES,
+  DEFAULT_PAUSES,
+  DEFAULT_CROSSFADE
+}
@@ -46,9 +46,10 @@ export function splitLongSentence(sentence, maxLen) {
   const chunks = [];
   let current = '';
 
-  const commaParts = sentence.split(/,\s*/);
+  // Commas stay on the part before them, so chunks still end on a clause
+  const commaParts = sentence.split(/(?<=,)\s+/);
   for (let part of commaParts) {
-    if ((current + ', ' + part).length > maxLen) {
+    if ((current + ' ' + part).length > maxLen) {
       if (current) chunks.push(current.trim());
       if (part.length > maxLen) {
         const words = part.split(/\s+/);
@@ -67,7 +68,7 @@ export function splitLongSentence(sentence, maxLen) {
         current = part;
       }
     } else {
-      current += (current ? ', ' : '') + part;
+      current += (current ? ' ' : '') + part;
     }
   }
   if (current) chunks.push(current.trim());
@@ -0,0 +1,380 @@
+/**
+ * @module SSML
+ * @description Parses a pragmatic SSML subset into a plan of speech and silence segments
+ */
+
+/**
+ * @typedef {Object} SpeechSegment
+ * @property {'speech'} type
+ * @property {string} text - Plain text to synthesize
+ * @property {string} voice - Voice ID
+ * @property {number} speed - Speaking speed
+ * @property {boolean} explicitVoice - Whether a <voice> element chose the voice
+ */
+
+/**
+ * @typedef {Object} BreakSegment
+ * @property {'break'} type
+ * @property {number} duration - Silence in seconds
+ */
+
+// <break strength="..."> durations in seconds
+const BREAK_STRENGTHS = {
+  none: 0,
+  'x-weak': 0.1,
+  weak: 0.25,
+  medium: 0.5,
+  strong: 0.75,
+  'x-strong': 1.2
+}
+
+// <prosody rate="..."> multipliers
+const PROSODY_RATES = {
+  'x-slow': 0.5,
+  slow: 0.75,
+  medium: 1,
+  default: 1,
+  fast: 1.25,
+  'x-fast': 1.5
+}
+
+const MIN_SPEED = 0.5
+const MAX_SPEED = 3
+
+// Pause between paragraphs when the markup doesn't add a break itself
+const PARAGRAPH_BREAK = BREAK_STRENGTHS.medium
+
+// Longest <break> honoured - the SSML spec caps time at 10s
+const MAX_BREAK = 10
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+}
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g
+const ATTRIBUTE_PATTERN = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g
+
+/**
+ * Decode XML character references
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10)
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match
+    }
+    return Object.hasOwn(ENTITIES, entity.toLowerCase()) ? ENTITIES[entity.toLowerCase()] : match
+  })
+}
+
+/**
+ * @param {string} source - Attribute source, e.g. ` time="1s"`
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(source) {
+  const attributes = {}
+  for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] !== undefined ? match[2] : match[3])
+  }
+  return attributes
+}
+
+/**
+ * Parse a <break> duration
+ * @param {Object<string, string>} attributes - Element attributes
+ * @returns {number} Seconds
+ */
+function parseBreak(attributes) {
+  if (attributes.time) {
+    const match = attributes.time.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)$/i)
+    if (!match) {
+      throw new Error(`Invalid SSML break time "${attributes.time}"`)
+    }
+    const seconds = match[2].toLowerCase() === 'ms' ? parseFloat(match[1]) / 1000 : parseFloat(match[1])
+    return Math.min(seconds, MAX_BREAK)
+  }
+
+  const strength = attributes.strength || 'medium'
+  if (!Object.hasOwn(BREAK_STRENGTHS, strength)) {
+    throw new Error(`Invalid SSML break strength "${strength}"`)
+  }
+  return BREAK_STRENGTHS[strength]
+}
+
+/**
+ * Apply a <prosody rate> to the current speed
+ * @param {string} rate - Rate attribute
+ * @param {number} speed - Current speed
+ * @returns {number}
+ */
+function applyRate(rate, speed) {
+  const value = rate.trim().toLowerCase()
+  let result
+
+  if (Object.hasOwn(PROSODY_RATES, value)) {
+    result = speed * PROSODY_RATES[value]
+  } else if (/^[+-]?\d+(\.\d+)?%$/.test(value)) {
+    // "150%" is absolute, "+20%" / "-20%" relative
+    const percent = parseFloat(value)
+    result = /^[+-]/.test(value) ? speed * (1 + percent / 100) : speed * (percent / 100)
+  } else if (/^\d+(\.\d+)?$/.test(value)) {
+    result = speed * parseFloat(value)
+  } else {
+    throw new Error(`Invalid SSML prosody rate "${rate}"`)
+  }
+
+  return Math.min(MAX_SPEED, Math.max(MIN_SPEED, result))
+}
+
+/**
+ * Expand <say-as> content into speakable text
+ * @param {string} text - Element text
+ * @param {Object<string, string>} attributes - Element attributes
+ * @param {string} locale - Locale for dates (from the voice language)
+ * @returns {string}
+ */
+function sayAs(text, attributes, locale) {
+  const value = text.trim()
+
+  switch ((attributes['interpret-as'] || '').toLowerCase()) {
+    case 'characters':
+    case 'spell-out':
+      return [...value.replace(/\s+/g, '')].join(' ')
+    case 'digits':
+    case 'telephone':
+      return value.replace(/\d/g, ' $& ').replace(/\s+/g, ' ').trim()
+    case 'cardinal':
+    case 'number':
+      return value.replace(/(?<=\d)[,\s](?=\d{3}\b)/g, '')
+    case 'ordinal':
+      return toOrdinal(value, locale)
+    case 'date':
+      return formatDate(value, attributes.format, locale)
+    default:
+      return text
+  }
+}
+
+/**
+ * @param {string} value - Number text
+ * @param {string} locale - Locale
+ * @returns {string}
+ */
+function toOrdinal(value, locale) {
+  const number = parseInt(value.replace(/\D/g, ''), 10)
+  if (!Number.isFinite(number) || !locale.startsWith('en')) {
+    return value
+  }
+
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' }
+  return `${number}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(number)]}`
+}
+
+/**
+ * Read a numeric date in the voice's language
+ * @param {string} value - Date text, e.g. "2024-03-05"
+ * @param {string} [format] - Field order: "ymd" (default), "mdy" or "dmy"
+ * @param {string} locale - Locale
+ * @returns {string}
+ */
+function formatDate(value, format = 'ymd', locale) {
+  const parts = value.split(/[-/.\s]+/).map(part => parseInt(part, 10))
+  const order = format.toLowerCase()
+  if (parts.length !== 3 || parts.some(part => !Number.isFinite(part)) || !/^(ymd|mdy|dmy)$/.test(order)) {
+    return value
+  }
+
+  const fields = {}
+  for (let i = 0; i < 3; i++) {
+    fields[order[i]] = parts[i]
+  }
+
+  const date = new Date(Date.UTC(fields.y, fields.m - 1, fields.d))
+  if (date.getUTCMonth() !== fields.m - 1 || date.getUTCDate() !== fields.d) {
+    return value
+  }
+
+  try {
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(date)
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Parse SSML into speech and break segments
+ * Speech is split wherever voice or speed changes and at <s>/<p> boundaries; unknown elements are
+ * ignored but their text is kept
+ * @param {string} ssml - SSML document or fragment
+ * @param {Object} defaults - Defaults for the request
+ * @param {string} defaults.voice - Voice ID
+ * @param {number} defaults.speed - Speaking speed
+ * @param {(voice: string) => string} [defaults.localeForVoice] - Locale for <say-as> dates
+ * @returns {Array<SpeechSegment|BreakSegment>}
+ */
+function parseSSML(ssml, defaults) {
+  if (typeof ssml !== 'string' || !ssml.trim()) {
+    throw new Error('SSML input is empty')
+  }
+
+  const localeForVoice = defaults.localeForVoice || (() => 'en-US')
+  const segments = []
+  const stack = []
+  let context = { voice: defaults.voice, speed: defaults.speed, explicitVoice: false }
+  let text = ''
+
+  // Content of elements that replace their text (<sub>, <say-as>)
+  let capture = null
+
+  const flush = () => {
+    const normalized = text.replace(/\s+/g, ' ').trim()
+    if (normalized) {
+      segments.push({ type: 'speech', text: normalized, ...context })
+    }
+    text = ''
+  }
+
+  const pushBreak = (duration) => {
+    flush()
+    const last = segments[segments.length - 1]
+    if (last && last.type === 'break') {
+      last.duration = Math.max(last.duration, duration)
+    } else if (duration > 0) {
+      segments.push({ type: 'break', duration })
+    }
+  }
+
+  const addText = (value) => {
+    if (capture) {
+      capture.text += value
+    } else {
+      text += value
+    }
+  }
+
+  let lastIndex = 0
+  for (const match of ssml.matchAll(TOKEN_PATTERN)) {
+    addText(decodeEntities(ssml.slice(lastIndex, match.index)))
+    lastIndex = match.index + match[0].length
+
+    if (match[1] !== undefined) {
+      // CDATA is literal text
+      addText(match[1])
+      continue
+    }
+    if (!match[3]) {
+      // Comment or processing instruction
+      continue
+    }
+
+    const closing = match[2] === '/'
+    const selfClosing = match[5] === '/'
+    const name = match[3].toLowerCase().replace(/^.*:/, '')
+    const attributes = parseAttributes(match[4] || '')
+
+    if (closing) {
+      const index = stack.map(entry => entry.name).lastIndexOf(name)
+      if (index === -1) {
+        throw new Error(`Unexpected SSML closing tag </${name}>`)
+      }
+      if (index !== stack.length - 1) {
+        throw new Error(`Mismatched SSML closing tag </${name}>, expected </${stack[stack.length - 1].name}>`)
+      }
+
+      const entry = stack.pop()
+      if (entry.capture) {
+        const replacement = entry.capture.replace(entry.capture.text)
+        capture = entry.previousCapture
+        addText(replacement)
+      }
+      if (entry.context) {
+        flush()
+        context = entry.context
+      }
+      if (name === 's' || name === 'p') {
+        flush()
+      }
+      continue
+    }
+
+    if (name === 'break') {
+      if (capture) {
+        throw new Error('<break> is not allowed inside <sub> or <say-as>')
+      }
+      pushBreak(parseBreak(attributes))
+      continue
+    }
+
+    if (selfClosing) {
+      continue
+    }
+
+    const entry = { name }
+
+    switch (name) {
+      case 'voice':
+        if (!attributes.name) {
+          throw new Error('SSML <voice> requires a name attribute')
+        }
+        flush()
+        entry.context = context
+        context = { ...context, voice: attributes.name, explicitVoice: true }
+        break
+      case 'prosody':
+        if (attributes.rate) {
+          flush()
+          entry.context = context
+          context = { ...context, speed: applyRate(attributes.rate, context.speed) }
+        }
+        break
+      case 'sub':
+        entry.previousCapture = capture
+        entry.capture = capture = { text: '', replace: () => attributes.alias || '' }
+        break
+      case 'say-as': {
+        const locale = localeForVoice(context.voice)
+        entry.previousCapture = capture
+        entry.capture = capture = { text: '', replace: (content) => sayAs(content, attributes, locale) }
+        break
+      }
+      case 'p':
+        // Pause between paragraphs, not before the first one
+        if (text.trim() || segments.length > 0) {
+          pushBreak(PARAGRAPH_BREAK)
+        }
+        break
+      case 's':
+        flush()
+        break
+      default:
+        break
+    }
+
+    stack.push(entry)
+  }
+
+  addText(decodeEntities(ssml.slice(lastIndex)))
+
+  if (stack.length > 0) {
+    throw new Error(`Unclosed SSML tag <${stack[stack.length - 1].name}>`)
+  }
+
+  flush()
+
+  if (!segments.some(segment => segment.type === 'speech')) {
+    throw new Error('SSML input contains no text to speak')
+  }
+
+  return segments
+}
+
+export { parseSSML }
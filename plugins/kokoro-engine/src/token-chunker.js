@@ -0,0 +1,134 @@
+/**
+ * @module TokenChunker
+ * @description Fit text into the model's token window - measured on the phonemes the model receives,
+ * split at sentence, then clause, then word boundaries
+ */
+
+import { splitKeepingPhonemes } from './phoneme-markup.js'
+
+// Longest input (in tokens) Kokoro accepts - kokoro.js MAX_TOKENS
+const MAX_TOKENS = 510
+
+// Zero-width split points, coarsest first; whitespace stays on the piece before it so pieces rejoin exactly
+const BOUNDARIES = [
+  // Sentence ends (Latin ones need following whitespace, so "3.14" stays whole) and line breaks
+  /(?<=[.?!…]["”’)\]]*\s+|[。！？]\s*|\n\s*)(?=\S)/,
+  // Clauses
+  /(?<=[,;:]\s+|[—–，、；：]\s*)(?=\S)/,
+  // Words
+  /(?<=\s)(?=\S)/
+]
+
+// Masked phoneme spans (see phoneme-markup.js) are one unit when a word run is cut
+const UNIT = /\uE000\d+\uE001*|[\s\S]/gu
+
+/**
+ * @typedef {Object} TokenOverflow
+ * @property {string} text - Word run that was longer than the token budget
+ * @property {number} tokens - Its token count
+ * @property {number} maxTokens - Token budget
+ * @property {number} parts - Pieces it was cut into
+ */
+
+/**
+ * Split text into chunks of at most maxTokens phoneme tokens, cutting as few boundaries as possible
+ * A word run (text without whitespace or punctuation) longer than the budget is cut between characters and
+ * reported through onOverflow; phoneme spans are never cut
+ * @param {string} text - Text with optional `[word](/phonemes/)` spans
+ * @param {(text: string) => Promise<number>} countTokens - Token count of text as the model would see it
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxTokens] - Token budget per chunk (default 510)
+ * @param {(overflow: TokenOverflow) => void} [options.onOverflow] - Called when a word run had to be cut
+ * @returns {Promise<string[]>} Trimmed, non-empty chunks
+ * @throws {Error} When a single phoneme span is longer than the budget
+ */
+async function splitByTokens(text, countTokens, options = {}) {
+  const maxTokens = options.maxTokens || MAX_TOKENS
+
+  const fit = async (piece, level, counted = null) => {
+    const tokens = counted === null ? await countTokens(piece) : counted
+    if (tokens <= maxTokens) {
+      return [{ text: piece, tokens }]
+    }
+
+    if (level === BOUNDARIES.length) {
+      return cutWordRun(piece, tokens)
+    }
+
+    const pieces = splitKeepingPhonemes(piece, masked => masked.split(BOUNDARIES[level]))
+    if (pieces.length < 2) {
+      return fit(piece, level + 1, tokens)
+    }
+
+    const fitted = []
+    for (const part of pieces) {
+      fitted.push(...await fit(part, level + 1))
+    }
+    return pack(fitted)
+  }
+
+  // Join neighbouring pieces while the joined text still fits
+  const pack = async (pieces) => {
+    const packed = []
+    let current = null
+    for (const piece of pieces) {
+      // Token counts add up (nearly) across a join - only measure joins that can fit
+      if (current && current.tokens + piece.tokens <= maxTokens) {
+        const joined = current.text + piece.text
+        const tokens = await countTokens(joined)
+        if (tokens <= maxTokens) {
+          current = { text: joined, tokens }
+          continue
+        }
+      }
+      if (current) {
+        packed.push(current)
+      }
+      current = piece
+    }
+    if (current) {
+      packed.push(current)
+    }
+    return packed
+  }
+
+  // Longest prefixes that fit, found by binary search over characters (phoneme spans kept whole)
+  const cutWordRun = async (run, runTokens) => {
+    const units = splitKeepingPhonemes(run, masked => masked.match(UNIT))
+    const parts = []
+
+    let start = 0
+    while (start < units.length) {
+      let low = start + 1
+      let high = units.length
+      let best = null
+      while (low <= high) {
+        const end = Math.floor((low + high) / 2)
+        const candidate = units.slice(start, end).join('')
+        const tokens = await countTokens(candidate)
+        if (tokens <= maxTokens) {
+          best = { text: candidate, tokens, end }
+          low = end + 1
+        } else {
+          high = end - 1
+        }
+      }
+
+      if (!best) {
+        throw new Error(`Phoneme span "${units[start]}" is longer than the model's ${maxTokens}-token limit`)
+      }
+      parts.push({ text: best.text, tokens: best.tokens })
+      start = best.end
+    }
+
+    if (options.onOverflow) {
+      options.onOverflow({ text: run.trim(), tokens: runTokens, maxTokens, parts: parts.length })
+    }
+    return parts
+  }
+
+  const chunks = await fit(text, 0)
+  return chunks.map(chunk => chunk.text.trim()).filter(chunk => chunk.length > 0)
+}
+
+export { splitByTokens, MAX_TOKENS }
@@ -0,0 +1,118 @@
+/**
+ * @module VoicePacks
+ * @description Downloaded voice packs - pre-download, list and delete voices kept for offline use
+ */
+
+import { VOICES, fetchVoiceFile, forgetVoiceData } from './voices.js'
+
+/**
+ * @typedef {Object} VoicePack
+ * @property {string} id - Voice ID
+ * @property {string} name - Display name
+ * @property {string} language - Language code
+ * @property {string} gender - Voice gender
+ * @property {boolean} downloaded - Stored for offline use
+ * @property {number} size - Size in bytes (expected size when not downloaded)
+ * @property {number|null} downloadDate - When the pack was stored
+ */
+
+/**
+ * @typedef {Object} VoicePackStore
+ * @property {(voiceId: string, buffer: ArrayBuffer) => Promise<void>} storeVoice
+ * @property {(voiceId: string) => Promise<ArrayBuffer|null>} loadVoice
+ * @property {() => Promise<Array<{voiceId: string, size: number, downloadDate: number}>>} listVoices
+ * @property {(voiceId: string) => Promise<void>} deleteVoice
+ */
+
+// Every Kokoro voice file holds 510 style vectors of 256 float32 values
+const VOICE_PACK_BYTES = 510 * 256 * 4
+
+class VoicePackManager {
+  /**
+   * @param {VoicePackStore} store - Voice pack store (IndexedDBWrapper)
+   */
+  constructor(store) {
+    if (!store) {
+      throw new Error('A voice pack store is required')
+    }
+    this.store = store
+  }
+
+  /**
+   * Every voice, with whether it is downloaded and its size
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.downloaded] - Only downloaded (true) or not downloaded (false) voices
+   * @returns {Promise<VoicePack[]>}
+   */
+  async list(options = {}) {
+    const stored = new Map((await this.store.listVoices()).map(voice => [voice.voiceId, voice]))
+
+    const packs = Object.entries(VOICES).map(([id, voice]) => {
+      const pack = stored.get(id)
+      return {
+        id,
+        name: voice.name,
+        language: voice.language,
+        gender: voice.gender,
+        downloaded: Boolean(pack),
+        size: pack ? pack.size : VOICE_PACK_BYTES,
+        downloadDate: pack ? pack.downloadDate : null
+      }
+    })
+
+    if (typeof options.downloaded === 'boolean') {
+      return packs.filter(pack => pack.downloaded === options.downloaded)
+    }
+    return packs
+  }
+
+  /**
+   * Download voices into the store, one at a time; already downloaded voices are skipped
+   * @param {string[]} voiceIds - Voices to download
+   * @param {(progress: {voiceId: string, completed: number, total: number}) => void} [onProgress] - Called after each voice
+   * @returns {Promise<string[]>} Voices that were downloaded
+   * @throws {Error} When a voice is unknown or a download fails - voices already stored are kept
+   */
+  async download(voiceIds, onProgress) {
+    for (const voiceId of voiceIds) {
+      if (!Object.hasOwn(VOICES, voiceId)) {
+        throw new Error(`Voice "${voiceId}" not found`)
+      }
+    }
+
+    const stored = new Set((await this.store.listVoices()).map(voice => voice.voiceId))
+    const pending = [...new Set(voiceIds)].filter(voiceId => !stored.has(voiceId))
+
+    for (const [index, voiceId] of pending.entries()) {
+      const { buffer } = await fetchVoiceFile(voiceId)
+      await this.store.storeVoice(voiceId, buffer)
+
+      if (onProgress) {
+        onProgress({ voiceId, completed: index + 1, total: pending.length })
+      }
+    }
+
+    return pending
+  }
+
+  /**
+   * Delete a downloaded voice; it is downloaded again the next time it is used
+   * @param {string} voiceId - Voice ID
+   * @returns {Promise<void>}
+   */
+  async delete(voiceId) {
+    await this.store.deleteVoice(voiceId)
+    forgetVoiceData(voiceId)
+  }
+
+  /**
+   * Total size of the downloaded voices
+   * @returns {Promise<number>} Bytes
+   */
+  async getStorageSize() {
+    const stored = await this.store.listVoices()
+    return stored.reduce((total, voice) => total + voice.size, 0)
+  }
+}
+
+export { VoicePackManager, VOICE_PACK_BYTES }
@@ -205,7 +205,43 @@ export const VOICES = Object.freeze({
   },
 });
 
-const VOICE_DATA_URL = "https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ONNX/resolve/main/voices";
+export const VOICE_DATA_URL = "https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ONNX/resolve/main/voices";
+
+/**
+ * Persistent voice pack store, read before the network (e.g. IndexedDB for offline use).
+ * @typedef {Object} VoiceStore
+ * @property {(id: string) => Promise<ArrayBuffer|null>} loadVoice Stored voice file, or null
+ * @property {(id: string, buffer: ArrayBuffer) => Promise<void>} storeVoice Store a voice file
+ */
+
+/** @type {VoiceStore|null} */
+let voice_store = null;
+
+/**
+ * Set the store voice files are read from first and saved to after downloading.
+ * Without one, the Cache API is used.
+ * @param {VoiceStore|null} store The voice store, or null to use the Cache API
+ */
+export function setVoiceStore(store) {
+  voice_store = store;
+}
+
+/**
+ * Download a voice file.
+ * @param {keyof typeof VOICES} id
+ * @returns {Promise<{buffer: ArrayBuffer, headers: Headers}>}
+ */
+export async function fetchVoiceFile(id) {
+  if (!Object.hasOwn(VOICES, id)) {
+    throw new Error(`Voice "${id}" not found. Should be one of: ${Object.keys(VOICES).join(", ")}.`);
+  }
+
+  const response = await fetch(`${VOICE_DATA_URL}/${id}.bin`);
+  if (!response.ok) {
+    throw new Error(`Failed to download voice "${id}": HTTP ${response.status}`);
+  }
+  return { buffer: await response.arrayBuffer(), headers: response.headers };
+}
 
 /**
  *
@@ -213,6 +249,25 @@ const VOICE_DATA_URL = "https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ON
  * @returns {Promise<ArrayBufferLike>}
  */
 async function getVoiceFile(id) {
+  if (voice_store) {
+    try {
+      const stored = await voice_store.loadVoice(id);
+      if (stored) {
+        return stored;
+      }
+    } catch (e) {
+      console.warn("Unable to read voice store", e);
+    }
+
+    const { buffer } = await fetchVoiceFile(id);
+    try {
+      await voice_store.storeVoice(id, buffer);
+    } catch (e) {
+      console.warn("Unable to store voice", e);
+    }
+    return buffer;
+  }
+
   const url = `${VOICE_DATA_URL}/${id}.bin`;
 
   let cache;
@@ -227,8 +282,7 @@ async function getVoiceFile(id) {
   }
 
   // No cache, or cache failed to open. Fetch the file.
-  const response = await fetch(url);
-  const buffer = await response.arrayBuffer();
+  const { buffer, headers } = await fetchVoiceFile(id);
 
   if (cache) {
     try {
@@ -236,7 +290,7 @@ async function getVoiceFile(id) {
       await cache.put(
         url,
         new Response(buffer, {
-          headers: response.headers,
+          headers,
         }),
       );
     } catch (e) {
@@ -247,13 +301,114 @@ async function getVoiceFile(id) {
   return buffer;
 }
 
+/**
+ * Parse a voice mix, a weighted blend of voices such as "af_bella:0.6+af_heart:0.4".
+ * Weights default to 1 and are normalized to sum to 1.
+ * @param {string} voice The voice id or mix
+ * @returns {{voice: keyof typeof VOICES, weight: number}[]|null} The mix components, or null if `voice` is not a mix
+ */
+export function parseVoiceMix(voice) {
+  if (typeof voice !== "string" || !/[:+]/.test(voice)) {
+    return null;
+  }
+
+  const components = voice.split("+").map((part) => {
+    const [id, weight, ...rest] = part.split(":").map((value) => value.trim());
+    if (!Object.hasOwn(VOICES, id)) {
+      throw new Error(`Voice "${id}" not found in mix "${voice}". Should be one of: ${Object.keys(VOICES).join(", ")}.`);
+    }
+    const value = weight === undefined ? 1 : Number(weight);
+    if (rest.length > 0 || weight === "" || !Number.isFinite(value) || value <= 0) {
+      throw new Error(`Invalid weight for voice "${id}" in mix "${voice}". Weights must be positive numbers.`);
+    }
+    return { voice: id, weight: value };
+  });
+
+  const ids = components.map(({ voice }) => voice);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error(`Voice mix "${voice}" lists a voice more than once.`);
+  }
+
+  const total = components.reduce((sum, { weight }) => sum + weight, 0);
+  return components.map(({ voice, weight }) => ({ voice, weight: weight / total }));
+}
+
+/**
+ * Format mix components as a canonical mix string, e.g. "af_bella:0.6+af_heart:0.4".
+ * @param {{voice: string, weight: number}[]} components The mix components
+ * @returns {string} The mix
+ */
+export function formatVoiceMix(components) {
+  return components.map(({ voice, weight }) => `${voice}:${Number(weight.toFixed(3))}`).join("+");
+}
+
+// Blended style vectors are kept for the most recently used mixes only
+const MAX_CACHED_MIXES = 8;
+
 const VOICE_CACHE = new Map();
+const MIX_CACHE = new Map();
+
+/**
+ * Load the style vectors of a voice, or blend them for a voice mix.
+ * @param {string} voice The voice id or mix (see `parseVoiceMix`)
+ * @returns {Promise<Float32Array>} The style vectors
+ */
 export async function getVoiceData(voice) {
   if (VOICE_CACHE.has(voice)) {
     return VOICE_CACHE.get(voice);
   }
 
+  const mix = parseVoiceMix(voice);
+  if (mix) {
+    return await getMixData(mix);
+  }
+
   const buffer = new Float32Array(await getVoiceFile(voice));
   VOICE_CACHE.set(voice, buffer);
   return buffer;
 }
+
+/**
+ * Weighted average of the style vectors of the voices in a mix.
+ * @param {{voice: keyof typeof VOICES, weight: number}[]} mix The normalized mix components
+ * @returns {Promise<Float32Array>} The blended style vectors
+ */
+async function getMixData(mix) {
+  const key = formatVoiceMix(mix);
+  if (MIX_CACHE.has(key)) {
+    const cached = MIX_CACHE.get(key);
+    // Move to the back of the eviction order
+    MIX_CACHE.delete(key);
+    MIX_CACHE.set(key, cached);
+    return cached;
+  }
+
+  const styles = await Promise.all(mix.map(({ voice }) => getVoiceData(voice)));
+  const length = Math.min(...styles.map((style) => style.length));
+  const buffer = new Float32Array(length);
+  styles.forEach((style, i) => {
+    const { weight } = mix[i];
+    for (let j = 0; j < length; ++j) {
+      buffer[j] += style[j] * weight;
+    }
+  });
+
+  MIX_CACHE.set(key, buffer);
+  if (MIX_CACHE.size > MAX_CACHED_MIXES) {
+    MIX_CACHE.delete(MIX_CACHE.keys().next().value);
+  }
+  return buffer;
+}
+
+/**
+ * Drop a voice from memory, along with the mixes it is part of, so it is read from storage again.
+ * @param {string} id The voice id
+ */
+export function forgetVoiceData(id) {
+  VOICE_CACHE.delete(id);
+  for (const key of MIX_CACHE.keys()) {
+    if (parseVoiceMix(key).some(({ voice }) => voice === id)) {
+      MIX_CACHE.delete(key);
+    }
+  }
+}
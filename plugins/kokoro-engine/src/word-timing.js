@@ -0,0 +1,76 @@
+/**
+ * @module WordTiming
+ * @description Estimates per-word timings for synthesized audio (Kokoro does not return alignments)
+ */
+
+/**
+ * @typedef {Object} WordTiming
+ * @property {string} text - Word as it appears in the source text
+ * @property {number} start - Start time in seconds, relative to the audio start
+ * @property {number} end - End time in seconds, relative to the audio start
+ * @property {number} charStart - Offset of the word in the source text
+ * @property {number} charEnd - End offset (exclusive) of the word in the source text
+ * @property {number} sentenceIndex - Sentence the word belongs to
+ */
+
+// Relative weight of the pause after punctuation, in "characters" of speech
+const PAUSE_WEIGHTS = {
+  clause: 2,
+  sentence: 4
+}
+
+const SENTENCE_END = /[.!?…。！？।]["'”’)\]」』]*$/
+const CLAUSE_END = /[,;:—、，；：]["'”’)\]」』]*$/
+const SPOKEN_CHARS = /[\p{L}\p{N}]/gu
+
+/**
+ * Spread the audio duration over the words of the text
+ * Each word is weighted by its spoken characters; punctuation adds a pause after the word
+ * @param {string} text - Synthesized text
+ * @param {number} duration - Audio duration in seconds
+ * @returns {WordTiming[]}
+ */
+function estimateWordTimings(text, duration) {
+  if (!text || !(duration > 0)) {
+    return []
+  }
+
+  const words = []
+  let sentenceIndex = 0
+  let totalWeight = 0
+
+  for (const match of text.matchAll(/\S+/g)) {
+    const word = match[0]
+    const spoken = (word.match(SPOKEN_CHARS) || []).length
+    const pause = SENTENCE_END.test(word)
+      ? PAUSE_WEIGHTS.sentence
+      : CLAUSE_END.test(word) ? PAUSE_WEIGHTS.clause : 0
+
+    words.push({
+      text: word,
+      charStart: match.index,
+      charEnd: match.index + word.length,
+      sentenceIndex,
+      weight: Math.max(spoken, 1),
+      pause
+    })
+    totalWeight += Math.max(spoken, 1) + pause
+
+    if (pause === PAUSE_WEIGHTS.sentence) {
+      sentenceIndex++
+    }
+  }
+
+  const secondsPerWeight = duration / totalWeight
+  let elapsed = 0
+
+  return words.map(({ weight, pause, ...word }) => {
+    const start = elapsed * secondsPerWeight
+    elapsed += weight
+    const end = elapsed * secondsPerWeight
+    elapsed += pause
+    return { ...word, start, end }
+  })
+}
+
+export { estimateWordTimings }
@@ -20,6 +20,14 @@ jest.mock('../../src/kokoro.js', () => {
     }
   })
 
+  // One token per character - close enough to phonemes for chunking
+  const mockPhonemizeText = jest.fn().mockImplementation(async (text) => ({
+    phonemes: text,
+    tokens: text.length,
+    maxTokens: 510,
+    overLimit: text.length > 510
+  }))
+
   const mockFromPretrained = jest.fn().mockImplementation(async (modelId, options) => {
     // Simulate progress callback (actual code wraps value in { progress })
     if (options && options.progress_callback) {
@@ -29,7 +37,8 @@ jest.mock('../../src/kokoro.js', () => {
 
     // Return mock TTS engine with realistic timing
     return {
-      generate: mockGenerate
+      generate: mockGenerate,
+      phonemizeText: mockPhonemizeText
     }
   })
 
@@ -40,7 +49,14 @@ jest.mock('../../src/kokoro.js', () => {
   }
 })
 
+// espeak-ng itself is only needed by the mocked kokoro.js; engine.js reads the language table
+jest.mock('../../src/phonemizer.min.js', () => ({
+  phonemize: jest.fn(async (text) => [text])
+}))
+
 jest.mock('../../src/voices.js', () => ({
+  // Real mix parsing - the mocked voices are real voice IDs
+  ...jest.requireActual('../../src/voices.js'),
   VOICES: {
     af_bella: { name: 'Bella', language: 'en-us', gender: 'Female', traits: '🔥' },
     af_sarah: { name: 'Sarah', language: 'en-us', gender: 'Female' },
@@ -159,7 +175,13 @@ describe('KokoroEngine Plugin - Integration Tests', () => {
     test('Plugin registers with event bus on init', async () => {
       await plugin.init(mockEventBus, mockPAL)
 
-      expect(mockEventBus.subscribe).toHaveBeenCalledTimes(3)
+      expect(mockEventBus.subscribe).toHaveBeenCalledTimes(13)
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('tts:synthesizeStream', expect.any(Function))
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('tts:cancelStream', expect.any(Function))
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('tts:phonemize', expect.any(Function))
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('tts:saveCustomVoice', expect.any(Function))
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('tts:downloadVoicePacks', expect.any(Function))
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('tts:setModelProfile', expect.any(Function))
       expect(plugin.eventBus).not.toBeNull()
     })
 
@@ -17,6 +17,14 @@ jest.mock('../src/kokoro.js', () => {
     sampling_rate: 24000
   })
 
+  // One token per character - close enough to phonemes for chunking
+  const mockPhonemizeText = jest.fn().mockImplementation(async (text) => ({
+    phonemes: text,
+    tokens: text.length,
+    maxTokens: 510,
+    overLimit: text.length > 510
+  }))
+
   const mockFromPretrained = jest.fn().mockImplementation(async (modelId, options) => {
     // Simulate progress callback (actual code wraps value in { progress })
     if (options && options.progress_callback) {
@@ -26,28 +34,45 @@ jest.mock('../src/kokoro.js', () => {
 
     // Return mock TTS engine
     return {
-      generate: mockGenerate
+      generate: mockGenerate,
+      phonemizeText: mockPhonemizeText
     }
   })
 
   return {
     KokoroTTS: {
       from_pretrained: mockFromPretrained
-    }
+    },
+    setModelStore: jest.fn()
   }
 })
 
+// espeak-ng itself is only needed by the mocked kokoro.js; engine.js reads the language table
+jest.mock('../src/phonemizer.min.js', () => ({
+  phonemize: jest.fn(async (text) => [text])
+}))
+
 jest.mock('../src/voices.js', () => ({
+  // Real mix parsing - the mocked voices are real voice IDs
+  ...jest.requireActual('../src/voices.js'),
   VOICES: {
     af_bella: { name: 'Bella', language: 'en-us', gender: 'Female', traits: '🔥' },
     af_sarah: { name: 'Sarah', language: 'en-us', gender: 'Female' },
-    am_adam: { name: 'Adam', language: 'en-us', gender: 'Male' }
+    am_adam: { name: 'Adam', language: 'en-us', gender: 'Male' },
+    bf_emma: { name: 'Emma', language: 'en-gb', gender: 'Female' },
+    // Kokoro voices in languages the bundled phonemizer has no data for
+    ff_siwis: { name: 'Siwis', language: 'fr-fr', gender: 'Female' },
+    zf_xiaoxiao: { name: 'Xiaoxiao', language: 'zh', gender: 'Female' }
   }
 }))
 
 // Import the ACTUAL plugin implementation
 import KokoroEnginePlugin from '../src/engine.js'
-import { KokoroTTS } from '../src/kokoro.js'
+import { KokoroTTS, setModelStore } from '../src/kokoro.js'
+import { estimateWordTimings } from '../src/word-timing.js'
+import { detectLanguage } from '../src/language-detect.js'
+import { getVoiceData, parseVoiceMix } from '../src/voices.js'
+import { resolveModelProfile } from '../src/model-profile.js'
 
 describe('KokoroEngine Plugin - Unit Tests', () => {
   let plugin
@@ -318,6 +343,21 @@ describe('KokoroEngine Plugin - Unit Tests', () => {
       expect(typeof firstVoice.language).toBe('string')
       expect(typeof firstVoice.gender).toBe('string')
     })
+
+    test('listVoices() filters by exact language code', () => {
+      const voices = plugin.listVoices({ language: 'fr-fr' })
+      expect(voices.map(v => v.id)).toEqual(['ff_siwis'])
+    })
+
+    test('listVoices() matches regional variants of a base language', () => {
+      const ids = plugin.listVoices({ language: 'EN' }).map(v => v.id)
+      expect(ids).toEqual(['af_bella', 'af_sarah', 'am_adam', 'bf_emma'])
+      expect(plugin.listVoices({ language: 'e' })).toEqual([])
+    })
+
+    test('listLanguages() returns each voice language once', () => {
+      expect(plugin.listLanguages()).toEqual(['en-us', 'en-gb', 'fr-fr', 'zh'])
+    })
   })
 
   // ============================================================
@@ -556,6 +596,13 @@ describe('KokoroEngine Plugin - Unit Tests', () => {
       expect(result.data.length).toBeGreaterThan(0)
     })
 
+    test('_handleGetVoicesEvent filters voices by requested language', async () => {
+      const result = await getVoicesHandler({ data: { language: 'zh' } })
+
+      expect(result.success).toBe(true)
+      expect(result.data.map(v => v.id)).toEqual(['zf_xiaoxiao'])
+    })
+
     test('_handleSetVoiceEvent updates current voice', async () => {
       const event = { data: { voiceId: 'am_adam' } }
 
@@ -620,4 +667,848 @@ describe('KokoroEngine Plugin - Unit Tests', () => {
       expect(result.metadata.textLength).toBe(12)
     })
   })
-})
\ No newline at end of file
+  // ============================================================
+  // Streaming synthesis
+  // ============================================================
+  describe('Streaming synthesis', () => {
+    const longText = 'First sentence is here. Second sentence follows it. Third one ends the text.'
+
+    beforeEach(async () => {
+      await plugin.init(mockEventBus, mockPAL)
+    })
+
+    test('synthesizeStream() yields one AudioResult per chunk', async () => {
+      const chunks = []
+      for await (const chunk of plugin.synthesizeStream({ text: longText, maxChunkLength: 30 })) {
+        chunks.push(chunk)
+      }
+
+      expect(chunks).toHaveLength(3)
+      expect(chunks[0].chunkIndex).toBe(0)
+      expect(chunks[0].totalChunks).toBe(3)
+      expect(chunks[0].isLast).toBe(false)
+      expect(chunks[2].isLast).toBe(true)
+      expect(chunks[0].buffer).toBeInstanceOf(Float32Array)
+      expect(chunks[0].text).toBe('First sentence is here.')
+    })
+
+    test('synthesizeStream() emits tts:chunk for each chunk', async () => {
+      for await (const chunk of plugin.synthesizeStream({ text: longText, maxChunkLength: 30, streamId: 's1' })) {
+        expect(chunk.streamId).toBe('s1')
+      }
+
+      const chunkEvents = mockEventBus.emit.mock.calls.filter(call => call[0] === 'tts:chunk')
+      expect(chunkEvents).toHaveLength(3)
+      expect(chunkEvents[0][1]).toMatchObject({
+        streamId: 's1',
+        chunkIndex: 0,
+        sampleRate: 24000,
+        isLast: false
+      })
+      expect(chunkEvents[0][1].data).toBeInstanceOf(Float32Array)
+      expect(mockEventBus.emit).toHaveBeenCalledWith('tts:streamCompleted', expect.objectContaining({
+        streamId: 's1',
+        chunks: 3
+      }))
+    })
+
+    test('synthesizeStream() rejects empty text', async () => {
+      const stream = plugin.synthesizeStream({ text: '' })
+      await expect(stream.next()).rejects.toThrow('Text is required')
+    })
+
+    test('cancelStream() stops a running stream', async () => {
+      const chunks = []
+      for await (const chunk of plugin.synthesizeStream({ text: longText, maxChunkLength: 30, streamId: 's2' })) {
+        chunks.push(chunk)
+        plugin.cancelStream('s2')
+      }
+
+      expect(chunks).toHaveLength(1)
+      expect(mockEventBus.emit).toHaveBeenCalledWith('tts:streamCancelled', expect.objectContaining({
+        streamId: 's2',
+        chunks: 1
+      }))
+      expect(plugin.activeStreams.size).toBe(0)
+    })
+
+    test('cancelStream() returns false for unknown stream', () => {
+      expect(plugin.cancelStream('missing')).toBe(false)
+    })
+
+    test('process() handles tts:synthesizeStream events', async () => {
+      const event = {
+        type: 'tts:synthesizeStream',
+        data: { text: longText, maxChunkLength: 30 },
+        metadata: {}
+      }
+
+      const result = await plugin.process(event, {})
+
+      expect(result.completed).toBe(true)
+      expect(result.result.chunks).toHaveLength(3)
+    })
+
+    test('render() concatenates every chunk into one buffer without emitting chunks', async () => {
+      const result = await plugin.render({ text: longText, maxChunkLength: 30 })
+
+      // Three 5-sample chunks with a sentence pause after the first two
+      const length = 15 + 2 * 0.3 * 24000
+      expect(result.buffer).toBeInstanceOf(Float32Array)
+      expect(result.buffer).toHaveLength(length)
+      expect(result.sampleRate).toBe(24000)
+      expect(result.duration).toBeCloseTo(length / 24000)
+      expect(result.metadata.chunks).toBe(3)
+
+      const chunkEvents = mockEventBus.emit.mock.calls.filter(call => call[0] === 'tts:chunk')
+      expect(chunkEvents).toHaveLength(0)
+    })
+
+    test('render() requires text', async () => {
+      await expect(plugin.render({ text: '' })).rejects.toThrow('Text is required for synthesis')
+    })
+  })
+
+  // ============================================================
+  // Synthesized audio cache
+  // ============================================================
+  describe('Audio cache', () => {
+    let cacheStore
+
+    beforeEach(async () => {
+      cacheStore = new Map()
+      mockPAL.audioCache = {
+        loadAudioCache: jest.fn(async (key) => cacheStore.get(key) || null),
+        storeAudioCache: jest.fn(async (key, audio) => { cacheStore.set(key, audio) })
+      }
+      await plugin.init(mockEventBus, mockPAL)
+    })
+
+    test('stores synthesized audio on a cache miss', async () => {
+      const result = await plugin.synthesize({ text: 'Cache me', voice: 'af_bella', speed: 1.0 })
+
+      expect(result.cached).toBe(false)
+      expect(mockPAL.audioCache.storeAudioCache).toHaveBeenCalledWith(
+        expect.any(String),
+        { data: expect.any(Float32Array), sampleRate: 24000 },
+        { voice: 'af_bella', speed: 1.0, textLength: 8 }
+      )
+      expect(plugin.cacheMisses).toBe(1)
+    })
+
+    test('serves repeated requests from the cache without inference', async () => {
+      await plugin.synthesize({ text: 'Cache me' })
+      const mockEngine = await KokoroTTS.from_pretrained.mock.results[0].value
+      mockEngine.generate.mockClear()
+
+      const result = await plugin.synthesize({ text: 'Cache me' })
+
+      expect(result.cached).toBe(true)
+      expect(result.buffer).toBeInstanceOf(Float32Array)
+      expect(result.sampleRate).toBe(24000)
+      expect(mockEngine.generate).not.toHaveBeenCalled()
+      expect(plugin.cacheHits).toBe(1)
+    })
+
+    test('keys the cache by text, voice and speed', async () => {
+      await plugin.synthesize({ text: 'Same text', voice: 'af_bella', speed: 1.0 })
+      await plugin.synthesize({ text: 'Same text', voice: 'am_adam', speed: 1.0 })
+      await plugin.synthesize({ text: 'Same text', voice: 'af_bella', speed: 1.5 })
+
+      expect(cacheStore.size).toBe(3)
+      expect(plugin.cacheHits).toBe(0)
+    })
+
+    test('keys the cache by model profile', async () => {
+      await plugin.synthesize({ text: 'Same text' })
+      await plugin.setModelProfile({ dtype: 'q8' })
+      const result = await plugin.synthesize({ text: 'Same text' })
+
+      expect(result.cached).toBe(false)
+      expect(cacheStore.size).toBe(2)
+    })
+
+    test('does not load the model for cached audio', async () => {
+      await plugin.synthesize({ text: 'Cache me' })
+      plugin.unloadModel()
+      KokoroTTS.from_pretrained.mockClear()
+
+      await plugin.synthesize({ text: 'Cache me' })
+
+      expect(KokoroTTS.from_pretrained).not.toHaveBeenCalled()
+    })
+
+    test('falls back to synthesis when the cache fails', async () => {
+      mockPAL.audioCache.loadAudioCache.mockRejectedValue(new Error('DB closed'))
+      mockPAL.audioCache.storeAudioCache.mockRejectedValue(new Error('Quota exceeded'))
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      const result = await plugin.synthesize({ text: 'Still works' })
+
+      expect(result.cached).toBe(false)
+      expect(result.buffer).toBeInstanceOf(Float32Array)
+      warnSpy.mockRestore()
+    })
+
+    test('can be disabled with audioCache: false', async () => {
+      const uncached = new KokoroEnginePlugin({ audioCache: false })
+      await uncached.init(mockEventBus, mockPAL)
+
+      await uncached.synthesize({ text: 'No cache' })
+
+      expect(mockPAL.audioCache.loadAudioCache).not.toHaveBeenCalled()
+      expect(mockPAL.audioCache.storeAudioCache).not.toHaveBeenCalled()
+    })
+
+    test('process() marks the event response as cached', async () => {
+      await plugin.synthesize({ text: 'Cache me' })
+
+      const event = {
+        type: 'tts:synthesize',
+        data: { text: 'Cache me' },
+        response: { cached: false }
+      }
+      const result = await plugin.process(event, {})
+
+      expect(result.response.cached).toBe(true)
+    })
+  })
+
+  // ============================================================
+  // Word timings for playback highlighting
+  // ============================================================
+  describe('Word timing', () => {
+    test('estimateWordTimings() covers every word in order with source offsets', () => {
+      const text = 'Hello world. Next sentence, here.'
+      const words = estimateWordTimings(text, 2)
+
+      expect(words.map(word => word.text)).toEqual(['Hello', 'world.', 'Next', 'sentence,', 'here.'])
+      words.forEach(word => {
+        expect(text.slice(word.charStart, word.charEnd)).toBe(word.text)
+        expect(word.end).toBeGreaterThan(word.start)
+      })
+      for (let i = 1; i < words.length; i++) {
+        expect(words[i].start).toBeGreaterThanOrEqual(words[i - 1].end)
+      }
+      expect(words[words.length - 1].end).toBeLessThanOrEqual(2)
+    })
+
+    test('estimateWordTimings() weights longer words and tracks sentences', () => {
+      const words = estimateWordTimings('I extraordinarily agree. Yes', 1)
+
+      expect(words[1].end - words[1].start).toBeGreaterThan(words[0].end - words[0].start)
+      expect(words.map(word => word.sentenceIndex)).toEqual([0, 0, 0, 1])
+    })
+
+    test('estimateWordTimings() returns nothing without text or duration', () => {
+      expect(estimateWordTimings('', 1)).toEqual([])
+      expect(estimateWordTimings('Hello', 0)).toEqual([])
+    })
+
+    test('synthesizeStream() emits tts:timing with stream offsets', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+
+      const text = 'First sentence is here. Second sentence follows it. Third one ends the text.'
+      for await (const chunk of plugin.synthesizeStream({ text, maxChunkLength: 30, streamId: 's1' })) {
+        expect(chunk.words.length).toBeGreaterThan(0)
+      }
+
+      const timingEvents = mockEventBus.emit.mock.calls
+        .filter(call => call[0] === 'tts:timing')
+        .map(call => call[1])
+
+      expect(timingEvents).toHaveLength(3)
+      expect(timingEvents[0]).toMatchObject({ streamId: 's1', chunkIndex: 0, startTime: 0, text: 'First sentence is here.' })
+      expect(timingEvents[1].startTime).toBeCloseTo(timingEvents[0].duration)
+      expect(timingEvents[2].startTime).toBeCloseTo(timingEvents[0].duration * 2)
+      expect(timingEvents[0].words.map(word => word.text)).toEqual(['First', 'sentence', 'is', 'here.'])
+    })
+
+    test('process() emits tts:timing for whole-text synthesis', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+
+      await plugin.process({ id: 'req-1', type: 'tts:synthesize', data: { text: 'Hello there' } })
+
+      expect(mockEventBus.emit).toHaveBeenCalledWith('tts:timing', expect.objectContaining({
+        streamId: 'req-1',
+        chunkIndex: 0,
+        startTime: 0,
+        text: 'Hello there',
+        words: expect.arrayContaining([expect.objectContaining({ text: 'there' })])
+      }))
+    })
+  })
+
+  describe('Language detection', () => {
+    const mixedText = [
+      'The weather is nice and the sun is out for the whole day.',
+      'Le chat est sur la table et il dort dans la cuisine.',
+      'OK.',
+      '我们今天下午去公园散步。'
+    ].join('\n\n')
+
+    const streamVoices = async (options) => {
+      const chunks = []
+      for await (const chunk of plugin.synthesizeStream({ text: mixedText, streamId: 'lang', ...options })) {
+        chunks.push(chunk)
+      }
+      return chunks.map(chunk => [chunk.voice, chunk.language])
+    }
+
+    beforeEach(async () => {
+      await plugin.init(mockEventBus, mockPAL)
+    })
+
+    test('detectLanguage() identifies scripts and common words', () => {
+      expect(detectLanguage('The cat is on the table and it is asleep.').language).toBe('en')
+      expect(detectLanguage('El perro de la casa es muy grande y come con los niños.').language).toBe('es')
+      expect(detectLanguage('Il gatto non è sulla sedia, ma dorme nel letto della nonna.').language).toBe('it')
+      expect(detectLanguage('Eu não sei se ele vai ao mercado com a mãe.').language).toBe('pt')
+      expect(detectLanguage('Nous sommes dans le jardin avec les enfants.').language).toBe('fr')
+      expect(detectLanguage('我们今天下午去公园散步。').language).toBe('zh')
+      expect(detectLanguage('今日はとても暑いですね。').language).toBe('ja')
+      expect(detectLanguage('मैं आज बाजार जा रहा हूँ।').language).toBe('hi')
+    })
+
+    test('detectLanguage() leaves short or ambiguous text undetermined', () => {
+      expect(detectLanguage('Hello')).toEqual({ language: null, confidence: 0 })
+      expect(detectLanguage('1, 2, 3')).toEqual({ language: null, confidence: 0 })
+      expect(detectLanguage('')).toEqual({ language: null, confidence: 0 })
+    })
+
+    test('keeps the requested voice when autoLanguage is off', async () => {
+      const voices = await streamVoices({ voice: 'af_bella' })
+
+      expect(voices.every(([voice]) => voice === 'af_bella')).toBe(true)
+    })
+
+    test('switches voice per chunk and keeps it across undetermined chunks', async () => {
+      plugin.setLanguageOptions({ autoLanguage: true })
+
+      const voices = await streamVoices({ voice: 'ff_siwis' })
+
+      expect(voices).toEqual([
+        ['af_bella', 'en'],
+        ['ff_siwis', 'fr'],
+        ['ff_siwis', 'fr'],
+        ['ff_siwis', 'zh']
+      ])
+      expect(plugin.ttsEngine.generate).toHaveBeenCalledWith(expect.stringContaining('The weather'), expect.objectContaining({ voice: 'af_bella' }))
+
+      const chunkEvents = mockEventBus.emit.mock.calls.filter(call => call[0] === 'tts:chunk')
+      expect(chunkEvents[0][1]).toMatchObject({ voice: 'af_bella', language: 'en' })
+    })
+
+    test('keeps the requested voice for languages the phonemizer has no data for', async () => {
+      plugin.setLanguageOptions({ autoLanguage: true, languageVoices: { fr: 'ff_siwis' } })
+
+      const voices = await streamVoices({ voice: 'af_bella' })
+
+      expect(voices).toEqual([
+        ['af_bella', 'en'],
+        ['af_bella', 'fr'],
+        ['af_bella', 'fr'],
+        ['af_bella', 'zh']
+      ])
+    })
+
+    test('uses configured language voices and reads English with the English override', async () => {
+      plugin.setLanguageOptions({ autoLanguage: true, languageVoices: { en: 'am_adam', zh: 'zf_xiaoxiao' } })
+
+      const voices = await streamVoices({ voice: 'ff_siwis' })
+
+      expect(voices.map(([voice]) => voice)).toEqual(['am_adam', 'ff_siwis', 'ff_siwis', 'ff_siwis'])
+    })
+
+    test('render() uses the per-chunk voices', async () => {
+      plugin.setLanguageOptions({ autoLanguage: true })
+
+      const result = await plugin.render({ text: mixedText, voice: 'ff_siwis' })
+
+      const generateVoices = plugin.ttsEngine.generate.mock.calls.slice(-4).map(call => call[1].voice)
+      expect(generateVoices).toEqual(['af_bella', 'ff_siwis', 'ff_siwis', 'ff_siwis'])
+      expect(result.metadata.chunks).toBe(4)
+    })
+
+    test('setLanguageOptions() rejects unknown voices', () => {
+      expect(() => plugin.setLanguageOptions({ languageVoices: { fr: 'ff_nobody' } })).toThrow('Voice "ff_nobody" not found')
+      expect(plugin.languageVoices).toEqual({})
+    })
+  })
+
+  describe('SSML input', () => {
+    const ssml = '<speak>Hello there.<break time="500ms"/><prosody rate="slow"><voice name="ff_siwis">Bonjour.</voice></prosody></speak>'
+
+    beforeEach(async () => {
+      await plugin.init(mockEventBus, mockPAL)
+    })
+
+    test('synthesizeStream() yields silence for breaks and keeps per-segment voice and speed', async () => {
+      const chunks = []
+      for await (const chunk of plugin.synthesizeStream({ text: ssml, format: 'ssml', streamId: 'ssml', speed: 1.2 })) {
+        chunks.push(chunk)
+      }
+
+      expect(chunks.map(chunk => chunk.text)).toEqual(['Hello there.', '', 'Bonjour.'])
+      expect(chunks[1].buffer).toHaveLength(12000)
+      expect(chunks[1].buffer.every(sample => sample === 0)).toBe(true)
+      expect(chunks[2]).toMatchObject({ voice: 'ff_siwis', language: 'fr' })
+
+      expect(plugin.ttsEngine.generate).toHaveBeenCalledTimes(2)
+      expect(plugin.ttsEngine.generate).toHaveBeenCalledWith('Hello there.', expect.objectContaining({ voice: 'af_bella', speed: 1.2 }))
+      expect(plugin.ttsEngine.generate).toHaveBeenCalledWith('Bonjour.', expect.objectContaining({ voice: 'ff_siwis' }))
+      expect(plugin.ttsEngine.generate.mock.calls[1][1].speed).toBeCloseTo(0.9)
+
+      const timingEvents = mockEventBus.emit.mock.calls.filter(call => call[0] === 'tts:timing')
+      expect(timingEvents.map(call => call[1].chunkIndex)).toEqual([0, 2])
+    })
+
+    test('render() and synthesize() join speech and silence into one buffer', async () => {
+      const rendered = await plugin.render({ text: ssml, format: 'ssml' })
+
+      expect(rendered.buffer).toHaveLength(5 + 12000 + 5)
+      expect(rendered.metadata).toMatchObject({ chunks: 3, format: 'ssml' })
+
+      const synthesized = await plugin.synthesize({ text: ssml, format: 'ssml' })
+      expect(synthesized.buffer).toHaveLength(rendered.buffer.length)
+    })
+
+    test('rejects unknown voices, invalid markup and unsupported formats', async () => {
+      await expect(plugin.render({ text: '<voice name="xx_nobody">Hi</voice>', format: 'ssml' })).rejects.toThrow('Voice "xx_nobody" not found')
+      await expect(plugin.render({ text: '<speak>Hi', format: 'ssml' })).rejects.toThrow('Unclosed SSML tag <speak>')
+      await expect(plugin.render({ text: 'Hi', format: 'markdown' })).rejects.toThrow('Unsupported text format "markdown"')
+    })
+  })
+
+  describe('Phoneme input', () => {
+    beforeEach(async () => {
+      await plugin.init(mockEventBus, mockPAL)
+    })
+
+    test('passes phoneme spans to the model but shows listeners the words', async () => {
+      const text = 'Meet [Dr. Nguyen](/dˈɑktəɹ wˈɪn/). She builds things. Ask her anything.'
+
+      const chunks = []
+      for await (const chunk of plugin.synthesizeStream({ text, maxChunkLength: 45 })) {
+        chunks.push(chunk)
+      }
+
+      // The "." inside the span doesn't end a sentence
+      expect(plugin.ttsEngine.generate.mock.calls[0][0]).toBe('Meet [Dr. Nguyen](/dˈɑktəɹ wˈɪn/).')
+      expect(chunks[0].text).toBe('Meet Dr. Nguyen.')
+      expect(chunks[0].words.map(word => word.text)).toEqual(['Meet', 'Dr.', 'Nguyen.'])
+
+      const chunkEvents = mockEventBus.emit.mock.calls.filter(call => call[0] === 'tts:chunk')
+      expect(chunkEvents[0][1].text).toBe('Meet Dr. Nguyen.')
+    })
+
+    test('phonemizeText() returns the phonemes and token count from the loaded model', async () => {
+      await plugin.loadModel()
+      plugin.ttsEngine.phonemizeText = jest.fn().mockResolvedValue({
+        phonemes: 'kˈOkəɹO',
+        tokens: 7,
+        maxTokens: 510,
+        overLimit: false
+      })
+
+      const result = await plugin.phonemizeText({ text: '[Kokoro](/kˈOkəɹO/)', voice: 'bf_emma' })
+
+      expect(plugin.ttsEngine.phonemizeText).toHaveBeenCalledWith('[Kokoro](/kˈOkəɹO/)', { voice: 'bf_emma' })
+      expect(result).toEqual({ phonemes: 'kˈOkəɹO', tokens: 7, maxTokens: 510, overLimit: false, voice: 'bf_emma' })
+
+      const response = await plugin._handlePhonemizeEvent({ data: { text: 'Hi', voice: 'xx_nobody' } })
+      expect(response).toEqual({ success: false, error: expect.stringContaining('Voice "xx_nobody" not found') })
+    })
+  })
+
+  describe('Voice mixing', () => {
+    let stored
+
+    beforeEach(async () => {
+      stored = undefined
+      mockPAL.storage = {
+        get: jest.fn(async () => stored),
+        set: jest.fn(async (key, value) => {
+          stored = value
+        })
+      }
+      await plugin.init(mockEventBus, mockPAL)
+    })
+
+    test('parseVoiceMix() normalizes weights and rejects bad mixes', () => {
+      expect(parseVoiceMix('af_bella')).toBeNull()
+      expect(parseVoiceMix('af_bella:3+af_sarah:1')).toEqual([
+        { voice: 'af_bella', weight: 0.75 },
+        { voice: 'af_sarah', weight: 0.25 }
+      ])
+      expect(parseVoiceMix('af_bella+am_adam')).toEqual([
+        { voice: 'af_bella', weight: 0.5 },
+        { voice: 'am_adam', weight: 0.5 }
+      ])
+
+      expect(() => parseVoiceMix('af_bella:0.5+xx_nobody:0.5')).toThrow('Voice "xx_nobody" not found in mix')
+      expect(() => parseVoiceMix('af_bella:-1+af_sarah:1')).toThrow('Invalid weight')
+      expect(() => parseVoiceMix('af_bella:1+af_bella:1')).toThrow('more than once')
+    })
+
+    test('getVoiceData() blends style vectors by weight and caches the mix', async () => {
+      const styles = {
+        af_bella: [1, 2, 3, 4],
+        af_sarah: [5, 6, 7, 8]
+      }
+      global.fetch = jest.fn(async (url) => {
+        const id = url.match(/voices\/(\w+)\.bin$/)[1]
+        return { ok: true, arrayBuffer: async () => new Float32Array(styles[id]).buffer, headers: {} }
+      })
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      const blended = await getVoiceData('af_bella:0.75+af_sarah:0.25')
+      expect(Array.from(blended)).toEqual([2, 3, 4, 5])
+
+      expect(await getVoiceData('af_bella:3+af_sarah:1')).toBe(blended)
+      expect(global.fetch).toHaveBeenCalledTimes(2)
+
+      console.warn.mockRestore()
+      delete global.fetch
+    })
+
+    test('synthesize() accepts a mix and passes it to the model in canonical form', async () => {
+      const result = await plugin.synthesize({ text: 'Hello', voice: 'af_bella:3+af_sarah:1' })
+
+      expect(plugin.ttsEngine.generate).toHaveBeenCalledWith('Hello', { voice: 'af_bella:0.75+af_sarah:0.25', speed: 1.0, phonemes: 'Hello' })
+      expect(result.metadata.voice).toBe('af_bella:3+af_sarah:1')
+    })
+
+    test('custom voices are saved, listed and usable by ID', async () => {
+      const saved = await plugin.saveCustomVoice({ id: 'narrator', name: 'Narrator', mix: 'af_bella:0.6+am_adam:0.4' })
+
+      expect(saved).toEqual({
+        id: 'narrator',
+        name: 'Narrator',
+        language: 'en-us',
+        gender: 'Mixed',
+        traits: '',
+        custom: true,
+        mix: 'af_bella:0.6+am_adam:0.4'
+      })
+      expect(mockPAL.storage.set).toHaveBeenCalledWith('customVoices', [
+        { id: 'narrator', name: 'Narrator', mix: 'af_bella:0.6+am_adam:0.4' }
+      ])
+      expect(plugin.listVoices({ language: 'en' }).map(voice => voice.id)).toContain('narrator')
+      expect(plugin.listVoices({ language: 'fr' }).map(voice => voice.id)).not.toContain('narrator')
+      expect(mockEventBus.emit).toHaveBeenCalledWith('tts:voicesChanged', expect.objectContaining({
+        voices: expect.arrayContaining([expect.objectContaining({ id: 'narrator' })])
+      }))
+
+      plugin.setVoice('narrator')
+      await plugin.synthesize({ text: 'Hello' })
+      expect(plugin.ttsEngine.generate).toHaveBeenLastCalledWith('Hello', { voice: 'af_bella:0.6+am_adam:0.4', speed: 1.0, phonemes: 'Hello' })
+
+      expect(await plugin.deleteCustomVoice('narrator')).toBe(true)
+      expect(plugin.currentVoice).toBe('af_bella')
+      expect(stored).toEqual([])
+    })
+
+    test('custom voices saved elsewhere are picked up on first use', async () => {
+      stored = [
+        { id: 'duo', name: 'Duo', mix: 'af_bella:1+af_sarah:1' },
+        { id: 'af_bella', name: 'Shadowing', mix: 'am_adam' }
+      ]
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      await plugin.synthesize({ text: 'Hi', voice: 'duo' })
+
+      expect(plugin.ttsEngine.generate).toHaveBeenCalledWith('Hi', { voice: 'af_bella:0.5+af_sarah:0.5', speed: 1.0, phonemes: 'Hi' })
+      expect([...plugin.customVoices.keys()]).toEqual(['duo'])
+      console.warn.mockRestore()
+    })
+
+    test('rejects invalid custom voices', async () => {
+      await expect(plugin.saveCustomVoice({ id: 'af_bella', mix: 'af_sarah:1' })).rejects.toThrow('built-in voice')
+      await expect(plugin.saveCustomVoice({ id: 'Bad Id', mix: 'af_sarah:1' })).rejects.toThrow('Invalid custom voice ID')
+      await expect(plugin.saveCustomVoice({ id: 'solo', mix: 'af_sarah' })).rejects.toThrow('needs a mix')
+      expect(mockPAL.storage.set).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Voice packs', () => {
+    test('downloads voice packs into the PAL voice store and reports progress', async () => {
+      const stored = new Map()
+      mockPAL.voiceStore = {
+        storeVoice: jest.fn(async (voiceId, buffer) => {
+          stored.set(voiceId, { voiceId, size: buffer.byteLength, downloadDate: 1000 })
+        }),
+        loadVoice: jest.fn(async () => null),
+        listVoices: jest.fn(async () => [...stored.values()]),
+        deleteVoice: jest.fn(async (voiceId) => {
+          stored.delete(voiceId)
+        })
+      }
+      global.fetch = jest.fn(async () => ({ ok: true, status: 200, arrayBuffer: async () => new ArrayBuffer(4), headers: {} }))
+      await plugin.init(mockEventBus, mockPAL)
+
+      expect(await plugin.downloadVoicePacks(['am_adam'])).toEqual(['am_adam'])
+      expect(mockEventBus.emit).toHaveBeenCalledWith('tts:voicePackProgress', expect.objectContaining({
+        voiceId: 'am_adam',
+        completed: 1,
+        total: 1
+      }))
+      expect((await plugin.listVoicePacks({ downloaded: true })).map(pack => pack.id)).toEqual(['am_adam'])
+
+      await plugin.deleteVoicePack('am_adam')
+      expect(mockPAL.voiceStore.deleteVoice).toHaveBeenCalledWith('am_adam')
+
+      await plugin.cleanup()
+      delete global.fetch
+      delete mockPAL.voiceStore
+    })
+
+    test('reports voice packs as unavailable without a voice store', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+
+      await expect(plugin.listVoicePacks()).rejects.toThrow('Voice packs are not available')
+      await expect(plugin.downloadVoicePacks(['am_adam'])).rejects.toThrow('Voice packs are not available')
+      console.error.mockRestore()
+    })
+  })
+
+  describe('Model profiles', () => {
+    const gpu = (features = []) => ({
+      requestAdapter: jest.fn().mockResolvedValue({ features: new Set(features) })
+    })
+
+    afterEach(() => {
+      delete navigator.gpu
+    })
+
+    test('resolveModelProfile() falls back to wasm and to non-fp16 precisions', () => {
+      const capabilities = { wasm: true, webgpu: true, shaderF16: false, cpu: false }
+
+      expect(resolveModelProfile({ dtype: 'q8', device: 'webgpu' }, capabilities)).toEqual({ dtype: 'q8', device: 'webgpu', fallback: null })
+      expect(resolveModelProfile({ dtype: 'q4f16', device: 'webgpu' }, capabilities)).toMatchObject({ dtype: 'q4', device: 'webgpu' })
+      expect(resolveModelProfile({ dtype: 'fp16', device: 'cpu' }, capabilities)).toEqual({
+        dtype: 'fp16',
+        device: 'wasm',
+        fallback: 'cpu backend unavailable; using wasm'
+      })
+      expect(() => resolveModelProfile({ dtype: 'int2', device: 'wasm' }, capabilities)).toThrow('Invalid model precision')
+    })
+
+    test('loads the configured precision and backend', async () => {
+      navigator.gpu = gpu(['shader-f16'])
+      const gpuPlugin = new KokoroEnginePlugin({ dtype: 'fp16', device: 'webgpu' })
+
+      await gpuPlugin.loadModel()
+
+      expect(KokoroTTS.from_pretrained).toHaveBeenCalledWith(
+        'onnx-community/Kokoro-82M-v1.0-ONNX',
+        expect.objectContaining({ dtype: 'fp16', device: 'webgpu' })
+      )
+      expect(gpuPlugin.getModelProfile()).toEqual({
+        dtype: 'fp16',
+        device: 'webgpu',
+        active: { dtype: 'fp16', device: 'webgpu', fallback: null }
+      })
+    })
+
+    test('falls back to wasm when WebGPU is unavailable or fails to load', async () => {
+      const gpuPlugin = new KokoroEnginePlugin({ dtype: 'q8', device: 'webgpu' })
+      await gpuPlugin.init(mockEventBus, mockPAL)
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      await gpuPlugin.loadModel()
+      expect(KokoroTTS.from_pretrained).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({ dtype: 'q8', device: 'wasm' }))
+      expect(mockEventBus.emit).toHaveBeenCalledWith('tts:modelProfileFallback', expect.objectContaining({
+        requested: { dtype: 'q8', device: 'webgpu' },
+        reason: 'webgpu backend unavailable; using wasm'
+      }))
+
+      gpuPlugin.unloadModel()
+      navigator.gpu = gpu()
+      KokoroTTS.from_pretrained.mockRejectedValueOnce(new Error('GPU device lost'))
+
+      await gpuPlugin.loadModel()
+      expect(KokoroTTS.from_pretrained).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({ device: 'wasm' }))
+      expect(gpuPlugin.getModelProfile().active.fallback).toBe('webgpu failed to load (GPU device lost); using wasm')
+      console.warn.mockRestore()
+    })
+
+    test('keys cached audio by the profile the model loaded with', async () => {
+      const cacheStore = new Map()
+      mockPAL.audioCache = {
+        loadAudioCache: jest.fn(async (key) => cacheStore.get(key) || null),
+        storeAudioCache: jest.fn(async (key, audio) => { cacheStore.set(key, audio) })
+      }
+      const gpuPlugin = new KokoroEnginePlugin({ dtype: 'q8', device: 'webgpu' })
+      await gpuPlugin.init(mockEventBus, mockPAL)
+      jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      // Without WebGPU the audio comes from q8/wasm
+      await gpuPlugin.synthesize({ text: 'Same text' })
+      gpuPlugin.unloadModel()
+      const fallback = await gpuPlugin.synthesize({ text: 'Same text' })
+      expect(fallback.cached).toBe(true)
+
+      gpuPlugin.unloadModel()
+      navigator.gpu = gpu()
+      const result = await gpuPlugin.synthesize({ text: 'Same text' })
+
+      expect(gpuPlugin.getModelProfile().active).toMatchObject({ dtype: 'q8', device: 'webgpu' })
+      expect(result.cached).toBe(false)
+      expect(cacheStore.size).toBe(2)
+      console.warn.mockRestore()
+    })
+
+    test('setModelProfile() stores the profile and unloads a model loaded with another one', async () => {
+      mockPAL.storage = { get: jest.fn().mockResolvedValue({ dtype: 'q4', device: 'wasm' }), set: jest.fn() }
+      await plugin.init(mockEventBus, mockPAL)
+      expect(plugin.getModelProfile()).toMatchObject({ dtype: 'q4', device: 'wasm' })
+
+      await plugin.loadModel()
+      await plugin.setModelProfile({ dtype: 'q8' })
+
+      expect(mockPAL.storage.set).toHaveBeenCalledWith('modelProfile', { dtype: 'q8', device: 'wasm' })
+      expect(plugin.getModelStatus()).toBe('unloaded')
+      expect(mockEventBus.emit).toHaveBeenCalledWith('tts:modelProfileChanged', expect.objectContaining({
+        profile: { dtype: 'q8', device: 'wasm' }
+      }))
+
+      jest.spyOn(console, 'error').mockImplementation(() => {})
+      await expect(plugin.setModelProfile({ device: 'tpu' })).rejects.toThrow('Invalid model backend')
+      console.error.mockRestore()
+    })
+
+    test('setModelStore() hands downloaded variants to kokoro.js until cleanup', async () => {
+      const store = { loadModelFile: jest.fn() }
+      await plugin.init(mockEventBus, mockPAL)
+
+      plugin.setModelStore(store)
+      expect(setModelStore).toHaveBeenLastCalledWith(store)
+
+      await plugin.cleanup()
+      expect(setModelStore).toHaveBeenLastCalledWith(null)
+    })
+
+    test('benchmark() reports the real-time factor per profile', async () => {
+      await plugin.loadModel()
+      const dispose = jest.fn().mockResolvedValue()
+      KokoroTTS.from_pretrained.mockResolvedValueOnce({
+        model: { dispose },
+        generate: jest.fn().mockResolvedValue({ data: new Float32Array(48000), sampling_rate: 24000 })
+      })
+
+      const results = await plugin.benchmark({ profiles: [{ dtype: 'fp32', device: 'wasm' }, { dtype: 'q8', device: 'wasm' }] })
+
+      expect(results).toHaveLength(2)
+      expect(results[0]).toMatchObject({ dtype: 'fp32', device: 'wasm', error: null })
+      expect(results[1]).toMatchObject({ dtype: 'q8', device: 'wasm', audioDuration: 2, error: null })
+      expect(results[1].rtf).toBeCloseTo(results[1].synthesisTime / 2000)
+      // The loaded fp32 model is reused; q8 is loaded for the run and released
+      expect(KokoroTTS.from_pretrained).toHaveBeenCalledTimes(2)
+      expect(dispose).toHaveBeenCalled()
+      expect(plugin.getModelStatus()).toBe('loaded')
+    })
+  })
+
+  describe('Token limit', () => {
+    beforeEach(async () => {
+      await plugin.init(mockEventBus, mockPAL)
+    })
+
+    test('synthesize() splits text past the token window at sentence boundaries and joins the passes', async () => {
+      const text = Array.from({ length: 20 }, (_, index) => `This is sentence number ${index + 1} of the test.`).join(' ')
+
+      const result = await plugin.synthesize({ text })
+
+      const passes = plugin.ttsEngine.generate.mock.calls.map(call => call[0])
+      expect(text.length).toBeGreaterThan(510)
+      expect(passes).toHaveLength(2)
+      expect(passes.every(pass => pass.length <= 510 && pass.endsWith('.'))).toBe(true)
+      expect(passes.join(' ')).toBe(text)
+      expect(result.buffer).toHaveLength(5 + 0.3 * 24000 + 5)
+      expect(mockEventBus.emit).not.toHaveBeenCalledWith('tts:tokenOverflow', expect.anything())
+    })
+
+    test('cuts a word run longer than the window and warns', async () => {
+      const run = 'x'.repeat(600)
+
+      await plugin.synthesize({ text: `Look: ${run}` })
+
+      const passes = plugin.ttsEngine.generate.mock.calls.map(call => call[0])
+      expect(passes.join('')).toBe(`Look:${run}`)
+      expect(passes.every(pass => pass.length <= 510)).toBe(true)
+      expect(mockEventBus.emit).toHaveBeenCalledWith('tts:tokenOverflow', expect.objectContaining({
+        text: run,
+        tokens: 600,
+        maxTokens: 510,
+        parts: 2,
+        voice: 'af_bella'
+      }))
+    })
+
+    test('phonemizes each pass once and hands the phonemes to generate()', async () => {
+      const sentence = 'This sentence is about fifty characters long, roughly. '
+      const text = sentence.repeat(14).trim()
+
+      await plugin.synthesize({ text })
+
+      const phonemized = plugin.ttsEngine.phonemizeText.mock.calls.map(call => call[0])
+      expect(new Set(phonemized).size).toBe(phonemized.length)
+      for (const [pass, options] of plugin.ttsEngine.generate.mock.calls) {
+        expect(phonemized).toContain(pass)
+        expect(options.phonemes).toBe(pass)
+      }
+    })
+  })
+
+  describe('Pauses between chunks', () => {
+    beforeEach(async () => {
+      await plugin.init(mockEventBus, mockPAL)
+    })
+
+    test('synthesizeStream() pauses after each chunk by what ends it', async () => {
+      const text = 'Overview\nThe first paragraph ends here.\n\n- One item\n- Another item'
+
+      const chunks = []
+      for await (const chunk of plugin.synthesizeStream({ text })) {
+        chunks.push(chunk)
+      }
+
+      expect(chunks.map(chunk => chunk.text)).toEqual(['Overview', 'The first paragraph ends here.', '- One item', '- Another item'])
+      expect(chunks.map(chunk => chunk.pause)).toEqual([0.75, 0.6, 0.4, 0])
+      expect(chunks.map(chunk => chunk.buffer.length)).toEqual([5 + 18000, 5 + 14400, 5 + 9600, 5])
+      expect(chunks[1].startTime).toBeCloseTo(chunks[0].duration)
+      // Word timings cover the speech, not the pause after it
+      expect(chunks[0].words[0].end).toBeCloseTo(5 / 24000)
+    })
+
+    test('setProsodyOptions() changes pauses and validates them', async () => {
+      plugin.setProsodyOptions({ pauses: { sentence: 0, comma: 0.05 } })
+
+      const result = await plugin.render({ text: 'One, two. Three.', maxChunkLength: 5 })
+
+      // "One," pauses 50ms; "two." runs into "Three." with a crossfade that overlaps 2 samples
+      expect(result.buffer).toHaveLength(5 + 1200 + 5 + 5 - 2)
+      expect(() => plugin.setProsodyOptions({ pauses: { chapter: 1 } })).toThrow('Unknown pause boundary')
+      expect(() => plugin.setProsodyOptions({ crossfade: 1 })).toThrow('Crossfade must be between 0 and 0.1 seconds')
+    })
+
+    test('trims near-silence from generated audio unless disabled', async () => {
+      const padded = new Float32Array(4800 + 10 + 4800)
+      padded.fill(0.5, 4800, 4810)
+      await plugin.loadModel()
+      plugin.ttsEngine.generate.mockResolvedValueOnce({ data: padded, sampling_rate: 24000 })
+
+      const trimmed = await plugin.synthesize({ text: 'Quiet edges' })
+
+      // 20ms of margin either side
+      expect(trimmed.buffer).toHaveLength(10 + 2 * 480)
+
+      plugin.setProsodyOptions({ trimSilence: false })
+      plugin.ttsEngine.generate.mockResolvedValueOnce({ data: padded, sampling_rate: 24000 })
+      const untrimmed = await plugin.synthesize({ text: 'Loud edges' })
+      expect(untrimmed.buffer).toHaveLength(padded.length)
+    })
+  })
+})
@@ -0,0 +1,69 @@
+/**
+ * Unit Tests for language-aware text normalization and phonemization
+ */
+
+jest.mock('../src/phonemizer.min.js', () => ({
+  phonemize: jest.fn(async (text) => [text])
+}))
+
+import { phonemize, normalize_text, LANGUAGES } from '../src/phonemize.js'
+import { stripPhonemeMarkup } from '../src/phoneme-markup.js'
+import { phonemize as espeakng } from '../src/phonemizer.min.js'
+import { VOICES } from '../src/voices.js'
+
+describe('normalize_text', () => {
+  test('keeps English number and currency handling', () => {
+    expect(normalize_text('Mr. Smith paid $5.50 at 10:00.', 'a'))
+      .toBe('Mister Smith paid 5 dollars and 50 cents at 10 o\'clock.')
+  })
+})
+
+describe('phonemize', () => {
+  beforeEach(() => {
+    espeakng.mockClear()
+  })
+
+  test('passes the espeak-ng language code for each voice family', async () => {
+    for (const [language, code] of Object.entries(LANGUAGES)) {
+      await phonemize('hola', language)
+      expect(espeakng).toHaveBeenLastCalledWith('hola', code)
+    }
+  })
+
+  test('keeps punctuation out of the espeak-ng input', async () => {
+    await phonemize('Hello, world.', 'b')
+
+    expect(espeakng.mock.calls.map(call => call[0])).toEqual(['Hello', 'world'])
+  })
+
+  test('applies English pronunciation fixes', async () => {
+    espeakng.mockResolvedValueOnce(['kəkˈoːɹoʊ'])
+    expect(await phonemize('kokoro', 'a')).toBe('kˈoʊkəɹoʊ')
+  })
+
+  test('rejects languages the bundled espeak-ng build has no data for', async () => {
+    await expect(phonemize('text', 'q')).rejects.toThrow('Unsupported language "q"')
+    await expect(phonemize('hola', 'e')).rejects.toThrow('Unsupported language "e"')
+  })
+
+  test('passes inline phoneme spans through untouched', async () => {
+    espeakng.mockClear()
+
+    // Post-processing (r -> ɹ) applies to espeak-ng output only
+    expect(await phonemize('[Kokoro](/kˈokoro/) is here', 'a')).toBe('kˈokoro is heɹe')
+    expect(espeakng.mock.calls.map(call => call[0])).toEqual(['is here'])
+
+    expect(await phonemize('Say [Dr. Nguyen](/dˈɑktəɹ wˈɪn/), please', 'a')).toBe('Say dˈɑktəɹ wˈɪn, please')
+    expect(await phonemize('[a](/ə/) [b](/bˈi/)', 'a')).toBe('ə bˈi')
+  })
+
+  test('strips phoneme markup back to the annotated words', () => {
+    expect(stripPhonemeMarkup('Read [Kokoro](/kˈOkəɹO/) aloud')).toBe('Read Kokoro aloud')
+  })
+
+  test('every voice belongs to a supported language', () => {
+    for (const id of Object.keys(VOICES)) {
+      expect(LANGUAGES).toHaveProperty(id.at(0))
+    }
+  })
+})
@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Tests against the bundled espeak-ng build (not mocked) - every advertised language must phonemize
+ * The Emscripten build doesn't start under jsdom, hence the node environment
+ */
+
+// The model is mocked; what it is asked to read goes through the real phonemizer
+jest.mock('../src/kokoro.js', () => {
+  const { phonemize } = jest.requireActual('../src/phonemize.js')
+
+  const phonemizeText = jest.fn(async (text, { voice }) => {
+    const phonemes = await phonemize(text, voice.at(0))
+    return { phonemes, tokens: phonemes.length, maxTokens: 510, overLimit: phonemes.length > 510 }
+  })
+  const generate = jest.fn(async (text, { voice }) => {
+    await phonemize(text, voice.at(0))
+    return { data: new Float32Array(240), sampling_rate: 24000 }
+  })
+
+  return {
+    KokoroTTS: { from_pretrained: jest.fn(async () => ({ generate, phonemizeText })) },
+    setModelStore: jest.fn()
+  }
+})
+
+import KokoroEnginePlugin from '../src/engine.js'
+import { phonemize, LANGUAGES } from '../src/phonemize.js'
+
+const SAMPLES = {
+  a: 'Hello world, this costs $5.',
+  b: 'Good morning, Doctor Watson.'
+}
+
+describe('bundled phonemizer', () => {
+  test.each(Object.keys(LANGUAGES))('phonemizes language "%s"', async (language) => {
+    const phonemes = await phonemize(SAMPLES[language], language)
+
+    expect(phonemes).toMatch(/[ˈˌ]/)
+    expect(phonemes).not.toMatch(/[A-Z$]/)
+  })
+
+  test('has a sample for every advertised language', () => {
+    expect(Object.keys(SAMPLES)).toEqual(Object.keys(LANGUAGES))
+  })
+})
+
+describe('autoLanguage with the bundled phonemizer', () => {
+  test('reads every chunk of a mixed-language page', async () => {
+    const plugin = new KokoroEnginePlugin({ defaultVoice: 'bf_emma', autoLanguage: true })
+    await plugin.init({ subscribe: jest.fn(), emit: jest.fn(), publish: jest.fn() }, { initialize: jest.fn() })
+
+    const text = [
+      'The weather is nice and the sun is out for the whole day.',
+      'Le chat est sur la table et il dort dans la cuisine.',
+      'El perro de la casa es muy grande y come con los niños.',
+      '我们今天下午去公园散步。'
+    ].join('\n\n')
+
+    const chunks = []
+    for await (const chunk of plugin.synthesizeStream({ text, streamId: 'mixed' })) {
+      chunks.push(chunk)
+    }
+
+    expect(chunks.map(chunk => [chunk.voice, chunk.language])).toEqual([
+      ['bf_emma', 'en'],
+      ['bf_emma', 'fr'],
+      ['bf_emma', 'es'],
+      ['bf_emma', 'zh']
+    ])
+    await plugin.cleanup()
+  })
+})
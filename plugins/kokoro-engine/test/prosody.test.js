@@ -0,0 +1,100 @@
+/**
+ * Unit Tests for joining chunks - boundaries, pauses, trimming and crossfades
+ */
+
+import { splitBlocks, classifyBoundary, validatePauses, trimSilence, ChunkJoiner, DEFAULT_PAUSES } from '../src/prosody.js'
+
+describe('splitBlocks', () => {
+  test('separates headings, list items and paragraphs', () => {
+    const text = 'Getting started\nInstall the extension first.\n\nYou will need:\n- A browser\n2) Some patience\n\nThat is all.'
+
+    expect(splitBlocks(text)).toEqual([
+      { text: 'Getting started', type: 'heading' },
+      { text: 'Install the extension first.', type: 'paragraph' },
+      { text: 'You will need:', type: 'paragraph' },
+      { text: '- A browser', type: 'listItem' },
+      { text: '2) Some patience', type: 'listItem' },
+      { text: 'That is all.', type: 'paragraph' }
+    ])
+  })
+
+  test('keeps prose wrapped across lines together', () => {
+    expect(splitBlocks('The line breaks\nin the middle of a sentence.\n\nShort ending')).toEqual([
+      { text: 'The line breaks\nin the middle of a sentence.', type: 'paragraph' },
+      { text: 'Short ending', type: 'paragraph' }
+    ])
+  })
+})
+
+describe('classifyBoundary', () => {
+  test('reads the closing punctuation', () => {
+    expect(classifyBoundary('It ended.')).toBe('sentence')
+    expect(classifyBoundary('Really?" she asked.')).toBe('sentence')
+    expect(classifyBoundary('“Stop!”')).toBe('sentence')
+    expect(classifyBoundary('结束了。')).toBe('sentence')
+    expect(classifyBoundary('first, second,')).toBe('comma')
+    expect(classifyBoundary('as follows:')).toBe('comma')
+    expect(classifyBoundary('cut in the middle of a')).toBe('none')
+  })
+})
+
+describe('validatePauses', () => {
+  test('fills in defaults and rejects bad values', () => {
+    expect(validatePauses({ sentence: 0.5 })).toEqual({ ...DEFAULT_PAUSES, sentence: 0.5 })
+    expect(() => validatePauses({ chapter: 1 })).toThrow('Unknown pause boundary "chapter"')
+    expect(() => validatePauses({ comma: -0.1 })).toThrow('Pause after comma must be between 0 and 10 seconds')
+    expect(() => validatePauses({ heading: NaN })).toThrow('Pause after heading must be between 0 and 10 seconds')
+  })
+})
+
+describe('trimSilence', () => {
+  const sampleRate = 1000
+
+  test('trims near-silence from both ends, keeping a margin', () => {
+    const samples = new Float32Array(200)
+    samples.fill(0.5, 100, 110)
+    samples[50] = 0.001
+
+    const trimmed = trimSilence(samples, sampleRate)
+
+    // 20ms margin at 1kHz is 20 samples either side
+    expect(trimmed).toHaveLength(50)
+    expect(trimmed[20]).toBe(0.5)
+  })
+
+  test('leaves audio without silent ends alone', () => {
+    const samples = new Float32Array([0.2, 0.4, 0.2])
+    expect(trimSilence(samples, sampleRate)).toBe(samples)
+    expect(trimSilence(new Float32Array(10), sampleRate)).toHaveLength(0)
+  })
+})
+
+describe('ChunkJoiner', () => {
+  const sampleRate = 1000
+
+  test('fades out into the pause after a chunk', () => {
+    const joiner = new ChunkJoiner({ crossfade: 0.004 })
+
+    const output = joiner.join(new Float32Array(10).fill(1), sampleRate, { pause: 0.05 })
+
+    expect(output).toHaveLength(60)
+    expect(output[0]).toBeCloseTo(0.2)
+    expect(output[5]).toBe(1)
+    expect(output[9]).toBeCloseTo(0.2)
+    expect(output.subarray(10).every(sample => sample === 0)).toBe(true)
+    expect(joiner.tail).toBeNull()
+  })
+
+  test('crossfades chunks that run together', () => {
+    const joiner = new ChunkJoiner({ crossfade: 0.004 })
+
+    const first = joiner.join(new Float32Array(10).fill(1), sampleRate, { continues: true })
+    const second = joiner.join(new Float32Array(10).fill(-1), sampleRate)
+
+    // The first chunk's last 4 samples are mixed into the second's start
+    expect(first).toHaveLength(6)
+    expect(second).toHaveLength(10)
+    expect(Array.from(second.subarray(0, 4)).map(sample => Number(sample.toFixed(1)))).toEqual([0.6, 0.2, -0.2, -0.6])
+    expect(second[9]).toBeCloseTo(-0.2)
+  })
+})
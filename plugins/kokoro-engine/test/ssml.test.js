@@ -0,0 +1,129 @@
+/**
+ * Unit Tests for the SSML subset parser
+ */
+
+import { parseSSML } from '../src/ssml.js'
+
+const defaults = { voice: 'af_bella', speed: 1 }
+
+const speech = (text, overrides = {}) => ({
+  type: 'speech',
+  text,
+  voice: 'af_bella',
+  speed: 1,
+  explicitVoice: false,
+  ...overrides
+})
+
+describe('parseSSML', () => {
+  test('parses plain text and a <speak> root into one segment', () => {
+    expect(parseSSML('Hello   world', defaults)).toEqual([speech('Hello world')])
+    expect(parseSSML('<?xml version="1.0"?><speak version="1.1">Hello <!-- note -->world</speak>', defaults))
+      .toEqual([speech('Hello world')])
+  })
+
+  test('turns <break> into silence segments', () => {
+    const segments = parseSSML('One<break time="750ms"/>two<break time="2s"/>three<break strength="weak"/>four<break/>five', defaults)
+
+    expect(segments).toEqual([
+      speech('One'),
+      { type: 'break', duration: 0.75 },
+      speech('two'),
+      { type: 'break', duration: 2 },
+      speech('three'),
+      { type: 'break', duration: 0.25 },
+      speech('four'),
+      { type: 'break', duration: 0.5 },
+      speech('five')
+    ])
+  })
+
+  test('merges adjacent breaks and caps long ones', () => {
+    const segments = parseSSML('A<break time="300ms"/><break time="1s"/>B<break time="60s"/>C', defaults)
+
+    expect(segments.filter(segment => segment.type === 'break').map(segment => segment.duration)).toEqual([1, 10])
+  })
+
+  test('applies <prosody rate> relative to the enclosing speed', () => {
+    const segments = parseSSML(
+      'Normal <prosody rate="slow">slow <prosody rate="200%">double</prosody></prosody> <prosody rate="+20%">faster</prosody> <prosody rate="x-fast">clamped <prosody rate="3">max</prosody></prosody>',
+      { voice: 'af_bella', speed: 1.2 }
+    )
+
+    expect(segments.map(segment => [segment.text, Math.round(segment.speed * 100) / 100])).toEqual([
+      ['Normal', 1.2],
+      ['slow', 0.9],
+      ['double', 1.8],
+      ['faster', 1.44],
+      ['clamped', 1.8],
+      ['max', 3]
+    ])
+  })
+
+  test('switches voice with <voice name>', () => {
+    const segments = parseSSML('Hello <voice name="ff_siwis">Bonjour</voice> bye', defaults)
+
+    expect(segments).toEqual([
+      speech('Hello'),
+      speech('Bonjour', { voice: 'ff_siwis', explicitVoice: true }),
+      speech('bye')
+    ])
+  })
+
+  test('replaces <sub> content with its alias', () => {
+    expect(parseSSML('<sub alias="World Wide Web Consortium">W3C</sub> rules', defaults))
+      .toEqual([speech('World Wide Web Consortium rules')])
+  })
+
+  test('expands <say-as> characters, digits, numbers and ordinals', () => {
+    const [segment] = parseSSML(
+      'Code <say-as interpret-as="characters">AB1</say-as>, call <say-as interpret-as="telephone">555</say-as>, ' +
+      '<say-as interpret-as="cardinal">12,345</say-as> items, <say-as interpret-as="ordinal">22</say-as> place',
+      defaults
+    )
+
+    expect(segment.text).toBe('Code A B 1, call 5 5 5, 12345 items, 22nd place')
+  })
+
+  test('reads <say-as> dates in the voice language', () => {
+    const localeForVoice = (voice) => (voice === 'ff_siwis' ? 'fr-fr' : 'en-us')
+    const segments = parseSSML(
+      '<say-as interpret-as="date" format="mdy">03/05/2024</say-as> <voice name="ff_siwis"><say-as interpret-as="date" format="dmy">05.03.2024</say-as></voice> <say-as interpret-as="date">2024-02-30</say-as>',
+      { ...defaults, localeForVoice }
+    )
+
+    expect(segments.map(segment => segment.text)).toEqual(['March 5, 2024', '5 mars 2024', '2024-02-30'])
+  })
+
+  test('splits segments at <s> and pauses between <p> elements', () => {
+    const segments = parseSSML('<p><s>First sentence</s><s>Second sentence</s></p><p>Next paragraph</p>', defaults)
+
+    expect(segments).toEqual([
+      speech('First sentence'),
+      speech('Second sentence'),
+      { type: 'break', duration: 0.5 },
+      speech('Next paragraph')
+    ])
+  })
+
+  test('decodes entities and CDATA', () => {
+    expect(parseSSML('Fish &amp; chips &lt;3 &#x263A; <![CDATA[<raw>]]>', defaults))
+      .toEqual([speech('Fish & chips <3 ☺ <raw>')])
+  })
+
+  test('keeps the text of unsupported elements', () => {
+    expect(parseSSML('<emphasis level="strong">Really</emphasis> <audio src="x.mp3"/>good', defaults))
+      .toEqual([speech('Really good')])
+  })
+
+  test('rejects malformed markup and invalid attributes', () => {
+    expect(() => parseSSML('', defaults)).toThrow('SSML input is empty')
+    expect(() => parseSSML('<speak>Hello', defaults)).toThrow('Unclosed SSML tag <speak>')
+    expect(() => parseSSML('<p><s>Hi</p></s>', defaults)).toThrow('Mismatched SSML closing tag </p>')
+    expect(() => parseSSML('Hi</voice>', defaults)).toThrow('Unexpected SSML closing tag </voice>')
+    expect(() => parseSSML('<break time="soon"/>Hi', defaults)).toThrow('Invalid SSML break time "soon"')
+    expect(() => parseSSML('<prosody rate="warp">Hi</prosody>', defaults)).toThrow('Invalid SSML prosody rate "warp"')
+    expect(() => parseSSML('<voice>Hi</voice>', defaults)).toThrow('<voice> requires a name attribute')
+    expect(() => parseSSML('<break time="1s"/>', defaults)).toThrow('SSML input contains no text to speak')
+  })
+})
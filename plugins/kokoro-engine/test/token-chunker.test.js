@@ -0,0 +1,49 @@
+/**
+ * Unit Tests for token-budget chunking
+ */
+
+import { splitByTokens } from '../src/token-chunker.js'
+
+// One token per character
+const countTokens = jest.fn(async (text) => text.length)
+
+describe('splitByTokens', () => {
+  test('keeps text that fits as one chunk', async () => {
+    expect(await splitByTokens(' Short text. ', countTokens)).toEqual(['Short text.'])
+  })
+
+  test('splits at sentence ends and packs sentences up to the budget', async () => {
+    const text = 'One two. Three four. Five six.'
+
+    expect(await splitByTokens(text, countTokens, { maxTokens: 20 })).toEqual(['One two.', 'Three four.', 'Five six.'])
+    expect(await splitByTokens(text, countTokens, { maxTokens: 22 })).toEqual(['One two. Three four.', 'Five six.'])
+    expect(await splitByTokens('Pi is 3.14159 exactly. Yes.', countTokens, { maxTokens: 24 }))
+      .toEqual(['Pi is 3.14159 exactly.', 'Yes.'])
+  })
+
+  test('falls back to clauses, then words', async () => {
+    expect(await splitByTokens('alpha beta, gamma delta epsilon', countTokens, { maxTokens: 15 }))
+      .toEqual(['alpha beta,', 'gamma delta', 'epsilon'])
+    expect(await splitByTokens('你好世界。今天天气很好，我们去公园吧！', countTokens, { maxTokens: 8 }))
+      .toEqual(['你好世界。', '今天天气很好，', '我们去公园吧！'])
+  })
+
+  test('cuts a word run longer than the budget and reports it', async () => {
+    const onOverflow = jest.fn()
+
+    const chunks = await splitByTokens('A supercalifragilistic word', countTokens, { maxTokens: 8, onOverflow })
+
+    expect(chunks).toEqual(['A', 'supercal', 'ifragili', 'stic', 'word'])
+    expect(onOverflow).toHaveBeenCalledWith({ text: 'supercalifragilistic', tokens: 21, maxTokens: 8, parts: 3 })
+  })
+
+  test('never cuts a phoneme span', async () => {
+    const span = '[Kokoro](/kˈOkəɹO/)'
+
+    const chunks = await splitByTokens(`${span}${span}`, countTokens, { maxTokens: 25 })
+
+    expect(chunks).toEqual([span, span])
+    await expect(splitByTokens(span, countTokens, { maxTokens: 10 }))
+      .rejects.toThrow('longer than the model\'s 10-token limit')
+  })
+})
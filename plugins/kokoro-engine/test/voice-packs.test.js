@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for voice pack management
+ */
+
+import { VoicePackManager, VOICE_PACK_BYTES } from '../src/voice-packs.js'
+import { VOICES } from '../src/voices.js'
+
+class MemoryVoiceStore {
+  constructor() {
+    this.voices = new Map()
+  }
+
+  async storeVoice(voiceId, buffer) {
+    this.voices.set(voiceId, { voiceId, data: buffer, size: buffer.byteLength, downloadDate: 1000 })
+  }
+
+  async loadVoice(voiceId) {
+    return this.voices.get(voiceId)?.data || null
+  }
+
+  async listVoices() {
+    return [...this.voices.values()].map(({ voiceId, size, downloadDate }) => ({ voiceId, size, downloadDate }))
+  }
+
+  async deleteVoice(voiceId) {
+    this.voices.delete(voiceId)
+  }
+}
+
+describe('VoicePackManager', () => {
+  let store
+  let manager
+
+  beforeEach(() => {
+    store = new MemoryVoiceStore()
+    manager = new VoicePackManager(store)
+    global.fetch = jest.fn(async () => ({
+      ok: true,
+      status: 200,
+      arrayBuffer: async () => new ArrayBuffer(16),
+      headers: {}
+    }))
+  })
+
+  afterEach(() => {
+    delete global.fetch
+  })
+
+  test('lists every voice with its download state and size', async () => {
+    await store.storeVoice('af_bella', new ArrayBuffer(8))
+
+    const packs = await manager.list()
+
+    expect(packs).toHaveLength(Object.keys(VOICES).length)
+    expect(packs.find(pack => pack.id === 'af_bella')).toEqual({
+      id: 'af_bella',
+      name: 'Bella',
+      language: 'en-us',
+      gender: 'Female',
+      downloaded: true,
+      size: 8,
+      downloadDate: 1000
+    })
+    expect(packs.find(pack => pack.id === 'am_adam')).toMatchObject({ downloaded: false, size: VOICE_PACK_BYTES, downloadDate: null })
+    expect((await manager.list({ downloaded: true })).map(pack => pack.id)).toEqual(['af_bella'])
+  })
+
+  test('downloads missing voices and reports progress', async () => {
+    await store.storeVoice('af_bella', new ArrayBuffer(8))
+    const onProgress = jest.fn()
+
+    const downloaded = await manager.download(['af_bella', 'am_adam', 'bf_emma', 'am_adam'], onProgress)
+
+    expect(downloaded).toEqual(['am_adam', 'bf_emma'])
+    expect(global.fetch).toHaveBeenCalledTimes(2)
+    expect(global.fetch).toHaveBeenCalledWith(expect.stringMatching(/\/voices\/am_adam\.bin$/))
+    expect(onProgress).toHaveBeenLastCalledWith({ voiceId: 'bf_emma', completed: 2, total: 2 })
+    expect(await manager.getStorageSize()).toBe(8 + 16 + 16)
+  })
+
+  test('rejects unknown voices before downloading anything', async () => {
+    await expect(manager.download(['am_adam', 'xx_nobody'])).rejects.toThrow('Voice "xx_nobody" not found')
+    expect(global.fetch).not.toHaveBeenCalled()
+  })
+
+  test('keeps voices downloaded before a failed download', async () => {
+    global.fetch
+      .mockResolvedValueOnce({ ok: true, status: 200, arrayBuffer: async () => new ArrayBuffer(16), headers: {} })
+      .mockResolvedValueOnce({ ok: false, status: 404, arrayBuffer: async () => new ArrayBuffer(0), headers: {} })
+
+    await expect(manager.download(['am_adam', 'bf_emma'])).rejects.toThrow('Failed to download voice "bf_emma": HTTP 404')
+    expect((await manager.list({ downloaded: true })).map(pack => pack.id)).toEqual(['am_adam'])
+  })
+
+  test('deletes downloaded voices', async () => {
+    await manager.download(['am_adam'])
+
+    await manager.delete('am_adam')
+
+    expect(await store.loadVoice('am_adam')).toBeNull()
+    expect(await manager.getStorageSize()).toBe(0)
+  })
+})
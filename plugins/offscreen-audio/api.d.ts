@@ -9,12 +9,35 @@ export interface PlaybackState {
   currentPlaybackId: string | null
   position: number
   duration: number
+  speed?: number
 }
 
 export interface PlaybackOptions {
   volume?: number
   speed?: number
   playbackId?: string
+  voice?: string
+  /** Tab the audio belongs to; other tabs' audio follows the session policy */
+  channel?: number
+}
+
+/** Same policies as the queue-manager plugin */
+export type SessionPolicy = 'global-exclusive' | 'per-tab-exclusive' | 'mix'
+
+export interface MediaMetadataInit {
+  title?: string
+  artist?: string
+  album?: string
+  artwork?: Array<{ src: string, sizes?: string, type?: string }>
+}
+
+export type MediaAction = 'play' | 'pause' | 'stop' | 'seekto' | 'seekbackward' | 'seekforward' | 'previoustrack' | 'nexttrack'
+
+export interface MediaActionEvent {
+  action: MediaAction
+  seekTime?: number
+  seekOffset?: number
+  timestamp: number
 }
 
 export interface AudioChunk {
@@ -22,11 +45,65 @@ export interface AudioChunk {
   sampleRate: number
   timestamp: number
   isLast?: boolean
+  streamId?: string
+  chunkIndex?: number
+  voice?: string
+}
+
+export interface StreamState {
+  isStreaming: boolean
+  streamId: string | null
+  bufferedChunks: number
+  totalDuration: number
+  position: number
+  underruns: number
+}
+
+export type NormalizationMode = 'off' | 'rms' | 'lufs'
+
+export type EqPreset = 'off' | 'podcast' | 'small-speakers'
+
+export interface AudioProcessingSettings {
+  /** How loudness is measured for normalization (default 'lufs') */
+  normalization: NormalizationMode
+  /** Target loudness, LUFS or dBFS for 'rms' (-36 to -6, default -18) */
+  targetLoudness: number
+  /** Speech compressor (default true) */
+  compressor: boolean
+  /** Peak limiter (default true) */
+  limiter: boolean
+  /** Tone preset (default 'off') */
+  eq: EqPreset
+  /** Calibration gain in dB per voice ID (-12 to 12) */
+  voiceGains: Record<string, number>
+}
+
+export type ExportFormat = 'wav' | 'webm'
+
+export interface ExportOptions {
+  audio: Float32Array
+  sampleRate: number
+  format?: ExportFormat
+  bitDepth?: 16 | 32
+  filename?: string
+  saveAs?: boolean
+}
+
+export interface ExportResult {
+  downloadId: number
+  filename: string
+  format: ExportFormat
+  mimeType: string
+  size: number
 }
 
 export interface PluginConfig {
   volume?: number
   speed?: number
+  jitterBufferMs?: number
+  exportFormat?: ExportFormat
+  audioProcessing?: Partial<AudioProcessingSettings>
+  sessionPolicy?: SessionPolicy
 }
 
 export interface HealthCheckResult {
@@ -46,6 +123,7 @@ export default class OffscreenAudioPlugin {
   version: string
   stage: string
   config: PluginConfig
+  sessionPolicy: SessionPolicy
 
   constructor(config?: PluginConfig)
 
@@ -65,19 +143,30 @@ export default class OffscreenAudioPlugin {
   play(audioBuffer: AudioBuffer, options?: PlaybackOptions): Promise<void>
 
   /**
-   * Pause current playback
+   * Pause a tab's playback, or without a tab the current playback
+   */
+  pause(tabId?: number): void
+
+  /**
+   * Resume a tab's paused playback, or without a tab the current playback
+   */
+  resume(tabId?: number): void
+
+  /**
+   * Jump to a position (seconds) in a tab's playback, or without a tab the current playback or stream
    */
-  pause(): void
+  seek(position: number, tabId?: number): void
 
   /**
-   * Resume paused playback
+   * Jump to the next sentence (1) or back to the current/previous one (-1)
+   * Returns the position seeked to, or null if there is nowhere to go
    */
-  resume(): void
+  skipSentence(direction?: 1 | -1): number | null
 
   /**
-   * Stop current playback
+   * Stop a tab's playback, or without a tab all playback and the stream
    */
-  stop(): void
+  stop(tabId?: number): void
 
   /**
    * Stream audio chunk
@@ -90,9 +179,34 @@ export default class OffscreenAudioPlugin {
   flushStream(): Promise<void>
 
   /**
-   * Get current playback state
+   * Cancel the active stream and stop its scheduled sources
    */
-  getPlaybackState(): PlaybackState
+  cancelStream(): void
+
+  /**
+   * Create the offscreen document if needed (it also parses PDFs)
+   */
+  ensureOffscreenDocument(): Promise<void>
+
+  /**
+   * Get current stream state
+   */
+  getStreamState(): StreamState
+
+  /**
+   * Encode audio (WAV or WebM/Opus) and download it via chrome.downloads
+   */
+  exportAudio(options: ExportOptions): Promise<ExportResult>
+
+  /**
+   * Get a tab's playback state, or without a tab the current one
+   */
+  getPlaybackState(tabId?: number): PlaybackState
+
+  /**
+   * Set what a tab starting or resuming does to other tabs' audio; throws on an unknown policy
+   */
+  setSessionPolicy(policy: SessionPolicy): void
 
   /**
    * Set volume (0-1)
@@ -100,9 +214,25 @@ export default class OffscreenAudioPlugin {
   setVolume(volume: number): void
 
   /**
-   * Set playback speed (0.5-2.0)
+   * Set playback speed (0.5-4.0) - applies live to playing audio, keeping the pitch
+   */
+  setSpeed(speed: number): Promise<void>
+
+  /**
+   * Set loudness normalization, per-voice gain, EQ and dynamics; missing fields take the defaults
+   */
+  setAudioProcessing(settings: Partial<AudioProcessingSettings>): Promise<AudioProcessingSettings>
+
+  /**
+   * Get audio processing settings
+   */
+  getAudioProcessing(): AudioProcessingSettings
+
+  /**
+   * Set the title, voice name and artwork shown by headset and OS media controls for the next playback;
+   * their actions arrive as audio:mediaAction events
    */
-  setSpeed(speed: number): void
+  setMediaMetadata(metadata: MediaMetadataInit | null): void
 
   /**
    * Recycle offscreen document
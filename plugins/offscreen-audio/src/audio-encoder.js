@@ -0,0 +1,180 @@
+/**
+ * @module AudioEncoder
+ * @description Encodes synthesized audio for export - WAV anywhere, WebM/Opus where MediaRecorder exists
+ */
+
+/**
+ * @typedef {Object} ExportFormat
+ * @property {string} mimeType - MIME type of the encoded file
+ * @property {string} extension - File extension without dot
+ */
+
+/** @type {Object<string, ExportFormat>} */
+const EXPORT_FORMATS = {
+  wav: { mimeType: 'audio/wav', extension: 'wav' },
+  webm: { mimeType: 'audio/webm;codecs=opus', extension: 'webm' }
+}
+
+const WAV_HEADER_SIZE = 44
+const DEFAULT_OPUS_BITS_PER_SECOND = 64000
+
+/**
+ * Look up an export format
+ * @param {string} format - Format name ('wav' or 'webm')
+ * @returns {ExportFormat}
+ */
+function getExportFormat(format) {
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    throw new Error(`Unsupported export format "${format}". Supported formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+  }
+  return EXPORT_FORMATS[format]
+}
+
+/**
+ * Encode mono samples as a RIFF/WAVE file
+ * @param {Float32Array|number[]} samples - PCM samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - Encoding options
+ * @param {16|32} [options.bitDepth] - 16-bit integer PCM (default) or 32-bit float
+ * @returns {ArrayBuffer}
+ */
+function encodeWav(samples, sampleRate, options = {}) {
+  const bitDepth = options.bitDepth || 16
+  if (bitDepth !== 16 && bitDepth !== 32) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`)
+  }
+
+  const bytesPerSample = bitDepth / 8
+  const dataSize = samples.length * bytesPerSample
+  const buffer = new ArrayBuffer(WAV_HEADER_SIZE + dataSize)
+  const view = new DataView(buffer)
+
+  // "RIFF" chunk descriptor
+  writeString(view, 0, 'RIFF')
+  view.setUint32(4, 36 + dataSize, true)
+  writeString(view, 8, 'WAVE')
+
+  // "fmt " subchunk
+  writeString(view, 12, 'fmt ')
+  view.setUint32(16, 16, true) // Subchunk1Size (16 for PCM)
+  view.setUint16(20, bitDepth === 32 ? 3 : 1, true) // AudioFormat (1 = PCM, 3 = float)
+  view.setUint16(22, 1, true) // NumChannels (mono)
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * bytesPerSample, true) // ByteRate
+  view.setUint16(32, bytesPerSample, true) // BlockAlign
+  view.setUint16(34, bitDepth, true)
+
+  // "data" subchunk
+  writeString(view, 36, 'data')
+  view.setUint32(40, dataSize, true)
+
+  let offset = WAV_HEADER_SIZE
+  for (let i = 0; i < samples.length; i++, offset += bytesPerSample) {
+    const sample = Math.max(-1, Math.min(1, samples[i]))
+    if (bitDepth === 32) {
+      view.setFloat32(offset, sample, true)
+    } else {
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true)
+    }
+  }
+
+  return buffer
+}
+
+/**
+ * Encode mono samples as WebM/Opus using MediaRecorder
+ * Recording runs in real time, so this belongs in the offscreen document
+ * @param {Float32Array|number[]} samples - PCM samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} [options] - Encoding options
+ * @param {Function} [options.createContext] - Factory returning an AudioContext for the sample rate
+ * @param {number} [options.bitsPerSecond] - Opus bitrate
+ * @returns {Promise<Blob>}
+ */
+async function encodeWebm(samples, sampleRate, options = {}) {
+  const { mimeType } = EXPORT_FORMATS.webm
+
+  if (typeof MediaRecorder === 'undefined' || !MediaRecorder.isTypeSupported(mimeType)) {
+    throw new Error('WebM/Opus encoding is not supported in this context')
+  }
+
+  const createContext = options.createContext || ((rate) => new AudioContext({ sampleRate: rate }))
+  const audioContext = createContext(sampleRate)
+
+  try {
+    const audioBuffer = audioContext.createBuffer(1, samples.length, sampleRate)
+    audioBuffer.getChannelData(0).set(samples)
+
+    // Route into a MediaStream only - nothing reaches the speakers
+    const destination = audioContext.createMediaStreamDestination()
+    const source = audioContext.createBufferSource()
+    source.buffer = audioBuffer
+    source.connect(destination)
+
+    const recorder = new MediaRecorder(destination.stream, {
+      mimeType,
+      audioBitsPerSecond: options.bitsPerSecond || DEFAULT_OPUS_BITS_PER_SECOND
+    })
+
+    const parts = []
+    const finished = new Promise((resolve, reject) => {
+      recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) {
+          parts.push(event.data)
+        }
+      }
+      recorder.onstop = () => resolve(new Blob(parts, { type: mimeType }))
+      recorder.onerror = (event) => reject(event.error || new Error('MediaRecorder failed'))
+    })
+
+    source.onended = () => {
+      if (recorder.state !== 'inactive') {
+        recorder.stop()
+      }
+    }
+
+    if (audioContext.state === 'suspended') {
+      await audioContext.resume()
+    }
+
+    recorder.start()
+    source.start()
+
+    return await finished
+  } finally {
+    audioContext.close()
+  }
+}
+
+/**
+ * Encode samples in an export format
+ * @param {Float32Array|number[]} samples - PCM samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Object} options - Encoding options
+ * @param {string} options.format - Export format ('wav' or 'webm')
+ * @param {16|32} [options.bitDepth] - WAV bit depth
+ * @param {number} [options.bitsPerSecond] - Opus bitrate
+ * @param {Function} [options.createContext] - Factory returning an AudioContext for WebM recording
+ * @returns {Promise<Blob>}
+ */
+async function encodeAudio(samples, sampleRate, options) {
+  const { mimeType } = getExportFormat(options.format)
+  if (options.format === 'webm') {
+    return encodeWebm(samples, sampleRate, { bitsPerSecond: options.bitsPerSecond, createContext: options.createContext })
+  }
+  return new Blob([encodeWav(samples, sampleRate, { bitDepth: options.bitDepth })], { type: mimeType })
+}
+
+/**
+ * @private
+ * @param {DataView} view - Target view
+ * @param {number} offset - Byte offset
+ * @param {string} string - ASCII string
+ */
+function writeString(view, offset, string) {
+  for (let i = 0; i < string.length; i++) {
+    view.setUint8(offset + i, string.charCodeAt(i))
+  }
+}
+
+export { EXPORT_FORMATS, getExportFormat, encodeWav, encodeWebm, encodeAudio }
@@ -9,25 +9,41 @@
  * @property {string|null} currentPlaybackId
  * @property {number} position
  * @property {number} duration
+ * @property {number} [speed] - Playback speed
  */
 
+const idleState = () => ({
+  status: 'idle',
+  currentPlaybackId: null,
+  position: 0,
+  duration: 0
+})
+
 class AudioManager {
   constructor(pal, eventBus) {
     this.pal = pal
     this.eventBus = eventBus
 
-    // Playback state
-    this.playbackState = {
-      status: 'idle',
-      currentPlaybackId: null,
-      position: 0,
-      duration: 0
-    }
+    // Playback state per channel (tab ID; null for audio without one) - playbackState is the current channel's
+    this.channelStates = new Map()
+    this.playbackState = this._channelState(null)
+
+    // What starting or resuming a channel does to the others: 'stop', 'pause' or 'keep'
+    this.otherChannels = 'stop'
 
     // Volume and speed settings
     this.volume = 1.0
     this.speed = 1.0
 
+    // Loudness normalization, EQ and dynamics for the offscreen output chain (defaults until set)
+    this.processing = {}
+
+    // What is being read, for the OS media controls (sent with playback)
+    this.mediaMetadata = null
+
+    // Stream statistics
+    this.underrunCount = 0
+
     // Message listener
     this.messageListener = null
   }
@@ -58,18 +74,21 @@ class AudioManager {
    * Play audio through offscreen document
    * @param {AudioBuffer} audioBuffer - Audio buffer to play
    * @param {Object} options - Playback options
+   * @param {number} [options.channel] - Tab the audio belongs to; other tabs' audio follows otherChannels
    * @returns {Promise<void>}
    */
   async play(audioBuffer, options = {}) {
+    const state = this._channelState(options.channel ?? null)
     try {
       // Extract audio data from AudioBuffer
       const audioData = this._extractAudioData(audioBuffer)
 
       // Update playback state
-      this.playbackState.status = 'playing'
-      this.playbackState.currentPlaybackId = options.playbackId || null
-      this.playbackState.duration = audioBuffer.duration
-      this.playbackState.position = 0
+      this.playbackState = state
+      state.status = 'playing'
+      state.currentPlaybackId = options.playbackId || null
+      state.duration = audioBuffer.duration
+      state.position = 0
 
       // Send play message to offscreen document
       const response = await chrome.runtime.sendMessage({
@@ -78,9 +97,14 @@ class AudioManager {
         sampleRate: audioData.sampleRate,
         numberOfChannels: audioData.numberOfChannels,
         playbackId: options.playbackId,
+        channel: options.channel ?? null,
+        otherChannels: this.otherChannels,
         options: {
           volume: options.volume !== undefined ? options.volume : this.volume,
-          speed: options.speed !== undefined ? options.speed : this.speed
+          speed: options.speed !== undefined ? options.speed : this.speed,
+          voice: options.voice,
+          processing: this.processing,
+          metadata: this.mediaMetadata
         }
       })
 
@@ -91,21 +115,159 @@ class AudioManager {
       console.log('Audio playback initiated')
     } catch (error) {
       console.error('Audio play error:', error)
-      this.playbackState.status = 'idle'
+      state.status = 'idle'
       throw error
     }
   }
 
   /**
-   * Pause current playback
+   * Send a stream chunk to the offscreen document for scheduled playback
+   * @param {string} streamId - Stream identifier
+   * @param {Object} chunk - Chunk data
+   * @param {Float32Array} chunk.data - Audio samples
+   * @param {number} chunk.sampleRate - Sample rate in Hz
+   * @param {number} chunk.chunkIndex - Chunk position in stream
+   * @param {boolean} chunk.isLast - Whether this is the last chunk
+   * @param {string} [chunk.voice] - Voice that spoke the chunk
+   * @param {Object} [options] - Stream options
+   * @param {number} [options.jitterBufferMs] - Audio to buffer before starting
+   * @returns {Promise<Object>} Offscreen stream state
    */
-  pause() {
+  async streamChunk(streamId, chunk, options = {}) {
+    try {
+      // Streams have no channel
+      const state = this._channelState(null)
+      this.playbackState = state
+      if (state.currentPlaybackId !== streamId) {
+        state.currentPlaybackId = streamId
+        state.position = 0
+        state.duration = 0
+        this.underrunCount = 0
+      }
+
+      state.duration += chunk.data.length / chunk.sampleRate
+
+      const response = await chrome.runtime.sendMessage({
+        type: 'offscreen-audio-stream-chunk',
+        streamId,
+        chunkIndex: chunk.chunkIndex,
+        audioData: Array.from(chunk.data),
+        sampleRate: chunk.sampleRate,
+        isLast: chunk.isLast,
+        voice: chunk.voice,
+        options: {
+          volume: this.volume,
+          speed: this.speed,
+          jitterBufferMs: options.jitterBufferMs,
+          processing: this.processing,
+          metadata: this.mediaMetadata
+        }
+      })
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Stream chunk rejected')
+      }
+
+      return response.state
+    } catch (error) {
+      console.error('Audio stream chunk error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Signal end of input for a stream
+   * @param {string} streamId - Stream identifier
+   * @returns {Promise<void>}
+   */
+  async endStream(streamId) {
+    await chrome.runtime.sendMessage({
+      type: 'offscreen-audio-stream-end',
+      streamId
+    })
+  }
+
+  /**
+   * Cancel a stream and stop its scheduled sources
+   * @param {string} streamId - Stream identifier
+   */
+  cancelStream(streamId) {
     try {
       chrome.runtime.sendMessage({
-        type: 'offscreen-audio-pause'
+        type: 'offscreen-audio-stream-cancel',
+        streamId
+      })
+
+      const state = this._channelState(null)
+      if (state.currentPlaybackId === streamId) {
+        state.status = 'stopped'
+        state.currentPlaybackId = null
+        state.position = 0
+        state.duration = 0
+      }
+    } catch (error) {
+      console.error('Audio stream cancel error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Encode audio in the offscreen document for download
+   * @param {Float32Array} samples - Audio samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} [options] - Export options
+   * @param {string} [options.format] - 'wav' or 'webm'
+   * @param {number} [options.bitDepth] - WAV bit depth (16 or 32)
+   * @returns {Promise<{url: string, mimeType: string, size: number}>} Blob URL owned by the offscreen document
+   */
+  async exportAudio(samples, sampleRate, options = {}) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'offscreen-audio-export',
+        audioData: Array.from(samples),
+        sampleRate,
+        format: options.format || 'wav',
+        bitDepth: options.bitDepth
       })
 
-      this.playbackState.status = 'paused'
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Audio export failed')
+      }
+
+      return {
+        url: response.url,
+        mimeType: response.mimeType,
+        size: response.size
+      }
+    } catch (error) {
+      console.error('Audio export error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Release a blob URL created by exportAudio
+   * @param {string} url - Blob URL
+   */
+  revokeExport(url) {
+    chrome.runtime.sendMessage({
+      type: 'offscreen-audio-export-revoke',
+      url
+    })
+  }
+
+  /**
+   * Pause a tab's playback, or without a tab the current one
+   * @param {number} [channel] - Tab whose audio to pause
+   */
+  pause(channel) {
+    try {
+      chrome.runtime.sendMessage({
+        type: 'offscreen-audio-pause',
+        channel
+      })
+
+      this._targetState(channel).status = 'paused'
     } catch (error) {
       console.error('Audio pause error:', error)
       throw error
@@ -113,15 +275,18 @@ class AudioManager {
   }
 
   /**
-   * Resume paused playback
+   * Resume a tab's paused playback, or without a tab the current one - other tabs follow otherChannels
+   * @param {number} [channel] - Tab whose audio to resume
    */
-  resume() {
+  resume(channel) {
     try {
       chrome.runtime.sendMessage({
-        type: 'offscreen-audio-resume'
+        type: 'offscreen-audio-resume',
+        channel,
+        otherChannels: this.otherChannels
       })
 
-      this.playbackState.status = 'playing'
+      this._targetState(channel).status = 'playing'
     } catch (error) {
       console.error('Audio resume error:', error)
       throw error
@@ -129,18 +294,40 @@ class AudioManager {
   }
 
   /**
-   * Stop current playback
+   * Jump to a position in a tab's playback, or without a tab the current playback or stream
+   * @param {number} position - Target position in seconds
+   * @param {number} [channel] - Tab whose audio to seek
+   */
+  seek(position, channel) {
+    try {
+      chrome.runtime.sendMessage({
+        type: 'offscreen-audio-seek',
+        position,
+        channel
+      })
+
+      this._targetState(channel).position = position
+    } catch (error) {
+      console.error('Audio seek error:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Stop a tab's playback, or without a tab every tab's playback and the stream
+   * @param {number} [channel] - Tab whose audio to stop
    */
-  stop() {
+  stop(channel) {
     try {
       chrome.runtime.sendMessage({
-        type: 'offscreen-audio-stop'
+        type: 'offscreen-audio-stop',
+        channel
       })
 
-      this.playbackState.status = 'stopped'
-      this.playbackState.currentPlaybackId = null
-      this.playbackState.position = 0
-      this.playbackState.duration = 0
+      const states = channel === undefined ? this.channelStates.values() : [this._channelState(channel)]
+      for (const state of states) {
+        Object.assign(state, idleState(), { status: 'stopped' })
+      }
     } catch (error) {
       console.error('Audio stop error:', error)
       throw error
@@ -148,11 +335,13 @@ class AudioManager {
   }
 
   /**
-   * Get current playback state
+   * Get a tab's playback state, or without a tab the current one
+   * @param {number} [channel] - Tab to report
    * @returns {PlaybackState}
    */
-  getPlaybackState() {
-    return { ...this.playbackState }
+  getPlaybackState(channel) {
+    const state = channel === undefined ? this.playbackState : this.channelStates.get(channel) || idleState()
+    return { ...state, speed: this.speed }
   }
 
   /**
@@ -164,11 +353,49 @@ class AudioManager {
   }
 
   /**
-   * Set playback speed
-   * @param {number} speed - Speed (0.5-2.0)
+   * Set playback speed - sent with every chunk, and to a running offscreen document straight away
+   * so the speed changes live
+   * @param {number} speed - Speed (0.5-4.0)
+   * @returns {Promise<void>}
    */
-  setSpeed(speed) {
+  async setSpeed(speed) {
     this.speed = speed
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'offscreen-audio-speed',
+        speed
+      })
+    } catch (error) {
+      // No offscreen document yet - it gets the speed with the next playback
+    }
+  }
+
+  /**
+   * Set loudness normalization, EQ and dynamics - sent with every chunk, and to a running
+   * offscreen document straight away
+   * @param {Object} settings - Validated audio processing settings
+   * @returns {Promise<void>}
+   */
+  async setProcessing(settings) {
+    this.processing = settings
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'offscreen-audio-processing',
+        settings
+      })
+    } catch (error) {
+      // No offscreen document yet - it gets the settings with the next playback
+    }
+  }
+
+  /**
+   * Set the title, voice and artwork shown by headset and OS media controls for the next playback
+   * @param {Object|null} metadata - Media metadata, or null for none
+   */
+  setMediaMetadata(metadata) {
+    this.mediaMetadata = metadata
   }
 
   /**
@@ -184,12 +411,8 @@ class AudioManager {
       }
 
       // Reset state
-      this.playbackState = {
-        status: 'idle',
-        currentPlaybackId: null,
-        position: 0,
-        duration: 0
-      }
+      this.channelStates.clear()
+      this.playbackState = this._channelState(null)
 
       console.log('AudioManager cleaned up')
     } catch (error) {
@@ -200,6 +423,29 @@ class AudioManager {
 
   // Private methods
 
+  /**
+   * A channel's playback state, created on first use
+   * @private
+   * @param {number|null} channel - Tab ID, or null for audio without one
+   * @returns {Object}
+   */
+  _channelState(channel) {
+    if (!this.channelStates.has(channel)) {
+      this.channelStates.set(channel, idleState())
+    }
+    return this.channelStates.get(channel)
+  }
+
+  /**
+   * State a transport command changes - the channel's, or without one the current state
+   * @private
+   * @param {number} [channel] - Tab the command targets
+   * @returns {Object}
+   */
+  _targetState(channel) {
+    return channel === undefined ? this.playbackState : this._channelState(channel)
+  }
+
   /**
    * Extract audio data from AudioBuffer
    * @private
@@ -225,15 +471,20 @@ class AudioManager {
    */
   _handleOffscreenEvent(message) {
     const { event, playbackId, timestamp } = message
+    // Buffer events name their channel (tab); stream events have none
+    const channel = message.channel ?? null
+    const state = this._channelState(channel)
 
     switch (event) {
       case 'started':
-        this.playbackState.status = 'playing'
-        this.playbackState.currentPlaybackId = playbackId
+        this.playbackState = state
+        state.status = 'playing'
+        state.currentPlaybackId = playbackId
 
         if (this.eventBus) {
           this.eventBus.emit('audio:playbackStarted', {
             playbackId,
+            tabId: message.channel,
             timestamp,
             duration: message.duration
           })
@@ -241,25 +492,58 @@ class AudioManager {
         break
 
       case 'completed':
-        this.playbackState.status = 'idle'
-        this.playbackState.currentPlaybackId = null
-        this.playbackState.position = 0
+        state.status = 'idle'
+        state.currentPlaybackId = null
+        state.position = 0
 
         if (this.eventBus) {
           this.eventBus.emit('audio:playbackCompleted', {
             playbackId,
+            tabId: message.channel,
             timestamp
           })
         }
         break
 
       case 'paused':
-        this.playbackState.status = 'paused'
-        this.playbackState.position = message.position
+      case 'stream-paused':
+        state.status = 'paused'
+        state.position = message.position
 
         if (this.eventBus) {
           this.eventBus.emit('audio:playbackPaused', {
             playbackId,
+            tabId: message.channel,
+            timestamp,
+            position: message.position
+          })
+        }
+        break
+
+      case 'resumed':
+      case 'stream-resumed':
+        this.playbackState = state
+        state.status = 'playing'
+        state.position = message.position
+
+        if (this.eventBus) {
+          this.eventBus.emit('audio:playbackResumed', {
+            playbackId,
+            tabId: message.channel,
+            timestamp,
+            position: message.position
+          })
+        }
+        break
+
+      case 'seeked':
+      case 'stream-seeked':
+        state.position = message.position
+
+        if (this.eventBus) {
+          this.eventBus.emit('audio:seeked', {
+            playbackId,
+            tabId: message.channel,
             timestamp,
             position: message.position
           })
@@ -267,12 +551,13 @@ class AudioManager {
         break
 
       case 'error':
-        this.playbackState.status = 'idle'
-        this.playbackState.currentPlaybackId = null
+        state.status = 'idle'
+        state.currentPlaybackId = null
 
         if (this.eventBus) {
           this.eventBus.emit('audio:playbackError', {
             playbackId,
+            tabId: message.channel,
             error: message.error,
             timestamp
           })
@@ -280,12 +565,106 @@ class AudioManager {
         break
 
       case 'stopped':
-        this.playbackState.status = 'stopped'
-        this.playbackState.currentPlaybackId = null
-        this.playbackState.position = 0
+        state.status = 'stopped'
+        state.currentPlaybackId = null
+        state.position = 0
 
         if (this.eventBus) {
           this.eventBus.emit('audio:playbackStopped', {
+            tabId: message.channel,
+            timestamp
+          })
+        }
+        break
+
+      case 'stream-started':
+        this.playbackState = state
+        state.status = 'playing'
+        state.currentPlaybackId = playbackId
+
+        if (this.eventBus) {
+          this.eventBus.emit('audio:playbackStarted', {
+            playbackId,
+            timestamp,
+            streaming: true
+          })
+        }
+        break
+
+      case 'progress':
+        state.position = message.position
+
+        if (this.eventBus) {
+          this.eventBus.emit('audio:positionUpdate', {
+            playbackId,
+            tabId: message.channel,
+            position: message.position,
+            duration: state.duration,
+            timestamp
+          })
+        }
+        break
+
+      case 'stream-progress':
+      case 'stream-position':
+        state.position = message.position
+
+        if (this.eventBus) {
+          this.eventBus.emit('audio:positionUpdate', {
+            playbackId,
+            chunkIndex: message.chunkIndex,
+            position: message.position,
+            duration: message.totalDuration,
+            timestamp
+          })
+        }
+        break
+
+      case 'stream-underrun':
+        this.underrunCount = message.underruns
+
+        if (this.eventBus) {
+          this.eventBus.emit('audio:streamUnderrun', {
+            playbackId,
+            position: message.position,
+            underruns: message.underruns,
+            timestamp
+          })
+        }
+        break
+
+      case 'stream-completed':
+        state.status = 'idle'
+        state.currentPlaybackId = null
+        state.position = 0
+
+        if (this.eventBus) {
+          this.eventBus.emit('audio:playbackCompleted', {
+            playbackId,
+            timestamp,
+            duration: message.duration,
+            underruns: message.underruns,
+            streaming: true
+          })
+        }
+        break
+
+      case 'stream-cancelled':
+        if (this.eventBus) {
+          this.eventBus.emit('audio:streamCancelled', {
+            playbackId,
+            position: message.position,
+            timestamp
+          })
+        }
+        break
+
+      case 'media-action':
+        if (this.eventBus) {
+          this.eventBus.emit('audio:mediaAction', {
+            action: message.action,
+            seekTime: message.seekTime,
+            seekOffset: message.seekOffset,
             timestamp
           })
         }
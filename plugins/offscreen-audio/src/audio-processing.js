@@ -0,0 +1,410 @@
+/**
+ * @module AudioProcessing
+ * @description Post-processing for offscreen playback - per-voice gain calibration, RMS/LUFS loudness
+ * normalization and a Web Audio chain with EQ presets, compressor and limiter
+ */
+
+/**
+ * @typedef {'off'|'rms'|'lufs'} NormalizationMode
+ * @typedef {'off'|'podcast'|'small-speakers'} EqPreset
+ */
+
+/**
+ * @typedef {Object} AudioProcessingSettings
+ * @property {NormalizationMode} normalization - How loudness is measured for normalization
+ * @property {number} targetLoudness - Target loudness in LUFS (dBFS for 'rms')
+ * @property {boolean} compressor - Smooth level differences within speech
+ * @property {boolean} limiter - Catch peaks before they clip
+ * @property {EqPreset} eq - Tone preset
+ * @property {Record<string, number>} voiceGains - Calibration gain in dB per voice ID
+ */
+
+/**
+ * @typedef {Object} FilterSpec
+ * @property {BiquadFilterType} type - Biquad filter type
+ * @property {number} frequency - Corner or centre frequency in Hz
+ * @property {number} [Q] - Quality factor
+ * @property {number} [gain] - Gain in dB (shelf and peaking filters)
+ */
+
+const NORMALIZATION_MODES = ['off', 'rms', 'lufs']
+
+// chrome.storage.sync key shared by the background and the options page
+const AUDIO_PROCESSING_STORAGE_KEY = 'audioProcessing'
+
+const DEFAULT_AUDIO_PROCESSING = Object.freeze({
+  normalization: 'lufs',
+  targetLoudness: -18,
+  compressor: true,
+  limiter: true,
+  eq: 'off',
+  voiceGains: Object.freeze({})
+})
+
+const MIN_TARGET_LOUDNESS = -36
+const MAX_TARGET_LOUDNESS = -6
+
+// Largest calibration offset per voice, and largest correction normalization applies
+const MAX_VOICE_GAIN = 12
+const MAX_NORMALIZATION_GAIN = 12
+
+// Gain changes between chunks ramp over this long so they don't click
+const GAIN_RAMP_SECONDS = 0.05
+
+const EQ_PRESETS = Object.freeze({
+  off: [],
+  // Broadcast voice: rumble cut, less boxiness, more presence and air
+  podcast: [
+    { type: 'highpass', frequency: 80, Q: 0.707 },
+    { type: 'peaking', frequency: 300, Q: 1, gain: -2 },
+    { type: 'peaking', frequency: 3000, Q: 1, gain: 3 },
+    { type: 'highshelf', frequency: 10000, gain: 2 }
+  ],
+  // Laptop and phone speakers: drop bass they can't reproduce, lift intelligibility
+  'small-speakers': [
+    { type: 'highpass', frequency: 180, Q: 0.707 },
+    { type: 'peaking', frequency: 1500, Q: 0.8, gain: 3 },
+    { type: 'peaking', frequency: 4000, Q: 1.2, gain: 4 },
+    { type: 'highshelf', frequency: 9000, gain: -2 }
+  ]
+})
+
+// Gentle speech compression, then a fast limiter just below full scale
+const COMPRESSOR = { threshold: -24, knee: 12, ratio: 3, attack: 0.005, release: 0.2 }
+const LIMITER = { threshold: -1, knee: 0, ratio: 20, attack: 0.001, release: 0.05 }
+
+// ITU-R BS.1770 gating: 400 ms blocks every 100 ms, absolute gate -70 LUFS, relative gate 10 LU down
+const BLOCK_SECONDS = 0.4
+const HOP_SECONDS = 0.1
+const ABSOLUTE_GATE = -70
+const RELATIVE_GATE = 10
+
+/**
+ * Validate processing settings; missing fields take the defaults
+ * @param {Partial<AudioProcessingSettings>} [settings] - Settings to validate
+ * @returns {AudioProcessingSettings}
+ * @throws {Error} For unknown modes or presets and gains or targets out of range
+ */
+function validateAudioProcessing(settings = {}) {
+  const validated = { ...DEFAULT_AUDIO_PROCESSING, ...settings, voiceGains: { ...settings.voiceGains } }
+
+  if (!NORMALIZATION_MODES.includes(validated.normalization)) {
+    throw new Error(`Invalid normalization "${validated.normalization}". Must be one of: ${NORMALIZATION_MODES.join(', ')}`)
+  }
+  if (!isNumberInRange(validated.targetLoudness, MIN_TARGET_LOUDNESS, MAX_TARGET_LOUDNESS)) {
+    throw new Error(`Target loudness must be between ${MIN_TARGET_LOUDNESS} and ${MAX_TARGET_LOUDNESS}`)
+  }
+  if (!Object.hasOwn(EQ_PRESETS, validated.eq)) {
+    throw new Error(`Unknown EQ preset "${validated.eq}". Must be one of: ${Object.keys(EQ_PRESETS).join(', ')}`)
+  }
+  for (const [voiceId, gain] of Object.entries(validated.voiceGains)) {
+    if (!isNumberInRange(gain, -MAX_VOICE_GAIN, MAX_VOICE_GAIN)) {
+      throw new Error(`Gain for voice ${voiceId} must be between -${MAX_VOICE_GAIN} and ${MAX_VOICE_GAIN} dB`)
+    }
+  }
+  validated.compressor = validated.compressor !== false
+  validated.limiter = validated.limiter !== false
+
+  return validated
+}
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max
+}
+
+/**
+ * @param {number} db - Gain in dB
+ * @returns {number} Linear gain
+ */
+function dbToGain(db) {
+  return Math.pow(10, db / 20)
+}
+
+/**
+ * K-weighting filter coefficients for a sample rate - a high shelf for the head's acoustic effect, then
+ * a high-pass (the BS.1770 RLB curve); matches the standard's 48 kHz coefficients exactly
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<{b: number[], a: number[]}>}
+ */
+function kWeighting(sampleRate) {
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate)
+  let Q = 0.7071752369554196
+  const Vh = Math.pow(10, 3.999843853973347 / 20)
+  const Vb = Math.pow(Vh, 0.4996667741545416)
+  let a0 = 1 + K / Q + K * K
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  }
+
+  K = Math.tan(Math.PI * 38.13547087613982 / sampleRate)
+  Q = 0.5003270373253953
+  a0 = 1 + K / Q + K * K
+  const highpass = {
+    b: [1, -2, 1],
+    a: [1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  }
+
+  return [shelf, highpass]
+}
+
+/**
+ * Gated loudness of audio fed in pieces - K-weighted per ITU-R BS.1770 (LUFS) or unweighted (RMS, dBFS)
+ */
+class LoudnessMeter {
+  /**
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.weighted] - Apply K-weighting (default true)
+   */
+  constructor(sampleRate, options = {}) {
+    this.weighted = options.weighted !== false
+    this.hopLength = Math.round(HOP_SECONDS * sampleRate)
+    this.hopsPerBlock = Math.round(BLOCK_SECONDS / HOP_SECONDS)
+
+    this.stages = this.weighted
+      ? kWeighting(sampleRate).map(coefficients => ({ ...coefficients, x1: 0, x2: 0, y1: 0, y2: 0 }))
+      : []
+
+    this.hopEnergy = 0
+    this.hopFill = 0
+    this.hops = []
+    this.blocks = []
+  }
+
+  /**
+   * Measure more audio
+   * @param {Float32Array} samples - Next samples of the same signal
+   */
+  add(samples) {
+    for (let i = 0; i < samples.length; i++) {
+      let value = samples[i]
+      for (const stage of this.stages) {
+        const output = stage.b[0] * value + stage.b[1] * stage.x1 + stage.b[2] * stage.x2 -
+          stage.a[1] * stage.y1 - stage.a[2] * stage.y2
+        stage.x2 = stage.x1
+        stage.x1 = value
+        stage.y2 = stage.y1
+        stage.y1 = output
+        value = output
+      }
+
+      this.hopEnergy += value * value
+      if (++this.hopFill === this.hopLength) {
+        this._addHop(this.hopEnergy / this.hopLength)
+        this.hopEnergy = 0
+        this.hopFill = 0
+      }
+    }
+  }
+
+  /**
+   * Integrated loudness of everything measured so far, ignoring silence and quiet passages
+   * @returns {number|null} LUFS (or dBFS unweighted), null until a block above the silence gate is complete
+   */
+  getLoudness() {
+    const audible = this.blocks.filter(power => blockLoudness(power) > ABSOLUTE_GATE)
+    if (audible.length === 0) {
+      return null
+    }
+
+    const threshold = blockLoudness(mean(audible)) - RELATIVE_GATE
+    return blockLoudness(mean(audible.filter(power => blockLoudness(power) > threshold)))
+  }
+
+  /**
+   * @private
+   * @param {number} power - Mean square of one hop
+   */
+  _addHop(power) {
+    this.hops.push(power)
+    if (this.hops.length > this.hopsPerBlock) {
+      this.hops.shift()
+    }
+    if (this.hops.length === this.hopsPerBlock) {
+      this.blocks.push(mean(this.hops))
+    }
+  }
+}
+
+function mean(values) {
+  return values.reduce((total, value) => total + value, 0) / values.length
+}
+
+function blockLoudness(power) {
+  return -0.691 + 10 * Math.log10(power)
+}
+
+/**
+ * Brings each voice in a stream to the target loudness - every voice is measured separately, the gain
+ * follows the measurement as more of the stream arrives, and the voice's calibration offset is added on top
+ */
+class LoudnessNormalizer {
+  /**
+   * @param {Partial<AudioProcessingSettings>} [settings] - Processing settings
+   */
+  constructor(settings = {}) {
+    this.settings = validateAudioProcessing(settings)
+    this.reset()
+  }
+
+  /**
+   * Change settings; measurements so far are kept when the normalization mode stays the same
+   * @param {Partial<AudioProcessingSettings>} settings - Processing settings
+   */
+  setSettings(settings) {
+    const validated = validateAudioProcessing(settings)
+    if (validated.normalization !== this.settings.normalization) {
+      this.meters.clear()
+    }
+    this.settings = validated
+  }
+
+  /**
+   * Forget the stream measured so far
+   */
+  reset() {
+    this.meters = new Map()
+    this.gain = null
+  }
+
+  /**
+   * Gain-adjusted copy of a chunk
+   * @param {Float32Array|number[]} samples - Chunk samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {string} [voice] - Voice that spoke the chunk
+   * @returns {Float32Array}
+   */
+  process(samples, sampleRate, voice) {
+    const output = Float32Array.from(samples)
+    const gain = dbToGain(this._gainDb(output, sampleRate, voice))
+
+    // Ramp from the previous chunk's gain so corrections don't step
+    const from = this.gain === null ? gain : this.gain
+    const rampLength = from === gain ? 0 : Math.min(output.length, Math.round(GAIN_RAMP_SECONDS * sampleRate))
+    for (let i = 0; i < output.length; i++) {
+      output[i] *= i < rampLength ? from + (gain - from) * (i + 1) / rampLength : gain
+    }
+
+    this.gain = gain
+    return output
+  }
+
+  /**
+   * @private
+   * @returns {number} Gain for the chunk in dB
+   */
+  _gainDb(samples, sampleRate, voice) {
+    const { normalization, targetLoudness, voiceGains } = this.settings
+    const calibration = (voice && voiceGains[voice]) || 0
+    if (normalization === 'off') {
+      return calibration
+    }
+
+    const key = `${voice || ''}@${sampleRate}`
+    if (!this.meters.has(key)) {
+      this.meters.set(key, new LoudnessMeter(sampleRate, { weighted: normalization === 'lufs' }))
+    }
+    const meter = this.meters.get(key)
+    meter.add(samples)
+
+    const loudness = meter.getLoudness()
+    if (loudness === null) {
+      // Nothing measurable yet - keep the gain the stream already has
+      return this.gain === null ? calibration : 20 * Math.log10(this.gain)
+    }
+
+    const correction = Math.min(Math.max(targetLoudness - loudness, -MAX_NORMALIZATION_GAIN), MAX_NORMALIZATION_GAIN)
+    return correction + calibration
+  }
+}
+
+/**
+ * Web Audio output chain: volume -> EQ -> compressor -> limiter -> destination
+ * Sources connect to `input`
+ */
+class AudioChain {
+  /**
+   * @param {BaseAudioContext} audioContext - Context to build the chain in
+   * @param {Partial<AudioProcessingSettings>} [settings] - Processing settings
+   */
+  constructor(audioContext, settings = {}) {
+    this.audioContext = audioContext
+    this.input = audioContext.createGain()
+
+    this.compressor = audioContext.createDynamicsCompressor()
+    setParams(this.compressor, COMPRESSOR)
+    this.limiter = audioContext.createDynamicsCompressor()
+    setParams(this.limiter, LIMITER)
+
+    this.filters = []
+    this.settings = null
+    this.applySettings(settings)
+  }
+
+  /**
+   * Rebuild the chain for new settings
+   * @param {Partial<AudioProcessingSettings>} settings - Processing settings
+   */
+  applySettings(settings) {
+    const validated = validateAudioProcessing(settings)
+
+    for (const node of [this.input, ...this.filters, this.compressor, this.limiter]) {
+      node.disconnect()
+    }
+
+    this.filters = EQ_PRESETS[validated.eq].map(spec => {
+      const filter = this.audioContext.createBiquadFilter()
+      filter.type = spec.type
+      filter.frequency.value = spec.frequency
+      if (spec.Q !== undefined) {
+        filter.Q.value = spec.Q
+      }
+      if (spec.gain !== undefined) {
+        filter.gain.value = spec.gain
+      }
+      return filter
+    })
+
+    const nodes = [this.input, ...this.filters]
+    if (validated.compressor) {
+      nodes.push(this.compressor)
+    }
+    if (validated.limiter) {
+      nodes.push(this.limiter)
+    }
+    nodes.push(this.audioContext.destination)
+
+    for (let i = 0; i < nodes.length - 1; i++) {
+      nodes[i].connect(nodes[i + 1])
+    }
+
+    this.settings = validated
+  }
+
+  /**
+   * Set output volume
+   * @param {number} volume - Volume (0-1)
+   */
+  setVolume(volume) {
+    this.input.gain.value = volume
+  }
+}
+
+function setParams(node, params) {
+  for (const [name, value] of Object.entries(params)) {
+    node[name].value = value
+  }
+}
+
+export {
+  validateAudioProcessing,
+  LoudnessMeter,
+  LoudnessNormalizer,
+  AudioChain,
+  NORMALIZATION_MODES,
+  EQ_PRESETS,
+  DEFAULT_AUDIO_PROCESSING,
+  AUDIO_PROCESSING_STORAGE_KEY,
+  MAX_VOICE_GAIN
+}
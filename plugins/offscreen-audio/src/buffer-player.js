@@ -0,0 +1,330 @@
+/**
+ * @module BufferPlayer
+ * @description Playback of one whole buffer inside the offscreen document - pause, resume, seek and live speed
+ */
+
+import { AudioChain, LoudnessNormalizer } from './audio-processing.js'
+import { setTimeStretchSpeed } from './time-stretch.js'
+
+class BufferPlayer {
+  /**
+   * @param {Object} options - Player options
+   * @param {Function} options.createContext - Factory returning an AudioContext
+   * @param {Function} [options.notify] - Callback (event, data) for playback events
+   * @param {number} [options.progressIntervalMs] - Emit 'progress' this often while playing (0 disables)
+   * @param {Object} [options.processing] - Audio processing settings (see audio-processing.js)
+   * @param {Function} [options.createTimeStretch] - Async factory (context) returning the time-stretch node that
+   * keeps pitch steady at other speeds; without it speed changes shift the pitch
+   */
+  constructor(options = {}) {
+    this.createContext = options.createContext
+    this.createTimeStretch = options.createTimeStretch || null
+    this.notify = options.notify || (() => {})
+    this.progressIntervalMs = options.progressIntervalMs || 0
+    this.progressTimer = null
+
+    this.audioContext = null
+    this.chain = null
+    this.stretchNode = null
+    this.timeStretchReady = null
+    this.speed = 1
+    this.volume = 1
+    this.processing = options.processing || {}
+    this._resetState()
+  }
+
+  /**
+   * Whether a buffer is loaded, playing or paused
+   * @returns {boolean}
+   */
+  get active() {
+    return this.buffer !== null
+  }
+
+  /**
+   * Play a buffer from the start, replacing the current one
+   * @param {Float32Array|number[]} audioData - PCM samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {string} playbackId - Playback identifier reported with every event
+   * @param {Object} [options] - Playback options
+   * @param {number} [options.volume] - Volume (0-1)
+   * @param {number} [options.speed] - Playback speed (0.5-4)
+   * @param {string} [options.voice] - Voice that spoke the audio (for loudness normalization)
+   * @param {Object} [options.processing] - Audio processing settings
+   * @returns {Promise<{success: boolean, duration?: number, error?: string}>}
+   */
+  async play(audioData, sampleRate, playbackId, options = {}) {
+    try {
+      this.release()
+      this._ensureContext()
+
+      if (this.audioContext.state === 'suspended') {
+        await this.audioContext.resume()
+      }
+
+      // Normalize the whole buffer and route it through the processing chain
+      if (options.processing) {
+        this.setProcessing(options.processing)
+      }
+      await this._ensureTimeStretch()
+      const normalized = new LoudnessNormalizer(this.processing).process(audioData, sampleRate, options.voice)
+
+      this.buffer = this.audioContext.createBuffer(1, normalized.length, sampleRate)
+      this.buffer.getChannelData(0).set(normalized)
+      this.playbackId = playbackId
+      this.volume = options.volume !== undefined ? options.volume : 1
+      this.setSpeed(options.speed || 1)
+
+      this.notify('started', { playbackId, duration: this.buffer.duration })
+      this._startSource(0)
+
+      return { success: true, duration: this.buffer.duration }
+    } catch (error) {
+      console.error('Playback error:', error)
+      this.release()
+      this.notify('error', { playbackId, error: error.message })
+      return { success: false, error: error.message }
+    }
+  }
+
+  /**
+   * Pause playback, keeping the position
+   */
+  pause() {
+    if (!this.source || this.isPaused) {
+      return
+    }
+    this.pausedAt = this.getPosition()
+    this._stopSource()
+    this.isPaused = true
+    this.notify('paused', { playbackId: this.playbackId, position: this.pausedAt })
+  }
+
+  /**
+   * Resume paused playback from where it stopped
+   */
+  async resume() {
+    if (!this.isPaused || !this.buffer) {
+      return
+    }
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume()
+    }
+    this.isPaused = false
+    this._startSource(this.pausedAt)
+    this.notify('resumed', { playbackId: this.playbackId, position: this.pausedAt })
+  }
+
+  /**
+   * Jump to a position in the buffer - stays paused if paused
+   * @param {number} position - Target position in seconds
+   * @returns {number|null} Position actually seeked to, or null if nothing is loaded
+   */
+  seek(position) {
+    if (!this.buffer) {
+      return null
+    }
+
+    const target = Math.min(Math.max(position, 0), this.buffer.duration)
+    if (this.isPaused) {
+      this.pausedAt = target
+    } else {
+      this._stopSource()
+      this._startSource(target)
+    }
+    this.notify('seeked', { playbackId: this.playbackId, position: target })
+    return target
+  }
+
+  /**
+   * Stop playback and drop the buffer
+   */
+  stop() {
+    this.release()
+    this.notify('stopped', {})
+  }
+
+  /**
+   * Drop the buffer without reporting a stop - when it is replaced, or another player takes over the output
+   */
+  release() {
+    this._stopSource()
+    this._resetState()
+  }
+
+  /**
+   * Change playback speed live - the source speeds up or slows down and time-stretch keeps the pitch
+   * @param {number} speed - Playback speed (0.5-4)
+   */
+  setSpeed(speed) {
+    const position = this.getPosition()
+    this.speed = speed
+    if (!this.audioContext) {
+      return
+    }
+
+    const now = this.audioContext.currentTime
+    if (this.stretchNode) {
+      setTimeStretchSpeed(this.stretchNode, speed, now)
+    }
+    if (this.source && !this.isPaused) {
+      this.source.playbackRate.value = speed
+      this.startOffset = now - position / speed
+    }
+  }
+
+  /**
+   * Change normalization, EQ and dynamics - normalization applies from the next buffer, the chain at once
+   * @param {Object} settings - Audio processing settings
+   */
+  setProcessing(settings) {
+    this.processing = settings
+    if (this.chain) {
+      this.chain.applySettings(settings)
+    }
+  }
+
+  /**
+   * Current position within the buffer in seconds
+   * @returns {number}
+   */
+  getPosition() {
+    if (this.isPaused) {
+      return this.pausedAt
+    }
+    return this.audioContext && this.source ? (this.audioContext.currentTime - this.startOffset) * this.speed : 0
+  }
+
+  /**
+   * Get playback state snapshot
+   * @returns {{status: 'idle'|'playing'|'paused', currentPlaybackId: string|null, position: number}}
+   */
+  getState() {
+    return {
+      status: this.buffer ? (this.isPaused ? 'paused' : 'playing') : 'idle',
+      currentPlaybackId: this.playbackId,
+      position: this.buffer ? this.getPosition() : 0
+    }
+  }
+
+  // Private methods
+
+  /**
+   * Play the buffer from a position - pause, resume and seek each start a fresh source
+   * @private
+   * @param {number} position - Start position in seconds
+   */
+  _startSource(position) {
+    const source = this.audioContext.createBufferSource()
+    source.buffer = this.buffer
+    source.playbackRate.value = this.speed
+
+    // Through time-stretch and the processing chain, whose input gain is the volume
+    this.chain.setVolume(this.volume)
+    source.connect(this.stretchNode || this.chain.input)
+
+    // Sources replaced by pause, seek or stop end silently
+    source.onended = () => {
+      if (source !== this.source) {
+        return
+      }
+      const playbackId = this.playbackId
+      this.release()
+      this.notify('completed', { playbackId })
+    }
+
+    this.source = source
+    source.start(0, position)
+    this.startOffset = this.audioContext.currentTime - position / this.speed
+    this._startProgress()
+  }
+
+  /**
+   * Stop the playing source, keeping the buffer for resume and seek
+   * @private
+   */
+  _stopSource() {
+    this._stopProgress()
+    if (!this.source) {
+      return
+    }
+    const source = this.source
+    this.source = null
+    try {
+      source.stop()
+    } catch (error) {
+      console.warn('Error stopping current source:', error)
+    }
+  }
+
+  /**
+   * Report position periodically so the page can highlight the spoken word
+   * @private
+   */
+  _startProgress() {
+    this._stopProgress()
+    if (!this.progressIntervalMs) {
+      return
+    }
+    const playbackId = this.playbackId
+    this.progressTimer = setInterval(() => {
+      this.notify('progress', { playbackId, position: this.getPosition() })
+    }, this.progressIntervalMs)
+  }
+
+  /**
+   * @private
+   */
+  _stopProgress() {
+    if (this.progressTimer) {
+      clearInterval(this.progressTimer)
+      this.progressTimer = null
+    }
+  }
+
+  /**
+   * @private
+   */
+  _ensureContext() {
+    if (!this.audioContext) {
+      this.audioContext = this.createContext()
+      this.chain = new AudioChain(this.audioContext, this.processing)
+    }
+  }
+
+  /**
+   * Load the time-stretch node once per context; on failure playback goes straight to the output chain
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _ensureTimeStretch() {
+    if (!this.createTimeStretch) {
+      return
+    }
+    if (!this.timeStretchReady) {
+      this.timeStretchReady = this.createTimeStretch(this.audioContext)
+        .then((node) => {
+          node.connect(this.chain.input)
+          this.stretchNode = node
+        })
+        .catch((error) => {
+          console.warn('Time-stretch unavailable, speed changes will shift pitch:', error)
+        })
+    }
+    await this.timeStretchReady
+  }
+
+  /**
+   * @private
+   */
+  _resetState() {
+    this.source = null
+    this.buffer = null
+    this.playbackId = null
+    this.isPaused = false
+    this.pausedAt = 0
+    this.startOffset = 0
+  }
+}
+
+export { BufferPlayer }
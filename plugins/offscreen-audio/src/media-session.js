@@ -0,0 +1,195 @@
+/**
+ * @module MediaSession
+ * @description Publishes offscreen playback to the Media Session API so headset buttons, media keys and
+ * OS media overlays show what is being read and can control it
+ */
+
+/**
+ * @typedef {Object} MediaMetadataInit
+ * @property {string} [title] - Article or page title
+ * @property {string} [artist] - Voice name
+ * @property {string} [album] - Site or document the text came from
+ * @property {Array<{src: string, sizes?: string, type?: string}>} [artwork] - Artwork images
+ */
+
+// Actions handled - each is reported back to the extension, which routes it through the queue
+const MEDIA_ACTIONS = ['play', 'pause', 'stop', 'seekto', 'seekbackward', 'seekforward', 'previoustrack', 'nexttrack']
+
+// Seconds skipped by seekbackward/seekforward when the OS does not say
+const DEFAULT_SEEK_OFFSET = 10
+
+/**
+ * Keeps navigator.mediaSession in step with the offscreen players' events
+ */
+class MediaSessionController {
+  /**
+   * @param {Object} options - Options
+   * @param {MediaSession} [options.mediaSession] - Media session to drive (navigator.mediaSession); none disables it
+   * @param {Function} [options.createMetadata] - Builds a MediaMetadata from MediaMetadataInit
+   * @param {Function} options.onAction - Called with (action, details) when the user presses a media control
+   */
+  constructor(options) {
+    this.mediaSession = options.mediaSession || null
+    this.createMetadata = options.createMetadata || (init => new MediaMetadata(init))
+    this.onAction = options.onAction
+
+    this.metadataKey = null
+    this.speed = 1
+    this.duration = 0
+    this.position = 0
+
+    this._registerActions()
+  }
+
+  /**
+   * Show what is being read; unchanged metadata is skipped since it is sent with every chunk
+   * @param {MediaMetadataInit|null} metadata - Metadata, or null to clear it
+   */
+  setMetadata(metadata) {
+    if (!this.mediaSession) {
+      return
+    }
+
+    const key = JSON.stringify(metadata || null)
+    if (key === this.metadataKey) {
+      return
+    }
+    this.metadataKey = key
+    this.mediaSession.metadata = metadata ? this.createMetadata(metadata) : null
+  }
+
+  /**
+   * Playback speed reported with the position, so the OS can advance its own progress bar
+   * @param {number} speed - Playback speed
+   */
+  setSpeed(speed) {
+    this.speed = speed
+    this._updatePosition()
+  }
+
+  /**
+   * Follow a playback event from either player (the same events sent to the extension)
+   * @param {Object} message - offscreen-audio-event message
+   */
+  handleEvent(message) {
+    if (!this.mediaSession) {
+      return
+    }
+
+    switch (message.event) {
+      case 'started':
+      case 'stream-started':
+        this.duration = message.duration || 0
+        this.position = 0
+        this.mediaSession.playbackState = 'playing'
+        break
+
+      case 'resumed':
+      case 'stream-resumed':
+        this.position = message.position ?? this.position
+        this.mediaSession.playbackState = 'playing'
+        break
+
+      case 'paused':
+      case 'stream-paused':
+        this.position = message.position ?? this.position
+        this.mediaSession.playbackState = 'paused'
+        break
+
+      case 'seeked':
+      case 'stream-seeked':
+      case 'progress':
+      case 'stream-position':
+        this.position = message.position ?? this.position
+        break
+
+      case 'stream-progress':
+        this.position = message.position ?? this.position
+        // A stream's duration grows as chunks arrive
+        this.duration = message.totalDuration ?? this.duration
+        break
+
+      case 'completed':
+      case 'stopped':
+      case 'error':
+      case 'stream-completed':
+        this.clear()
+        return
+
+      case 'stream-cancelled':
+        // Usually replaced by a new stream, whose metadata has already arrived with its first chunk
+        this.duration = 0
+        this.position = 0
+        this.mediaSession.playbackState = 'none'
+        return
+
+      default:
+        return
+    }
+
+    this._updatePosition()
+  }
+
+  /**
+   * Nothing playing - hide the OS media controls
+   */
+  clear() {
+    this.duration = 0
+    this.position = 0
+    if (!this.mediaSession) {
+      return
+    }
+
+    this.mediaSession.playbackState = 'none'
+    this.mediaSession.metadata = null
+    this.metadataKey = null
+    try {
+      this.mediaSession.setPositionState()
+    } catch (error) {
+      // Position state not supported
+    }
+  }
+
+  /**
+   * @private
+   */
+  _updatePosition() {
+    if (!this.mediaSession || !(this.duration > 0)) {
+      return
+    }
+
+    try {
+      this.mediaSession.setPositionState({
+        duration: this.duration,
+        playbackRate: this.speed,
+        position: Math.min(Math.max(this.position, 0), this.duration)
+      })
+    } catch (error) {
+      console.warn('Media session position update failed:', error)
+    }
+  }
+
+  /**
+   * @private
+   */
+  _registerActions() {
+    if (!this.mediaSession) {
+      return
+    }
+
+    for (const action of MEDIA_ACTIONS) {
+      try {
+        this.mediaSession.setActionHandler(action, (details = {}) => {
+          this.onAction(action, {
+            seekTime: details.seekTime,
+            seekOffset: details.seekOffset || DEFAULT_SEEK_OFFSET
+          })
+        })
+      } catch (error) {
+        // The browser doesn't support this action
+      }
+    }
+  }
+}
+
+export { MediaSessionController, MEDIA_ACTIONS, DEFAULT_SEEK_OFFSET }
@@ -5,6 +5,9 @@
 
 import { AudioManager } from './audio-manager.js'
 import { StreamHandler } from './stream-handler.js'
+import { getExportFormat } from './audio-encoder.js'
+import { validateAudioProcessing } from './audio-processing.js'
+import { validatePlaybackSpeed } from './time-stretch.js'
 
 /**
  * @typedef {Object} PlaybackState
@@ -14,16 +17,46 @@ import { StreamHandler } from './stream-handler.js'
  * @property {number} duration
  */
 
+/**
+ * @typedef {Object} ExportOptions
+ * @property {Float32Array} audio - Audio samples to export
+ * @property {number} sampleRate - Sample rate in Hz
+ * @property {'wav'|'webm'} [format] - Output format (default 'wav')
+ * @property {number} [bitDepth] - WAV bit depth (16 or 32)
+ * @property {string} [filename] - Download filename (extension added if missing)
+ * @property {boolean} [saveAs] - Show the Save As dialog (default true)
+ */
+
 /**
  * @typedef {Object} PlaybackOptions
  * @property {number} [volume] - Volume (0-1)
- * @property {number} [speed] - Playback speed (0.5-2.0)
+ * @property {number} [speed] - Playback speed (0.5-4.0), pitch preserved
+ * @property {string} [voice] - Voice that spoke the audio (for per-voice gain)
+ * @property {number} [channel] - Tab the audio belongs to; other tabs' audio follows the session policy
+ */
+
+/**
+ * @typedef {Object} MediaMetadataInit
+ * @property {string} [title] - Article or page title
+ * @property {string} [artist] - Voice name
+ * @property {string} [album] - Site or document the text came from
+ * @property {Array<{src: string, sizes?: string, type?: string}>} [artwork] - Artwork images
  */
 
 const MEMORY_THRESHOLD_MB = 500
 const SESSION_THRESHOLD = 20
 const OFFSCREEN_URL = 'plugins/offscreen-audio/src/offscreen.html'
 
+// Skipping back within this many seconds of a sentence start goes to the previous sentence
+const SENTENCE_REWIND_GRACE = 1
+
+// What a tab starting or resuming audio does to the other tabs' audio, per queue session policy
+const SESSION_POLICY_CHANNELS = {
+  'global-exclusive': 'stop',
+  'per-tab-exclusive': 'pause',
+  mix: 'keep'
+}
+
 class OffscreenAudioPlugin {
   constructor(config = {}) {
     this.id = 'offscreen-audio'
@@ -32,6 +65,14 @@ class OffscreenAudioPlugin {
     this.stage = 'playback'
     this.config = config
 
+    // How tabs share the output (the queue-manager session policy)
+    this.sessionPolicy = Object.hasOwn(SESSION_POLICY_CHANNELS, config.sessionPolicy)
+      ? config.sessionPolicy
+      : 'global-exclusive'
+    if (config.sessionPolicy !== undefined && config.sessionPolicy !== this.sessionPolicy) {
+      console.warn(`Unknown session policy "${config.sessionPolicy}", using ${this.sessionPolicy}`)
+    }
+
     // Plugin dependencies
     this.eventBus = null
     this.pal = null
@@ -45,6 +86,11 @@ class OffscreenAudioPlugin {
     this.offscreenCreated = false
     this.currentPlaybackId = null
 
+    // Stream positions (seconds) where sentences start, from tts:timing
+    this.timingStreamId = null
+    this.sentenceKeys = new Set()
+    this.sentenceStarts = []
+
     // Performance tracking
     this.playbackCount = 0
     this.lastPlaybackTime = 0
@@ -71,15 +117,27 @@ class OffscreenAudioPlugin {
       // Initialize audio manager
       this.audioManager = new AudioManager(pal, eventBus)
       await this.audioManager.init()
+      this.audioManager.processing = validateAudioProcessing(this.config.audioProcessing)
+      this.audioManager.otherChannels = SESSION_POLICY_CHANNELS[this.sessionPolicy]
 
       // Initialize stream handler
-      this.streamHandler = new StreamHandler(this.audioManager)
+      this.streamHandler = new StreamHandler(this.audioManager, {
+        jitterBufferMs: this.config.jitterBufferMs
+      })
 
       // Subscribe to audio playback events
       this.eventBus.subscribe('audio:play', this._handlePlayEvent.bind(this))
       this.eventBus.subscribe('audio:pause', this._handlePauseEvent.bind(this))
       this.eventBus.subscribe('audio:resume', this._handleResumeEvent.bind(this))
       this.eventBus.subscribe('audio:stop', this._handleStopEvent.bind(this))
+      this.eventBus.subscribe('audio:seek', this._handleSeekEvent.bind(this))
+      this.eventBus.subscribe('audio:skipSentence', this._handleSkipSentenceEvent.bind(this))
+      this.eventBus.subscribe('audio:export', this._handleExportEvent.bind(this))
+
+      // Subscribe to streamed synthesis chunks for progressive playback
+      this.eventBus.subscribe('tts:chunk', this._handleChunkEvent.bind(this))
+      this.eventBus.subscribe('tts:streamCancelled', this._handleStreamCancelledEvent.bind(this))
+      this.eventBus.subscribe('tts:timing', this._handleTimingEvent.bind(this))
 
       console.log(`${this.name} v${this.version} initialized at stage: ${this.stage}`)
       return true
@@ -115,7 +173,7 @@ class OffscreenAudioPlugin {
 
       // Ensure offscreen document exists
       if (!this.offscreenCreated) {
-        await this._ensureOffscreenDocument()
+        await this.ensureOffscreenDocument()
       }
 
       // Check if recycling is needed
@@ -139,8 +197,11 @@ class OffscreenAudioPlugin {
       event.metadata.timing.playbackStarted = playbackStartedTimestamp
 
       // Start audio playback (non-blocking)
+      // Each tab plays on its own channel; audio without a tab shares the queue's tab 0
+      const tabId = event.tabId ?? 0
       const playbackPromise = this.audioManager.play(audioBuffer, {
         playbackId,
+        channel: tabId,
         volume: this.config.volume || 1.0,
         speed: this.config.speed || 1.0
       })
@@ -148,6 +209,7 @@ class OffscreenAudioPlugin {
       // Emit playback started event
       this.eventBus.emit('audio:playbackStarted', {
         playbackId,
+        tabId,
         timestamp: playbackStartedTimestamp,
         duration: event.output.duration
       })
@@ -161,6 +223,7 @@ class OffscreenAudioPlugin {
 
         this.eventBus.emit('audio:playbackCompleted', {
           playbackId,
+          tabId,
           timestamp: Date.now(),
           latency: this.lastPlaybackTime
         })
@@ -173,6 +236,7 @@ class OffscreenAudioPlugin {
         console.error('Playback error:', error)
         this.eventBus.emit('audio:playbackError', {
           playbackId,
+          tabId,
           error: error.message,
           timestamp: Date.now()
         })
@@ -204,7 +268,7 @@ class OffscreenAudioPlugin {
    * @returns {Promise<void>}
    */
   async play(audioBuffer, options = {}) {
-    await this._ensureOffscreenDocument()
+    await this.ensureOffscreenDocument()
     await this._checkRecycling()
 
     this.sessionCount++
@@ -217,23 +281,76 @@ class OffscreenAudioPlugin {
   }
 
   /**
-   * Pause current playback
+   * Pause a tab's playback, or without a tab the current playback
+   * @param {number} [tabId] - Tab whose audio to pause
+   */
+  pause(tabId) {
+    this.audioManager.pause(tabId)
+  }
+
+  /**
+   * Resume a tab's paused playback, or without a tab the current playback
+   * @param {number} [tabId] - Tab whose audio to resume
+   */
+  resume(tabId) {
+    this.audioManager.resume(tabId)
+  }
+
+  /**
+   * Jump to a position in a tab's playback, or without a tab the current playback or stream
+   * @param {number} position - Target position in seconds
+   * @param {number} [tabId] - Tab whose audio to seek
    */
-  pause() {
-    this.audioManager.pause()
+  seek(position, tabId) {
+    if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+      throw new Error('Seek position must be a non-negative number of seconds')
+    }
+    this.audioManager.seek(position, tabId)
   }
 
   /**
-   * Resume paused playback
+   * Jump to the next sentence, or back to the start of the current (or previous) one
+   * Sentence boundaries come from the word timings of the streamed chunks
+   * @param {number} [direction] - 1 to skip forward, -1 to skip back
+   * @returns {number|null} Position seeked to, or null if there is no sentence to skip to
    */
-  resume() {
-    this.audioManager.resume()
+  skipSentence(direction = 1) {
+    const { position } = this.getPlaybackState()
+    let target
+
+    if (direction < 0) {
+      const current = this.sentenceStarts.findLastIndex(start => start <= position)
+      if (current === -1) {
+        target = 0
+      } else if (current > 0 && position - this.sentenceStarts[current] <= SENTENCE_REWIND_GRACE) {
+        target = this.sentenceStarts[current - 1]
+      } else {
+        target = this.sentenceStarts[current]
+      }
+    } else {
+      target = this.sentenceStarts.find(start => start > position)
+    }
+
+    if (target === undefined) {
+      return null
+    }
+
+    this.seek(target)
+    return target
   }
 
   /**
-   * Stop current playback
+   * Stop a tab's playback, or without a tab all playback and the stream
+   * @param {number} [tabId] - Tab whose audio to stop
    */
-  stop() {
+  stop(tabId) {
+    if (tabId !== undefined) {
+      this.audioManager.stop(tabId)
+      return
+    }
+    if (this.streamHandler && this.streamHandler.isStreaming) {
+      this.streamHandler.cancelStream()
+    }
     this.audioManager.stop()
     this.currentPlaybackId = null
   }
@@ -256,11 +373,103 @@ class OffscreenAudioPlugin {
   }
 
   /**
-   * Get current playback state
+   * Cancel the active stream and stop its scheduled sources
+   */
+  cancelStream() {
+    this.streamHandler.cancelStream()
+  }
+
+  /**
+   * Get current stream state
+   * @returns {Object}
+   */
+  getStreamState() {
+    return this.streamHandler.getStreamState()
+  }
+
+  /**
+   * Encode audio and download it through chrome.downloads
+   * @param {ExportOptions} options - Export options
+   * @returns {Promise<{downloadId: number, filename: string, format: string, mimeType: string, size: number}>}
+   */
+  async exportAudio(options = {}) {
+    try {
+      const { audio, sampleRate } = options
+      if (!audio || !audio.length) {
+        throw new Error('No audio to export')
+      }
+      if (!sampleRate) {
+        throw new Error('Sample rate is required for export')
+      }
+
+      const format = options.format || this.config.exportFormat || 'wav'
+      const { extension } = getExportFormat(format)
+      const filename = this._getExportFilename(options.filename, extension)
+
+      await this.ensureOffscreenDocument()
+
+      const encoded = await this.audioManager.exportAudio(audio, sampleRate, {
+        format,
+        bitDepth: options.bitDepth
+      })
+
+      let downloadId
+      try {
+        downloadId = await chrome.downloads.download({
+          url: encoded.url,
+          filename,
+          saveAs: options.saveAs !== false
+        })
+      } catch (error) {
+        this.audioManager.revokeExport(encoded.url)
+        throw error
+      }
+
+      this._revokeWhenDownloaded(downloadId, encoded.url)
+
+      const result = {
+        downloadId,
+        filename,
+        format,
+        mimeType: encoded.mimeType,
+        size: encoded.size
+      }
+
+      this.eventBus.emit('audio:exported', {
+        ...result,
+        duration: audio.length / sampleRate,
+        timestamp: Date.now()
+      })
+
+      return result
+    } catch (error) {
+      console.error(`${this.name} export error:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Get a tab's playback state, or without a tab the current one
+   * @param {number} [tabId] - Tab to report
    * @returns {PlaybackState}
    */
-  getPlaybackState() {
-    return this.audioManager.getPlaybackState()
+  getPlaybackState(tabId) {
+    return this.audioManager.getPlaybackState(tabId)
+  }
+
+  /**
+   * Set how tabs share the output - the queue-manager session policy
+   * @param {'global-exclusive'|'per-tab-exclusive'|'mix'} policy - Session policy
+   * @throws {Error} When the policy is unknown
+   */
+  setSessionPolicy(policy) {
+    if (!Object.hasOwn(SESSION_POLICY_CHANNELS, policy)) {
+      throw new Error(`Unknown session policy: ${policy}`)
+    }
+    this.sessionPolicy = policy
+    if (this.audioManager) {
+      this.audioManager.otherChannels = SESSION_POLICY_CHANNELS[policy]
+    }
   }
 
   /**
@@ -276,15 +485,54 @@ class OffscreenAudioPlugin {
   }
 
   /**
-   * Set playback speed
-   * @param {number} speed - Speed (0.5-2.0)
+   * Set playback speed - applies live to playing audio without re-synthesis, keeping the pitch
+   * @param {number} speed - Speed (0.5-4.0)
+   * @returns {Promise<void>}
+   * @throws {Error} When the speed is out of range
    */
-  setSpeed(speed) {
-    if (speed < 0.5 || speed > 2.0) {
-      throw new Error('Speed must be between 0.5 and 2.0')
-    }
+  async setSpeed(speed) {
+    validatePlaybackSpeed(speed)
     this.config.speed = speed
-    this.audioManager.setSpeed(speed)
+    await this.audioManager.setSpeed(speed)
+  }
+
+  /**
+   * Set loudness normalization, per-voice gain, EQ and dynamics for playback
+   * @param {Object} settings - Audio processing settings; missing fields take the defaults
+   * @returns {Promise<Object>} Validated settings
+   * @throws {Error} When a setting is invalid
+   */
+  async setAudioProcessing(settings) {
+    const validated = validateAudioProcessing(settings)
+    this.config.audioProcessing = validated
+    await this.audioManager.setProcessing(validated)
+    return validated
+  }
+
+  /**
+   * Get audio processing settings
+   * @returns {Object}
+   */
+  getAudioProcessing() {
+    return { ...this.audioManager.processing }
+  }
+
+  /**
+   * Set what headset buttons and OS media overlays show for the next playback
+   * @param {MediaMetadataInit|null} metadata - Title, voice name and artwork; null shows nothing
+   */
+  setMediaMetadata(metadata) {
+    if (!metadata) {
+      this.audioManager.setMediaMetadata(null)
+      return
+    }
+
+    this.audioManager.setMediaMetadata({
+      title: metadata.title || '',
+      artist: metadata.artist || '',
+      album: metadata.album || '',
+      artwork: Array.isArray(metadata.artwork) ? metadata.artwork.filter(image => image && image.src) : []
+    })
   }
 
   /**
@@ -347,6 +595,7 @@ class OffscreenAudioPlugin {
       this.playbackCount = 0
       this.lastPlaybackTime = 0
       this.currentPlaybackId = null
+      this._resetSentences(null)
 
       console.log(`${this.name} cleaned up successfully`)
     } catch (error) {
@@ -374,13 +623,11 @@ class OffscreenAudioPlugin {
     }
   }
 
-  // Private methods
-
   /**
-   * Ensure offscreen document is created
-   * @private
+   * Ensure offscreen document is created - it also hosts PDF text extraction
+   * @returns {Promise<void>}
    */
-  async _ensureOffscreenDocument() {
+  async ensureOffscreenDocument() {
     if (!this.offscreenCreated) {
       await this.pal.audio.createOffscreen(OFFSCREEN_URL)
       this.offscreenCreated = true
@@ -388,6 +635,55 @@ class OffscreenAudioPlugin {
     }
   }
 
+  // Private methods
+
+  /**
+   * Build a download filename with the right extension
+   * @private
+   * @param {string} [filename] - Requested filename
+   * @param {string} extension - File extension
+   * @returns {string}
+   */
+  _getExportFilename(filename, extension) {
+    if (!filename) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+      return `kokoro-tts-${stamp}.${extension}`
+    }
+    return filename.toLowerCase().endsWith(`.${extension}`) ? filename : `${filename}.${extension}`
+  }
+
+  /**
+   * Release the export blob URL once the download finishes
+   * @private
+   * @param {number} downloadId - Download id
+   * @param {string} url - Blob URL in the offscreen document
+   */
+  _revokeWhenDownloaded(downloadId, url) {
+    const listener = (delta) => {
+      if (delta.id !== downloadId || !delta.state) {
+        return
+      }
+      if (delta.state.current === 'complete' || delta.state.current === 'interrupted') {
+        chrome.downloads.onChanged.removeListener(listener)
+        if (this.audioManager) {
+          this.audioManager.revokeExport(url)
+        }
+      }
+    }
+    chrome.downloads.onChanged.addListener(listener)
+  }
+
+  /**
+   * Forget sentence boundaries, e.g. when a new stream starts
+   * @private
+   * @param {string|null} streamId - Stream the next timings belong to
+   */
+  _resetSentences(streamId) {
+    this.timingStreamId = streamId
+    this.sentenceKeys = new Set()
+    this.sentenceStarts = []
+  }
+
   /**
    * Check if recycling is needed and perform if necessary
    * @private
@@ -432,9 +728,79 @@ class OffscreenAudioPlugin {
     }
   }
 
+  async _handleExportEvent(event) {
+    try {
+      const result = await this.exportAudio(event.data)
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleChunkEvent(chunk) {
+    try {
+      await this.ensureOffscreenDocument()
+      await this.streamChunk(chunk)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleTimingEvent(timing) {
+    try {
+      if (timing.streamId !== this.timingStreamId) {
+        this._resetSentences(timing.streamId)
+      }
+
+      // The first word of each sentence marks where it starts in the stream
+      for (const word of timing.words || []) {
+        const key = `${timing.chunkIndex}:${word.sentenceIndex || 0}`
+        if (this.sentenceKeys.has(key)) {
+          continue
+        }
+        this.sentenceKeys.add(key)
+
+        const start = timing.startTime + word.start
+        const index = this.sentenceStarts.findIndex(existing => existing > start)
+        this.sentenceStarts.splice(index === -1 ? this.sentenceStarts.length : index, 0, start)
+      }
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleSeekEvent(event) {
+    try {
+      this.seek(event.data.position, event.data.tabId)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleSkipSentenceEvent(event) {
+    try {
+      const position = this.skipSentence(event.data?.direction)
+      return { success: true, data: { position } }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleStreamCancelledEvent() {
+    try {
+      this.cancelStream()
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
   async _handlePauseEvent(event) {
     try {
-      this.pause()
+      this.pause(event?.tabId)
       return { success: true }
     } catch (error) {
       return { success: false, error: error.message }
@@ -443,7 +809,7 @@ class OffscreenAudioPlugin {
 
   async _handleResumeEvent(event) {
     try {
-      this.resume()
+      this.resume(event?.tabId)
       return { success: true }
     } catch (error) {
       return { success: false, error: error.message }
@@ -452,7 +818,7 @@ class OffscreenAudioPlugin {
 
   async _handleStopEvent(event) {
     try {
-      this.stop()
+      this.stop(event?.tabId)
       return { success: true }
     } catch (error) {
       return { success: false, error: error.message }
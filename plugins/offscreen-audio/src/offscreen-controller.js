@@ -0,0 +1,288 @@
+/**
+ * @module OffscreenController
+ * @description Routes runtime messages in the offscreen document to its players - whole buffers (one BufferPlayer
+ * per channel, i.e. per tab) and streamed chunks (StreamScheduler) - and to export and PDF extraction
+ */
+
+import { encodeAudio, getExportFormat } from './audio-encoder.js'
+
+const IDLE_STATE = { status: 'idle', currentPlaybackId: null, position: 0 }
+
+class OffscreenController {
+  /**
+   * @param {Object} options - Controller options
+   * @param {Function} options.createPlayer - Factory (channel) returning the BufferPlayer for a channel's buffers
+   * @param {import('./stream-scheduler.js').StreamScheduler} options.streamScheduler - Streamed playback
+   * @param {import('./media-session.js').MediaSessionController} [options.mediaSession] - OS media controls
+   * @param {{extract: Function}} [options.pdfExtractor] - Text extraction for PDFs opened in the browser
+   * @param {Function} [options.createObjectURL] - Blob URL factory for exported audio (default URL.createObjectURL)
+   * @param {Function} [options.revokeObjectURL] - Releases an exported blob URL (default URL.revokeObjectURL)
+   */
+  constructor(options) {
+    this.createPlayer = options.createPlayer
+    this.players = new Map()
+    // Channel of the buffer started or resumed last - untargeted commands go to it
+    this.currentChannel = null
+    this.streamScheduler = options.streamScheduler
+    this.mediaSession = options.mediaSession || null
+    this.pdfExtractor = options.pdfExtractor || null
+    this.createObjectURL = options.createObjectURL || (blob => URL.createObjectURL(blob))
+    this.revokeObjectURL = options.revokeObjectURL || (url => URL.revokeObjectURL(url))
+  }
+
+  /**
+   * Handle a runtime message meant for the offscreen document
+   * @param {Object} message - Runtime message
+   * @returns {Promise<Object>|null} Response, or null when the message is for another context
+   */
+  handleMessage(message) {
+    const type = message && message.type
+    if (typeof type !== 'string' || !type.startsWith('offscreen-') || type === 'offscreen-audio-event') {
+      return null
+    }
+
+    return this._dispatch(message).catch((error) => {
+      console.error('Offscreen message error:', error)
+      return { success: false, error: error.message }
+    })
+  }
+
+  /**
+   * Playback state of a channel, or without one of the stream or the current channel
+   * @param {number|null} [channel] - Channel (tab ID) to report
+   * @returns {{status: 'idle'|'playing'|'paused', currentPlaybackId: string|null, position: number}}
+   */
+  getState(channel) {
+    if (channel === undefined && this.streamScheduler.streamId) {
+      const state = this.streamScheduler.getState()
+      return {
+        status: state.paused ? 'paused' : 'playing',
+        currentPlaybackId: state.streamId,
+        position: state.position
+      }
+    }
+    const player = this.players.get(channel === undefined ? this.currentChannel : channel)
+    return player ? player.getState() : { ...IDLE_STATE }
+  }
+
+  // Private methods
+
+  /**
+   * The player a transport command applies to - the channel's, or without one the stream or the current channel's
+   * @private
+   * @param {number|null} [channel] - Channel (tab ID) the command targets
+   * @returns {import('./buffer-player.js').BufferPlayer|import('./stream-scheduler.js').StreamScheduler|null}
+   */
+  _activePlayer(channel) {
+    if (channel === undefined && this.streamScheduler.streamId) {
+      return this.streamScheduler
+    }
+    const player = this.players.get(channel === undefined ? this.currentChannel : channel)
+    return player && player.active ? player : null
+  }
+
+  /**
+   * The channel's player, created on first use
+   * @private
+   * @param {number|null} channel - Channel (tab ID)
+   * @returns {import('./buffer-player.js').BufferPlayer}
+   */
+  _player(channel) {
+    if (!this.players.has(channel)) {
+      this.players.set(channel, this.createPlayer(channel))
+    }
+    return this.players.get(channel)
+  }
+
+  /**
+   * Make way for a channel that starts or resumes - other channels stop, pause or keep playing
+   * @private
+   * @param {number|null} channel - Channel that plays next
+   * @param {'stop'|'pause'|'keep'} [otherChannels] - What happens to the other channels' audio
+   */
+  _settleOtherChannels(channel, otherChannels = 'keep') {
+    for (const [other, player] of this.players) {
+      if (other === channel || !player.active) {
+        continue
+      }
+      if (otherChannels === 'stop') {
+        player.stop()
+        this.players.delete(other)
+      } else if (otherChannels === 'pause') {
+        player.pause()
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} message - Runtime message
+   * @returns {Promise<Object>}
+   */
+  async _dispatch(message) {
+    switch (message.type) {
+      case 'offscreen-audio-play': {
+        // A buffer replaces the stream and its channel's previous buffer; other channels follow otherChannels
+        const channel = message.channel ?? null
+        this.streamScheduler.cancel()
+        this._settleOtherChannels(channel, message.otherChannels || 'stop')
+        this.currentChannel = channel
+        this._applyMediaOptions(message.options)
+        return this._player(channel).play(message.audioData, message.sampleRate, message.playbackId, message.options)
+      }
+
+      case 'offscreen-audio-stream-chunk':
+        // Streams have no channel - they take over the output from every buffer
+        for (const player of this.players.values()) {
+          if (player.active) {
+            player.release()
+          }
+        }
+        this._applyStreamOptions(message.options)
+        return { success: true, state: await this.streamScheduler.enqueue(message) }
+
+      case 'offscreen-audio-stream-end':
+        this.streamScheduler.end(message.streamId)
+        return { success: true, state: this.streamScheduler.getState() }
+
+      case 'offscreen-audio-stream-cancel':
+        return { success: true, cancelled: this.streamScheduler.cancel(message.streamId) }
+
+      case 'offscreen-audio-stream-state':
+        return { success: true, state: this.streamScheduler.getState() }
+
+      // Pause, resume and seek apply to the message's channel, or without one to the stream or current channel
+      case 'offscreen-audio-pause':
+        await this._activePlayer(message.channel)?.pause()
+        return { success: true, state: this.getState(message.channel) }
+
+      case 'offscreen-audio-resume': {
+        const player = this._activePlayer(message.channel)
+        if (player && player !== this.streamScheduler) {
+          const channel = message.channel === undefined ? this.currentChannel : message.channel
+          this._settleOtherChannels(channel, message.otherChannels)
+          this.currentChannel = channel
+        }
+        await player?.resume()
+        return { success: true, state: this.getState(message.channel) }
+      }
+
+      case 'offscreen-audio-seek':
+        this._activePlayer(message.channel)?.seek(message.position)
+        return { success: true, state: this.getState(message.channel) }
+
+      // Stop silences one channel, or without one the stream and every channel
+      case 'offscreen-audio-stop':
+        if (message.channel !== undefined) {
+          this.players.get(message.channel)?.stop()
+          this.players.delete(message.channel)
+        } else {
+          this.streamScheduler.cancel()
+          for (const player of this.players.values()) {
+            player.stop()
+          }
+          this.players.clear()
+        }
+        return { success: true, state: this.getState(message.channel) }
+
+      case 'offscreen-audio-state':
+        return this.getState(message.channel)
+
+      case 'offscreen-audio-processing':
+        for (const player of this.players.values()) {
+          player.setProcessing(message.settings)
+        }
+        this.streamScheduler.setProcessing(message.settings)
+        return { success: true }
+
+      case 'offscreen-audio-speed':
+        for (const player of this.players.values()) {
+          player.setSpeed(message.speed)
+        }
+        this.streamScheduler.setSpeed(message.speed)
+        this._applyMediaOptions({ speed: message.speed })
+        return { success: true }
+
+      case 'offscreen-audio-export':
+        return this._exportAudio(message)
+
+      case 'offscreen-audio-export-revoke':
+        this.revokeObjectURL(message.url)
+        return { success: true }
+
+      case 'offscreen-pdf-extract':
+        if (!this.pdfExtractor) {
+          throw new Error('PDF extraction is not available')
+        }
+        return { success: true, data: await this.pdfExtractor.extract(message.url, { fromPage: message.fromPage }) }
+
+      default:
+        console.warn('Unknown message type:', message.type)
+        return { success: false, error: 'Unknown message type' }
+    }
+  }
+
+  /**
+   * Encode audio for export and hand back a blob URL for chrome.downloads
+   * @private
+   * @param {Object} message - Export message with audioData, sampleRate, format and encoder options
+   * @returns {Promise<{success: boolean, url: string, mimeType: string, size: number}>}
+   */
+  async _exportAudio(message) {
+    const blob = await encodeAudio(Float32Array.from(message.audioData), message.sampleRate, {
+      format: message.format,
+      bitDepth: message.bitDepth,
+      bitsPerSecond: message.bitsPerSecond
+    })
+
+    return {
+      success: true,
+      url: this.createObjectURL(blob),
+      mimeType: getExportFormat(message.format).mimeType,
+      size: blob.size
+    }
+  }
+
+  /**
+   * Per-chunk stream options - volume, jitter buffer, processing and speed
+   * @private
+   * @param {Object} [options] - Chunk options
+   */
+  _applyStreamOptions(options) {
+    if (!options) {
+      return
+    }
+    if (options.volume !== undefined) {
+      this.streamScheduler.setVolume(options.volume)
+    }
+    if (options.jitterBufferMs !== undefined) {
+      this.streamScheduler.jitterBufferSeconds = options.jitterBufferMs / 1000
+    }
+    if (options.processing) {
+      this.streamScheduler.setProcessing(options.processing)
+    }
+    if (options.speed !== undefined) {
+      this.streamScheduler.setSpeed(options.speed)
+    }
+    this._applyMediaOptions(options)
+  }
+
+  /**
+   * Title and speed shown by the OS media controls
+   * @private
+   * @param {Object} [options] - Playback options
+   */
+  _applyMediaOptions(options) {
+    if (!this.mediaSession || !options) {
+      return
+    }
+    if (options.metadata) {
+      this.mediaSession.setMetadata(options.metadata)
+    }
+    if (options.speed !== undefined) {
+      this.mediaSession.setSpeed(options.speed)
+    }
+  }
+}
+
+export { OffscreenController }
@@ -0,0 +1,79 @@
+/**
+ * @module OffscreenDocument
+ * @description Offscreen document entry point - wires the players, export, OS media controls and pdf.js to runtime messages
+ */
+
+import { BufferPlayer } from './buffer-player.js'
+import { StreamScheduler } from './stream-scheduler.js'
+import { OffscreenController } from './offscreen-controller.js'
+import { createTimeStretchNode } from './time-stretch.js'
+import { MediaSessionController } from './media-session.js'
+import PdfExtractor from '../../content-extractor/src/pdf-extractor.js'
+
+const PROGRESS_INTERVAL_MS = 100
+
+const createContext = () => new (window.AudioContext || window.webkitAudioContext)()
+const createTimeStretch = context => createTimeStretchNode(context, new URL('./time-stretch-processor.js', import.meta.url))
+
+// Every channel's BufferPlayer plays through one context
+let playerContext = null
+const createPlayerContext = () => {
+  playerContext = playerContext || createContext()
+  return playerContext
+}
+
+// Headset buttons, media keys and OS media overlays - actions go back to the extension, which
+// routes them through the queue like any other transport command
+const mediaSession = new MediaSessionController({
+  mediaSession: navigator.mediaSession,
+  onAction: (action, details) => {
+    chrome.runtime.sendMessage({
+      type: 'offscreen-audio-event',
+      event: 'media-action',
+      action,
+      ...details,
+      timestamp: Date.now()
+    })
+  }
+})
+
+/**
+ * Report a playback event to the extension and the media session
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ */
+function sendEvent(event, data) {
+  const message = { type: 'offscreen-audio-event', event, timestamp: Date.now(), ...data }
+  chrome.runtime.sendMessage(message)
+  mediaSession.handleEvent(message)
+}
+
+const controller = new OffscreenController({
+  // One player per channel (tab), whose events say which tab they belong to
+  createPlayer: channel => new BufferPlayer({
+    createContext: createPlayerContext,
+    createTimeStretch,
+    progressIntervalMs: PROGRESS_INTERVAL_MS,
+    notify: (event, data) => sendEvent(event, { channel, ...data })
+  }),
+  streamScheduler: new StreamScheduler({
+    createContext,
+    createTimeStretch,
+    progressIntervalMs: PROGRESS_INTERVAL_MS,
+    notify: (event, data) => sendEvent(event, { playbackId: data.streamId, ...data })
+  }),
+  mediaSession,
+  // Chrome's PDF viewer can't host content scripts, so PDFs are parsed here
+  pdfExtractor: new PdfExtractor()
+})
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const response = controller.handleMessage(message)
+  if (!response) {
+    return false
+  }
+  response.then(sendResponse)
+  return true // Async response
+})
+
+console.log('Offscreen audio document loaded')
@@ -9,45 +9,69 @@
  * @property {number} sampleRate - Sample rate in Hz
  * @property {number} timestamp - Chunk timestamp
  * @property {boolean} [isLast] - Whether this is the last chunk
+ * @property {string} [streamId] - Stream the chunk belongs to
+ * @property {number} [chunkIndex] - Chunk position in stream
+ * @property {string} [voice] - Voice that spoke the chunk
  */
 
+const DEFAULT_JITTER_BUFFER_MS = 300
+
 class StreamHandler {
-  constructor(audioManager) {
+  constructor(audioManager, config = {}) {
     this.audioManager = audioManager
 
+    // Audio buffered in the offscreen document before playback (re)starts
+    this.jitterBufferMs = config.jitterBufferMs !== undefined
+      ? config.jitterBufferMs
+      : DEFAULT_JITTER_BUFFER_MS
+
     // Stream state
-    this.chunkBuffer = []
     this.isStreaming = false
     this.streamId = null
+    this.chunkCount = 0
     this.totalDuration = 0
   }
 
   /**
-   * Stream audio chunk
+   * Stream audio chunk - forwarded to the offscreen document and scheduled immediately
    * @param {AudioChunk} chunk - Audio chunk to stream
    * @returns {Promise<void>}
    */
   async streamChunk(chunk) {
     try {
+      // A chunk from a different stream replaces the current one
+      if (this.isStreaming && chunk.streamId && chunk.streamId !== this.streamId) {
+        this.cancelStream()
+      }
+
       if (!this.isStreaming) {
         this.isStreaming = true
-        this.streamId = `stream-${Date.now()}`
-        this.chunkBuffer = []
+        this.streamId = chunk.streamId || `stream-${Date.now()}`
+        this.chunkCount = 0
         this.totalDuration = 0
       }
 
-      // Add chunk to buffer
-      this.chunkBuffer.push(chunk)
-
-      // Calculate cumulative duration
+      const chunkIndex = chunk.chunkIndex !== undefined ? chunk.chunkIndex : this.chunkCount
       const chunkDuration = chunk.data.length / chunk.sampleRate
+
+      this.chunkCount++
       this.totalDuration += chunkDuration
 
-      console.log(`Buffered chunk ${this.chunkBuffer.length}, duration: ${chunkDuration}s, total: ${this.totalDuration}s`)
+      await this.audioManager.streamChunk(this.streamId, {
+        data: chunk.data,
+        sampleRate: chunk.sampleRate,
+        chunkIndex,
+        isLast: !!chunk.isLast,
+        voice: chunk.voice
+      }, {
+        jitterBufferMs: this.jitterBufferMs
+      })
+
+      console.log(`Streamed chunk ${chunkIndex}, duration: ${chunkDuration}s, total: ${this.totalDuration}s`)
 
-      // If this is the last chunk, flush automatically
+      // Input is complete - the offscreen document finishes playback on its own
       if (chunk.isLast) {
-        await this.flushStream()
+        this._resetStream()
       }
     } catch (error) {
       console.error('Stream chunk error:', error)
@@ -56,33 +80,21 @@ class StreamHandler {
   }
 
   /**
-   * Flush stream and play buffered audio
+   * Flush stream - marks input as complete so buffered audio plays even below the jitter threshold
    * @returns {Promise<void>}
    */
   async flushStream() {
     try {
-      if (this.chunkBuffer.length === 0) {
-        console.warn('No chunks to flush')
+      if (!this.isStreaming) {
+        console.warn('No active stream to flush')
         return
       }
 
-      console.log(`Flushing stream with ${this.chunkBuffer.length} chunks`)
+      console.log(`Flushing stream ${this.streamId} after ${this.chunkCount} chunks`)
 
-      // Concatenate all chunks into single buffer
-      const concatenatedBuffer = this._concatenateChunks()
+      await this.audioManager.endStream(this.streamId)
 
-      // Create AudioBuffer from concatenated data
-      const audioBuffer = this._createAudioBuffer(concatenatedBuffer)
-
-      // Play through audio manager
-      await this.audioManager.play(audioBuffer, {
-        playbackId: this.streamId
-      })
-
-      // Reset stream state
       this._resetStream()
-
-      console.log('Stream flushed and playing')
     } catch (error) {
       console.error('Flush stream error:', error)
       this._resetStream()
@@ -91,10 +103,13 @@ class StreamHandler {
   }
 
   /**
-   * Cancel current stream
+   * Cancel current stream and stop its scheduled sources
    */
   cancelStream() {
     console.log('Canceling stream')
+    if (this.streamId) {
+      this.audioManager.cancelStream(this.streamId)
+    }
     this._resetStream()
   }
 
@@ -103,88 +118,30 @@ class StreamHandler {
    * @returns {Object}
    */
   getStreamState() {
+    const playbackState = this.audioManager.getPlaybackState()
+
     return {
       isStreaming: this.isStreaming,
       streamId: this.streamId,
-      bufferedChunks: this.chunkBuffer.length,
-      totalDuration: this.totalDuration
+      bufferedChunks: this.chunkCount,
+      totalDuration: this.totalDuration,
+      position: playbackState.position,
+      underruns: this.audioManager.underrunCount || 0
     }
   }
 
   // Private methods
 
-  /**
-   * Concatenate audio chunks
-   * @private
-   * @returns {Object}
-   */
-  _concatenateChunks() {
-    if (this.chunkBuffer.length === 0) {
-      throw new Error('No chunks to concatenate')
-    }
-
-    // Use sample rate from first chunk
-    const sampleRate = this.chunkBuffer[0].sampleRate
-
-    // Calculate total length
-    let totalLength = 0
-    for (const chunk of this.chunkBuffer) {
-      totalLength += chunk.data.length
-    }
-
-    // Allocate concatenated array
-    const concatenated = new Float32Array(totalLength)
-
-    // Copy all chunks
-    let offset = 0
-    for (const chunk of this.chunkBuffer) {
-      concatenated.set(chunk.data, offset)
-      offset += chunk.data.length
-    }
-
-    return {
-      data: concatenated,
-      sampleRate,
-      numberOfChannels: 1, // Assume mono for now
-      duration: totalLength / sampleRate
-    }
-  }
-
-  /**
-   * Create AudioBuffer from concatenated data
-   * @private
-   * @param {Object} bufferData - Concatenated buffer data
-   * @returns {AudioBuffer}
-   */
-  _createAudioBuffer(bufferData) {
-    // Create offline audio context for buffer creation
-    const offlineContext = new OfflineAudioContext(
-      bufferData.numberOfChannels,
-      bufferData.data.length,
-      bufferData.sampleRate
-    )
-
-    const audioBuffer = offlineContext.createBuffer(
-      bufferData.numberOfChannels,
-      bufferData.data.length,
-      bufferData.sampleRate
-    )
-
-    audioBuffer.getChannelData(0).set(bufferData.data)
-
-    return audioBuffer
-  }
-
   /**
    * Reset stream state
    * @private
    */
   _resetStream() {
-    this.chunkBuffer = []
     this.isStreaming = false
     this.streamId = null
+    this.chunkCount = 0
     this.totalDuration = 0
   }
 }
 
-export { StreamHandler }
\ No newline at end of file
+export { StreamHandler }
@@ -0,0 +1,628 @@
+/**
+ * @module StreamScheduler
+ * @description Gapless scheduled playback of streamed audio chunks inside the offscreen document
+ */
+
+import { AudioChain, LoudnessNormalizer } from './audio-processing.js'
+import { setTimeStretchSpeed } from './time-stretch.js'
+
+/**
+ * @typedef {Object} StreamChunkMessage
+ * @property {string} streamId - Stream identifier
+ * @property {number} [chunkIndex] - Chunk position in stream
+ * @property {Float32Array|number[]} audioData - PCM samples
+ * @property {number} sampleRate - Sample rate in Hz
+ * @property {boolean} [isLast] - Whether this is the final chunk
+ * @property {string} [voice] - Voice that spoke the chunk (for loudness normalization)
+ */
+
+/**
+ * @typedef {Object} ScheduledChunk
+ * @property {AudioBufferSourceNode} source - Scheduled source node
+ * @property {number} chunkIndex - Chunk position in stream
+ * @property {number} startTime - AudioContext time the chunk starts
+ * @property {number} offset - Stream position (seconds) at chunk start
+ * @property {number} duration - Chunk duration in seconds of audio
+ * @property {number} rate - Playback speed the chunk plays at
+ * @property {boolean} isLast - Whether this is the final chunk
+ */
+
+const DEFAULT_JITTER_BUFFER_SECONDS = 0.3
+const SCHEDULE_LEAD_SECONDS = 0.05
+
+// Played audio kept for seeking backwards - older chunks are released
+const SEEK_HISTORY_SECONDS = 600
+
+class StreamScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Function} options.createContext - Factory returning an AudioContext
+   * @param {Function} [options.notify] - Callback (event, data) for stream events
+   * @param {number} [options.jitterBufferSeconds] - Audio to buffer before (re)starting playback
+   * @param {number} [options.progressIntervalMs] - Emit 'stream-progress' this often while playing (0 disables)
+   * @param {Object} [options.processing] - Audio processing settings (see audio-processing.js)
+   * @param {Function} [options.createTimeStretch] - Async factory (context) returning the time-stretch node that
+   * keeps pitch steady at other speeds; without it speed changes shift the pitch
+   */
+  constructor(options = {}) {
+    this.createContext = options.createContext
+    this.createTimeStretch = options.createTimeStretch || null
+    this.notify = options.notify || (() => {})
+    this.jitterBufferSeconds = options.jitterBufferSeconds !== undefined
+      ? options.jitterBufferSeconds
+      : DEFAULT_JITTER_BUFFER_SECONDS
+    this.progressIntervalMs = options.progressIntervalMs || 0
+    this.progressTimer = null
+
+    this.audioContext = null
+    this.chain = null
+    this.gainNode = null
+    this.stretchNode = null
+    this.timeStretchReady = null
+    this.speed = 1
+    this.processing = options.processing || {}
+    this.normalizer = new LoudnessNormalizer(this.processing)
+    this._resetState()
+  }
+
+  /**
+   * Queue a chunk for playback, starting a new stream if the id changed
+   * @param {StreamChunkMessage} message - Chunk message
+   * @returns {Promise<Object>} Stream state after enqueue
+   */
+  async enqueue(message) {
+    this._ensureContext()
+    await this._ensureTimeStretch()
+
+    if (this.audioContext.state === 'suspended' && !this.isPaused) {
+      await this.audioContext.resume()
+    }
+
+    if (this.streamId !== message.streamId) {
+      if (this.streamId) {
+        this.cancel()
+      }
+      this.streamId = message.streamId
+      this.normalizer.reset()
+    }
+
+    const audioData = this.normalizer.process(message.audioData, message.sampleRate, message.voice)
+    const buffer = this._createBuffer(audioData, message.sampleRate)
+    this.pending.push({
+      buffer,
+      chunkIndex: message.chunkIndex !== undefined ? message.chunkIndex : this.receivedChunks,
+      isLast: !!message.isLast
+    })
+    this.receivedChunks++
+    this.receivedDuration += buffer.duration
+
+    if (message.isLast) {
+      this.inputEnded = true
+    }
+
+    if (this.started && this.nextStartTime < this.audioContext.currentTime) {
+      // Everything scheduled so far has already played out
+      this._handleUnderrun()
+    }
+
+    this._maybeSchedule()
+    return this.getState()
+  }
+
+  /**
+   * Mark the stream as complete and play whatever is still buffered
+   * @param {string} streamId - Stream identifier
+   */
+  end(streamId) {
+    if (streamId !== this.streamId) {
+      return
+    }
+    this.inputEnded = true
+    this._maybeSchedule()
+    this._checkCompleted()
+  }
+
+  /**
+   * Stop all scheduled sources and drop buffered chunks
+   * @param {string} [streamId] - Only cancel if this stream is current
+   * @returns {boolean} Whether a stream was cancelled
+   */
+  cancel(streamId) {
+    if (!this.streamId || (streamId && streamId !== this.streamId)) {
+      return false
+    }
+
+    const cancelledId = this.streamId
+    const position = this.getPosition()
+
+    for (const scheduled of this.scheduled) {
+      scheduled.source.onended = null
+      try {
+        scheduled.source.stop()
+      } catch (error) {
+        // Source may not have started yet or already ended
+      }
+    }
+
+    this._stopProgress()
+    this._resetState()
+    this.notify('stream-cancelled', { streamId: cancelledId, position })
+    return true
+  }
+
+  /**
+   * Pause the stream by suspending the audio clock
+   */
+  async pause() {
+    if (!this.audioContext || !this.streamId || this.isPaused) {
+      return
+    }
+    this.isPaused = true
+    this._stopProgress()
+    await this.audioContext.suspend()
+    this.notify('stream-paused', { streamId: this.streamId, position: this.getPosition() })
+  }
+
+  /**
+   * Resume a paused stream
+   */
+  async resume() {
+    if (!this.audioContext || !this.isPaused) {
+      return
+    }
+    this.isPaused = false
+    await this.audioContext.resume()
+    this._startProgress()
+    this.notify('stream-resumed', { streamId: this.streamId, position: this.getPosition() })
+  }
+
+  /**
+   * Jump to a position in the stream, rescheduling the chunks received so far
+   * Only the last SEEK_HISTORY_SECONDS of played audio can be revisited
+   * @param {number} position - Target stream position in seconds
+   * @returns {number|null} Position actually seeked to, or null if nothing is playing
+   */
+  seek(position) {
+    if (!this.audioContext || !this.streamId || this.history.length === 0) {
+      return null
+    }
+
+    const earliest = this.history[0].offset
+    const target = Math.min(Math.max(position, earliest), this.scheduledOffset)
+
+    for (const scheduled of this.scheduled) {
+      scheduled.source.onended = null
+      try {
+        scheduled.source.stop()
+      } catch (error) {
+        // Source may not have started yet or already ended
+      }
+    }
+
+    this.scheduled = []
+    this.timeline = []
+    this.playedOffset = target
+
+    // A paused context keeps its clock frozen, so the new schedule starts on resume
+    const baseTime = this.audioContext.currentTime + SCHEDULE_LEAD_SECONDS
+    for (const chunk of this.history) {
+      const skip = Math.max(0, target - chunk.offset)
+      if (skip >= chunk.buffer.duration) {
+        continue
+      }
+
+      const source = this._createSource(chunk.buffer)
+      const scheduled = {
+        source,
+        chunkIndex: chunk.chunkIndex,
+        startTime: baseTime + (chunk.offset + skip - target) / this.speed,
+        offset: chunk.offset + skip,
+        duration: chunk.buffer.duration - skip,
+        rate: this.speed,
+        isLast: chunk.isLast
+      }
+
+      source.onended = () => this._handleChunkEnded(scheduled)
+      source.start(scheduled.startTime, skip)
+
+      this.scheduled.push(scheduled)
+      this.timeline.push(scheduled)
+    }
+
+    this.nextStartTime = baseTime + (this.scheduledOffset - target) / this.speed
+    this.notify('stream-seeked', { streamId: this.streamId, position: target })
+    this._checkCompleted()
+    return target
+  }
+
+  /**
+   * Set output volume
+   * @param {number} volume - Volume (0-1)
+   */
+  setVolume(volume) {
+    this._ensureContext()
+    this.chain.setVolume(volume)
+  }
+
+  /**
+   * Change playback speed without changing pitch - the playing chunk carries on at the new rate and the
+   * chunks after it are rescheduled to follow it
+   * @param {number} speed - Playback speed (0.5-4)
+   */
+  setSpeed(speed) {
+    if (speed === this.speed) {
+      return
+    }
+    this.speed = speed
+    if (!this.audioContext) {
+      return
+    }
+
+    const now = this.audioContext.currentTime
+    if (this.stretchNode) {
+      setTimeStretchSpeed(this.stretchNode, speed, now)
+    }
+    if (this.scheduled.length === 0) {
+      return
+    }
+
+    let cursor = now
+    for (const scheduled of this.scheduled) {
+      if (scheduled.startTime <= now) {
+        // Rebase the start so position maths holds at the new rate
+        const elapsed = (now - scheduled.startTime) * scheduled.rate
+        scheduled.source.playbackRate.value = speed
+        scheduled.startTime = now - elapsed / speed
+        scheduled.rate = speed
+        cursor = Math.max(cursor, scheduled.startTime + scheduled.duration / speed)
+        continue
+      }
+
+      const buffer = scheduled.source.buffer
+      scheduled.source.onended = null
+      try {
+        scheduled.source.stop()
+      } catch (error) {
+        // Source may not have started yet
+      }
+
+      const source = this._createSource(buffer)
+      scheduled.source = source
+      scheduled.startTime = cursor
+      scheduled.rate = speed
+      source.onended = () => this._handleChunkEnded(scheduled)
+      source.start(cursor, buffer.duration - scheduled.duration)
+      cursor += scheduled.duration / speed
+    }
+    this.nextStartTime = cursor
+  }
+
+  /**
+   * Change normalization, EQ and dynamics - applies to chunks received from now on, and to
+   * the output chain immediately
+   * @param {Object} settings - Audio processing settings
+   */
+  setProcessing(settings) {
+    // Settings arrive with every chunk - only rebuild the chain when they change
+    if (JSON.stringify(settings) === JSON.stringify(this.processing)) {
+      return
+    }
+    this.normalizer.setSettings(settings)
+    this.processing = settings
+    if (this.chain) {
+      this.chain.applySettings(settings)
+    }
+  }
+
+  /**
+   * Current playback position within the stream in seconds
+   * @returns {number}
+   */
+  getPosition() {
+    if (!this.audioContext || this.timeline.length === 0) {
+      return this.playedOffset
+    }
+
+    const now = this.audioContext.currentTime
+    for (const entry of this.timeline) {
+      if (now < entry.startTime) {
+        return entry.offset
+      }
+      if (now < entry.startTime + entry.duration / entry.rate) {
+        return entry.offset + (now - entry.startTime) * entry.rate
+      }
+    }
+
+    const last = this.timeline[this.timeline.length - 1]
+    return last.offset + last.duration
+  }
+
+  /**
+   * Get stream state snapshot
+   * @returns {Object}
+   */
+  getState() {
+    return {
+      streamId: this.streamId,
+      started: this.started,
+      paused: this.isPaused,
+      receivedChunks: this.receivedChunks,
+      scheduledChunks: this.scheduled.length,
+      pendingChunks: this.pending.length,
+      bufferedDuration: this._pendingDuration(),
+      totalDuration: this.receivedDuration,
+      position: this.getPosition(),
+      underruns: this.underruns
+    }
+  }
+
+  // Private methods
+
+  /**
+   * Schedule pending chunks once the jitter buffer is primed
+   * @private
+   */
+  _maybeSchedule() {
+    if (this.pending.length === 0) {
+      return
+    }
+
+    if (!this.started) {
+      // The buffer is measured in playback time, so faster playback needs more audio
+      const primed = this._pendingDuration() >= this.jitterBufferSeconds * this.speed || this.inputEnded
+      if (!primed) {
+        return
+      }
+      this.started = true
+      this.nextStartTime = this.audioContext.currentTime + SCHEDULE_LEAD_SECONDS
+
+      if (this.history.length === 0) {
+        this.notify('stream-started', { streamId: this.streamId, timestamp: Date.now() })
+      }
+      this._startProgress()
+    }
+
+    while (this.pending.length > 0) {
+      this._scheduleChunk(this.pending.shift())
+    }
+  }
+
+  /**
+   * Schedule a single chunk at the end of the current timeline
+   * @private
+   * @param {Object} chunk - Pending chunk
+   */
+  _scheduleChunk(chunk) {
+    const source = this._createSource(chunk.buffer)
+
+    const startTime = Math.max(this.nextStartTime, this.audioContext.currentTime)
+    const scheduled = {
+      source,
+      chunkIndex: chunk.chunkIndex,
+      startTime,
+      offset: this.scheduledOffset,
+      duration: chunk.buffer.duration,
+      rate: this.speed,
+      isLast: chunk.isLast
+    }
+
+    source.onended = () => this._handleChunkEnded(scheduled)
+    source.start(startTime)
+
+    this.scheduled.push(scheduled)
+    this.timeline.push(scheduled)
+    this._remember(chunk, scheduled.offset)
+    this.scheduledOffset += scheduled.duration
+    this.nextStartTime = startTime + scheduled.duration / this.speed
+  }
+
+  /**
+   * Source for a buffer at the current speed, routed through time-stretch when it is available
+   * @private
+   * @param {AudioBuffer} buffer - Chunk buffer
+   * @returns {AudioBufferSourceNode}
+   */
+  _createSource(buffer) {
+    const source = this.audioContext.createBufferSource()
+    source.buffer = buffer
+    source.playbackRate.value = this.speed
+    source.connect(this.stretchNode || this.gainNode)
+    return source
+  }
+
+  /**
+   * Keep a scheduled chunk's buffer so seek() can play it again
+   * @private
+   * @param {Object} chunk - Pending chunk
+   * @param {number} offset - Stream position (seconds) at chunk start
+   */
+  _remember(chunk, offset) {
+    this.history.push({
+      buffer: chunk.buffer,
+      chunkIndex: chunk.chunkIndex,
+      offset,
+      isLast: chunk.isLast
+    })
+
+    // Release chunks that are both played and too far back to seek to
+    const horizon = this.getPosition() - SEEK_HISTORY_SECONDS
+    while (this.history.length > 1 && this.history[0].offset + this.history[0].buffer.duration < horizon) {
+      this.history.shift()
+    }
+  }
+
+  /**
+   * Handle a scheduled chunk finishing playback
+   * @private
+   * @param {ScheduledChunk} scheduled - Finished chunk
+   */
+  _handleChunkEnded(scheduled) {
+    const index = this.scheduled.indexOf(scheduled)
+    if (index === -1) {
+      return
+    }
+    this.scheduled.splice(index, 1)
+    this.playedOffset = scheduled.offset + scheduled.duration
+
+    this.notify('stream-position', {
+      streamId: this.streamId,
+      chunkIndex: scheduled.chunkIndex,
+      position: this.playedOffset,
+      totalDuration: this.receivedDuration
+    })
+
+    this._checkCompleted()
+  }
+
+  /**
+   * Emit completion once input ended and every chunk played
+   * @private
+   */
+  _checkCompleted() {
+    if (!this.inputEnded || this.pending.length > 0 || this.scheduled.length > 0 || this.history.length === 0) {
+      return
+    }
+
+    const streamId = this.streamId
+    const duration = this.scheduledOffset
+    const underruns = this.underruns
+    this._stopProgress()
+    this._resetState()
+    this.notify('stream-completed', { streamId, duration, underruns })
+  }
+
+  /**
+   * Start periodic position updates (word-level highlighting needs more than chunk ends)
+   * @private
+   */
+  _startProgress() {
+    if (!this.progressIntervalMs || this.progressTimer || this.isPaused) {
+      return
+    }
+    this.progressTimer = setInterval(() => {
+      this.notify('stream-progress', {
+        streamId: this.streamId,
+        chunkIndex: this._currentChunkIndex(),
+        position: this.getPosition(),
+        totalDuration: this.receivedDuration
+      })
+    }, this.progressIntervalMs)
+  }
+
+  /**
+   * @private
+   */
+  _stopProgress() {
+    if (this.progressTimer) {
+      clearInterval(this.progressTimer)
+      this.progressTimer = null
+    }
+  }
+
+  /**
+   * Index of the chunk playing at the current audio time
+   * @private
+   * @returns {number|null}
+   */
+  _currentChunkIndex() {
+    const now = this.audioContext.currentTime
+    let current = null
+    for (const entry of this.timeline) {
+      if (now < entry.startTime) {
+        break
+      }
+      current = entry.chunkIndex
+    }
+    return current
+  }
+
+  /**
+   * Playback caught up with input - re-prime the jitter buffer
+   * @private
+   */
+  _handleUnderrun() {
+    this.underruns++
+    this.started = false
+    this.notify('stream-underrun', {
+      streamId: this.streamId,
+      position: this.getPosition(),
+      underruns: this.underruns
+    })
+  }
+
+  /**
+   * @private
+   * @returns {number} Duration of buffered, unscheduled audio in seconds
+   */
+  _pendingDuration() {
+    return this.pending.reduce((total, chunk) => total + chunk.buffer.duration, 0)
+  }
+
+  /**
+   * @private
+   */
+  _ensureContext() {
+    if (!this.audioContext) {
+      this.audioContext = this.createContext()
+      this.chain = new AudioChain(this.audioContext, this.processing)
+      this.gainNode = this.chain.input
+    }
+  }
+
+  /**
+   * Load the time-stretch node once per context; on failure playback goes straight to the output chain
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _ensureTimeStretch() {
+    if (!this.createTimeStretch) {
+      return
+    }
+    if (!this.timeStretchReady) {
+      this.timeStretchReady = this.createTimeStretch(this.audioContext)
+        .then((node) => {
+          node.connect(this.gainNode)
+          setTimeStretchSpeed(node, this.speed, this.audioContext.currentTime)
+          this.stretchNode = node
+        })
+        .catch((error) => {
+          console.warn('Time-stretch unavailable, speed changes will shift pitch:', error)
+        })
+    }
+    await this.timeStretchReady
+  }
+
+  /**
+   * @private
+   * @param {Float32Array|number[]} audioData - PCM samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @returns {AudioBuffer}
+   */
+  _createBuffer(audioData, sampleRate) {
+    const buffer = this.audioContext.createBuffer(1, audioData.length, sampleRate)
+    buffer.getChannelData(0).set(audioData)
+    return buffer
+  }
+
+  /**
+   * @private
+   */
+  _resetState() {
+    this.streamId = null
+    this.pending = []
+    this.scheduled = []
+    this.timeline = []
+    this.history = []
+    this.started = false
+    this.inputEnded = false
+    this.isPaused = false
+    this.nextStartTime = 0
+    this.scheduledOffset = 0
+    this.playedOffset = 0
+    this.receivedChunks = 0
+    this.receivedDuration = 0
+    this.underruns = 0
+  }
+}
+
+export { StreamScheduler }
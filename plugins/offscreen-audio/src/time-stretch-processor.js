@@ -0,0 +1,35 @@
+/**
+ * @module TimeStretchProcessor
+ * @description AudioWorklet processor that undoes the pitch change of sped-up or slowed-down sources
+ */
+
+import { PitchShifter, MIN_PLAYBACK_SPEED, MAX_PLAYBACK_SPEED, TIME_STRETCH_PROCESSOR } from './time-stretch.js'
+
+class TimeStretchProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{
+      name: 'pitch',
+      defaultValue: 1,
+      minValue: 1 / MAX_PLAYBACK_SPEED,
+      maxValue: 1 / MIN_PLAYBACK_SPEED,
+      automationRate: 'k-rate'
+    }]
+  }
+
+  constructor(options) {
+    super()
+    this.shifter = new PitchShifter(options.processorOptions.sampleRate)
+    this.silence = new Float32Array(128)
+  }
+
+  process(inputs, outputs, parameters) {
+    // No input channels while nothing is connected - keep the delay line moving with silence
+    const input = inputs[0][0] || this.silence
+    this.shifter.process(input, outputs[0][0], parameters.pitch[0])
+
+    // Stay alive between streams
+    return true
+  }
+}
+
+registerProcessor(TIME_STRETCH_PROCESSOR, TimeStretchProcessor)
@@ -0,0 +1,214 @@
+/**
+ * @module TimeStretch
+ * @description Pitch-preserving playback speed - sources play faster or slower through playbackRate, and an
+ * AudioWorklet shifts the pitch back with WSOLA-aligned overlapping grains, so speed changes apply live
+ */
+
+const MIN_PLAYBACK_SPEED = 0.5
+const MAX_PLAYBACK_SPEED = 4
+
+// Name the processor registers under (time-stretch-processor.js)
+const TIME_STRETCH_PROCESSOR = 'time-stretch'
+
+// Grain length, how far a new grain may move to line up with the one playing, and how much audio is compared
+const GRAIN_SECONDS = 0.05
+const SEARCH_SECONDS = 0.006
+const COMPARE_SECONDS = 0.005
+
+// Samples between candidates in the first alignment pass
+const ALIGN_COARSE_STEP = 4
+
+// Crossfade between the shifted signal and the plain delayed input when the speed reaches or leaves 1x
+const BYPASS_FADE_SECONDS = 0.02
+
+/**
+ * Validate a playback speed
+ * @param {number} speed - Playback speed
+ * @returns {number}
+ * @throws {Error} When the speed is not a number between 0.5 and 4
+ */
+function validatePlaybackSpeed(speed) {
+  if (typeof speed !== 'number' || !(speed >= MIN_PLAYBACK_SPEED && speed <= MAX_PLAYBACK_SPEED)) {
+    throw new Error(`Speed must be between ${MIN_PLAYBACK_SPEED} and ${MAX_PLAYBACK_SPEED.toFixed(1)}`)
+  }
+  return speed
+}
+
+/**
+ * Streaming pitch shifter: two Hann-windowed read taps sweep through a delay line at the pitch ratio, half a
+ * grain apart so their windows sum to one. Each time a tap restarts (silent at that point) it jumps to the
+ * position within the search span whose recent audio best matches the other tap's, so grains join in phase.
+ * At a ratio of 1 the output is exactly the input, delayed by `latency` samples.
+ */
+class PitchShifter {
+  /**
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} [options] - Options
+   * @param {number} [options.grainSeconds] - Grain length in seconds
+   */
+  constructor(sampleRate, options = {}) {
+    this.grainLength = Math.round((options.grainSeconds || GRAIN_SECONDS) * sampleRate)
+    this.searchLength = Math.round(SEARCH_SECONDS * sampleRate)
+    this.compareLength = Math.max(1, Math.round(COMPARE_SECONDS * sampleRate))
+    this.fadeStep = 1 / Math.max(1, Math.round(BYPASS_FADE_SECONDS * sampleRate))
+
+    // Taps sweep [start, start + grain]: rising delay lowers the pitch, falling delay raises it
+    this.minDelay = 1
+    this.start = this.minDelay + this.searchLength
+    this.maxDelay = this.start + 2 * this.grainLength + this.searchLength
+    this.latency = this.start + Math.round(this.grainLength / 2)
+
+    let size = 1
+    while (size < this.maxDelay + this.compareLength + 2) {
+      size *= 2
+    }
+    this.buffer = new Float32Array(size)
+    this.mask = size - 1
+    this.writeIndex = 0
+    this.segment = new Float32Array(this.compareLength)
+
+    this.taps = [
+      { phase: 0, delay: this.start },
+      { phase: 0.5, delay: this.start + this.grainLength / 2 }
+    ]
+    this.mix = 0
+  }
+
+  /**
+   * Shift a block of samples
+   * @param {Float32Array} input - Input block
+   * @param {Float32Array} output - Output block of the same length
+   * @param {number} ratio - Pitch ratio (0.5 is an octave down)
+   */
+  process(input, output, ratio) {
+    const shifting = Math.abs(1 - ratio) > 1e-3
+    const step = Math.abs(1 - ratio) / this.grainLength
+
+    for (let i = 0; i < output.length; i++) {
+      this.buffer[this.writeIndex] = input[i] || 0
+      this.writeIndex = (this.writeIndex + 1) & this.mask
+
+      let shifted = 0
+      if (shifting || this.mix > 0) {
+        for (let t = 0; t < this.taps.length; t++) {
+          const tap = this.taps[t]
+          const window = Math.sin(Math.PI * tap.phase)
+          shifted += window * window * this._read(tap.delay)
+
+          tap.delay = Math.min(Math.max(tap.delay + 1 - ratio, this.minDelay), this.maxDelay)
+          tap.phase += step
+          if (tap.phase >= 1) {
+            tap.phase -= 1
+            tap.delay = this._align(this.taps[1 - t].delay, ratio < 1 ? this.start : this.start + this.grainLength)
+          }
+        }
+      }
+
+      this.mix = shifting ? Math.min(1, this.mix + this.fadeStep) : Math.max(0, this.mix - this.fadeStep)
+      output[i] = this.mix === 0
+        ? this._read(this.latency)
+        : this.mix * shifted + (1 - this.mix) * this._read(this.latency)
+    }
+  }
+
+  /**
+   * Delay near `nominal` whose preceding audio correlates best with the audio before `reference` -
+   * a coarse pass over the search span, then a fine pass around the best match
+   * @private
+   * @param {number} reference - Delay of the tap that is playing
+   * @param {number} nominal - Where the restarting tap would start without alignment
+   * @returns {number}
+   */
+  _align(reference, nominal) {
+    for (let j = 0; j < this.compareLength; j++) {
+      this.segment[j] = this._read(reference + j)
+    }
+
+    const low = Math.max(this.minDelay, nominal - this.searchLength)
+    const high = Math.min(this.maxDelay, nominal + this.searchLength)
+    const coarse = this._bestMatch(low, high, ALIGN_COARSE_STEP, nominal)
+    return this._bestMatch(
+      Math.max(low, coarse - ALIGN_COARSE_STEP + 1),
+      Math.min(high, coarse + ALIGN_COARSE_STEP - 1),
+      1,
+      coarse
+    )
+  }
+
+  /**
+   * @private
+   * @returns {number} Delay in [low, high] (every `step` samples) best matching `this.segment`
+   */
+  _bestMatch(low, high, step, fallback) {
+    const newest = this.writeIndex - 1
+    let best = fallback
+    let bestScore = -Infinity
+    for (let delay = low; delay <= high; delay += step) {
+      let correlation = 0
+      let energy = 1e-9
+      for (let j = 0; j < this.compareLength; j++) {
+        const sample = this.buffer[(newest - delay - j) & this.mask]
+        correlation += sample * this.segment[j]
+        energy += sample * sample
+      }
+      const score = correlation / Math.sqrt(energy)
+      if (score > bestScore) {
+        bestScore = score
+        best = delay
+      }
+    }
+    return best
+  }
+
+  /**
+   * Sample `delay` samples before the newest, linearly interpolated
+   * @private
+   * @param {number} delay - Delay in samples
+   * @returns {number}
+   */
+  _read(delay) {
+    const position = this.writeIndex - 1 - delay
+    const index = Math.floor(position)
+    const fraction = position - index
+    const current = this.buffer[index & this.mask]
+    return fraction === 0 ? current : current + (this.buffer[(index + 1) & this.mask] - current) * fraction
+  }
+}
+
+/**
+ * Load the time-stretch worklet into a context and create its node
+ * @param {BaseAudioContext} context - Audio context
+ * @param {string|URL} moduleUrl - URL of time-stretch-processor.js
+ * @returns {Promise<AudioWorkletNode>} Mono node with a 'pitch' parameter
+ */
+async function createTimeStretchNode(context, moduleUrl) {
+  await context.audioWorklet.addModule(moduleUrl)
+  return new AudioWorkletNode(context, TIME_STRETCH_PROCESSOR, {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [1],
+    channelCount: 1,
+    channelCountMode: 'explicit',
+    processorOptions: { sampleRate: context.sampleRate }
+  })
+}
+
+/**
+ * Point a time-stretch node at the pitch that undoes a playback speed
+ * @param {AudioWorkletNode} node - Time-stretch node
+ * @param {number} speed - Playback speed the sources play at
+ * @param {number} when - Context time to apply it
+ */
+function setTimeStretchSpeed(node, speed, when) {
+  node.parameters.get('pitch').setValueAtTime(1 / speed, when)
+}
+
+export {
+  PitchShifter,
+  validatePlaybackSpeed,
+  createTimeStretchNode,
+  setTimeStretchSpeed,
+  MIN_PLAYBACK_SPEED,
+  MAX_PLAYBACK_SPEED,
+  TIME_STRETCH_PROCESSOR
+}
@@ -0,0 +1,155 @@
+/**
+ * Unit Tests for audio export encoding
+ */
+
+import { encodeWav, encodeWebm, encodeAudio, getExportFormat } from '../src/audio-encoder.js'
+
+const readString = (view, offset, length) => {
+  let result = ''
+  for (let i = 0; i < length; i++) {
+    result += String.fromCharCode(view.getUint8(offset + i))
+  }
+  return result
+}
+
+describe('encodeWav', () => {
+  test('writes a valid 16-bit PCM header', () => {
+    const buffer = encodeWav(new Float32Array(100), 24000)
+    const view = new DataView(buffer)
+
+    expect(buffer.byteLength).toBe(44 + 200)
+    expect(readString(view, 0, 4)).toBe('RIFF')
+    expect(view.getUint32(4, true)).toBe(36 + 200)
+    expect(readString(view, 8, 4)).toBe('WAVE')
+    expect(readString(view, 12, 4)).toBe('fmt ')
+    expect(view.getUint32(16, true)).toBe(16)
+    expect(view.getUint16(20, true)).toBe(1)
+    expect(view.getUint16(22, true)).toBe(1)
+    expect(view.getUint32(24, true)).toBe(24000)
+    expect(view.getUint32(28, true)).toBe(48000)
+    expect(view.getUint16(32, true)).toBe(2)
+    expect(view.getUint16(34, true)).toBe(16)
+    expect(readString(view, 36, 4)).toBe('data')
+    expect(view.getUint32(40, true)).toBe(200)
+  })
+
+  test('converts and clamps samples to 16-bit integers', () => {
+    const view = new DataView(encodeWav([0, 1, -1, 0.5, 2, -2], 24000))
+
+    expect(view.getInt16(44, true)).toBe(0)
+    expect(view.getInt16(46, true)).toBe(32767)
+    expect(view.getInt16(48, true)).toBe(-32768)
+    expect(view.getInt16(50, true)).toBe(16383)
+    expect(view.getInt16(52, true)).toBe(32767)
+    expect(view.getInt16(54, true)).toBe(-32768)
+  })
+
+  test('writes 32-bit float WAV', () => {
+    const buffer = encodeWav([0.25, -0.5], 48000, { bitDepth: 32 })
+    const view = new DataView(buffer)
+
+    expect(buffer.byteLength).toBe(44 + 8)
+    expect(view.getUint16(20, true)).toBe(3)
+    expect(view.getUint32(28, true)).toBe(192000)
+    expect(view.getUint16(32, true)).toBe(4)
+    expect(view.getUint16(34, true)).toBe(32)
+    expect(view.getFloat32(44, true)).toBeCloseTo(0.25)
+    expect(view.getFloat32(48, true)).toBeCloseTo(-0.5)
+  })
+
+  test('rejects unsupported bit depths', () => {
+    expect(() => encodeWav([0], 24000, { bitDepth: 24 })).toThrow('Unsupported WAV bit depth')
+  })
+})
+
+describe('getExportFormat', () => {
+  test('describes supported formats', () => {
+    expect(getExportFormat('wav')).toEqual({ mimeType: 'audio/wav', extension: 'wav' })
+    expect(getExportFormat('webm')).toEqual({ mimeType: 'audio/webm;codecs=opus', extension: 'webm' })
+  })
+
+  test('throws for unknown formats', () => {
+    expect(() => getExportFormat('mp3')).toThrow('Unsupported export format "mp3"')
+    expect(() => getExportFormat('toString')).toThrow('Unsupported export format')
+  })
+})
+
+describe('encodeWebm', () => {
+  const originalMediaRecorder = global.MediaRecorder
+
+  afterEach(() => {
+    global.MediaRecorder = originalMediaRecorder
+  })
+
+  test('rejects when MediaRecorder is unavailable', async () => {
+    delete global.MediaRecorder
+
+    await expect(encodeWebm(new Float32Array(10), 24000)).rejects.toThrow('WebM/Opus encoding is not supported')
+  })
+
+  test('records the rendered buffer without touching the speakers', async () => {
+    const source = { connect: jest.fn(), start: jest.fn(), onended: null }
+    const destination = { stream: { id: 'stream' } }
+    const context = {
+      state: 'running',
+      destination: { speakers: true },
+      createBuffer: jest.fn((channels, length) => {
+        const data = new Float32Array(length)
+        return { getChannelData: () => data }
+      }),
+      createMediaStreamDestination: jest.fn(() => destination),
+      createBufferSource: jest.fn(() => source),
+      close: jest.fn()
+    }
+
+    let recorder
+    global.MediaRecorder = jest.fn().mockImplementation((stream, options) => {
+      recorder = {
+        stream,
+        options,
+        state: 'inactive',
+        start: jest.fn(() => { recorder.state = 'recording' }),
+        stop: jest.fn(() => {
+          recorder.state = 'inactive'
+          recorder.ondataavailable({ data: new Blob(['opus'], { type: 'audio/webm' }) })
+          recorder.onstop()
+        })
+      }
+      return recorder
+    })
+    global.MediaRecorder.isTypeSupported = jest.fn(() => true)
+
+    const pending = encodeWebm(new Float32Array([0.1, 0.2]), 24000, {
+      createContext: () => context,
+      bitsPerSecond: 32000
+    })
+
+    // Let the encoder start recording, then finish the source
+    await Promise.resolve()
+    expect(source.start).toHaveBeenCalled()
+    source.onended()
+
+    const blob = await pending
+
+    expect(source.connect).toHaveBeenCalledWith(destination)
+    expect(source.connect).not.toHaveBeenCalledWith(context.destination)
+    expect(recorder.stream).toBe(destination.stream)
+    expect(recorder.options).toEqual({ mimeType: 'audio/webm;codecs=opus', audioBitsPerSecond: 32000 })
+    expect(blob.type).toBe('audio/webm;codecs=opus')
+    expect(blob.size).toBe(4)
+    expect(context.close).toHaveBeenCalled()
+  })
+})
+
+describe('encodeAudio', () => {
+  test('wraps WAV files in a blob of the export MIME type', async () => {
+    const blob = await encodeAudio(new Float32Array(100), 24000, { format: 'wav', bitDepth: 32 })
+
+    expect(blob.type).toBe('audio/wav')
+    expect(blob.size).toBe(44 + 400)
+  })
+
+  test('rejects unknown formats', async () => {
+    await expect(encodeAudio(new Float32Array(10), 24000, { format: 'mp3' })).rejects.toThrow('Unsupported export format "mp3"')
+  })
+})
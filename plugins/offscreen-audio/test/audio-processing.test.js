@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for loudness normalization and the output processing chain
+ */
+
+import {
+  validateAudioProcessing,
+  LoudnessMeter,
+  LoudnessNormalizer,
+  AudioChain,
+  DEFAULT_AUDIO_PROCESSING
+} from '../src/audio-processing.js'
+
+function sine(amplitude, seconds, sampleRate, frequency = 997) {
+  const samples = new Float32Array(Math.round(seconds * sampleRate))
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)
+  }
+  return samples
+}
+
+function loudnessOf(samples, sampleRate) {
+  const meter = new LoudnessMeter(sampleRate)
+  meter.add(samples)
+  return meter.getLoudness()
+}
+
+function createNode(params = []) {
+  const node = { connect: jest.fn(), disconnect: jest.fn() }
+  for (const name of params) {
+    node[name] = { value: 0 }
+  }
+  return node
+}
+
+function createMockContext() {
+  return {
+    destination: { name: 'destination' },
+    createGain: jest.fn(() => createNode(['gain'])),
+    createBiquadFilter: jest.fn(() => createNode(['frequency', 'Q', 'gain'])),
+    createDynamicsCompressor: jest.fn(() => createNode(['threshold', 'knee', 'ratio', 'attack', 'release']))
+  }
+}
+
+describe('validateAudioProcessing', () => {
+  test('fills in defaults and rejects invalid settings', () => {
+    expect(validateAudioProcessing()).toEqual(DEFAULT_AUDIO_PROCESSING)
+    expect(validateAudioProcessing({ normalization: 'rms', limiter: false })).toMatchObject({
+      normalization: 'rms',
+      compressor: true,
+      limiter: false
+    })
+
+    expect(() => validateAudioProcessing({ normalization: 'peak' })).toThrow('Invalid normalization "peak"')
+    expect(() => validateAudioProcessing({ targetLoudness: -3 })).toThrow('Target loudness must be between -36 and -6')
+    expect(() => validateAudioProcessing({ targetLoudness: NaN })).toThrow('Target loudness')
+    expect(() => validateAudioProcessing({ eq: 'loudness' })).toThrow('Unknown EQ preset "loudness"')
+    expect(() => validateAudioProcessing({ voiceGains: { af_bella: 'loud' } })).toThrow('Gain for voice af_bella')
+  })
+})
+
+describe('LoudnessMeter', () => {
+  test('reads a full-scale 997 Hz sine at -3.01 LUFS', () => {
+    expect(loudnessOf(sine(1, 2, 48000), 48000)).toBeCloseTo(-3.01, 1)
+    expect(loudnessOf(sine(1, 2, 24000), 24000)).toBeCloseTo(-3.01, 1)
+  })
+
+  test('measures unweighted RMS level without K-weighting', () => {
+    const meter = new LoudnessMeter(24000, { weighted: false })
+    meter.add(sine(0.5, 1, 24000, 60))
+
+    expect(meter.getLoudness()).toBeCloseTo(-0.691 + 20 * Math.log10(0.5 / Math.SQRT2), 1)
+  })
+
+  test('gates out silence and returns null until something is audible', () => {
+    const meter = new LoudnessMeter(24000)
+    meter.add(new Float32Array(24000))
+    expect(meter.getLoudness()).toBeNull()
+
+    // Pauses between sentences barely move the measurement - averaged in they would take 3 dB off
+    meter.add(sine(0.1, 1, 24000))
+    meter.add(new Float32Array(48000))
+    meter.add(sine(0.1, 1, 24000))
+    const continuous = loudnessOf(sine(0.1, 2, 24000), 24000)
+    expect(meter.getLoudness()).toBeLessThan(continuous)
+    expect(meter.getLoudness()).toBeGreaterThan(continuous - 1.5)
+  })
+})
+
+describe('LoudnessNormalizer', () => {
+  test('brings quiet and loud voices to the target loudness', () => {
+    const normalizer = new LoudnessNormalizer({ targetLoudness: -20 })
+
+    const quiet = normalizer.process(sine(0.05, 2, 24000), 24000, 'af_bella')
+    const loud = normalizer.process(sine(0.5, 2, 24000), 24000, 'am_adam')
+
+    expect(loudnessOf(quiet, 24000)).toBeCloseTo(-20, 0)
+    expect(loudnessOf(loud.subarray(2400), 24000)).toBeCloseTo(-20, 0)
+  })
+
+  test('adds per-voice calibration, also with normalization off', () => {
+    const samples = sine(0.1, 1, 24000)
+    const normalized = new LoudnessNormalizer({ targetLoudness: -20, voiceGains: { am_adam: 6 } })
+      .process(samples, 24000, 'am_adam')
+    const calibrated = new LoudnessNormalizer({ normalization: 'off', voiceGains: { am_adam: 6 } })
+      .process(samples, 24000, 'am_adam')
+    const untouched = new LoudnessNormalizer({ normalization: 'off' }).process(samples, 24000, 'am_adam')
+
+    expect(loudnessOf(normalized, 24000)).toBeCloseTo(-14, 0)
+    expect(calibrated[100] / samples[100]).toBeCloseTo(Math.pow(10, 6 / 20), 5)
+    expect(Array.from(untouched)).toEqual(Array.from(samples))
+  })
+
+  test('limits the correction and ramps gain changes between chunks', () => {
+    const normalizer = new LoudnessNormalizer({ targetLoudness: -10 })
+
+    // Far too quiet - boosted by at most 12 dB
+    const first = normalizer.process(sine(0.001, 1, 24000), 24000, 'af_bella')
+    expect(first[100] / sine(0.001, 1, 24000)[100]).toBeCloseTo(Math.pow(10, 12 / 20), 3)
+
+    // A loud voice next: the gain falls from +12 dB over the first 50 ms
+    const loud = sine(0.5, 1, 24000)
+    const second = normalizer.process(loud, 24000, 'am_adam')
+    const gainAt = index => second[index] / loud[index]
+    expect(gainAt(5)).toBeGreaterThan(3.5)
+    expect(gainAt(600)).toBeLessThan(gainAt(5))
+    expect(gainAt(600)).toBeGreaterThan(gainAt(1300))
+    expect(gainAt(1300)).toBeCloseTo(gainAt(20000), 5)
+    expect(gainAt(20000)).toBeCloseTo(Math.pow(10, -1 / 20), 1)
+  })
+
+  test('reset() forgets the previous stream', () => {
+    const normalizer = new LoudnessNormalizer()
+    normalizer.process(sine(0.5, 1, 24000), 24000, 'af_bella')
+
+    normalizer.reset()
+    const output = normalizer.process(new Float32Array(100).fill(0.1), 24000, 'af_bella')
+
+    expect(output[0]).toBeCloseTo(0.1, 6)
+  })
+})
+
+describe('AudioChain', () => {
+  test('connects volume, EQ, compressor and limiter in order', () => {
+    const context = createMockContext()
+    const chain = new AudioChain(context, { eq: 'podcast' })
+
+    const order = [chain.input, ...chain.filters, chain.compressor, chain.limiter]
+    expect(chain.filters).toHaveLength(4)
+    expect(chain.filters[0]).toMatchObject({ type: 'highpass', frequency: { value: 80 } })
+    order.forEach((node, index) => {
+      expect(node.connect).toHaveBeenCalledWith(order[index + 1] || context.destination)
+    })
+    expect(chain.limiter.threshold.value).toBe(-1)
+  })
+
+  test('applySettings() rebuilds the chain and setVolume() sets the input gain', () => {
+    const context = createMockContext()
+    const chain = new AudioChain(context, { eq: 'podcast' })
+    const oldFilters = chain.filters
+
+    chain.applySettings({ eq: 'off', compressor: false })
+    chain.setVolume(0.4)
+
+    expect(oldFilters[0].disconnect).toHaveBeenCalled()
+    expect(chain.filters).toHaveLength(0)
+    expect(chain.input.connect).toHaveBeenLastCalledWith(chain.limiter)
+    expect(chain.limiter.connect).toHaveBeenLastCalledWith(context.destination)
+    expect(chain.input.gain.value).toBe(0.4)
+    expect(() => chain.applySettings({ eq: 'radio' })).toThrow('Unknown EQ preset')
+  })
+})
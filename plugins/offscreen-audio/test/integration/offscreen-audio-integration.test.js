@@ -92,11 +92,17 @@ describe('OffscreenAudio Plugin - Integration Tests', () => {
     test('Plugin subscribes to audio events on init', async () => {
       await plugin.init(mockEventBus, mockPAL)
 
-      expect(mockEventBus.subscribe).toHaveBeenCalledTimes(4)
+      expect(mockEventBus.subscribe).toHaveBeenCalledTimes(10)
       expect(mockEventBus.subscribe).toHaveBeenCalledWith('audio:play', expect.any(Function))
       expect(mockEventBus.subscribe).toHaveBeenCalledWith('audio:pause', expect.any(Function))
       expect(mockEventBus.subscribe).toHaveBeenCalledWith('audio:resume', expect.any(Function))
       expect(mockEventBus.subscribe).toHaveBeenCalledWith('audio:stop', expect.any(Function))
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('audio:seek', expect.any(Function))
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('audio:skipSentence', expect.any(Function))
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('audio:export', expect.any(Function))
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('tts:chunk', expect.any(Function))
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('tts:streamCancelled', expect.any(Function))
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('tts:timing', expect.any(Function))
     })
 
     test('Plugin processes TTSEvent with audio through pipeline', async () => {
@@ -305,6 +311,47 @@ describe('OffscreenAudio Plugin - Integration Tests', () => {
         })
       )
     })
+    test('Periodic progress messages emitted as position updates', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+
+      const messageListener = mockChrome.runtime.onMessage.addListener.mock.calls[0][0]
+
+      messageListener({
+        type: 'offscreen-audio-event',
+        event: 'progress',
+        playbackId: 'test-id',
+        timestamp: Date.now(),
+        position: 1.25
+      }, {}, jest.fn())
+
+      expect(mockEventBus.emit).toHaveBeenCalledWith(
+        'audio:positionUpdate',
+        expect.objectContaining({
+          playbackId: 'test-id',
+          position: 1.25
+        })
+      )
+      expect(plugin.getPlaybackState().position).toBe(1.25)
+    })
+
+    test('Seek, pause and resume round-trip through the offscreen document', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+
+      const messageListener = mockChrome.runtime.onMessage.addListener.mock.calls[0][0]
+
+      plugin.seek(3)
+      expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'offscreen-audio-seek', position: 3 })
+
+      messageListener({ type: 'offscreen-audio-event', event: 'stream-seeked', playbackId: 's1', timestamp: Date.now(), position: 3 }, {}, jest.fn())
+      messageListener({ type: 'offscreen-audio-event', event: 'stream-paused', playbackId: 's1', timestamp: Date.now(), position: 3.2 }, {}, jest.fn())
+      expect(plugin.getPlaybackState()).toMatchObject({ status: 'paused', position: 3.2 })
+
+      messageListener({ type: 'offscreen-audio-event', event: 'resumed', playbackId: 's1', timestamp: Date.now(), position: 3.2 }, {}, jest.fn())
+      expect(plugin.getPlaybackState().status).toBe('playing')
+
+      const emitted = mockEventBus.emit.mock.calls.map(call => call[0])
+      expect(emitted).toEqual(expect.arrayContaining(['audio:seeked', 'audio:playbackPaused', 'audio:playbackResumed']))
+    })
   })
 
   // ============================================================
@@ -420,6 +467,86 @@ describe('OffscreenAudio Plugin - Integration Tests', () => {
     })
   })
 
+  describe('Per-tab playback', () => {
+    const mockAudioBuffer = {
+      duration: 5.0,
+      sampleRate: 24000,
+      getChannelData: jest.fn().mockReturnValue(new Float32Array([0.1]))
+    }
+
+    const playMessages = () => mockChrome.runtime.sendMessage.mock.calls
+      .map(call => call[0])
+      .filter(message => message.type === 'offscreen-audio-play')
+
+    test('Plays a request on its tab\'s channel and tells the player what the session policy does to other tabs', async () => {
+      plugin = new OffscreenAudioPlugin({ sessionPolicy: 'per-tab-exclusive' })
+      await plugin.init(mockEventBus, mockPAL)
+
+      await plugin.process({ type: 'tts:request', tabId: 7, output: { audio: mockAudioBuffer, duration: 5 } }, {})
+      plugin.setSessionPolicy('mix')
+      await plugin.play(mockAudioBuffer, { channel: 8 })
+
+      expect(playMessages()).toEqual([
+        expect.objectContaining({ channel: 7, otherChannels: 'pause' }),
+        expect.objectContaining({ channel: 8, otherChannels: 'keep' })
+      ])
+      expect(mockEventBus.emit).toHaveBeenCalledWith('audio:playbackStarted', expect.objectContaining({ tabId: 7 }))
+      expect(() => plugin.setSessionPolicy('solo')).toThrow('Unknown session policy: solo')
+    })
+
+    test('Falls back to global-exclusive with a warning for an unknown policy', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      plugin = new OffscreenAudioPlugin({ sessionPolicy: 'solo' })
+      await plugin.init(mockEventBus, mockPAL)
+
+      await plugin.play(mockAudioBuffer, { channel: 1 })
+
+      expect(plugin.sessionPolicy).toBe('global-exclusive')
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('solo'))
+      expect(playMessages()[0]).toMatchObject({ channel: 1, otherChannels: 'stop' })
+      warnSpy.mockRestore()
+    })
+
+    test('Keeps playback state per tab and tags events with their tab', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+      const messageListener = mockChrome.runtime.onMessage.addListener.mock.calls[0][0]
+      const event = (name, channel, data) => messageListener({
+        type: 'offscreen-audio-event',
+        event: name,
+        channel,
+        timestamp: Date.now(),
+        ...data
+      }, {}, jest.fn())
+
+      event('started', 1, { playbackId: 'p1', duration: 4 })
+      event('started', 2, { playbackId: 'p2', duration: 6 })
+      event('paused', 1, { playbackId: 'p1', position: 1.5 })
+
+      expect(plugin.getPlaybackState(1)).toMatchObject({ status: 'paused', currentPlaybackId: 'p1', position: 1.5 })
+      expect(plugin.getPlaybackState()).toMatchObject({ status: 'playing', currentPlaybackId: 'p2' })
+      expect(plugin.getPlaybackState(3).status).toBe('idle')
+      expect(mockEventBus.emit).toHaveBeenCalledWith('audio:playbackPaused', expect.objectContaining({ tabId: 1, position: 1.5 }))
+
+      // Resuming a tab makes it the current playback
+      event('resumed', 1, { playbackId: 'p1', position: 1.5 })
+      expect(plugin.getPlaybackState()).toMatchObject({ status: 'playing', currentPlaybackId: 'p1' })
+    })
+
+    test('Queue pause, resume and stop events reach their tab\'s channel', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+      const handler = name => mockEventBus.subscribe.mock.calls.find(call => call[0] === name)[1]
+
+      await handler('audio:pause')({ sessionId: 's3', tabId: 3 })
+      await handler('audio:resume')({ sessionId: 's3', tabId: 3 })
+      await handler('audio:stop')({ sessionId: 's3', tabId: 3 })
+
+      expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'offscreen-audio-pause', channel: 3 })
+      expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'offscreen-audio-resume', channel: 3, otherChannels: 'stop' })
+      expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({ type: 'offscreen-audio-stop', channel: 3 })
+      expect(plugin.getPlaybackState(3).status).toBe('stopped')
+    })
+  })
+
   // ============================================================
   // 1.3-INT-011: Second createDocument() call skips if doc exists
   // ============================================================
@@ -584,4 +711,35 @@ describe('OffscreenAudio Plugin - Integration Tests', () => {
       expect(plugin.streamHandler).toBeDefined()
     })
   })
+
+  describe('Media session integration', () => {
+    test('Metadata goes out with playback and media control actions come back as events', async () => {
+      await plugin.init(mockEventBus, mockPAL)
+
+      plugin.setMediaMetadata({ title: 'An article', artist: 'Bella', artwork: [{ src: 'https://example.com/icon.png' }, {}] })
+      await plugin.play({
+        duration: 1.0,
+        sampleRate: 24000,
+        numberOfChannels: 1,
+        getChannelData: jest.fn().mockReturnValue(new Float32Array([0.1]))
+      })
+
+      expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'offscreen-audio-play',
+        options: expect.objectContaining({
+          metadata: { title: 'An article', artist: 'Bella', album: '', artwork: [{ src: 'https://example.com/icon.png' }] }
+        })
+      }))
+
+      const messageListener = mockChrome.runtime.onMessage.addListener.mock.calls[0][0]
+      messageListener({ type: 'offscreen-audio-event', event: 'media-action', action: 'seekforward', seekOffset: 10, timestamp: 1 }, {}, jest.fn())
+
+      expect(mockEventBus.emit).toHaveBeenCalledWith('audio:mediaAction', {
+        action: 'seekforward',
+        seekTime: undefined,
+        seekOffset: 10,
+        timestamp: 1
+      })
+    })
+  })
 })
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * Unit Tests for the Media Session API integration (offscreen document)
+ */
+
+import { MediaSessionController, MEDIA_ACTIONS } from '../src/media-session.js'
+
+function createMockMediaSession() {
+  const handlers = {}
+  return {
+    handlers,
+    metadata: null,
+    playbackState: 'none',
+    setPositionState: jest.fn(),
+    setActionHandler: jest.fn((action, handler) => {
+      handlers[action] = handler
+    })
+  }
+}
+
+describe('MediaSessionController', () => {
+  let mediaSession
+  let onAction
+  let controller
+
+  beforeEach(() => {
+    mediaSession = createMockMediaSession()
+    onAction = jest.fn()
+    controller = new MediaSessionController({
+      mediaSession,
+      createMetadata: init => ({ ...init, built: true }),
+      onAction
+    })
+  })
+
+  test('publishes metadata once per change', () => {
+    const createMetadata = jest.spyOn(controller, 'createMetadata')
+
+    controller.setMetadata({ title: 'An article', artist: 'Bella' })
+    controller.setMetadata({ title: 'An article', artist: 'Bella' })
+
+    expect(mediaSession.metadata).toEqual({ title: 'An article', artist: 'Bella', built: true })
+    expect(createMetadata).toHaveBeenCalledTimes(1)
+  })
+
+  test('follows playback events with playback and position state', () => {
+    controller.handleEvent({ event: 'started', duration: 8 })
+    expect(mediaSession.playbackState).toBe('playing')
+    expect(mediaSession.setPositionState).toHaveBeenLastCalledWith({ duration: 8, playbackRate: 1, position: 0 })
+
+    controller.setSpeed(1.5)
+    controller.handleEvent({ event: 'paused', position: 3 })
+    expect(mediaSession.playbackState).toBe('paused')
+    expect(mediaSession.setPositionState).toHaveBeenLastCalledWith({ duration: 8, playbackRate: 1.5, position: 3 })
+
+    // Streams grow as chunks arrive
+    controller.handleEvent({ event: 'stream-progress', position: 4, totalDuration: 12 })
+    expect(mediaSession.setPositionState).toHaveBeenLastCalledWith({ duration: 12, playbackRate: 1.5, position: 4 })
+
+    controller.setMetadata({ title: 'An article' })
+    controller.handleEvent({ event: 'stream-completed' })
+    expect(mediaSession.playbackState).toBe('none')
+    expect(mediaSession.metadata).toBeNull()
+  })
+
+  test('keeps the next stream metadata when a stream is replaced', () => {
+    controller.setMetadata({ title: 'Next article' })
+    controller.handleEvent({ event: 'stream-cancelled' })
+
+    expect(mediaSession.playbackState).toBe('none')
+    expect(mediaSession.metadata).toEqual({ title: 'Next article', built: true })
+  })
+
+  test('reports media control actions with seek details', () => {
+    expect(Object.keys(mediaSession.handlers)).toEqual(MEDIA_ACTIONS)
+
+    mediaSession.handlers.seekto({ action: 'seekto', seekTime: 42 })
+    mediaSession.handlers.seekbackward({ action: 'seekbackward' })
+    mediaSession.handlers.nexttrack({ action: 'nexttrack' })
+
+    expect(onAction).toHaveBeenCalledWith('seekto', expect.objectContaining({ seekTime: 42 }))
+    expect(onAction).toHaveBeenCalledWith('seekbackward', expect.objectContaining({ seekOffset: 10 }))
+    expect(onAction).toHaveBeenCalledWith('nexttrack', expect.any(Object))
+  })
+
+  test('does nothing without a media session', () => {
+    const inert = new MediaSessionController({ onAction })
+
+    expect(() => {
+      inert.setMetadata({ title: 'An article' })
+      inert.handleEvent({ event: 'started', duration: 8 })
+      inert.clear()
+    }).not.toThrow()
+  })
+})
@@ -17,6 +17,13 @@ global.chrome = {
   offscreen: {
     createDocument: jest.fn(),
     closeDocument: jest.fn()
+  },
+  downloads: {
+    download: jest.fn(),
+    onChanged: {
+      addListener: jest.fn(),
+      removeListener: jest.fn()
+    }
   }
 }
 
@@ -38,6 +45,7 @@ jest.mock('../src/audio-manager.js', () => {
       play: jest.fn().mockResolvedValue(undefined),
       pause: jest.fn(),
       resume: jest.fn(),
+      seek: jest.fn(),
       stop: jest.fn(),
       getPlaybackState: jest.fn().mockReturnValue({
         status: 'idle',
@@ -47,6 +55,12 @@ jest.mock('../src/audio-manager.js', () => {
       }),
       setVolume: jest.fn(),
       setSpeed: jest.fn(),
+      exportAudio: jest.fn().mockResolvedValue({
+        url: 'blob:chrome-extension://test/export',
+        mimeType: 'audio/wav',
+        size: 244
+      }),
+      revokeExport: jest.fn(),
       cleanup: jest.fn().mockResolvedValue(undefined)
     }))
   }
@@ -449,9 +463,25 @@ describe('OffscreenAudio Plugin - Unit Tests', () => {
       expect(plugin.audioManager.setSpeed).toHaveBeenCalledWith(1.5)
     })
 
-    test('setSpeed() validates range', () => {
-      expect(() => plugin.setSpeed(0.4)).toThrow('Speed must be between 0.5 and 2.0')
-      expect(() => plugin.setSpeed(2.5)).toThrow('Speed must be between 0.5 and 2.0')
+    test('setSpeed() validates range', async () => {
+      plugin.audioManager = { setSpeed: jest.fn() }
+
+      await expect(plugin.setSpeed(0.4)).rejects.toThrow('Speed must be between 0.5 and 4.0')
+      await expect(plugin.setSpeed(4.5)).rejects.toThrow('Speed must be between 0.5 and 4.0')
+      await plugin.setSpeed(3.5)
+      expect(plugin.audioManager.setSpeed).toHaveBeenCalledWith(3.5)
+    })
+
+    test('setAudioProcessing() validates settings and sends them to the audio manager', async () => {
+      plugin.audioManager = { setProcessing: jest.fn().mockResolvedValue(undefined) }
+
+      const settings = await plugin.setAudioProcessing({ eq: 'podcast', voiceGains: { am_adam: 3 } })
+
+      expect(settings).toMatchObject({ normalization: 'lufs', targetLoudness: -18, eq: 'podcast', voiceGains: { am_adam: 3 } })
+      expect(plugin.audioManager.setProcessing).toHaveBeenCalledWith(settings)
+      await expect(plugin.setAudioProcessing({ eq: 'radio' })).rejects.toThrow('Unknown EQ preset "radio"')
+      await expect(plugin.setAudioProcessing({ voiceGains: { am_adam: 20 } })).rejects.toThrow('Gain for voice am_adam')
+      expect(plugin.audioManager.setProcessing).toHaveBeenCalledTimes(1)
     })
 
     test('recycle() closes offscreen and resets counters', async () => {
@@ -565,4 +595,152 @@ describe('OffscreenAudio Plugin - Unit Tests', () => {
       expect(plugin.sessionCount).toBe(10)
     })
   })
-})
\ No newline at end of file
+
+  describe('Audio export', () => {
+    const audio = new Float32Array(100)
+
+    beforeEach(async () => {
+      global.chrome.downloads.download.mockResolvedValue(42)
+      await plugin.init(mockEventBus, mockPAL)
+    })
+
+    test('exportAudio() encodes in the offscreen document and downloads the blob', async () => {
+      const result = await plugin.exportAudio({ audio, sampleRate: 24000, filename: 'speech' })
+
+      expect(mockPAL.audio.createOffscreen).toHaveBeenCalled()
+      expect(plugin.audioManager.exportAudio).toHaveBeenCalledWith(audio, 24000, {
+        format: 'wav',
+        bitDepth: undefined
+      })
+      expect(global.chrome.downloads.download).toHaveBeenCalledWith({
+        url: 'blob:chrome-extension://test/export',
+        filename: 'speech.wav',
+        saveAs: true
+      })
+      expect(result).toEqual({
+        downloadId: 42,
+        filename: 'speech.wav',
+        format: 'wav',
+        mimeType: 'audio/wav',
+        size: 244
+      })
+    })
+
+    test('exportAudio() emits audio:exported', async () => {
+      await plugin.exportAudio({ audio, sampleRate: 100, format: 'webm' })
+
+      expect(mockEventBus.emit).toHaveBeenCalledWith('audio:exported', expect.objectContaining({
+        downloadId: 42,
+        format: 'webm',
+        filename: expect.stringMatching(/^kokoro-tts-.+\.webm$/),
+        duration: 1
+      }))
+    })
+
+    test('exportAudio() rejects unknown formats and empty audio', async () => {
+      await expect(plugin.exportAudio({ audio, sampleRate: 24000, format: 'mp3' }))
+        .rejects.toThrow('Unsupported export format')
+      await expect(plugin.exportAudio({ audio: new Float32Array(0), sampleRate: 24000 }))
+        .rejects.toThrow('No audio to export')
+      expect(global.chrome.downloads.download).not.toHaveBeenCalled()
+    })
+
+    test('revokes the blob URL once the download completes', async () => {
+      await plugin.exportAudio({ audio, sampleRate: 24000 })
+
+      const listener = global.chrome.downloads.onChanged.addListener.mock.calls[0][0]
+      listener({ id: 7, state: { current: 'complete' } })
+      expect(plugin.audioManager.revokeExport).not.toHaveBeenCalled()
+
+      listener({ id: 42, state: { current: 'complete' } })
+      expect(plugin.audioManager.revokeExport).toHaveBeenCalledWith('blob:chrome-extension://test/export')
+      expect(global.chrome.downloads.onChanged.removeListener).toHaveBeenCalledWith(listener)
+    })
+
+    test('revokes the blob URL when the download cannot start', async () => {
+      global.chrome.downloads.download.mockRejectedValue(new Error('Download blocked'))
+
+      await expect(plugin.exportAudio({ audio, sampleRate: 24000 })).rejects.toThrow('Download blocked')
+      expect(plugin.audioManager.revokeExport).toHaveBeenCalled()
+    })
+  })
+
+  describe('Seeking', () => {
+    // Two chunks: sentences at 0s and 1.2s, then 2s and 2.5s
+    const timings = [
+      {
+        streamId: 's1',
+        chunkIndex: 0,
+        startTime: 0,
+        words: [
+          { text: 'One.', start: 0, end: 1, sentenceIndex: 0 },
+          { text: 'Two', start: 1.2, end: 1.5, sentenceIndex: 1 },
+          { text: 'words.', start: 1.5, end: 2, sentenceIndex: 1 }
+        ]
+      },
+      {
+        streamId: 's1',
+        chunkIndex: 1,
+        startTime: 2,
+        words: [
+          { text: 'Three.', start: 0, end: 0.5, sentenceIndex: 0 },
+          { text: 'Four.', start: 0.5, end: 1, sentenceIndex: 1 }
+        ]
+      }
+    ]
+
+    const setPosition = (position) => {
+      plugin.audioManager.getPlaybackState.mockReturnValue({ status: 'playing', currentPlaybackId: 's1', position, duration: 3 })
+    }
+
+    beforeEach(async () => {
+      await plugin.init(mockEventBus, mockPAL)
+      for (const timing of timings) {
+        await plugin._handleTimingEvent(timing)
+      }
+    })
+
+    test('seek() forwards the position to the audio manager', () => {
+      plugin.seek(1.5)
+
+      expect(plugin.audioManager.seek).toHaveBeenCalledWith(1.5, undefined)
+      expect(() => plugin.seek(-1)).toThrow('Seek position must be a non-negative number')
+      expect(() => plugin.seek('soon')).toThrow('Seek position must be a non-negative number')
+    })
+
+    test('collects sentence starts from tts:timing', () => {
+      expect(mockEventBus.subscribe).toHaveBeenCalledWith('tts:timing', expect.any(Function))
+      expect(plugin.sentenceStarts).toEqual([0, 1.2, 2, 2.5])
+    })
+
+    test('skipSentence() jumps to the next sentence', () => {
+      setPosition(1.3)
+
+      expect(plugin.skipSentence()).toBe(2)
+      expect(plugin.audioManager.seek).toHaveBeenCalledWith(2, undefined)
+
+      setPosition(2.7)
+      expect(plugin.skipSentence(1)).toBeNull()
+    })
+
+    test('skipSentence(-1) restarts the sentence, or goes to the previous one near its start', () => {
+      setPosition(2.4)
+      expect(plugin.skipSentence(-1)).toBe(1.2)
+
+      setPosition(2.9)
+      expect(plugin.skipSentence(-1)).toBe(2)
+
+      setPosition(0.5)
+      expect(plugin.skipSentence(-1)).toBe(0)
+
+      setPosition(3.6)
+      expect(plugin.skipSentence(-1)).toBe(2.5)
+    })
+
+    test('a new stream replaces the sentence boundaries', async () => {
+      await plugin._handleTimingEvent({ ...timings[0], streamId: 's2' })
+
+      expect(plugin.sentenceStarts).toEqual([0, 1.2])
+    })
+  })
+})
@@ -0,0 +1,384 @@
+/**
+ * Unit Tests for playback in the offscreen document
+ * BufferPlayer (whole buffers) and OffscreenController (message routing to per-tab players, streams and export)
+ */
+
+import { BufferPlayer } from '../src/buffer-player.js'
+import { StreamScheduler } from '../src/stream-scheduler.js'
+import { OffscreenController } from '../src/offscreen-controller.js'
+
+// Minimal AudioContext mock with a controllable clock
+function createMockContext() {
+  const node = () => ({ connect: jest.fn(), disconnect: jest.fn() })
+  const context = {
+    currentTime: 0,
+    state: 'running',
+    destination: {},
+    sources: [],
+    createGain: jest.fn(() => ({ ...node(), gain: { value: 1 } })),
+    createBiquadFilter: jest.fn(() => ({
+      ...node(),
+      type: 'lowpass',
+      frequency: { value: 350 },
+      Q: { value: 1 },
+      gain: { value: 0 }
+    })),
+    createDynamicsCompressor: jest.fn(() => ({
+      ...node(),
+      threshold: { value: -24 },
+      knee: { value: 30 },
+      ratio: { value: 12 },
+      attack: { value: 0.003 },
+      release: { value: 0.25 }
+    })),
+    createBuffer: jest.fn((channels, length, sampleRate) => {
+      const data = new Float32Array(length)
+      return {
+        duration: length / sampleRate,
+        getChannelData: () => data
+      }
+    }),
+    createBufferSource: jest.fn(() => {
+      const source = {
+        ...node(),
+        buffer: null,
+        onended: null,
+        playbackRate: { value: 1 },
+        start: jest.fn(),
+        stop: jest.fn()
+      }
+      context.sources.push(source)
+      return source
+    }),
+    suspend: jest.fn(async () => { context.state = 'suspended' }),
+    resume: jest.fn(async () => { context.state = 'running' })
+  }
+  return context
+}
+
+// 2s of audio at 1kHz
+const samples = () => new Float32Array(2000)
+
+// 0.2s of audio at 1kHz
+const chunkMessage = (streamId, chunkIndex, isLast = false) => ({
+  type: 'offscreen-audio-stream-chunk',
+  streamId,
+  chunkIndex,
+  audioData: new Float32Array(200),
+  sampleRate: 1000,
+  isLast
+})
+
+describe('BufferPlayer', () => {
+  let context
+  let notify
+  let player
+
+  beforeEach(() => {
+    context = createMockContext()
+    notify = jest.fn()
+    player = new BufferPlayer({ createContext: () => context, notify })
+  })
+
+  test('play() starts the buffer from the beginning and reports its duration', async () => {
+    const result = await player.play(samples(), 1000, 'p1', { volume: 0.5 })
+
+    expect(result).toEqual({ success: true, duration: 2 })
+    expect(context.sources).toHaveLength(1)
+    expect(context.sources[0].start).toHaveBeenCalledWith(0, 0)
+    expect(notify).toHaveBeenCalledWith('started', { playbackId: 'p1', duration: 2 })
+    expect(player.getState()).toEqual({ status: 'playing', currentPlaybackId: 'p1', position: 0 })
+  })
+
+  test('pause() and resume() continue from the paused position', async () => {
+    await player.play(samples(), 1000, 'p1')
+    context.currentTime = 0.5
+
+    player.pause()
+    expect(context.sources[0].stop).toHaveBeenCalled()
+    expect(player.getState()).toMatchObject({ status: 'paused', position: 0.5 })
+
+    context.currentTime = 3
+    await player.resume()
+
+    expect(context.sources[1].start).toHaveBeenCalledWith(0, 0.5)
+    expect(player.getPosition()).toBeCloseTo(0.5)
+    expect(notify).toHaveBeenCalledWith('resumed', { playbackId: 'p1', position: 0.5 })
+  })
+
+  test('seek() clamps to the buffer and stays paused when paused', async () => {
+    await player.play(samples(), 1000, 'p1')
+
+    expect(player.seek(1.5)).toBe(1.5)
+    expect(context.sources[1].start).toHaveBeenCalledWith(0, 1.5)
+
+    player.pause()
+    expect(player.seek(10)).toBe(2)
+    expect(context.sources).toHaveLength(2)
+    expect(player.getState()).toMatchObject({ status: 'paused', position: 2 })
+  })
+
+  test('reports completion only for the source that is still playing', async () => {
+    await player.play(samples(), 1000, 'p1')
+    player.seek(1)
+
+    // The source replaced by the seek ends without completing playback
+    context.sources[0].onended()
+    expect(player.active).toBe(true)
+
+    context.sources[1].onended()
+    expect(player.active).toBe(false)
+    expect(notify).toHaveBeenCalledWith('completed', { playbackId: 'p1' })
+  })
+
+  test('stop() reports the stop, release() drops the buffer silently', async () => {
+    await player.play(samples(), 1000, 'p1')
+    player.release()
+
+    expect(context.sources[0].stop).toHaveBeenCalled()
+    expect(player.getState().status).toBe('idle')
+    expect(notify).not.toHaveBeenCalledWith('stopped', expect.anything())
+
+    player.stop()
+    expect(notify).toHaveBeenCalledWith('stopped', {})
+  })
+
+  test('setSpeed() changes the playing source and keeps the position in buffer time', async () => {
+    await player.play(samples(), 1000, 'p1', { speed: 2 })
+    expect(context.sources[0].playbackRate.value).toBe(2)
+
+    context.currentTime = 0.25
+    expect(player.getPosition()).toBeCloseTo(0.5)
+
+    player.setSpeed(1)
+    context.currentTime = 0.75
+    expect(context.sources[0].playbackRate.value).toBe(1)
+    expect(player.getPosition()).toBeCloseTo(1)
+  })
+
+  test('emits periodic progress while playing when enabled', async () => {
+    jest.useFakeTimers()
+    try {
+      player = new BufferPlayer({ createContext: () => context, notify, progressIntervalMs: 100 })
+      await player.play(samples(), 1000, 'p1')
+      context.currentTime = 0.3
+
+      jest.advanceTimersByTime(100)
+      expect(notify).toHaveBeenCalledWith('progress', { playbackId: 'p1', position: 0.3 })
+
+      player.pause()
+      notify.mockClear()
+      jest.advanceTimersByTime(500)
+      expect(notify).not.toHaveBeenCalledWith('progress', expect.anything())
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  test('reports a failed playback', async () => {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    context.createBuffer.mockImplementation(() => { throw new Error('Out of memory') })
+
+    const result = await player.play(samples(), 1000, 'p1')
+
+    expect(result).toEqual({ success: false, error: 'Out of memory' })
+    expect(notify).toHaveBeenCalledWith('error', { playbackId: 'p1', error: 'Out of memory' })
+    expect(player.active).toBe(false)
+    errorSpy.mockRestore()
+  })
+})
+
+describe('OffscreenController', () => {
+  let playerContext
+  let streamContext
+  let notify
+  let mediaSession
+  let pdfExtractor
+  let controller
+
+  beforeEach(() => {
+    playerContext = createMockContext()
+    streamContext = createMockContext()
+    notify = jest.fn()
+    mediaSession = { setMetadata: jest.fn(), setSpeed: jest.fn() }
+    pdfExtractor = { extract: jest.fn().mockResolvedValue({ text: 'PDF text' }) }
+    controller = new OffscreenController({
+      // Players share one context, like the offscreen document's
+      createPlayer: channel => new BufferPlayer({
+        createContext: () => playerContext,
+        notify: (event, data) => notify(event, { channel, ...data })
+      }),
+      streamScheduler: new StreamScheduler({ createContext: () => streamContext, notify, jitterBufferSeconds: 0.3 }),
+      mediaSession,
+      pdfExtractor
+    })
+  })
+
+  const play = (playbackId, options, channel, otherChannels) => controller.handleMessage({
+    type: 'offscreen-audio-play',
+    audioData: samples(),
+    sampleRate: 1000,
+    playbackId,
+    channel,
+    otherChannels,
+    options
+  })
+
+  test('ignores messages for other contexts', () => {
+    expect(controller.handleMessage({ type: 'TTS_STOP' })).toBeNull()
+    expect(controller.handleMessage({ type: 'offscreen-audio-event', event: 'progress' })).toBeNull()
+    expect(controller.handleMessage({})).toBeNull()
+  })
+
+  test('plays a buffer and shows it in the OS media controls', async () => {
+    const response = await play('p1', { speed: 1.5, metadata: { title: 'An article' } })
+
+    expect(response).toEqual({ success: true, duration: 2 })
+    expect(mediaSession.setMetadata).toHaveBeenCalledWith({ title: 'An article' })
+    expect(mediaSession.setSpeed).toHaveBeenCalledWith(1.5)
+    expect(await controller.handleMessage({ type: 'offscreen-audio-state' })).toMatchObject({
+      status: 'playing',
+      currentPlaybackId: 'p1'
+    })
+  })
+
+  test('starting a buffer cancels a playing stream', async () => {
+    await controller.handleMessage(chunkMessage('s1', 0))
+    await controller.handleMessage(chunkMessage('s1', 1))
+    expect(streamContext.sources).toHaveLength(2)
+
+    await play('p1')
+
+    expect(streamContext.sources.every(source => source.stop.mock.calls.length === 1)).toBe(true)
+    expect(controller.streamScheduler.getState().streamId).toBeNull()
+    expect(notify).toHaveBeenCalledWith('stream-cancelled', expect.objectContaining({ streamId: 's1' }))
+    expect(playerContext.sources[0].start).toHaveBeenCalled()
+  })
+
+  test('starting a stream stops a playing buffer', async () => {
+    await play('p1')
+
+    const response = await controller.handleMessage({ ...chunkMessage('s1', 0), options: { volume: 0.8 } })
+
+    expect(response).toMatchObject({ success: true, state: { streamId: 's1', receivedChunks: 1 } })
+    expect(playerContext.sources[0].stop).toHaveBeenCalled()
+    expect(controller.players.get(null).active).toBe(false)
+    // The stream takes over - the queue hears about the new stream, not a stop
+    expect(notify).not.toHaveBeenCalledWith('stopped', expect.anything())
+  })
+
+  test('pause, resume and seek reach the player that has audio and answer with its state', async () => {
+    await play('p1')
+    playerContext.currentTime = 0.5
+
+    expect(await controller.handleMessage({ type: 'offscreen-audio-pause' })).toEqual({
+      success: true,
+      state: { status: 'paused', currentPlaybackId: 'p1', position: 0.5 }
+    })
+    expect(await controller.handleMessage({ type: 'offscreen-audio-seek', position: 1.5 })).toMatchObject({ state: { position: 1.5 } })
+    expect(await controller.handleMessage({ type: 'offscreen-audio-resume' })).toMatchObject({ state: { status: 'playing' } })
+    expect(playerContext.sources[1].start).toHaveBeenCalledWith(0, 1.5)
+
+    await controller.handleMessage(chunkMessage('s1', 0))
+    await controller.handleMessage(chunkMessage('s1', 1))
+    const response = await controller.handleMessage({ type: 'offscreen-audio-pause' })
+
+    expect(streamContext.suspend).toHaveBeenCalled()
+    expect(response.state).toMatchObject({ status: 'paused', currentPlaybackId: 's1' })
+    expect(notify).toHaveBeenCalledWith('stream-paused', expect.objectContaining({ streamId: 's1' }))
+    expect(notify).not.toHaveBeenCalledWith('paused', expect.objectContaining({ playbackId: null }))
+  })
+
+  test('stop cancels the stream and stops the buffer player', async () => {
+    await play('p1')
+    await controller.handleMessage(chunkMessage('s1', 0, true))
+
+    const response = await controller.handleMessage({ type: 'offscreen-audio-stop' })
+
+    expect(response).toEqual({ success: true, state: { status: 'idle', currentPlaybackId: null, position: 0 } })
+    expect(streamContext.sources[0].stop).toHaveBeenCalled()
+    expect(notify).toHaveBeenCalledWith('stream-cancelled', expect.objectContaining({ streamId: 's1' }))
+    expect(notify).toHaveBeenCalledWith('stopped', { channel: null })
+  })
+
+  test('keeps a player per channel and by default stops the other channels when one starts', async () => {
+    await play('p1', {}, 1)
+    await play('p2', {}, 2)
+
+    expect(notify).toHaveBeenCalledWith('stopped', { channel: 1 })
+    expect(controller.getState(1).status).toBe('idle')
+    expect(controller.getState(2)).toMatchObject({ status: 'playing', currentPlaybackId: 'p2' })
+    expect(controller.getState()).toMatchObject({ currentPlaybackId: 'p2' })
+  })
+
+  test('pauses other channels in place and pauses the playing one when a channel resumes', async () => {
+    await play('p1', {}, 1, 'pause')
+    playerContext.currentTime = 0.5
+    await play('p2', {}, 2, 'pause')
+
+    expect(controller.getState(1)).toEqual({ status: 'paused', currentPlaybackId: 'p1', position: 0.5 })
+    expect(notify).toHaveBeenCalledWith('paused', { channel: 1, playbackId: 'p1', position: 0.5 })
+
+    const response = await controller.handleMessage({ type: 'offscreen-audio-resume', channel: 1, otherChannels: 'pause' })
+
+    expect(response.state).toMatchObject({ status: 'playing', currentPlaybackId: 'p1', position: 0.5 })
+    expect(controller.getState(2).status).toBe('paused')
+    expect(controller.getState()).toMatchObject({ currentPlaybackId: 'p1' })
+  })
+
+  test('mixes channels and applies commands to the channel they name', async () => {
+    await play('p1', {}, 1, 'keep')
+    await play('p2', {}, 2, 'keep')
+    expect(controller.getState(1).status).toBe('playing')
+
+    await controller.handleMessage({ type: 'offscreen-audio-pause', channel: 1 })
+    expect(controller.getState(1).status).toBe('paused')
+    expect(controller.getState(2).status).toBe('playing')
+
+    const response = await controller.handleMessage({ type: 'offscreen-audio-stop', channel: 2 })
+    expect(response.state.status).toBe('idle')
+    expect(notify).toHaveBeenCalledWith('stopped', { channel: 2 })
+    expect(controller.getState(1).status).toBe('paused')
+
+    await controller.handleMessage({ type: 'offscreen-audio-stop' })
+    expect(controller.getState(1).status).toBe('idle')
+    expect(notify).toHaveBeenCalledWith('stopped', { channel: 1 })
+  })
+
+  test('exports audio as a blob URL and revokes it afterwards', async () => {
+    const createObjectURL = jest.fn(() => 'blob:export')
+    const revokeObjectURL = jest.fn()
+    controller = new OffscreenController({ createPlayer: controller.createPlayer, streamScheduler: controller.streamScheduler, createObjectURL, revokeObjectURL })
+
+    const response = await controller.handleMessage({
+      type: 'offscreen-audio-export',
+      audioData: [0, 0.5, -0.5],
+      sampleRate: 24000,
+      format: 'wav'
+    })
+
+    expect(response).toEqual({ success: true, url: 'blob:export', mimeType: 'audio/wav', size: 44 + 6 })
+    expect(createObjectURL).toHaveBeenCalledWith(expect.any(Blob))
+
+    expect(await controller.handleMessage({ type: 'offscreen-audio-export-revoke', url: 'blob:export' })).toEqual({ success: true })
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:export')
+  })
+
+  test('extracts PDF text', async () => {
+    const response = await controller.handleMessage({ type: 'offscreen-pdf-extract', url: 'https://example.com/a.pdf', fromPage: 2 })
+
+    expect(pdfExtractor.extract).toHaveBeenCalledWith('https://example.com/a.pdf', { fromPage: 2 })
+    expect(response).toEqual({ success: true, data: { text: 'PDF text' } })
+  })
+
+  test('answers unknown and failing messages with an error', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+    pdfExtractor.extract.mockRejectedValue(new Error('Invalid PDF'))
+
+    expect(await controller.handleMessage({ type: 'offscreen-audio-rewind' })).toEqual({ success: false, error: 'Unknown message type' })
+    expect(await controller.handleMessage({ type: 'offscreen-pdf-extract', url: 'x' })).toEqual({ success: false, error: 'Invalid PDF' })
+    warnSpy.mockRestore()
+    errorSpy.mockRestore()
+  })
+})
@@ -0,0 +1,403 @@
+/**
+ * Unit Tests for progressive stream playback
+ * StreamScheduler (offscreen document) and StreamHandler (plugin side)
+ */
+
+import { StreamScheduler } from '../src/stream-scheduler.js'
+import { StreamHandler } from '../src/stream-handler.js'
+
+// Minimal AudioContext mock with a controllable clock
+function createMockContext() {
+  const context = {
+    currentTime: 0,
+    state: 'running',
+    destination: {},
+    sources: [],
+    createGain: jest.fn(() => ({
+      gain: { value: 1 },
+      connect: jest.fn(),
+      disconnect: jest.fn()
+    })),
+    createBiquadFilter: jest.fn(() => ({
+      type: 'lowpass',
+      frequency: { value: 350 },
+      Q: { value: 1 },
+      gain: { value: 0 },
+      connect: jest.fn(),
+      disconnect: jest.fn()
+    })),
+    createDynamicsCompressor: jest.fn(() => ({
+      threshold: { value: -24 },
+      knee: { value: 30 },
+      ratio: { value: 12 },
+      attack: { value: 0.003 },
+      release: { value: 0.25 },
+      connect: jest.fn(),
+      disconnect: jest.fn()
+    })),
+    createBuffer: jest.fn((channels, length, sampleRate) => {
+      const data = new Float32Array(length)
+      return {
+        duration: length / sampleRate,
+        getChannelData: () => data
+      }
+    }),
+    createBufferSource: jest.fn(() => {
+      const source = {
+        buffer: null,
+        onended: null,
+        playbackRate: { value: 1 },
+        connect: jest.fn(),
+        start: jest.fn(),
+        stop: jest.fn()
+      }
+      context.sources.push(source)
+      return source
+    }),
+    suspend: jest.fn(async () => { context.state = 'suspended' }),
+    resume: jest.fn(async () => { context.state = 'running' })
+  }
+  return context
+}
+
+// 0.2s of audio at 1kHz
+const chunkMessage = (streamId, chunkIndex, isLast = false) => ({
+  streamId,
+  chunkIndex,
+  audioData: new Float32Array(200),
+  sampleRate: 1000,
+  isLast
+})
+
+describe('StreamScheduler', () => {
+  let context
+  let notify
+  let scheduler
+
+  beforeEach(() => {
+    context = createMockContext()
+    notify = jest.fn()
+    scheduler = new StreamScheduler({
+      createContext: () => context,
+      notify,
+      jitterBufferSeconds: 0.3
+    })
+  })
+
+  test('holds chunks until the jitter buffer is primed', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0))
+
+    expect(context.sources).toHaveLength(0)
+    expect(scheduler.getState().pendingChunks).toBe(1)
+
+    await scheduler.enqueue(chunkMessage('s1', 1))
+
+    expect(context.sources).toHaveLength(2)
+    expect(notify).toHaveBeenCalledWith('stream-started', expect.objectContaining({ streamId: 's1' }))
+  })
+
+  test('schedules chunks back to back without gaps', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0))
+    await scheduler.enqueue(chunkMessage('s1', 1))
+    await scheduler.enqueue(chunkMessage('s1', 2))
+
+    const starts = context.sources.map(source => source.start.mock.calls[0][0])
+    expect(starts[1] - starts[0]).toBeCloseTo(0.2)
+    expect(starts[2] - starts[1]).toBeCloseTo(0.2)
+  })
+
+  test('starts immediately when the last chunk arrives below the jitter threshold', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0, true))
+
+    expect(context.sources).toHaveLength(1)
+  })
+
+  test('tracks position across chunks', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0))
+    await scheduler.enqueue(chunkMessage('s1', 1))
+
+    const firstStart = context.sources[0].start.mock.calls[0][0]
+    context.currentTime = firstStart + 0.3
+
+    expect(scheduler.getPosition()).toBeCloseTo(0.3)
+  })
+
+  test('detects underruns and re-primes the jitter buffer', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0))
+    await scheduler.enqueue(chunkMessage('s1', 1))
+
+    // Playback ran past everything scheduled
+    context.currentTime = 5
+    await scheduler.enqueue(chunkMessage('s1', 2))
+
+    expect(notify).toHaveBeenCalledWith('stream-underrun', expect.objectContaining({
+      streamId: 's1',
+      underruns: 1
+    }))
+    expect(context.sources).toHaveLength(2)
+    expect(scheduler.getState().underruns).toBe(1)
+
+    await scheduler.enqueue(chunkMessage('s1', 3))
+    expect(context.sources).toHaveLength(4)
+  })
+
+  test('emits position and completion as chunks end', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0))
+    await scheduler.enqueue(chunkMessage('s1', 1, true))
+
+    context.sources[0].onended()
+    expect(notify).toHaveBeenCalledWith('stream-position', expect.objectContaining({
+      chunkIndex: 0,
+      position: 0.2
+    }))
+
+    context.sources[1].onended()
+    expect(notify).toHaveBeenCalledWith('stream-completed', expect.objectContaining({
+      streamId: 's1'
+    }))
+    expect(scheduler.getState().streamId).toBeNull()
+  })
+
+  test('cancel() stops every scheduled source', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0))
+    await scheduler.enqueue(chunkMessage('s1', 1))
+
+    expect(scheduler.cancel('s1')).toBe(true)
+
+    context.sources.forEach(source => expect(source.stop).toHaveBeenCalled())
+    expect(notify).toHaveBeenCalledWith('stream-cancelled', expect.objectContaining({ streamId: 's1' }))
+    expect(scheduler.getState().scheduledChunks).toBe(0)
+  })
+
+  test('cancel() ignores other stream ids', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0, true))
+
+    expect(scheduler.cancel('other')).toBe(false)
+  })
+
+  test('a new stream id replaces the current stream', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0, true))
+    await scheduler.enqueue(chunkMessage('s2', 0, true))
+
+    expect(context.sources[0].stop).toHaveBeenCalled()
+    expect(scheduler.getState().streamId).toBe('s2')
+  })
+
+  test('end() plays buffered audio below the jitter threshold', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0))
+    scheduler.end('s1')
+
+    expect(context.sources).toHaveLength(1)
+  })
+
+  test('emits periodic progress while playing when enabled', async () => {
+    jest.useFakeTimers()
+    try {
+      scheduler = new StreamScheduler({
+        createContext: () => context,
+        notify,
+        jitterBufferSeconds: 0.3,
+        progressIntervalMs: 100
+      })
+
+      await scheduler.enqueue(chunkMessage('s1', 0))
+      await scheduler.enqueue(chunkMessage('s1', 1))
+
+      const secondStart = context.sources[1].start.mock.calls[0][0]
+      context.currentTime = secondStart + 0.05
+      jest.advanceTimersByTime(100)
+
+      expect(notify).toHaveBeenCalledWith('stream-progress', expect.objectContaining({
+        streamId: 's1',
+        chunkIndex: 1
+      }))
+      expect(notify.mock.calls.find(call => call[0] === 'stream-progress')[1].position).toBeCloseTo(0.25)
+
+      scheduler.cancel('s1')
+      notify.mockClear()
+      jest.advanceTimersByTime(500)
+      expect(notify).not.toHaveBeenCalledWith('stream-progress', expect.anything())
+    } finally {
+      jest.useRealTimers()
+    }
+  })
+
+  test('pause() and resume() suspend the audio clock', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0, true))
+
+    await scheduler.pause()
+    expect(context.suspend).toHaveBeenCalled()
+    expect(scheduler.getState().paused).toBe(true)
+
+    await scheduler.resume()
+    expect(context.resume).toHaveBeenCalled()
+    expect(scheduler.getState().paused).toBe(false)
+  })
+
+  test('seek() reschedules received chunks from the target position', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0))
+    await scheduler.enqueue(chunkMessage('s1', 1))
+    await scheduler.enqueue(chunkMessage('s1', 2))
+    context.currentTime = 0.1
+
+    expect(scheduler.seek(0.3)).toBeCloseTo(0.3)
+
+    context.sources.slice(0, 3).forEach(source => expect(source.stop).toHaveBeenCalled())
+    const [second, third] = context.sources.slice(3)
+    expect(context.sources).toHaveLength(5)
+    expect(second.start.mock.calls[0][1]).toBeCloseTo(0.1)
+    expect(third.start.mock.calls[0][0] - second.start.mock.calls[0][0]).toBeCloseTo(0.1)
+    expect(scheduler.getPosition()).toBeCloseTo(0.3)
+    expect(notify).toHaveBeenCalledWith('stream-seeked', expect.objectContaining({ streamId: 's1' }))
+
+    // Seeking back replays chunks that already finished
+    context.sources[3].onended()
+    expect(scheduler.seek(0)).toBe(0)
+    expect(context.sources.slice(5)).toHaveLength(3)
+  })
+
+  test('seek() clamps to received audio and completes a finished stream', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0))
+    await scheduler.enqueue(chunkMessage('s1', 1, true))
+
+    expect(scheduler.seek(5)).toBeCloseTo(0.4)
+    expect(notify).toHaveBeenCalledWith('stream-completed', expect.objectContaining({ streamId: 's1' }))
+    expect(scheduler.seek(0)).toBeNull()
+  })
+
+  test('applies per-voice gain before buffering chunks', async () => {
+    scheduler.setProcessing({ normalization: 'off', voiceGains: { am_adam: 6 } })
+    await scheduler.enqueue({ ...chunkMessage('s1', 0), audioData: new Float32Array(200).fill(0.1), voice: 'am_adam' })
+
+    const buffer = context.createBuffer.mock.results[0].value
+    expect(buffer.getChannelData(0)[100]).toBeCloseTo(0.1 * Math.pow(10, 6 / 20), 5)
+  })
+
+  test('setProcessing() rebuilds the output chain only when settings change', async () => {
+    await scheduler.enqueue(chunkMessage('s1', 0))
+    const input = scheduler.chain.input
+    input.disconnect.mockClear()
+
+    scheduler.setProcessing({ eq: 'small-speakers' })
+    scheduler.setProcessing({ eq: 'small-speakers' })
+
+    expect(input.disconnect).toHaveBeenCalledTimes(1)
+    expect(context.createBiquadFilter).toHaveBeenCalledTimes(4)
+    expect(() => scheduler.setProcessing({ targetLoudness: 0 })).toThrow('Target loudness')
+  })
+
+  test('plays faster at a higher speed and reports position in stream time', async () => {
+    scheduler.setSpeed(2)
+
+    // The jitter buffer is playback time - 0.3s at 2x takes 0.6s of audio
+    await scheduler.enqueue(chunkMessage('s1', 0))
+    await scheduler.enqueue(chunkMessage('s1', 1))
+    expect(context.sources).toHaveLength(0)
+    await scheduler.enqueue(chunkMessage('s1', 2))
+
+    const starts = context.sources.map(source => source.start.mock.calls[0][0])
+    expect(context.sources.map(source => source.playbackRate.value)).toEqual([2, 2, 2])
+    expect(starts[1] - starts[0]).toBeCloseTo(0.1)
+    expect(starts[2] - starts[1]).toBeCloseTo(0.1)
+
+    context.currentTime = starts[0] + 0.15
+    expect(scheduler.getPosition()).toBeCloseTo(0.3)
+  })
+
+  test('setSpeed() changes the playing chunk live and reschedules the rest through time-stretch', async () => {
+    const pitch = { setValueAtTime: jest.fn() }
+    const stretchNode = { connect: jest.fn(), parameters: new Map([['pitch', pitch]]) }
+    scheduler = new StreamScheduler({
+      createContext: () => context,
+      createTimeStretch: jest.fn().mockResolvedValue(stretchNode),
+      notify,
+      jitterBufferSeconds: 0.3
+    })
+
+    await scheduler.enqueue(chunkMessage('s1', 0))
+    await scheduler.enqueue(chunkMessage('s1', 1))
+    await scheduler.enqueue(chunkMessage('s1', 2))
+    expect(stretchNode.connect).toHaveBeenCalledWith(scheduler.gainNode)
+    expect(context.sources[0].connect).toHaveBeenCalledWith(stretchNode)
+
+    const start = context.sources[0].start.mock.calls[0][0]
+    context.currentTime = start + 0.1
+    scheduler.setSpeed(2)
+
+    expect(pitch.setValueAtTime).toHaveBeenLastCalledWith(0.5, start + 0.1)
+    expect(context.sources[0].playbackRate.value).toBe(2)
+    expect(scheduler.getPosition()).toBeCloseTo(0.1)
+
+    // The playing chunk has 0.1s left, 0.05s at 2x - the other two follow it
+    context.sources.slice(1, 3).forEach(source => expect(source.stop).toHaveBeenCalled())
+    const [second, third] = context.sources.slice(3)
+    expect(second.start.mock.calls[0][0]).toBeCloseTo(start + 0.15)
+    expect(third.start.mock.calls[0][0]).toBeCloseTo(start + 0.25)
+    expect(second.playbackRate.value).toBe(2)
+
+    context.currentTime = start + 0.2
+    expect(scheduler.getPosition()).toBeCloseTo(0.3)
+  })
+})
+
+describe('StreamHandler', () => {
+  let audioManager
+  let handler
+
+  beforeEach(() => {
+    audioManager = {
+      streamChunk: jest.fn().mockResolvedValue({}),
+      endStream: jest.fn().mockResolvedValue(undefined),
+      cancelStream: jest.fn(),
+      getPlaybackState: jest.fn().mockReturnValue({ position: 1.5 }),
+      underrunCount: 0
+    }
+    handler = new StreamHandler(audioManager, { jitterBufferMs: 200 })
+  })
+
+  test('forwards each chunk as it arrives', async () => {
+    await handler.streamChunk({ data: new Float32Array(24000), sampleRate: 24000, streamId: 's1' })
+
+    expect(audioManager.streamChunk).toHaveBeenCalledWith('s1', expect.objectContaining({
+      chunkIndex: 0,
+      isLast: false
+    }), { jitterBufferMs: 200 })
+    expect(handler.getStreamState()).toMatchObject({
+      isStreaming: true,
+      streamId: 's1',
+      bufferedChunks: 1,
+      totalDuration: 1,
+      position: 1.5
+    })
+  })
+
+  test('ends the stream after the last chunk', async () => {
+    await handler.streamChunk({ data: new Float32Array(10), sampleRate: 24000, streamId: 's1', isLast: true })
+
+    expect(handler.getStreamState().isStreaming).toBe(false)
+  })
+
+  test('flushStream() signals end of input', async () => {
+    await handler.streamChunk({ data: new Float32Array(10), sampleRate: 24000, streamId: 's1' })
+    await handler.flushStream()
+
+    expect(audioManager.endStream).toHaveBeenCalledWith('s1')
+    expect(handler.isStreaming).toBe(false)
+  })
+
+  test('cancelStream() cancels scheduled playback', async () => {
+    await handler.streamChunk({ data: new Float32Array(10), sampleRate: 24000, streamId: 's1' })
+    handler.cancelStream()
+
+    expect(audioManager.cancelStream).toHaveBeenCalledWith('s1')
+    expect(handler.streamId).toBeNull()
+  })
+
+  test('a chunk from a new stream cancels the previous one', async () => {
+    await handler.streamChunk({ data: new Float32Array(10), sampleRate: 24000, streamId: 's1' })
+    await handler.streamChunk({ data: new Float32Array(10), sampleRate: 24000, streamId: 's2' })
+
+    expect(audioManager.cancelStream).toHaveBeenCalledWith('s1')
+    expect(handler.streamId).toBe('s2')
+  })
+})
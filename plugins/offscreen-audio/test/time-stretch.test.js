@@ -0,0 +1,84 @@
+/**
+ * Unit Tests for pitch-preserving playback speed
+ */
+
+import { PitchShifter, validatePlaybackSpeed, setTimeStretchSpeed } from '../src/time-stretch.js'
+
+const SAMPLE_RATE = 24000
+
+function sine(frequency, seconds, amplitude = 0.5) {
+  const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE))
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE)
+  }
+  return samples
+}
+
+// Run a signal through the shifter in worklet-sized blocks
+function shift(samples, ratio) {
+  const shifter = new PitchShifter(SAMPLE_RATE)
+  const output = new Float32Array(samples.length)
+  for (let i = 0; i < samples.length; i += 128) {
+    shifter.process(samples.subarray(i, i + 128), output.subarray(i, i + 128), ratio)
+  }
+  return { shifter, output }
+}
+
+function frequencyOf(samples) {
+  let crossings = 0
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i - 1] < 0 && samples[i] >= 0) {
+      crossings++
+    }
+  }
+  return crossings * SAMPLE_RATE / samples.length
+}
+
+function rms(samples) {
+  return Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length)
+}
+
+describe('PitchShifter', () => {
+  test('passes audio through unchanged at 1x, delayed by its latency', () => {
+    const input = sine(220, 0.5)
+    const { shifter, output } = shift(input, 1)
+
+    for (let i = shifter.latency; i < input.length; i += 97) {
+      expect(output[i]).toBeCloseTo(input[i - shifter.latency], 5)
+    }
+  })
+
+  test.each([0.25, 0.5, 2])('shifts pitch by a ratio of %p', (ratio) => {
+    const { output } = shift(sine(300, 1), ratio)
+
+    // Skip the start while the delay line fills
+    expect(frequencyOf(output.subarray(SAMPLE_RATE / 4))).toBeCloseTo(300 * ratio, -1)
+  })
+
+  test('keeps the level of the shifted signal', () => {
+    const input = sine(200, 1)
+    const { output } = shift(input, 0.5)
+
+    expect(rms(output.subarray(SAMPLE_RATE / 4)) / rms(input)).toBeGreaterThan(0.85)
+    expect(rms(output.subarray(SAMPLE_RATE / 4)) / rms(input)).toBeLessThan(1.15)
+  })
+})
+
+describe('validatePlaybackSpeed', () => {
+  test('accepts 0.5x to 4x', () => {
+    expect(validatePlaybackSpeed(0.5)).toBe(0.5)
+    expect(validatePlaybackSpeed(4)).toBe(4)
+    expect(() => validatePlaybackSpeed(0.4)).toThrow('Speed must be between 0.5 and 4.0')
+    expect(() => validatePlaybackSpeed(NaN)).toThrow('Speed must be between')
+    expect(() => validatePlaybackSpeed('2')).toThrow('Speed must be between')
+  })
+})
+
+describe('setTimeStretchSpeed', () => {
+  test('sets the pitch that undoes the speed', () => {
+    const pitch = { setValueAtTime: jest.fn() }
+    setTimeStretchSpeed({ parameters: new Map([['pitch', pitch]]) }, 4, 1.5)
+
+    expect(pitch.setValueAtTime).toHaveBeenCalledWith(0.25, 1.5)
+  })
+})
@@ -6,6 +6,10 @@ export type SessionStatus = 'queued' | 'playing' | 'paused' | 'stopped' | 'compl
 
 export type Priority = 'low' | 'normal' | 'high'
 
+export type QueueMode = 'stop-previous' | 'priority'
+
+export type SessionPolicy = 'global-exclusive' | 'per-tab-exclusive' | 'mix'
+
 export interface TTSSession {
   sessionId: string
   tabId: number
@@ -21,12 +25,23 @@ export interface TTSSession {
 }
 
 export interface QueueEntry {
+  sessionId: string
+  tabId: number
   event: any
   priority: Priority
   timestamp: number
 }
 
+export interface QueueItem {
+  sessionId: string
+  priority: Priority
+  text: string
+  timestamp: number
+}
+
 export interface QueueConfig {
+  mode?: QueueMode
+  sessionPolicy?: SessionPolicy
   maxQueueSize?: number
   stopPrevious?: boolean
   sessionTimeout?: number
@@ -34,9 +49,14 @@ export interface QueueConfig {
 }
 
 export interface QueueState {
+  mode: QueueMode
+  sessionPolicy: SessionPolicy
   currentSession: TTSSession | null
+  sessions: TTSSession[]
+  queue: QueueItem[]
   queueLength: number
   totalProcessed: number
+  totalStopped: number
   lastActivity: number
 }
 
@@ -46,6 +66,8 @@ export default class QueueManagerPlugin {
   version: string
   stage: string
   config: QueueConfig
+  mode: QueueMode
+  sessionPolicy: SessionPolicy
 
   constructor(config?: QueueConfig)
 
@@ -62,13 +84,33 @@ export default class QueueManagerPlugin {
   /**
    * Dequeue next TTS request
    */
-  dequeue(): any | null
+  dequeue(): QueueEntry | null
 
   /**
    * Clear entire queue
    */
   clear(): void
 
+  /**
+   * Move a queued request to a new position
+   */
+  reorder(sessionId: string, newIndex: number): boolean
+
+  /**
+   * Remove a queued request
+   */
+  remove(sessionId: string): boolean
+
+  /**
+   * Stop current session and start the next queued request
+   */
+  skip(): Promise<void>
+
+  /**
+   * Get pending queue entries in playback order
+   */
+  getQueue(): QueueItem[]
+
   /**
    * Stop current session
    */
@@ -84,6 +126,36 @@ export default class QueueManagerPlugin {
    */
   resumeCurrent(): Promise<void>
 
+  /**
+   * Stop the session playing in a tab
+   */
+  stopTab(tabId: number): Promise<void>
+
+  /**
+   * Pause the session playing in a tab
+   */
+  pauseTab(tabId: number): Promise<void>
+
+  /**
+   * Resume the session paused in a tab
+   */
+  resumeTab(tabId: number): Promise<void>
+
+  /**
+   * Set how a new request affects sessions in other tabs; throws on an unknown policy
+   */
+  setSessionPolicy(policy: SessionPolicy): void
+
+  /**
+   * Get the session for a tab
+   */
+  getSession(tabId: number): TTSSession | null
+
+  /**
+   * Get all tracked sessions
+   */
+  getSessions(): TTSSession[]
+
   /**
    * Get current session
    */
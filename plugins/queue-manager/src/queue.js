@@ -1,6 +1,6 @@
 /**
  * @module QueueManagerPlugin
- * @description Queue manager plugin with "stop previous" behavior for TTS requests
+ * @description Queue manager plugin with "stop previous" and priority queue modes for TTS requests
  */
 
 /**
@@ -18,14 +18,33 @@
  * @property {number} [resumeTime] - Time when resumed
  */
 
+/**
+ * @typedef {Object} QueueEntry
+ * @property {string} sessionId - Session ID assigned at enqueue time
+ * @property {number} tabId - Tab the request came from
+ * @property {Object} event - Original TTS request event
+ * @property {'low'|'normal'|'high'} priority - Priority level
+ * @property {number} timestamp - Enqueue time
+ */
+
 /**
  * @typedef {Object} QueueConfig
- * @property {number} [maxQueueSize] - Maximum queue size
+ * @property {'stop-previous'|'priority'} [mode] - Queue mode
+ * @property {'global-exclusive'|'per-tab-exclusive'|'mix'} [sessionPolicy] - How sessions in different tabs interact
+ * @property {number} [maxQueueSize] - Maximum queue size (priority mode)
  * @property {boolean} [stopPrevious] - Stop previous audio on new request
  * @property {number} [sessionTimeout] - Session timeout in ms
  * @property {boolean} [persistState] - Persist state to chrome.storage.local
  */
 
+const PRIORITY_RANK = {
+  low: 0,
+  normal: 1,
+  high: 2
+}
+
+const SESSION_POLICIES = ['global-exclusive', 'per-tab-exclusive', 'mix']
+
 class QueueManagerPlugin {
   constructor(config = {}) {
     this.id = 'queue-manager'
@@ -39,12 +58,21 @@ class QueueManagerPlugin {
     this.pal = null
 
     // Configuration
+    this.mode = config.mode === 'priority' ? 'priority' : 'stop-previous'
+    this.sessionPolicy = SESSION_POLICIES.includes(config.sessionPolicy)
+      ? config.sessionPolicy
+      : 'global-exclusive'
+    if (config.sessionPolicy !== undefined && config.sessionPolicy !== this.sessionPolicy) {
+      console.warn(`Unknown session policy "${config.sessionPolicy}", using ${this.sessionPolicy}`)
+    }
     this.maxQueueSize = config.maxQueueSize || 10
     this.stopPrevious = config.stopPrevious !== false  // Default: true
     this.sessionTimeout = config.sessionTimeout || 300000  // 5 minutes
     this.persistState = config.persistState !== false  // Default: true
 
     // Queue state
+    // sessions holds one session per tab; currentSession is the most recently started one
+    this.sessions = new Map()
     this.currentSession = null
     this.queue = []
 
@@ -83,6 +111,9 @@ class QueueManagerPlugin {
       this.eventBus.subscribe('tts:completed', this._handleCompleted.bind(this))
       this.eventBus.subscribe('tts:error', this._handleError.bind(this))
 
+      // Drop sessions belonging to closed tabs
+      this.eventBus.subscribe('tab:closed', this._handleTabClosed.bind(this))
+
       // Restore state if persisted
       if (this.persistState) {
         await this._restoreState()
@@ -108,40 +139,19 @@ class QueueManagerPlugin {
     try {
       const startTime = performance.now()
 
-      // Stop previous audio if playing (stopPrevious behavior)
-      if (this.stopPrevious && this.currentSession) {
-        await this._stopCurrentSession()
-      }
-
-      // Create new session
-      const session = this._createSession(event)
-
-      // Set as current session
-      this.currentSession = session
+      if (this.mode === 'priority') {
+        await this._enqueueRequest(event, event.request?.priority || event.priority)
+      } else {
+        const session = this._createSession(event)
 
-      // Update last activity
-      this.lastActivity = Date.now()
+        // Stop previous audio if playing (stopPrevious behavior)
+        if (this.stopPrevious && this.sessions.size > 0) {
+          await this._applySessionPolicy(session.tabId)
+        }
 
-      // Persist state if enabled
-      if (this.persistState) {
-        await this._persistState()
+        await this._startSession(session, event)
       }
 
-      // Emit queue:started event for UI
-      this.eventBus.emit('queue:started', {
-        sessionId: session.sessionId,
-        tabId: session.tabId,
-        status: session.status,
-        timestamp: Date.now()
-      })
-
-      // Forward to synthesis stage
-      // Note: The event bus will route this to the KokoroEngine plugin
-      this.eventBus.emit('tts:synthesize', event)
-
-      // Metrics
-      this.totalProcessed++
-
       const endTime = performance.now()
       const enqueueTime = endTime - startTime
 
@@ -158,6 +168,210 @@ class QueueManagerPlugin {
     }
   }
 
+  /**
+   * Make a session current and forward its request to synthesis
+   * @param {TTSSession} session - Session to start
+   * @param {Object} event - TTS request event
+   * @private
+   */
+  async _startSession(session, event) {
+    // Set as current session
+    this.sessions.set(session.tabId, session)
+    this.currentSession = session
+
+    // Update last activity
+    this.lastActivity = Date.now()
+
+    // Persist state if enabled
+    if (this.persistState) {
+      await this._persistState()
+    }
+
+    // Emit queue:started event for UI
+    this.eventBus.emit('queue:started', {
+      sessionId: session.sessionId,
+      tabId: session.tabId,
+      status: session.status,
+      timestamp: Date.now()
+    })
+
+    // Forward to synthesis stage
+    // Note: The event bus will route this to the KokoroEngine plugin
+    this.eventBus.emit('tts:synthesize', event)
+
+    // Metrics
+    this.totalProcessed++
+  }
+
+  /**
+   * Queue a request by priority, starting it right away if nothing is playing
+   * @param {Object} event - TTS request event
+   * @param {'low'|'normal'|'high'} [priority] - Priority level
+   * @returns {Promise<QueueEntry|null>} Queued entry, or null if it started immediately
+   * @private
+   */
+  async _enqueueRequest(event, priority = 'normal') {
+    if (!(priority in PRIORITY_RANK)) {
+      throw new Error(`Invalid priority: ${priority}`)
+    }
+
+    const session = this._createSession(event)
+
+    if (!this.currentSession) {
+      await this._startSession(session, event)
+      return null
+    }
+
+    if (this.queue.length >= this.maxQueueSize) {
+      this.eventBus.emit('queue:full', {
+        sessionId: session.sessionId,
+        maxQueueSize: this.maxQueueSize,
+        timestamp: Date.now()
+      })
+      throw new Error(`Queue is full (max ${this.maxQueueSize})`)
+    }
+
+    const entry = {
+      sessionId: session.sessionId,
+      tabId: session.tabId,
+      event,
+      priority,
+      timestamp: Date.now()
+    }
+
+    // Insert after every entry of equal or higher priority (FIFO within a level)
+    const rank = PRIORITY_RANK[priority]
+    let index = this.queue.findIndex(queued => PRIORITY_RANK[queued.priority] < rank)
+    if (index === -1) {
+      index = this.queue.length
+    }
+    this.queue.splice(index, 0, entry)
+
+    this.lastActivity = Date.now()
+
+    this.eventBus.emit('queue:enqueued', {
+      sessionId: entry.sessionId,
+      priority,
+      position: index,
+      queueLength: this.queue.length,
+      timestamp: Date.now()
+    })
+    this._emitQueueUpdated()
+
+    if (this.persistState) {
+      await this._persistState()
+    }
+
+    return entry
+  }
+
+  /**
+   * Start the next queued request once the current session is done
+   * @private
+   */
+  async _advanceQueue() {
+    const entry = this.dequeue()
+    if (!entry) {
+      this.eventBus.emit('queue:empty', {
+        timestamp: Date.now()
+      })
+      if (this.persistState) {
+        await this._persistState()
+      }
+      return
+    }
+
+    const session = this._createSession(entry.event)
+    session.sessionId = entry.sessionId
+    await this._startSession(session, entry.event)
+  }
+
+  /**
+   * Make room for a new session in the given tab according to sessionPolicy
+   * @param {number} tabId - Tab the new request came from
+   * @private
+   */
+  async _applySessionPolicy(tabId) {
+    const tabSession = this.sessions.get(tabId)
+
+    if (this.sessionPolicy === 'global-exclusive') {
+      for (const session of [...this.sessions.values()]) {
+        await this._stopSession(session, 'new-request')
+      }
+      return
+    }
+
+    if (tabSession) {
+      await this._stopSession(tabSession, 'new-request')
+    }
+
+    // Other tabs keep their place but only one tab is audible at a time
+    if (this.sessionPolicy === 'per-tab-exclusive') {
+      await this._pauseOtherTabs(tabId)
+    }
+  }
+
+  /**
+   * Pause playing sessions outside the given tab
+   * @param {number} tabId - Tab that keeps playing
+   * @private
+   */
+  async _pauseOtherTabs(tabId) {
+    for (const session of this.sessions.values()) {
+      if (session.tabId !== tabId && session.status === 'playing') {
+        await this._pauseSession(session)
+      }
+    }
+  }
+
+  /**
+   * Find a tracked session by ID
+   * @param {string} sessionId - Session ID
+   * @returns {TTSSession|null}
+   * @private
+   */
+  _findSession(sessionId) {
+    for (const session of this.sessions.values()) {
+      if (session.sessionId === sessionId) {
+        return session
+      }
+    }
+    return null
+  }
+
+  /**
+   * Stop tracking a session, falling back to the newest remaining one as current
+   * @param {TTSSession} session - Session to release
+   * @private
+   */
+  _releaseSession(session) {
+    if (this.sessions.get(session.tabId) === session) {
+      this.sessions.delete(session.tabId)
+    }
+
+    if (this.currentSession === session) {
+      let latest = null
+      for (const remaining of this.sessions.values()) {
+        if (!latest || remaining.startTime >= latest.startTime) {
+          latest = remaining
+        }
+      }
+      this.currentSession = latest
+    }
+  }
+
+  /**
+   * Emit a snapshot of the pending queue for UI updates
+   * @private
+   */
+  _emitQueueUpdated() {
+    this.eventBus.emit('queue:updated', {
+      queue: this.getQueue(),
+      queueLength: this.queue.length,
+      timestamp: Date.now()
+    })
+  }
+
   /**
    * Handle TTS started event
    * @param {Object} event - Started event
@@ -165,8 +379,9 @@ class QueueManagerPlugin {
    */
   async _handleStarted(event) {
     try {
-      if (this.currentSession && this.currentSession.sessionId === event.sessionId) {
-        this.currentSession.status = 'playing'
+      const session = this._findSession(event.sessionId)
+      if (session) {
+        session.status = 'playing'
         this.lastActivity = Date.now()
 
         // Persist state
@@ -186,21 +401,28 @@ class QueueManagerPlugin {
    */
   async _handleCompleted(event) {
     try {
-      if (this.currentSession && this.currentSession.sessionId === event.sessionId) {
-        this.currentSession.status = 'completed'
+      const session = this._findSession(event.sessionId)
+      if (session) {
+        session.status = 'completed'
         this.lastActivity = Date.now()
 
         // Emit queue:completed event
         this.eventBus.emit('queue:completed', {
-          sessionId: this.currentSession.sessionId,
+          sessionId: session.sessionId,
+          tabId: session.tabId,
           timestamp: Date.now()
         })
 
-        // Clear current session after a short delay
+        // Priority mode moves straight on to the next queued request
+        if (this.mode === 'priority' && session === this.currentSession) {
+          this._releaseSession(session)
+          await this._advanceQueue()
+          return
+        }
+
+        // Clear session after a short delay
         setTimeout(() => {
-          if (this.currentSession && this.currentSession.sessionId === event.sessionId) {
-            this.currentSession = null
-          }
+          this._releaseSession(session)
         }, 1000)
 
         // Persist state
@@ -220,20 +442,29 @@ class QueueManagerPlugin {
    */
   async _handleError(event) {
     try {
-      if (this.currentSession && this.currentSession.sessionId === event.sessionId) {
-        this.currentSession.status = 'stopped'
+      const session = this._findSession(event.sessionId)
+      if (session) {
+        session.status = 'stopped'
         this.lastActivity = Date.now()
 
         // Emit queue:stopped event
         this.eventBus.emit('queue:stopped', {
-          sessionId: this.currentSession.sessionId,
+          sessionId: session.sessionId,
+          tabId: session.tabId,
           reason: 'error',
           error: event.error,
           timestamp: Date.now()
         })
 
-        // Clear current session
-        this.currentSession = null
+        // A failed request shouldn't stall the rest of the queue
+        if (this.mode === 'priority' && session === this.currentSession) {
+          this._releaseSession(session)
+          await this._advanceQueue()
+          return
+        }
+
+        // Clear session
+        this._releaseSession(session)
 
         // Persist state
         if (this.persistState) {
@@ -247,35 +478,44 @@ class QueueManagerPlugin {
 
   /**
    * Stop current session
+   * @param {string} [reason] - Reason reported in queue:stopped
    * @private
    */
-  async _stopCurrentSession() {
-    try {
-      if (!this.currentSession) {
-        return
-      }
+  async _stopCurrentSession(reason = 'new-request') {
+    if (this.currentSession) {
+      await this._stopSession(this.currentSession, reason)
+    }
+  }
 
+  /**
+   * Stop a session and stop tracking it
+   * @param {TTSSession} session - Session to stop
+   * @param {string} reason - Reason reported in queue:stopped
+   * @private
+   */
+  async _stopSession(session, reason) {
+    try {
       const startTime = performance.now()
 
       // Send audio:stop event to OffscreenAudio plugin
       this.eventBus.emit('audio:stop', {
-        sessionId: this.currentSession.sessionId,
+        sessionId: session.sessionId,
+        tabId: session.tabId,
         timestamp: Date.now()
       })
 
       // Update session status
-      this.currentSession.status = 'stopped'
+      session.status = 'stopped'
 
       // Emit queue:stopped event for UI
       this.eventBus.emit('queue:stopped', {
-        sessionId: this.currentSession.sessionId,
-        reason: 'new-request',
+        sessionId: session.sessionId,
+        tabId: session.tabId,
+        reason,
         timestamp: Date.now()
       })
 
-      // Clear current session
-      const stoppedSession = this.currentSession
-      this.currentSession = null
+      this._releaseSession(session)
 
       // Metrics
       this.totalStopped++
@@ -287,13 +527,111 @@ class QueueManagerPlugin {
         console.warn(`Queue stop took ${stopTime}ms (target: <50ms)`)
       }
 
-      console.log(`Stopped session ${stoppedSession.sessionId} for new request`)
+      console.log(`Stopped session ${session.sessionId} (${reason})`)
     } catch (error) {
-      console.error('Error stopping current session:', error)
+      console.error('Error stopping session:', error)
       throw error
     }
   }
 
+  /**
+   * Pause a playing session
+   * @param {TTSSession} session - Session to pause
+   * @private
+   */
+  async _pauseSession(session) {
+    // Send audio:pause event
+    this.eventBus.emit('audio:pause', {
+      sessionId: session.sessionId,
+      tabId: session.tabId,
+      timestamp: Date.now()
+    })
+
+    // Update session
+    session.status = 'paused'
+    session.pausedTime = Date.now()
+
+    // Emit event
+    this.eventBus.emit('queue:paused', {
+      sessionId: session.sessionId,
+      tabId: session.tabId,
+      timestamp: Date.now()
+    })
+
+    // Persist state
+    if (this.persistState) {
+      await this._persistState()
+    }
+  }
+
+  /**
+   * Resume a paused session
+   * @param {TTSSession} session - Session to resume
+   * @private
+   */
+  async _resumeSession(session) {
+    if (this.sessionPolicy === 'per-tab-exclusive') {
+      await this._pauseOtherTabs(session.tabId)
+    }
+
+    // Send audio:resume event
+    this.eventBus.emit('audio:resume', {
+      sessionId: session.sessionId,
+      tabId: session.tabId,
+      timestamp: Date.now()
+    })
+
+    // Update session
+    session.status = 'playing'
+    session.resumeTime = Date.now()
+    this.currentSession = session
+
+    // Emit event
+    this.eventBus.emit('queue:resumed', {
+      sessionId: session.sessionId,
+      tabId: session.tabId,
+      timestamp: Date.now()
+    })
+
+    // Persist state
+    if (this.persistState) {
+      await this._persistState()
+    }
+  }
+
+  /**
+   * Handle tab closed event
+   * @param {Object} event - Tab closed event
+   * @param {number} event.tabId - Closed tab ID
+   * @private
+   */
+  async _handleTabClosed(event) {
+    try {
+      // Queued requests from the tab have nowhere to play
+      const queuedBefore = this.queue.length
+      this.queue = this.queue.filter(entry => entry.tabId !== event.tabId)
+      if (this.queue.length !== queuedBefore) {
+        this._emitQueueUpdated()
+      }
+
+      const session = this.sessions.get(event.tabId)
+      if (!session) {
+        return
+      }
+
+      const wasCurrent = session === this.currentSession
+      await this._stopSession(session, 'tab-closed')
+
+      if (this.mode === 'priority' && wasCurrent) {
+        await this._advanceQueue()
+      } else if (this.persistState) {
+        await this._persistState()
+      }
+    } catch (error) {
+      console.error('Error handling tab closed event:', error)
+    }
+  }
+
   /**
    * Create session from event
    * @param {Object} event - TTS event
@@ -303,7 +641,7 @@ class QueueManagerPlugin {
   _createSession(event) {
     return {
       sessionId: event.id || this._generateSessionId(),
-      tabId: event.source?.tabId || 0,
+      tabId: event.source?.tabId ?? event.tabId ?? 0,
       status: 'queued',
       text: event.request?.text || '',
       textId: event.request?.textId,
@@ -335,6 +673,7 @@ class QueueManagerPlugin {
 
       const state = {
         currentSession: this.currentSession,
+        sessionCount: this.sessions.size,
         queueLength: this.queue.length,
         totalProcessed: this.totalProcessed,
         totalStopped: this.totalStopped,
@@ -392,24 +731,33 @@ class QueueManagerPlugin {
    * Cleanup stale sessions
    * @private
    */
-  _cleanupStaleSessions() {
+  async _cleanupStaleSessions() {
     try {
-      if (!this.currentSession) {
-        return
-      }
-
       const now = Date.now()
-      const sessionAge = now - this.currentSession.startTime
+      let cleaned = false
+      let advance = false
+
+      for (const session of [...this.sessions.values()]) {
+        const sessionAge = now - session.startTime
+
+        // If session is older than timeout, clear it
+        if (sessionAge > this.sessionTimeout) {
+          console.warn(`Cleaning up stale session ${session.sessionId} (tab ${session.tabId})`)
+          advance = advance || (this.mode === 'priority' && session === this.currentSession)
+          this._releaseSession(session)
+          cleaned = true
+        }
+      }
 
-      // If session is older than timeout, clear it
-      if (sessionAge > this.sessionTimeout) {
-        console.warn(`Cleaning up stale session ${this.currentSession.sessionId}`)
-        this.currentSession = null
+      // Priority mode moves on to the next queued request, as when a session completes
+      if (advance) {
+        await this._advanceQueue()
+        return
+      }
 
-        // Persist state
-        if (this.persistState) {
-          this._persistState()
-        }
+      // Persist state
+      if (cleaned && this.persistState) {
+        await this._persistState()
       }
     } catch (error) {
       console.error('Error cleaning up stale sessions:', error)
@@ -425,28 +773,126 @@ class QueueManagerPlugin {
    * @returns {Promise<void>}
    */
   async enqueue(event, priority = 'normal') {
+    if (this.mode === 'priority') {
+      await this._enqueueRequest(event, priority)
+      return
+    }
+
     // In stop-previous mode, we don't queue - we stop current and start new
-    // This method is here for API compatibility
     await this._handleNewRequest(event)
   }
 
   /**
    * Dequeue next request
-   * @returns {Object|null}
+   * @returns {QueueEntry|null}
    */
   dequeue() {
-    // In stop-previous mode, there's no queue
-    return null
+    // In stop-previous mode the queue is always empty
+    const entry = this.queue.shift() || null
+    if (entry) {
+      this._emitQueueUpdated()
+    }
+    return entry
   }
 
   /**
    * Clear entire queue
    */
   clear() {
+    const hadEntries = this.queue.length > 0
     this.queue = []
+    if (hadEntries && this.eventBus) {
+      this._emitQueueUpdated()
+    }
     console.log('Queue cleared')
   }
 
+  /**
+   * Move a queued request to a new position
+   * @param {string} sessionId - Queued session ID
+   * @param {number} newIndex - Target position (clamped to queue bounds)
+   * @returns {boolean} Whether the entry was found
+   */
+  reorder(sessionId, newIndex) {
+    const index = this.queue.findIndex(entry => entry.sessionId === sessionId)
+    if (index === -1) {
+      return false
+    }
+
+    const [entry] = this.queue.splice(index, 1)
+    const target = Math.max(0, Math.min(newIndex, this.queue.length))
+    this.queue.splice(target, 0, entry)
+
+    this.eventBus.emit('queue:reordered', {
+      sessionId,
+      from: index,
+      to: target,
+      timestamp: Date.now()
+    })
+    this._emitQueueUpdated()
+    return true
+  }
+
+  /**
+   * Remove a queued request
+   * @param {string} sessionId - Queued session ID
+   * @returns {boolean} Whether the entry was found
+   */
+  remove(sessionId) {
+    const index = this.queue.findIndex(entry => entry.sessionId === sessionId)
+    if (index === -1) {
+      return false
+    }
+
+    this.queue.splice(index, 1)
+
+    this.eventBus.emit('queue:removed', {
+      sessionId,
+      queueLength: this.queue.length,
+      timestamp: Date.now()
+    })
+    this._emitQueueUpdated()
+    return true
+  }
+
+  /**
+   * Stop the current session and start the next queued request
+   * @returns {Promise<void>}
+   */
+  async skip() {
+    try {
+      if (!this.currentSession) {
+        return
+      }
+
+      const skippedId = this.currentSession.sessionId
+      await this._stopCurrentSession('skipped')
+
+      this.eventBus.emit('queue:skipped', {
+        sessionId: skippedId,
+        timestamp: Date.now()
+      })
+
+      await this._advanceQueue()
+    } catch (error) {
+      console.error('Error skipping current session:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Get pending queue entries in playback order
+   * @returns {Array<{sessionId: string, priority: string, text: string, timestamp: number}>}
+   */
+  getQueue() {
+    return this.queue.map(entry => ({
+      sessionId: entry.sessionId,
+      priority: entry.priority,
+      text: entry.event.request?.text || '',
+      timestamp: entry.timestamp
+    }))
+  }
+
   /**
    * Stop current session
    * @returns {Promise<void>}
@@ -467,26 +913,7 @@ class QueueManagerPlugin {
         return
       }
 
-      // Send audio:pause event
-      this.eventBus.emit('audio:pause', {
-        sessionId: this.currentSession.sessionId,
-        timestamp: Date.now()
-      })
-
-      // Update session
-      this.currentSession.status = 'paused'
-      this.currentSession.pausedTime = Date.now()
-
-      // Emit event
-      this.eventBus.emit('queue:paused', {
-        sessionId: this.currentSession.sessionId,
-        timestamp: Date.now()
-      })
-
-      // Persist state
-      if (this.persistState) {
-        await this._persistState()
-      }
+      await this._pauseSession(this.currentSession)
     } catch (error) {
       console.error('Error pausing current session:', error)
     }
@@ -502,31 +929,85 @@ class QueueManagerPlugin {
         return
       }
 
-      // Send audio:resume event
-      this.eventBus.emit('audio:resume', {
-        sessionId: this.currentSession.sessionId,
-        timestamp: Date.now()
-      })
+      await this._resumeSession(this.currentSession)
+    } catch (error) {
+      console.error('Error resuming current session:', error)
+    }
+  }
 
-      // Update session
-      this.currentSession.status = 'playing'
-      this.currentSession.resumeTime = Date.now()
+  /**
+   * Stop the session playing in a tab
+   * @param {number} tabId - Chrome tab ID
+   * @returns {Promise<void>}
+   */
+  async stopTab(tabId) {
+    const session = this.sessions.get(tabId)
+    if (session) {
+      await this._stopSession(session, 'user')
+    }
+  }
 
-      // Emit event
-      this.eventBus.emit('queue:resumed', {
-        sessionId: this.currentSession.sessionId,
-        timestamp: Date.now()
-      })
+  /**
+   * Pause the session playing in a tab
+   * @param {number} tabId - Chrome tab ID
+   * @returns {Promise<void>}
+   */
+  async pauseTab(tabId) {
+    try {
+      const session = this.sessions.get(tabId)
+      if (session && session.status === 'playing') {
+        await this._pauseSession(session)
+      }
+    } catch (error) {
+      console.error(`Error pausing session in tab ${tabId}:`, error)
+    }
+  }
 
-      // Persist state
-      if (this.persistState) {
-        await this._persistState()
+  /**
+   * Resume the session paused in a tab
+   * @param {number} tabId - Chrome tab ID
+   * @returns {Promise<void>}
+   */
+  async resumeTab(tabId) {
+    try {
+      const session = this.sessions.get(tabId)
+      if (session && session.status === 'paused') {
+        await this._resumeSession(session)
       }
     } catch (error) {
-      console.error('Error resuming current session:', error)
+      console.error(`Error resuming session in tab ${tabId}:`, error)
     }
   }
 
+  /**
+   * Set how a new request affects sessions in other tabs - applies from the next request
+   * @param {'global-exclusive'|'per-tab-exclusive'|'mix'} policy - Session policy
+   * @throws {Error} When the policy is unknown
+   */
+  setSessionPolicy(policy) {
+    if (!SESSION_POLICIES.includes(policy)) {
+      throw new Error(`Unknown session policy: ${policy}`)
+    }
+    this.sessionPolicy = policy
+  }
+
+  /**
+   * Get the session for a tab
+   * @param {number} tabId - Chrome tab ID
+   * @returns {TTSSession|null}
+   */
+  getSession(tabId) {
+    return this.sessions.get(tabId) || null
+  }
+
+  /**
+   * Get all tracked sessions
+   * @returns {TTSSession[]}
+   */
+  getSessions() {
+    return [...this.sessions.values()]
+  }
+
   /**
    * Get current session
    * @returns {TTSSession|null}
@@ -549,7 +1030,11 @@ class QueueManagerPlugin {
    */
   getQueueState() {
     return {
+      mode: this.mode,
+      sessionPolicy: this.sessionPolicy,
       currentSession: this.currentSession,
+      sessions: this.getSessions(),
+      queue: this.getQueue(),
       queueLength: this.queue.length,
       totalProcessed: this.totalProcessed,
       totalStopped: this.totalStopped,
@@ -563,9 +1048,9 @@ class QueueManagerPlugin {
    */
   async cleanup() {
     try {
-      // Stop current session
-      if (this.currentSession) {
-        await this.stopCurrent()
+      // Stop every tab's session
+      for (const session of [...this.sessions.values()]) {
+        await this._stopSession(session, 'cleanup')
       }
 
       // Clear cleanup timer
@@ -600,6 +1085,9 @@ class QueueManagerPlugin {
       version: this.version,
       stage: this.stage,
       status: 'healthy',
+      mode: this.mode,
+      sessionPolicy: this.sessionPolicy,
+      sessionCount: this.sessions.size,
       currentSession: this.currentSession ? {
         sessionId: this.currentSession.sessionId,
         status: this.currentSession.status
@@ -22,7 +22,8 @@ class MockEventBus {
   emit(eventName, data) {
     this.emittedEvents.push({ eventName, data, timestamp: Date.now() })
     const handlers = this.events.get(eventName) || []
-    handlers.forEach(handler => handler(data))
+    // Resolves once async handlers have finished
+    return Promise.all(handlers.map(handler => handler(data)))
   }
 
   getEmittedEvents(eventName) {
@@ -90,6 +91,7 @@ describe('QueueManager Plugin Integration Tests', () => {
       expect(eventBus.events.has('tts:started')).toBe(true)
       expect(eventBus.events.has('tts:completed')).toBe(true)
       expect(eventBus.events.has('tts:error')).toBe(true)
+      expect(eventBus.events.has('tab:closed')).toBe(true)
     })
   })
 
@@ -102,7 +104,7 @@ describe('QueueManager Plugin Integration Tests', () => {
       const startTime = performance.now()
 
       // First request
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: {
@@ -117,7 +119,7 @@ describe('QueueManager Plugin Integration Tests', () => {
 
       // Second request (should stop first)
       eventBus.clearEmittedEvents()
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-2',
         type: 'tts:request',
         request: {
@@ -156,7 +158,7 @@ describe('QueueManager Plugin Integration Tests', () => {
       ]
 
       for (const req of requests) {
-        eventBus.emit('tts:request', {
+        await eventBus.emit('tts:request', {
           id: req.id,
           type: 'tts:request',
           request: {
@@ -179,7 +181,7 @@ describe('QueueManager Plugin Integration Tests', () => {
     test('should handle enqueue within 10ms performance target', async () => {
       const startTime = performance.now()
 
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: {
@@ -204,7 +206,7 @@ describe('QueueManager Plugin Integration Tests', () => {
 
     test('should track session state transitions', async () => {
       // Initial request
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: {
@@ -243,7 +245,7 @@ describe('QueueManager Plugin Integration Tests', () => {
     test('should emit queue events for UI updates', async () => {
       eventBus.clearEmittedEvents()
 
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: {
@@ -265,7 +267,7 @@ describe('QueueManager Plugin Integration Tests', () => {
 
     test('should clear queue on new request', async () => {
       // First request
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: { text: 'First', voice: 'af_bella', speed: 1.0 }
@@ -274,7 +276,7 @@ describe('QueueManager Plugin Integration Tests', () => {
       const firstSession = plugin.currentSession
 
       // Second request
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-2',
         type: 'tts:request',
         request: { text: 'Second', voice: 'af_bella', speed: 1.0 }
@@ -293,7 +295,7 @@ describe('QueueManager Plugin Integration Tests', () => {
     })
 
     test('should persist state to storage', async () => {
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: { text: 'Test', voice: 'af_bella', speed: 1.0 }
@@ -337,8 +339,8 @@ describe('QueueManager Plugin Integration Tests', () => {
       await plugin.init(eventBus, pal)
     })
 
-    test('should get current session', () => {
-      eventBus.emit('tts:request', {
+    test('should get current session', async () => {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: { text: 'Test', voice: 'af_bella', speed: 1.0 }
@@ -354,8 +356,8 @@ describe('QueueManager Plugin Integration Tests', () => {
       expect(length).toBe(0) // Stop-previous mode has no queue
     })
 
-    test('should get queue state', () => {
-      eventBus.emit('tts:request', {
+    test('should get queue state', async () => {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: { text: 'Test', voice: 'af_bella', speed: 1.0 }
@@ -368,7 +370,7 @@ describe('QueueManager Plugin Integration Tests', () => {
     })
 
     test('should stop current session manually', async () => {
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: { text: 'Test', voice: 'af_bella', speed: 1.0 }
@@ -387,7 +389,7 @@ describe('QueueManager Plugin Integration Tests', () => {
     })
 
     test('should pause and resume current session', async () => {
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: { text: 'Test', voice: 'af_bella', speed: 1.0 }
@@ -415,13 +417,356 @@ describe('QueueManager Plugin Integration Tests', () => {
     })
   })
 
+  describe('Priority Queue Mode', () => {
+    const request = (id, text = id) => ({
+      id,
+      type: 'tts:request',
+      request: { text, voice: 'af_bella', speed: 1.0 }
+    })
+
+    beforeEach(async () => {
+      await plugin.cleanup()
+      plugin = new QueueManagerPlugin({
+        mode: 'priority',
+        maxQueueSize: 3,
+        persistState: false
+      })
+      await plugin.init(eventBus, pal)
+    })
+
+    test('should start the first request immediately', async () => {
+      await plugin.enqueue(request('session-1'))
+
+      expect(plugin.getCurrentSession().sessionId).toBe('session-1')
+      expect(plugin.getQueueLength()).toBe(0)
+      expect(eventBus.getEmittedEvents('tts:synthesize')).toHaveLength(1)
+    })
+
+    test('should queue requests while a session is active', async () => {
+      await plugin.enqueue(request('session-1'))
+      await plugin.enqueue(request('session-2'))
+
+      expect(plugin.getCurrentSession().sessionId).toBe('session-1')
+      expect(plugin.getQueueLength()).toBe(1)
+      expect(eventBus.getEmittedEvents('audio:stop')).toHaveLength(0)
+      expect(eventBus.getEmittedEvents('queue:enqueued')[0].data).toMatchObject({
+        sessionId: 'session-2',
+        priority: 'normal',
+        position: 0
+      })
+    })
+
+    test('should order queued requests by priority', async () => {
+      await plugin.enqueue(request('current'))
+      await plugin.enqueue(request('low'), 'low')
+      await plugin.enqueue(request('normal'), 'normal')
+      await plugin.enqueue(request('high'), 'high')
+
+      expect(plugin.getQueue().map(entry => entry.sessionId)).toEqual(['high', 'normal', 'low'])
+    })
+
+    test('should keep FIFO order within a priority level', async () => {
+      await plugin.enqueue(request('current'))
+      await plugin.enqueue(request('a'), 'high')
+      await plugin.enqueue(request('b'), 'high')
+
+      expect(plugin.getQueue().map(entry => entry.sessionId)).toEqual(['a', 'b'])
+    })
+
+    test('should read priority from tts:request events', async () => {
+      await plugin.enqueue(request('current'))
+      await eventBus.emit('tts:request', { ...request('urgent'), request: { text: 'Now', priority: 'high' } })
+
+      expect(plugin.getQueue()[0]).toMatchObject({ sessionId: 'urgent', priority: 'high' })
+    })
+
+    test('should reject requests beyond maxQueueSize', async () => {
+      await plugin.enqueue(request('current'))
+      await plugin.enqueue(request('a'))
+      await plugin.enqueue(request('b'))
+      await plugin.enqueue(request('c'))
+
+      await expect(plugin.enqueue(request('d'))).rejects.toThrow('Queue is full')
+      expect(eventBus.getEmittedEvents('queue:full')).toHaveLength(1)
+      expect(plugin.getQueueLength()).toBe(3)
+    })
+
+    test('should reject invalid priorities', async () => {
+      await expect(plugin.enqueue(request('a'), 'urgent')).rejects.toThrow('Invalid priority')
+    })
+
+    test('should advance automatically on tts:completed', async () => {
+      await plugin.enqueue(request('session-1'))
+      await plugin.enqueue(request('session-2'))
+
+      await plugin._handleCompleted({ sessionId: 'session-1' })
+
+      expect(plugin.getCurrentSession().sessionId).toBe('session-2')
+      expect(plugin.getQueueLength()).toBe(0)
+      expect(eventBus.getEmittedEvents('tts:synthesize')).toHaveLength(2)
+      expect(eventBus.getEmittedEvents('tts:synthesize')[1].data.id).toBe('session-2')
+    })
+
+    test('should emit queue:empty when the last session completes', async () => {
+      await plugin.enqueue(request('session-1'))
+      await plugin._handleCompleted({ sessionId: 'session-1' })
+
+      expect(plugin.getCurrentSession()).toBeNull()
+      expect(eventBus.getEmittedEvents('queue:empty')).toHaveLength(1)
+    })
+
+    test('should advance past a failed session', async () => {
+      await plugin.enqueue(request('session-1'))
+      await plugin.enqueue(request('session-2'))
+
+      await plugin._handleError({ sessionId: 'session-1', error: 'Synthesis failed' })
+
+      expect(plugin.getCurrentSession().sessionId).toBe('session-2')
+    })
+
+    test('should advance when the cleanup timer drops a stale current session', async () => {
+      await plugin.cleanup()
+      jest.useFakeTimers()
+      try {
+        plugin = new QueueManagerPlugin({ mode: 'priority', sessionTimeout: 90000, persistState: false })
+        await plugin.init(eventBus, pal)
+
+        await plugin.enqueue(request('stale'))
+        await plugin.enqueue(request('low'), 'low')
+        await plugin.enqueue(request('high'), 'high')
+
+        // The cleanup timer runs every minute; the second run finds the session stale
+        await jest.advanceTimersByTimeAsync(120000)
+
+        expect(plugin.getCurrentSession().sessionId).toBe('high')
+        expect(plugin.getQueue().map(entry => entry.sessionId)).toEqual(['low'])
+        expect(eventBus.getEmittedEvents('tts:synthesize').map(event => event.data.id)).toEqual(['stale', 'high'])
+      } finally {
+        await plugin.cleanup()
+        jest.useRealTimers()
+      }
+    })
+
+    test('should reorder queued requests', async () => {
+      await plugin.enqueue(request('current'))
+      await plugin.enqueue(request('a'))
+      await plugin.enqueue(request('b'))
+      await plugin.enqueue(request('c'))
+
+      expect(plugin.reorder('c', 0)).toBe(true)
+      expect(plugin.getQueue().map(entry => entry.sessionId)).toEqual(['c', 'a', 'b'])
+      expect(eventBus.getEmittedEvents('queue:reordered')[0].data).toMatchObject({ sessionId: 'c', from: 2, to: 0 })
+
+      expect(plugin.reorder('missing', 0)).toBe(false)
+    })
+
+    test('should remove queued requests', async () => {
+      await plugin.enqueue(request('current'))
+      await plugin.enqueue(request('a'))
+      await plugin.enqueue(request('b'))
+
+      expect(plugin.remove('a')).toBe(true)
+      expect(plugin.getQueue().map(entry => entry.sessionId)).toEqual(['b'])
+      expect(eventBus.getEmittedEvents('queue:removed')).toHaveLength(1)
+      expect(plugin.remove('a')).toBe(false)
+    })
+
+    test('should skip to the next queued request', async () => {
+      await plugin.enqueue(request('session-1'))
+      await plugin.enqueue(request('session-2'))
+
+      await plugin.skip()
+
+      expect(eventBus.getEmittedEvents('audio:stop')[0].data.sessionId).toBe('session-1')
+      expect(eventBus.getEmittedEvents('queue:stopped')[0].data.reason).toBe('skipped')
+      expect(eventBus.getEmittedEvents('queue:skipped')).toHaveLength(1)
+      expect(plugin.getCurrentSession().sessionId).toBe('session-2')
+    })
+
+    test('should emit queue:updated snapshots for the UI', async () => {
+      await plugin.enqueue(request('current'))
+      await plugin.enqueue(request('a', 'Queued text'))
+
+      const updates = eventBus.getEmittedEvents('queue:updated')
+      expect(updates[updates.length - 1].data.queue).toEqual([
+        expect.objectContaining({ sessionId: 'a', priority: 'normal', text: 'Queued text' })
+      ])
+    })
+
+    test('should report mode in queue state', () => {
+      expect(plugin.getQueueState().mode).toBe('priority')
+    })
+  })
+
+  describe('Per-Tab Sessions', () => {
+    const tabRequest = (id, tabId) => ({
+      id,
+      type: 'tts:request',
+      request: { text: id, voice: 'af_bella', speed: 1.0 },
+      source: { tabId }
+    })
+
+    const createPlugin = async (sessionPolicy) => {
+      await plugin.cleanup()
+      plugin = new QueueManagerPlugin({ sessionPolicy, persistState: false })
+      await plugin.init(eventBus, pal)
+      eventBus.clearEmittedEvents()
+    }
+
+    test('should default to global-exclusive policy', async () => {
+      await createPlugin()
+      expect(plugin.sessionPolicy).toBe('global-exclusive')
+
+      await plugin.enqueue(tabRequest('tab1-a', 1))
+      await plugin.enqueue(tabRequest('tab2-a', 2))
+
+      expect(plugin.getSessions().map(session => session.sessionId)).toEqual(['tab2-a'])
+      expect(eventBus.getEmittedEvents('audio:stop')[0].data).toMatchObject({ sessionId: 'tab1-a', tabId: 1 })
+    })
+
+    test('should read tabId from top-level request events', async () => {
+      await createPlugin('mix')
+      await plugin.enqueue({ id: 'bg', request: { text: 'Hi' }, tabId: 42 })
+
+      expect(plugin.getSession(42).sessionId).toBe('bg')
+    })
+
+    test('mix policy keeps sessions in other tabs playing', async () => {
+      await createPlugin('mix')
+
+      await plugin.enqueue(tabRequest('tab1-a', 1))
+      eventBus.emit('tts:started', { sessionId: 'tab1-a' })
+      await plugin.enqueue(tabRequest('tab2-a', 2))
+
+      expect(plugin.getSession(1).status).toBe('playing')
+      expect(plugin.getSession(2).sessionId).toBe('tab2-a')
+      expect(plugin.getCurrentSession().sessionId).toBe('tab2-a')
+      expect(eventBus.getEmittedEvents('audio:stop')).toHaveLength(0)
+      expect(eventBus.getEmittedEvents('audio:pause')).toHaveLength(0)
+    })
+
+    test('should replace the session within the same tab', async () => {
+      await createPlugin('mix')
+
+      await plugin.enqueue(tabRequest('tab1-a', 1))
+      await plugin.enqueue(tabRequest('tab2-a', 2))
+      await plugin.enqueue(tabRequest('tab1-b', 1))
+
+      expect(plugin.getSession(1).sessionId).toBe('tab1-b')
+      expect(plugin.getSession(2).sessionId).toBe('tab2-a')
+      expect(eventBus.getEmittedEvents('audio:stop').map(e => e.data.sessionId)).toEqual(['tab1-a'])
+    })
+
+    test('per-tab-exclusive policy pauses other tabs instead of stopping them', async () => {
+      await createPlugin('per-tab-exclusive')
+
+      await plugin.enqueue(tabRequest('tab1-a', 1))
+      eventBus.emit('tts:started', { sessionId: 'tab1-a' })
+      await plugin.enqueue(tabRequest('tab2-a', 2))
+
+      expect(plugin.getSession(1).status).toBe('paused')
+      expect(eventBus.getEmittedEvents('audio:pause')[0].data).toMatchObject({ sessionId: 'tab1-a', tabId: 1 })
+      expect(eventBus.getEmittedEvents('audio:stop')).toHaveLength(0)
+    })
+
+    test('per-tab-exclusive resume pauses the tab that is playing', async () => {
+      await createPlugin('per-tab-exclusive')
+
+      await plugin.enqueue(tabRequest('tab1-a', 1))
+      eventBus.emit('tts:started', { sessionId: 'tab1-a' })
+      await plugin.enqueue(tabRequest('tab2-a', 2))
+      eventBus.emit('tts:started', { sessionId: 'tab2-a' })
+
+      await plugin.resumeTab(1)
+
+      expect(plugin.getSession(1).status).toBe('playing')
+      expect(plugin.getSession(2).status).toBe('paused')
+      expect(plugin.getCurrentSession().sessionId).toBe('tab1-a')
+    })
+
+    test('should track lifecycle events for non-current sessions', async () => {
+      await createPlugin('mix')
+
+      await plugin.enqueue(tabRequest('tab1-a', 1))
+      await plugin.enqueue(tabRequest('tab2-a', 2))
+      eventBus.emit('tts:error', { sessionId: 'tab1-a', error: 'boom' })
+
+      expect(plugin.getSession(1)).toBeNull()
+      expect(plugin.getCurrentSession().sessionId).toBe('tab2-a')
+    })
+
+    test('should fall back to the newest remaining session as current', async () => {
+      await createPlugin('mix')
+
+      await plugin.enqueue(tabRequest('tab1-a', 1))
+      await plugin.enqueue(tabRequest('tab2-a', 2))
+      await plugin.stopTab(2)
+
+      expect(plugin.getCurrentSession().sessionId).toBe('tab1-a')
+    })
+
+    test('should stop sessions when their tab closes', async () => {
+      await createPlugin('mix')
+
+      await plugin.enqueue(tabRequest('tab1-a', 1))
+      await plugin.enqueue(tabRequest('tab2-a', 2))
+      eventBus.emit('tab:closed', { tabId: 1 })
+
+      expect(plugin.getSession(1)).toBeNull()
+      expect(plugin.getSession(2)).not.toBeNull()
+      expect(eventBus.getEmittedEvents('queue:stopped')[0].data).toMatchObject({
+        sessionId: 'tab1-a',
+        reason: 'tab-closed'
+      })
+    })
+
+    test('should drop queued requests from a closed tab in priority mode', async () => {
+      await plugin.cleanup()
+      plugin = new QueueManagerPlugin({ mode: 'priority', persistState: false })
+      await plugin.init(eventBus, pal)
+
+      await plugin.enqueue(tabRequest('tab1-a', 1))
+      await plugin.enqueue(tabRequest('tab2-a', 2))
+      await plugin.enqueue(tabRequest('tab1-b', 1))
+
+      await plugin._handleTabClosed({ tabId: 1 })
+
+      expect(plugin.getCurrentSession().sessionId).toBe('tab2-a')
+      expect(plugin.getQueueLength()).toBe(0)
+    })
+
+    test('should clean up stale sessions in every tab', async () => {
+      await createPlugin('mix')
+      plugin.sessionTimeout = 100
+
+      await plugin.enqueue(tabRequest('tab1-a', 1))
+      await plugin.enqueue(tabRequest('tab2-a', 2))
+      plugin.getSession(1).startTime -= 1000
+      plugin._cleanupStaleSessions()
+
+      expect(plugin.getSession(1)).toBeNull()
+      expect(plugin.getSession(2)).not.toBeNull()
+    })
+
+    test('should stop every session on cleanup', async () => {
+      await createPlugin('mix')
+
+      await plugin.enqueue(tabRequest('tab1-a', 1))
+      await plugin.enqueue(tabRequest('tab2-a', 2))
+      await plugin.cleanup()
+
+      expect(plugin.getSessions()).toHaveLength(0)
+      expect(eventBus.getEmittedEvents('audio:stop')).toHaveLength(2)
+    })
+  })
+
   describe('Error Handling - Task 9 Tests', () => {
     beforeEach(async () => {
       await plugin.init(eventBus, pal)
     })
 
     test('should handle tts:error event', async () => {
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: { text: 'Test', voice: 'af_bella', speed: 1.0 }
@@ -447,7 +792,7 @@ describe('QueueManager Plugin Integration Tests', () => {
     test('should handle multiple rapid requests gracefully', async () => {
       // Emit 10 rapid requests
       for (let i = 0; i < 10; i++) {
-        eventBus.emit('tts:request', {
+        await eventBus.emit('tts:request', {
           id: `session-${i}`,
           type: 'tts:request',
           request: { text: `Request ${i}`, voice: 'af_bella', speed: 1.0 }
@@ -474,7 +819,7 @@ describe('QueueManager Plugin Integration Tests', () => {
       await shortTimeoutPlugin.init(eventBus, pal)
 
       // Create session
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: { text: 'Test', voice: 'af_bella', speed: 1.0 }
@@ -513,7 +858,7 @@ describe('QueueManager Plugin Integration Tests', () => {
     test('should stop current session on cleanup', async () => {
       await plugin.init(eventBus, pal)
 
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: 'session-1',
         type: 'tts:request',
         request: { text: 'Test', voice: 'af_bella', speed: 1.0 }
@@ -561,7 +906,7 @@ describe('Performance Benchmarks', () => {
     for (let i = 0; i < 100; i++) {
       const start = performance.now()
 
-      eventBus.emit('tts:request', {
+      await eventBus.emit('tts:request', {
         id: `session-${i}`,
         type: 'tts:request',
         request: { text: `Request ${i}`, voice: 'af_bella', speed: 1.0 }
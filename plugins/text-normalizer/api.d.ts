@@ -0,0 +1,92 @@
+/**
+ * TextNormalizer Plugin API TypeScript Definitions
+ */
+
+export type LexiconEntryType = 'text' | 'phonemes'
+
+export interface LexiconEntry {
+  /** Word or phrase (whole words only), or a regular expression when regex is set */
+  match: string
+  /** Replacement text, or IPA phonemes emitted as an inline [word](/phonemes/) span (kokoro-engine phoneme markup) */
+  replacement: string
+  type?: LexiconEntryType
+  /** Treat match as a regular expression; text replacements may use $1, $<name> and $& */
+  regex?: boolean
+  caseSensitive?: boolean
+  /** Hostnames the entry applies on (subdomains included); empty or omitted for every site */
+  domains?: string[]
+}
+
+export interface TextNormalizerConfig {
+  /** Initial entries, replaced by the stored lexicon once it is read */
+  lexicon?: LexiconEntry[]
+}
+
+export interface NormalizeOptions {
+  /** Page the text comes from, for domain-scoped entries */
+  url?: string
+  /** Text is SSML - tags are left untouched */
+  ssml?: boolean
+}
+
+export interface NormalizeResult {
+  text: string
+  /** Number of replacements made */
+  applied: number
+}
+
+export interface NormalizeEvent {
+  text: string
+  url?: string
+  format?: 'text' | 'ssml'
+}
+
+export interface LexiconUpdatedEvent {
+  entries: LexiconEntry[]
+  timestamp: number
+}
+
+export interface HealthStatus {
+  healthy: boolean
+  entries: number
+  /** Entries that compiled - invalid stored entries are skipped */
+  activeEntries: number
+  normalizedCount: number
+  replacementCount: number
+  initialized: boolean
+}
+
+export interface EventResponse<T = any> {
+  success: boolean
+  data?: T
+  error?: string
+}
+
+export declare class TextNormalizerPlugin {
+  readonly id: 'text-normalizer'
+  readonly name: string
+  readonly version: string
+  readonly stage: 'preprocessing'
+  readonly optional: true
+
+  constructor(config?: TextNormalizerConfig)
+
+  init(eventBus: any, pal: any): Promise<boolean>
+  process(event: any): Promise<any>
+  cleanup(): Promise<void>
+  healthCheck(): Promise<HealthStatus>
+
+  normalize(text: string, options?: NormalizeOptions): NormalizeResult
+  getLexicon(): LexiconEntry[]
+  loadLexicon(): Promise<LexiconEntry[]>
+  /** Rejects without saving anything if an entry is invalid */
+  saveLexicon(entries: LexiconEntry[]): Promise<void>
+}
+
+export declare function compileLexicon(entries: LexiconEntry[]): any[]
+export declare function applyLexicon(text: string, lexicon: any[], options?: { hostname?: string | null, ssml?: boolean }): NormalizeResult
+
+/** Storage adapter key holding the lexicon */
+export declare const LEXICON_STORAGE_KEY: 'lexicon'
+
+export default TextNormalizerPlugin
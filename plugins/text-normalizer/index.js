@@ -0,0 +1,9 @@
+/**
+ * @module text-normalizer
+ * @description TextNormalizer pronunciation lexicon plugin entry point
+ */
+
+import TextNormalizerPlugin from './src/normalizer.js'
+
+export default TextNormalizerPlugin
+export { TextNormalizerPlugin as Plugin }
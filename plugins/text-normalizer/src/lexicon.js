@@ -0,0 +1,234 @@
+/**
+ * @module Lexicon
+ * @description User pronunciation lexicon - word and regex rules rewritten to text or inline phonemes
+ */
+
+// Phoneme entries emit the engine's inline markup, so both sides share one definition of it
+import { PHONEME_SPAN, formatPhonemeSpan } from '../../kokoro-engine/src/phoneme-markup.js'
+
+/**
+ * @typedef {Object} LexiconEntry
+ * @property {string} match - Word or phrase to replace, or a regular expression when regex is set
+ * @property {string} replacement - Replacement text, or IPA phonemes when type is 'phonemes'
+ * @property {'text'|'phonemes'} [type] - Replacement kind (default 'text')
+ * @property {boolean} [regex] - Treat match as a regular expression ($1... usable in text replacements)
+ * @property {boolean} [caseSensitive] - Match case exactly (default false)
+ * @property {string[]} [domains] - Hostnames the entry is limited to (subdomains included); empty for every site
+ */
+
+/**
+ * @typedef {Object} CompiledEntry
+ * @property {LexiconEntry} entry - Source entry
+ * @property {RegExp} pattern - Global pattern
+ * @property {string[]} domains - Lower-cased domain scope
+ */
+
+const ENTRY_TYPES = ['text', 'phonemes']
+
+// Storage adapter key shared by the plugin and the options page editor
+const LEXICON_STORAGE_KEY = 'lexicon'
+
+// SSML tags must not be rewritten, only the text between them
+const SSML_TAG = /<[^>]*>/g
+
+/**
+ * @param {string} string - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Lower-case a domain and strip a scheme, path or leading "www."
+ * @param {string} domain - Domain as entered
+ * @returns {string}
+ */
+function normalizeDomain(domain) {
+  return String(domain)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/:].*$/, '')
+    .replace(/^www\./, '')
+}
+
+/**
+ * Validate an entry and compile its pattern
+ * @param {LexiconEntry} entry - Entry to compile
+ * @returns {CompiledEntry}
+ * @throws {Error} When the entry is incomplete or its regular expression is invalid
+ */
+function compileEntry(entry) {
+  if (!entry || typeof entry.match !== 'string' || !entry.match.trim()) {
+    throw new Error('Lexicon entry requires a match')
+  }
+  if (typeof entry.replacement !== 'string') {
+    throw new Error(`Lexicon entry "${entry.match}" requires a replacement`)
+  }
+
+  const type = entry.type || 'text'
+  if (!ENTRY_TYPES.includes(type)) {
+    throw new Error(`Invalid lexicon entry type "${type}". Must be one of: ${ENTRY_TYPES.join(', ')}`)
+  }
+  if (type === 'phonemes' && !entry.replacement.trim()) {
+    throw new Error(`Lexicon entry "${entry.match}" has no phonemes`)
+  }
+  if (type === 'phonemes' && /[[\]()/]/.test(entry.replacement)) {
+    throw new Error(`Phonemes for "${entry.match}" cannot contain brackets or slashes`)
+  }
+
+  const flags = entry.caseSensitive ? 'gu' : 'giu'
+  let pattern
+  if (entry.regex) {
+    try {
+      pattern = new RegExp(entry.match, flags)
+    } catch (error) {
+      throw new Error(`Invalid lexicon pattern "${entry.match}": ${error.message}`)
+    }
+    if (pattern.test('')) {
+      throw new Error(`Lexicon pattern "${entry.match}" matches empty text`)
+    }
+  } else {
+    // Whole words only, so "AI" leaves "said" alone
+    pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(entry.match.trim())}(?![\\p{L}\\p{N}])`, flags)
+  }
+
+  return {
+    entry,
+    pattern,
+    domains: (entry.domains || []).map(normalizeDomain).filter(Boolean)
+  }
+}
+
+/**
+ * Compile a lexicon, skipping (and logging) invalid entries
+ * @param {LexiconEntry[]} entries - Lexicon entries in priority order
+ * @returns {CompiledEntry[]}
+ */
+function compileLexicon(entries) {
+  const compiled = []
+  for (const entry of entries || []) {
+    try {
+      compiled.push(compileEntry(entry))
+    } catch (error) {
+      console.warn('Skipping lexicon entry:', error.message)
+    }
+  }
+  return compiled
+}
+
+/**
+ * Whether an entry applies on a host
+ * @param {CompiledEntry} compiled - Compiled entry
+ * @param {string|null} hostname - Host of the page being read
+ * @returns {boolean}
+ */
+function appliesTo(compiled, hostname) {
+  if (compiled.domains.length === 0) {
+    return true
+  }
+  if (!hostname) {
+    return false
+  }
+
+  const host = normalizeDomain(hostname)
+  return compiled.domains.some(domain => host === domain || host.endsWith(`.${domain}`))
+}
+
+/**
+ * Rewrite the parts of text outside SSML tags and existing phoneme spans
+ * @param {string} text - Input text
+ * @param {boolean} ssml - Whether text is SSML
+ * @param {(part: string) => string} rewrite - Rewrites one plain-text part
+ * @returns {string}
+ */
+function rewriteText(text, ssml, rewrite) {
+  const protectedPattern = ssml
+    ? new RegExp(`${SSML_TAG.source}|${PHONEME_SPAN.source}`, 'g')
+    : new RegExp(PHONEME_SPAN.source, 'g')
+
+  let result = ''
+  let lastIndex = 0
+  for (const match of text.matchAll(protectedPattern)) {
+    result += rewrite(text.slice(lastIndex, match.index)) + match[0]
+    lastIndex = match.index + match[0].length
+  }
+  return result + rewrite(text.slice(lastIndex))
+}
+
+/**
+ * Expand $&, $1... and $<name> in a replacement the way String.prototype.replace would
+ * @param {string} template - Replacement template
+ * @param {Array} args - Arguments of a replace() callback
+ * @returns {string}
+ */
+function expandReplacement(template, args) {
+  const hasGroups = typeof args[args.length - 1] === 'object' && args[args.length - 1] !== null
+  const groups = hasGroups ? args[args.length - 1] : {}
+  const captures = args.slice(1, hasGroups ? -3 : -2)
+
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, name, groupName) => {
+    if (name === '$') {
+      return '$'
+    }
+    if (name === '&') {
+      return args[0]
+    }
+    if (groupName !== undefined) {
+      return groups[groupName] ?? ''
+    }
+    const index = parseInt(name, 10)
+    return index >= 1 && index <= captures.length ? (captures[index - 1] ?? '') : token
+  })
+}
+
+/**
+ * Apply a compiled lexicon to text
+ * Entries run in order; text produced by one entry can be matched by later text entries, but
+ * phoneme spans are final
+ * @param {string} text - Text to normalize
+ * @param {CompiledEntry[]} lexicon - Compiled lexicon
+ * @param {Object} [options] - Options
+ * @param {string|null} [options.hostname] - Host of the page being read, for domain-scoped entries
+ * @param {boolean} [options.ssml] - Leave SSML tags untouched
+ * @returns {{text: string, applied: number}} Rewritten text and number of replacements
+ */
+function applyLexicon(text, lexicon, options = {}) {
+  let applied = 0
+
+  for (const compiled of lexicon) {
+    if (!appliesTo(compiled, options.hostname)) {
+      continue
+    }
+
+    const { entry, pattern } = compiled
+    text = rewriteText(text, options.ssml === true, (part) => part.replace(pattern, (...args) => {
+      applied++
+      if (entry.type === 'phonemes') {
+        return formatPhonemeSpan(args[0], entry.replacement.trim())
+      }
+      return entry.regex ? expandReplacement(entry.replacement, args) : entry.replacement
+    }))
+  }
+
+  return { text, applied }
+}
+
+/**
+ * Host of a page URL
+ * @param {string} [url] - Page URL
+ * @returns {string|null}
+ */
+function hostnameOf(url) {
+  if (!url) {
+    return null
+  }
+  try {
+    return new URL(url).hostname || null
+  } catch {
+    return null
+  }
+}
+
+export { compileEntry, compileLexicon, applyLexicon, appliesTo, hostnameOf, normalizeDomain, ENTRY_TYPES, LEXICON_STORAGE_KEY }
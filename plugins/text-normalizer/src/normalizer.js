@@ -0,0 +1,264 @@
+/**
+ * @module TextNormalizerPlugin
+ * @description Rewrites request text with the user's pronunciation lexicon before synthesis
+ */
+
+import { compileEntry, compileLexicon, applyLexicon, hostnameOf, LEXICON_STORAGE_KEY } from './lexicon.js'
+
+/**
+ * @typedef {import('./lexicon.js').LexiconEntry} LexiconEntry
+ */
+
+/**
+ * @typedef {Object} NormalizeResult
+ * @property {string} text - Rewritten text
+ * @property {number} applied - Number of replacements made
+ */
+
+class TextNormalizerPlugin {
+  constructor(config = {}) {
+    this.id = 'text-normalizer'
+    this.name = 'TextNormalizer'
+    this.version = '1.0.0'
+    this.stage = 'preprocessing'
+    this.config = config
+
+    // Plugin dependencies
+    this.eventBus = null
+    this.pal = null
+
+    // A broken lexicon must never stop speech
+    this.optional = true
+
+    // Lexicon state - entries come from config until storage is read
+    this.entries = Array.isArray(config.lexicon) ? config.lexicon : []
+    this.lexicon = compileLexicon(this.entries)
+
+    // Performance tracking
+    this.normalizedCount = 0
+    this.replacementCount = 0
+  }
+
+  /**
+   * Initialize plugin with event bus and platform abstraction layer
+   * @param {Object} eventBus - Event bus instance
+   * @param {Object} pal - Platform abstraction layer
+   * @returns {Promise<boolean>}
+   */
+  async init(eventBus, pal) {
+    try {
+      if (!eventBus) {
+        throw new Error('EventBus is required for plugin initialization')
+      }
+      if (!pal) {
+        throw new Error('PAL is required for plugin initialization')
+      }
+
+      this.eventBus = eventBus
+      this.pal = pal
+
+      this.eventBus.subscribe('text:normalize', this._handleNormalizeEvent.bind(this))
+      this.eventBus.subscribe('lexicon:get', this._handleGetLexiconEvent.bind(this))
+      this.eventBus.subscribe('lexicon:set', this._handleSetLexiconEvent.bind(this))
+
+      await this.loadLexicon()
+
+      console.log(`${this.name} v${this.version} initialized at stage: ${this.stage}`)
+      return true
+    } catch (error) {
+      console.error(`Failed to initialize ${this.name}:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Rewrite the text of a TTSEvent (request.text) or synthesis event (data.text)
+   * The lexicon is re-read first so edits made on the options page apply to the next request
+   * @param {Object} event - Event to process
+   * @returns {Promise<Object>}
+   */
+  async process(event) {
+    try {
+      if (!event) {
+        throw new Error('Invalid event')
+      }
+
+      event.metadata = event.metadata || {}
+      event.metadata.processedBy = event.metadata.processedBy || []
+      event.metadata.processedBy.push(this.id)
+
+      const target = event.request || event.data
+      if (!target || typeof target.text !== 'string' || !target.text) {
+        return event
+      }
+
+      await this.loadLexicon()
+
+      const format = target.format || target.options?.format
+      const { text, applied } = this.normalize(target.text, {
+        url: event.metadata.url || event.url || target.url,
+        ssml: format === 'ssml'
+      })
+
+      if (applied > 0) {
+        target.text = text
+        event.metadata.lexiconReplacements = applied
+      }
+      return event
+    } catch (error) {
+      console.error(`${this.name} process error:`, error)
+      event.error = {
+        message: error.message,
+        plugin: this.id,
+        timestamp: Date.now()
+      }
+      return event
+    }
+  }
+
+  /**
+   * Apply the lexicon to text
+   * @param {string} text - Text to normalize
+   * @param {Object} [options] - Options
+   * @param {string} [options.url] - Page the text comes from, for domain-scoped entries
+   * @param {boolean} [options.ssml] - Text is SSML; tags are left untouched
+   * @returns {NormalizeResult}
+   */
+  normalize(text, options = {}) {
+    const result = applyLexicon(text, this.lexicon, {
+      hostname: hostnameOf(options.url),
+      ssml: options.ssml === true
+    })
+
+    this.normalizedCount++
+    this.replacementCount += result.applied
+    return result
+  }
+
+  /**
+   * Current lexicon entries
+   * @returns {LexiconEntry[]}
+   */
+  getLexicon() {
+    return this.entries.map(entry => ({ ...entry }))
+  }
+
+  /**
+   * Read the lexicon from storage; keeps the current one when storage is unavailable
+   * @returns {Promise<LexiconEntry[]>}
+   */
+  async loadLexicon() {
+    if (!this.pal || !this.pal.storage) {
+      return this.getLexicon()
+    }
+
+    try {
+      const stored = await this.pal.storage.get(LEXICON_STORAGE_KEY)
+      if (Array.isArray(stored)) {
+        this.entries = stored
+        this.lexicon = compileLexicon(stored)
+      }
+    } catch (error) {
+      console.warn(`${this.name} could not read the lexicon:`, error.message)
+    }
+    return this.getLexicon()
+  }
+
+  /**
+   * Validate, store and apply a new lexicon
+   * @param {LexiconEntry[]} entries - Lexicon entries in priority order
+   * @returns {Promise<void>}
+   * @throws {Error} When an entry is invalid - nothing is saved
+   */
+  async saveLexicon(entries) {
+    try {
+      if (!Array.isArray(entries)) {
+        throw new Error('Lexicon must be an array of entries')
+      }
+
+      const lexicon = entries.map(compileEntry)
+
+      if (this.pal && this.pal.storage) {
+        await this.pal.storage.set(LEXICON_STORAGE_KEY, entries)
+      }
+
+      this.entries = entries
+      this.lexicon = lexicon
+
+      if (this.eventBus) {
+        this.eventBus.emit('lexicon:updated', { entries: this.getLexicon(), timestamp: Date.now() })
+      }
+    } catch (error) {
+      console.error(`${this.name} failed to save lexicon:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Cleanup plugin resources
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    try {
+      console.log(`${this.name} cleaning up...`)
+
+      this.eventBus = null
+      this.pal = null
+
+      this.normalizedCount = 0
+      this.replacementCount = 0
+
+      console.log(`${this.name} cleaned up successfully`)
+    } catch (error) {
+      console.error(`${this.name} cleanup error:`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Health check
+   * @returns {Object}
+   */
+  async healthCheck() {
+    return {
+      healthy: true,
+      entries: this.entries.length,
+      activeEntries: this.lexicon.length,
+      normalizedCount: this.normalizedCount,
+      replacementCount: this.replacementCount,
+      initialized: this.eventBus !== null && this.pal !== null
+    }
+  }
+
+  // Private event handlers
+
+  async _handleNormalizeEvent(event) {
+    try {
+      const { text, url, format } = event.data
+      const result = this.normalize(text, { url, ssml: format === 'ssml' })
+      return { success: true, data: result }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleGetLexiconEvent() {
+    try {
+      const entries = await this.loadLexicon()
+      return { success: true, data: entries }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+
+  async _handleSetLexiconEvent(event) {
+    try {
+      await this.saveLexicon(event.data.entries)
+      return { success: true }
+    } catch (error) {
+      return { success: false, error: error.message }
+    }
+  }
+}
+
+export default TextNormalizerPlugin
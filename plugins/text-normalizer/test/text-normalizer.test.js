@@ -0,0 +1,169 @@
+/**
+ * Unit Tests for the TextNormalizer plugin and pronunciation lexicon
+ */
+
+import TextNormalizerPlugin from '../src/normalizer.js'
+import { compileEntry, compileLexicon, applyLexicon, LEXICON_STORAGE_KEY } from '../src/lexicon.js'
+import { stripPhonemeMarkup } from '../../kokoro-engine/src/phoneme-markup.js'
+
+const apply = (text, entries, options) => applyLexicon(text, compileLexicon(entries), options).text
+
+describe('applyLexicon', () => {
+  test('replaces whole words case-insensitively', () => {
+    const entries = [{ match: 'nginx', replacement: 'engine x' }]
+
+    expect(apply('Nginx and NGINX, not nginxes', entries)).toBe('engine x and engine x, not nginxes')
+  })
+
+  test('honours caseSensitive', () => {
+    const entries = [{ match: 'US', replacement: 'United States', caseSensitive: true }]
+
+    expect(apply('The US told us', entries)).toBe('The United States told us')
+  })
+
+  test('expands regex captures in text replacements', () => {
+    const entries = [
+      { match: 'v(\\d+)\\.(\\d+)', replacement: 'version $1 point $2', regex: true },
+      { match: '(?<amount>\\d+)k\\b', replacement: '$<amount> thousand', regex: true }
+    ]
+
+    expect(apply('Upgrade to v2.10 for 5k users', entries)).toBe('Upgrade to version 2 point 10 for 5 thousand users')
+  })
+
+  test('wraps phoneme entries in inline phoneme spans that later entries leave alone', () => {
+    const entries = [
+      { match: 'Kokoro', replacement: 'kˈOkəɹO', type: 'phonemes' },
+      { match: 'kokoro', replacement: 'heart' }
+    ]
+
+    expect(apply('Kokoro speaks', entries)).toBe('[Kokoro](/kˈOkəɹO/) speaks')
+  })
+
+  test('emits phoneme spans the engine reads back as the original words', () => {
+    const entries = [{ match: 'gif', replacement: 'ɡɪf', type: 'phonemes' }]
+
+    expect(stripPhonemeMarkup(apply('A gif. Another GIF.', entries))).toBe('A gif. Another GIF.')
+  })
+
+  test('limits domain-scoped entries to their sites and subdomains', () => {
+    const entries = [{ match: 'PR', replacement: 'pull request', domains: ['github.com'] }]
+
+    expect(apply('Open a PR', entries, { hostname: 'gist.github.com' })).toBe('Open a pull request')
+    expect(apply('Open a PR', entries, { hostname: 'www.github.com' })).toBe('Open a pull request')
+    expect(apply('Open a PR', entries, { hostname: 'example.com' })).toBe('Open a PR')
+    expect(apply('Open a PR', entries)).toBe('Open a PR')
+  })
+
+  test('leaves SSML tags untouched', () => {
+    const entries = [{ match: 'voice', replacement: 'speaker' }]
+
+    expect(apply('<voice name="af_bella">One voice</voice>', entries, { ssml: true }))
+      .toBe('<voice name="af_bella">One speaker</voice>')
+  })
+
+  test('rejects invalid entries', () => {
+    expect(() => compileEntry({ match: '', replacement: 'x' })).toThrow('requires a match')
+    expect(() => compileEntry({ match: '(', replacement: 'x', regex: true })).toThrow('Invalid lexicon pattern')
+    expect(() => compileEntry({ match: 'a*', replacement: 'x', regex: true })).toThrow('matches empty text')
+    expect(() => compileEntry({ match: 'x', replacement: 'a/b', type: 'phonemes' })).toThrow('brackets or slashes')
+    expect(() => compileEntry({ match: 'x', replacement: 'y', type: 'ssml' })).toThrow('Invalid lexicon entry type')
+
+    expect(compileLexicon([{ match: '(', replacement: 'x', regex: true }, { match: 'a', replacement: 'b' }]))
+      .toHaveLength(1)
+  })
+})
+
+describe('TextNormalizer Plugin', () => {
+  let plugin
+  let mockEventBus
+  let mockPAL
+  let stored
+
+  beforeEach(async () => {
+    stored = [{ match: 'GIF', replacement: 'jif' }]
+
+    mockEventBus = {
+      subscribe: jest.fn(),
+      emit: jest.fn()
+    }
+    mockPAL = {
+      storage: {
+        get: jest.fn(async key => (key === LEXICON_STORAGE_KEY ? stored : undefined)),
+        set: jest.fn(async (key, value) => {
+          stored = value
+        })
+      }
+    }
+
+    plugin = new TextNormalizerPlugin()
+    await plugin.init(mockEventBus, mockPAL)
+  })
+
+  test('loads the stored lexicon on init', () => {
+    expect(mockPAL.storage.get).toHaveBeenCalledWith(LEXICON_STORAGE_KEY)
+    expect(plugin.getLexicon()).toEqual(stored)
+    expect(mockEventBus.subscribe).toHaveBeenCalledWith('text:normalize', expect.any(Function))
+  })
+
+  test('rewrites TTSEvent request text using the page URL', async () => {
+    stored = [
+      { match: 'GIF', replacement: 'jif' },
+      { match: 'k8s', replacement: 'kubernetes', domains: ['kubernetes.io'] }
+    ]
+
+    const event = {
+      request: { text: 'A GIF about k8s', options: {} },
+      metadata: { url: 'https://kubernetes.io/docs/' }
+    }
+    const result = await plugin.process(event, {})
+
+    expect(result.request.text).toBe('A jif about kubernetes')
+    expect(result.metadata.lexiconReplacements).toBe(2)
+    expect(result.metadata.processedBy).toContain('text-normalizer')
+  })
+
+  test('rewrites synthesis event data and skips SSML markup', async () => {
+    const event = {
+      type: 'tts:synthesize',
+      data: { text: '<speak>A GIF</speak>', format: 'ssml' }
+    }
+    const result = await plugin.process(event, {})
+
+    expect(result.data.text).toBe('<speak>A jif</speak>')
+  })
+
+  test('picks up lexicon edits made elsewhere on the next request', async () => {
+    stored = [{ match: 'GIF', replacement: 'graphics interchange format' }]
+
+    const result = await plugin.process({ request: { text: 'GIF' }, metadata: {} }, {})
+
+    expect(result.request.text).toBe('graphics interchange format')
+  })
+
+  test('saves a valid lexicon and announces it', async () => {
+    const entries = [{ match: 'SQL', replacement: 'sequel' }]
+
+    await plugin.saveLexicon(entries)
+
+    expect(mockPAL.storage.set).toHaveBeenCalledWith(LEXICON_STORAGE_KEY, entries)
+    expect(plugin.normalize('SQL').text).toBe('sequel')
+    expect(mockEventBus.emit).toHaveBeenCalledWith('lexicon:updated', expect.objectContaining({ entries }))
+  })
+
+  test('refuses to save an invalid lexicon', async () => {
+    await expect(plugin.saveLexicon([{ match: '(', replacement: 'x', regex: true }])).rejects.toThrow('Invalid lexicon pattern')
+
+    expect(mockPAL.storage.set).not.toHaveBeenCalled()
+    expect(plugin.normalize('GIF').text).toBe('jif')
+  })
+
+  test('keeps the current lexicon when storage fails', async () => {
+    mockPAL.storage.get.mockRejectedValueOnce(new Error('Storage provider not available: chrome'))
+    jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+    const result = await plugin.process({ request: { text: 'GIF' }, metadata: {} }, {})
+
+    expect(result.request.text).toBe('jif')
+    console.warn.mockRestore()
+  })
+})
@@ -22,6 +22,8 @@ export type ProgressStyle = 'bar' | 'circle' | 'minimal'
 
 export type ButtonState = 'play' | 'pause' | 'stop' | 'loading'
 
+export type HighlightMode = 'word' | 'sentence' | 'off'
+
 export interface Voice {
   id: string
   name: string
@@ -64,6 +66,8 @@ export interface PluginConfig {
   buttonAutoHideDelay?: number
   progressAutoHideDelay?: number
   enableAnimations?: boolean
+  highlightMode?: HighlightMode
+  highlightScroll?: boolean
 }
 
 export default class UIRendererPlugin {
@@ -115,6 +119,11 @@ export default class UIRendererPlugin {
    */
   setButtonState(state: ButtonState): void
 
+  /**
+   * Set how spoken text is highlighted in the page
+   */
+  setHighlightMode(mode: HighlightMode): void
+
   /**
    * Cleanup plugin resources
    */
@@ -14,6 +14,7 @@ class ControlPanel {
     this.defaultSpeed = config.defaultSpeed || 1.0
     this.defaultVolume = config.defaultVolume || 100
     this.position = config.position || 'bottom-right'
+    this.exportFormat = config.exportFormat || 'wav'
 
     // State
     this.container = null
@@ -33,6 +34,7 @@ class ControlPanel {
     this.pauseButton = null
     this.stopButton = null
     this.resumeButton = null
+    this.saveButton = null
     this.voiceSelect = null
     this.speedSlider = null
     this.speedValue = null
@@ -46,6 +48,7 @@ class ControlPanel {
     this.onPauseClick = null
     this.onStopClick = null
     this.onResumeClick = null
+    this.onSaveClick = null
     this.onVoiceChange = null
     this.onSpeedChange = null
     this.onVolumeChange = null
@@ -56,7 +59,7 @@ class ControlPanel {
    * @param {Object} options - Render options
    * @param {Array} [options.voices] - Available voices
    * @param {string} [options.currentVoice] - Current voice ID
-   * @param {number} [options.currentSpeed] - Current speed (0.5-3.0)
+   * @param {number} [options.currentSpeed] - Current speed (0.5-4.0)
    * @param {number} [options.currentVolume] - Current volume (0-100)
    * @param {boolean} [options.minimized] - Panel minimized state
    * @returns {Promise<number>} Render time in milliseconds
@@ -125,6 +128,10 @@ class ControlPanel {
       // Trigger slide-in animation
       if (this.enableAnimations) {
         requestAnimationFrame(() => {
+          // Destroyed before the frame ran
+          if (!this.container) {
+            return
+          }
           this.container.style.transform = 'translateX(0)'
           this.container.style.opacity = '1'
         })
@@ -155,6 +162,9 @@ class ControlPanel {
       // Hide after animation
       const delay = this.enableAnimations ? 300 : 0
       setTimeout(() => {
+        if (!this.container) {
+          return
+        }
         this.container.style.display = 'none'
         this.isVisible = false
       }, delay)
@@ -196,6 +206,40 @@ class ControlPanel {
     }
   }
 
+  /**
+   * Replace the voice list, keeping the current voice selected when it is still listed
+   * @param {Array} voices - Voice list (voices with custom: true are grouped separately)
+   */
+  setVoices(voices) {
+    try {
+      if (!Array.isArray(voices)) {
+        return
+      }
+
+      this._populateVoices(voices)
+      if (this.voiceSelect) {
+        this.voiceSelect.value = this.currentVoice
+      }
+    } catch (error) {
+      console.error('Error updating voices:', error)
+    }
+  }
+
+  /**
+   * Show the playback speed set elsewhere (keyboard shortcut, another tab) without firing onSpeedChange
+   * @param {number} speed - Playback speed (0.5-4.0)
+   */
+  setSpeed(speed) {
+    this.currentSpeed = speed
+    if (this.speedSlider) {
+      this.speedSlider.value = speed.toString()
+      this.speedSlider.setAttribute('aria-valuetext', `${speed.toFixed(1)}x`)
+    }
+    if (this.speedValue) {
+      this.speedValue.textContent = `${speed.toFixed(1)}x`
+    }
+  }
+
   /**
    * Cleanup control panel resources
    */
@@ -217,6 +261,7 @@ class ControlPanel {
       this.onPauseClick = null
       this.onStopClick = null
       this.onResumeClick = null
+      this.onSaveClick = null
       this.onVoiceChange = null
       this.onSpeedChange = null
       this.onVolumeChange = null
@@ -325,11 +370,14 @@ class ControlPanel {
     this.pauseButton = this._createButton('pause', 'Pause', this._handlePauseClick.bind(this))
     this.stopButton = this._createButton('stop', 'Stop', this._handleStopClick.bind(this))
     this.resumeButton = this._createButton('resume', 'Resume', this._handleResumeClick.bind(this))
+    this.saveButton = this._createButton('save', 'Save audio', this._handleSaveClick.bind(this))
+    this.saveButton.setAttribute('aria-label', 'Save text-to-speech audio')
 
     controlsContainer.appendChild(this.playButton)
     controlsContainer.appendChild(this.pauseButton)
     controlsContainer.appendChild(this.stopButton)
     controlsContainer.appendChild(this.resumeButton)
+    controlsContainer.appendChild(this.saveButton)
 
     // Create voice selector
     const voiceContainer = document.createElement('div')
@@ -360,7 +408,7 @@ class ControlPanel {
     this.speedSlider.id = 'speed-slider'
     this.speedSlider.type = 'range'
     this.speedSlider.min = '0.5'
-    this.speedSlider.max = '3.0'
+    this.speedSlider.max = '4.0'
     this.speedSlider.step = '0.1'
     this.speedSlider.value = this.currentSpeed.toString()
     this.speedSlider.className = 'slider'
@@ -440,7 +488,8 @@ class ControlPanel {
       play: '<path d="M8 5v14l11-7z"/>',
       pause: '<path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z"/>',
       stop: '<path d="M6 6h12v12H6z"/>',
-      resume: '<path d="M8 5v14l11-7z"/>'
+      resume: '<path d="M8 5v14l11-7z"/>',
+      save: '<path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>'
     }
 
     button.innerHTML = `
@@ -549,7 +598,7 @@ class ControlPanel {
 
       .controls-container {
         display: grid;
-        grid-template-columns: repeat(4, 1fr);
+        grid-template-columns: repeat(5, 1fr);
         gap: 8px;
         margin-bottom: 16px;
       }
@@ -731,6 +780,9 @@ class ControlPanel {
     // Clear existing options
     this.voiceSelect.innerHTML = ''
 
+    // Custom voices (saved voice mixes) go in their own group after the built-in ones
+    let customGroup = null
+
     // Add voice options
     voices.forEach(voice => {
       const option = document.createElement('option')
@@ -742,7 +794,17 @@ class ControlPanel {
       if (voice.id === this.currentVoice) {
         option.selected = true
       }
-      this.voiceSelect.appendChild(option)
+
+      if (voice.custom) {
+        if (!customGroup) {
+          customGroup = document.createElement('optgroup')
+          customGroup.label = 'Custom voices'
+          this.voiceSelect.appendChild(customGroup)
+        }
+        customGroup.appendChild(option)
+      } else {
+        this.voiceSelect.appendChild(option)
+      }
     })
   }
 
@@ -849,6 +911,16 @@ class ControlPanel {
     }
   }
 
+  /**
+   * Handle save audio button click
+   * @private
+   */
+  _handleSaveClick() {
+    if (this.onSaveClick) {
+      this.onSaveClick(this.exportFormat)
+    }
+  }
+
   /**
    * Validate voice ID against known voices
    * @param {string} voiceId - Voice ID to validate
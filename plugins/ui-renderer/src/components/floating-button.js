@@ -106,6 +106,10 @@ class FloatingButton {
       // Trigger fade-in animation
       if (this.enableAnimations) {
         requestAnimationFrame(() => {
+          // Destroyed before the frame ran
+          if (!this.container) {
+            return
+          }
           this.container.style.opacity = '1'
         })
       } else {
@@ -133,6 +137,9 @@ class FloatingButton {
       // Hide after fade
       const delay = this.enableAnimations ? this.fadeOutDuration : 0
       setTimeout(() => {
+        if (!this.container) {
+          return
+        }
         this.container.style.display = 'none'
         this.isVisible = false
       }, delay)
@@ -0,0 +1,309 @@
+/**
+ * @module Highlighter
+ * @description Highlights the spoken word and sentence in the page using the CSS Custom Highlight API
+ */
+
+const WORD_HIGHLIGHT = 'kokoro-tts-word'
+const SENTENCE_HIGHLIGHT = 'kokoro-tts-sentence'
+const STYLE_ELEMENT_ID = 'kokoro-tts-highlight-styles'
+
+// A word found further than this past the previous one is treated as a mismatch
+const MAX_WORD_GAP = 200
+
+/**
+ * @typedef {Object} HighlightEntry
+ * @property {number} start - Start time in the stream (seconds)
+ * @property {number} end - End time in the stream (seconds)
+ * @property {{start: number, end: number}} span - Word span in the source map
+ * @property {string} sentenceKey - Key into the sentence span map
+ */
+
+class Highlighter {
+  constructor(config = {}) {
+    this.config = config
+
+    // Configuration
+    this.mode = config.mode || 'word' // 'word' | 'sentence' | 'off'
+    this.scrollIntoView = config.scrollIntoView !== false
+    this.wordColor = config.wordColor || 'rgba(66, 133, 244, 0.45)'
+    this.sentenceColor = config.sentenceColor || 'rgba(66, 133, 244, 0.12)'
+
+    // State
+    this.sourceMap = null
+    this.streamId = null
+    this.cursor = 0
+    this.entries = []
+    this.sentences = new Map()
+    this.currentEntry = null
+    this.styleElement = null
+  }
+
+  /**
+   * Whether the browser supports the CSS Custom Highlight API
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof CSS !== 'undefined' && !!CSS.highlights && typeof globalThis.Highlight === 'function'
+  }
+
+  /**
+   * Set the page text the upcoming speech was extracted from
+   * @param {Object} sourceMap - SourceMap from the content extractor
+   */
+  setSource(sourceMap) {
+    this.reset()
+    this.sourceMap = sourceMap
+  }
+
+  /**
+   * Add word timings for a synthesized chunk
+   * @param {Object} timing - tts:timing payload
+   * @param {string} timing.streamId - Stream identifier
+   * @param {number} timing.chunkIndex - Chunk position in the stream
+   * @param {number} timing.startTime - Chunk start within the stream (seconds)
+   * @param {string} timing.text - Chunk text
+   * @param {Array} timing.words - Word timings relative to the chunk
+   * @returns {number} Number of words mapped to the page
+   */
+  addTiming(timing) {
+    try {
+      if (!this.sourceMap || !timing || !Array.isArray(timing.words)) {
+        return 0
+      }
+
+      if (timing.streamId !== this.streamId) {
+        this._resetTimings()
+        this.streamId = timing.streamId
+      }
+
+      // Anchor the chunk first so repeated words can't pull the mapping elsewhere
+      const anchor = this.sourceMap.find(timing.text || '', this.cursor)
+      const limit = anchor ? anchor.end : Infinity
+      let from = anchor ? anchor.start : this.cursor
+      let mapped = 0
+
+      for (const word of timing.words) {
+        const span = this.sourceMap.find(word.text, from)
+        if (!span || span.end > limit || (mapped > 0 && span.start - from > MAX_WORD_GAP)) {
+          continue
+        }
+
+        const sentenceKey = `${timing.chunkIndex}:${word.sentenceIndex || 0}`
+        const sentence = this.sentences.get(sentenceKey)
+        this.sentences.set(sentenceKey, sentence
+          ? { start: Math.min(sentence.start, span.start), end: Math.max(sentence.end, span.end) }
+          : { ...span })
+
+        this._insertEntry({
+          start: timing.startTime + word.start,
+          end: timing.startTime + word.end,
+          span,
+          sentenceKey
+        })
+
+        from = span.end
+        mapped++
+      }
+
+      this.cursor = Math.max(this.cursor, from)
+      return mapped
+    } catch (error) {
+      console.error('Error adding highlight timing:', error)
+      return 0
+    }
+  }
+
+  /**
+   * Move the highlight to the word playing at a position
+   * @param {number} position - Playback position in the stream (seconds)
+   */
+  update(position) {
+    try {
+      if (this.mode === 'off' || this.entries.length === 0 || !Highlighter.isSupported()) {
+        return
+      }
+
+      const entry = this._entryAt(position)
+      if (!entry || entry === this.currentEntry) {
+        return
+      }
+      this.currentEntry = entry
+
+      this._ensureStyles()
+
+      const sentence = this.sentences.get(entry.sentenceKey)
+      const sentenceRange = sentence ? this.sourceMap.toRange(sentence.start, sentence.end) : null
+      const wordRange = this.sourceMap.toRange(entry.span.start, entry.span.end)
+
+      this._setHighlight(SENTENCE_HIGHLIGHT, sentenceRange)
+      this._setHighlight(WORD_HIGHLIGHT, this.mode === 'word' ? wordRange : null)
+
+      if (this.scrollIntoView) {
+        this._scrollToRange(wordRange || sentenceRange)
+      }
+    } catch (error) {
+      console.error('Error updating highlight:', error)
+    }
+  }
+
+  /**
+   * Set highlight mode
+   * @param {'word'|'sentence'|'off'} mode - Highlight mode
+   */
+  setMode(mode) {
+    if (!['word', 'sentence', 'off'].includes(mode)) {
+      throw new Error(`Invalid highlight mode: ${mode}`)
+    }
+    this.mode = mode
+    this.clear()
+  }
+
+  /**
+   * Remove highlights from the page, keeping timings
+   */
+  clear() {
+    this.currentEntry = null
+    if (Highlighter.isSupported()) {
+      CSS.highlights.delete(WORD_HIGHLIGHT)
+      CSS.highlights.delete(SENTENCE_HIGHLIGHT)
+    }
+  }
+
+  /**
+   * Remove highlights and forget the current source and timings
+   */
+  reset() {
+    this.clear()
+    this.sourceMap = null
+    this._resetTimings()
+  }
+
+  /**
+   * Cleanup highlighter
+   */
+  cleanup() {
+    try {
+      this.reset()
+
+      if (this.styleElement && this.styleElement.parentNode) {
+        this.styleElement.parentNode.removeChild(this.styleElement)
+      }
+      this.styleElement = null
+    } catch (error) {
+      console.error('Error cleaning up highlighter:', error)
+    }
+  }
+
+  // Private methods
+
+  /**
+   * @private
+   */
+  _resetTimings() {
+    this.streamId = null
+    this.cursor = 0
+    this.entries = []
+    this.sentences = new Map()
+    this.currentEntry = null
+  }
+
+  /**
+   * Insert keeping entries sorted by start time
+   * @param {HighlightEntry} entry - Entry to insert
+   * @private
+   */
+  _insertEntry(entry) {
+    let index = this.entries.length
+    while (index > 0 && this.entries[index - 1].start > entry.start) {
+      index--
+    }
+    this.entries.splice(index, 0, entry)
+  }
+
+  /**
+   * Last entry starting at or before a position
+   * @param {number} position - Stream position (seconds)
+   * @returns {HighlightEntry|null}
+   * @private
+   */
+  _entryAt(position) {
+    let low = 0
+    let high = this.entries.length - 1
+    let found = null
+
+    while (low <= high) {
+      const mid = (low + high) >> 1
+      if (this.entries[mid].start <= position) {
+        found = this.entries[mid]
+        low = mid + 1
+      } else {
+        high = mid - 1
+      }
+    }
+
+    return found
+  }
+
+  /**
+   * @param {string} name - Highlight registry name
+   * @param {Range|null} range - Range to highlight, or null to clear
+   * @private
+   */
+  _setHighlight(name, range) {
+    if (range) {
+      CSS.highlights.set(name, new globalThis.Highlight(range))
+    } else {
+      CSS.highlights.delete(name)
+    }
+  }
+
+  /**
+   * Scroll the range into view if it is outside the viewport
+   * @param {Range|null} range - Range to reveal
+   * @private
+   */
+  _scrollToRange(range) {
+    if (!range) {
+      return
+    }
+
+    const rect = range.getBoundingClientRect()
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight
+    if (rect.top >= 0 && rect.bottom <= viewportHeight) {
+      return
+    }
+
+    const element = range.startContainer.parentElement
+    if (element) {
+      element.scrollIntoView({ block: 'center', behavior: 'smooth' })
+    }
+  }
+
+  /**
+   * Add ::highlight() rules to the page - highlights paint page text, so they can't live in a shadow root
+   * @private
+   */
+  _ensureStyles() {
+    if (this.styleElement && this.styleElement.isConnected) {
+      return
+    }
+
+    this.styleElement = document.getElementById(STYLE_ELEMENT_ID) || document.createElement('style')
+    this.styleElement.id = STYLE_ELEMENT_ID
+    this.styleElement.textContent = `
+      ::highlight(${SENTENCE_HIGHLIGHT}) {
+        background-color: ${this.sentenceColor};
+      }
+
+      ::highlight(${WORD_HIGHLIGHT}) {
+        background-color: ${this.wordColor};
+      }
+    `
+
+    if (!this.styleElement.isConnected) {
+      (document.head || document.documentElement).appendChild(this.styleElement)
+    }
+  }
+}
+
+export default Highlighter
@@ -117,6 +117,10 @@ class ProgressBar {
         void this.container.offsetWidth
 
         requestAnimationFrame(() => {
+          // Destroyed before the frame ran
+          if (!this.container) {
+            return
+          }
           this.container.style.opacity = '1'
         })
       } else {
@@ -144,6 +148,9 @@ class ProgressBar {
       // Hide after fade
       const delay = this.enableAnimations ? this.fadeOutDuration : 0
       setTimeout(() => {
+        if (!this.container) {
+          return
+        }
         this.container.style.display = 'none'
         this.isVisible = false
 
@@ -425,7 +432,9 @@ class ProgressBar {
     if (this.enableAnimations) {
       this.progressLabel.style.transform = 'translateY(-2px)'
       setTimeout(() => {
-        this.progressLabel.style.transform = 'translateY(0)'
+        if (this.progressLabel) {
+          this.progressLabel.style.transform = 'translateY(0)'
+        }
       }, 200)
     }
   }
@@ -6,6 +6,7 @@
 import FloatingButton from './components/floating-button.js'
 import ProgressBar from './components/progress-bar.js'
 import ControlPanel from './components/control-panel.js'
+import Highlighter from './components/highlighter.js'
 
 /**
  * @typedef {Object} Position
@@ -58,6 +59,7 @@ class UIRendererPlugin {
     this.floatingButton = null
     this.progressBar = null
     this.controlPanel = null
+    this.highlighter = null
 
     // Component tracking
     this.components = new Map()
@@ -69,6 +71,7 @@ class UIRendererPlugin {
     this.buttonAutoHideDelay = config.buttonAutoHideDelay || 10000
     this.progressAutoHideDelay = config.progressAutoHideDelay || 2000
     this.enableAnimations = config.enableAnimations !== false
+    this.highlightMode = config.highlightMode || 'word'
 
     // State tracking
     this.currentButtonState = 'play'
@@ -110,7 +113,13 @@ class UIRendererPlugin {
 
       this.controlPanel = new ControlPanel({
         theme: this.defaultTheme,
-        enableAnimations: this.enableAnimations
+        enableAnimations: this.enableAnimations,
+        exportFormat: this.config.exportFormat
+      })
+
+      this.highlighter = new Highlighter({
+        mode: this.highlightMode,
+        scrollIntoView: this.config.highlightScroll
       })
 
       // Set up component event handlers
@@ -129,6 +138,21 @@ class UIRendererPlugin {
       this.eventBus.subscribe('ui:speed-change', this._handleSpeedChange.bind(this))
       this.eventBus.subscribe('ui:volume-change', this._handleVolumeChange.bind(this))
 
+      // Subscribe to playback highlighting events
+      this.eventBus.subscribe('highlight:source', this._handleHighlightSource.bind(this))
+      this.eventBus.subscribe('tts:timing', this._handleTiming.bind(this))
+      this.eventBus.subscribe('audio:positionUpdate', this._handlePositionUpdate.bind(this))
+      this.eventBus.subscribe('audio:seeked', this._handlePositionUpdate.bind(this))
+      this.eventBus.subscribe('audio:playbackCompleted', this._handlePlaybackEnded.bind(this))
+      this.eventBus.subscribe('audio:playbackStopped', this._handlePlaybackEnded.bind(this))
+      this.eventBus.subscribe('audio:streamCancelled', this._handlePlaybackEnded.bind(this))
+
+      // Transport state from the background (control panel, popup or keyboard shortcut)
+      this.eventBus.subscribe('playback:state', this._handlePlaybackState.bind(this))
+
+      // Custom voices saved or deleted in the engine
+      this.eventBus.subscribe('tts:voicesChanged', this._handleVoicesChanged.bind(this))
+
       console.log(`${this.name} v${this.version} initialized at stage: ${this.stage}`)
       return true
     } catch (error) {
@@ -164,6 +188,10 @@ class UIRendererPlugin {
       this.eventBus.emit('ui:resume', { source: 'control-panel' })
     }
 
+    this.controlPanel.onSaveClick = (format) => {
+      this.eventBus.emit('ui:save-audio', { format, source: 'control-panel' })
+    }
+
     this.controlPanel.onVoiceChange = (voiceId) => {
       this.eventBus.emit('ui:voice-change', { voiceId, source: 'control-panel' })
     }
@@ -208,9 +236,6 @@ class UIRendererPlugin {
       const progress = event.progress || 0
       const message = event.progressMessage || event.message || 'Processing...'
 
-      this.currentProgress = progress
-      this.currentProgressMessage = message
-
       await this.updateProgress(progress, message)
     } catch (error) {
       console.error('Error handling progress:', error)
@@ -311,7 +336,7 @@ class UIRendererPlugin {
    * @private
    */
   async _handleSpeedChange(event) {
-    // Speed changes will be handled by the synthesis plugin
+    // Playback speed is applied live by the audio plugin (the content script forwards the event)
     // This method exists for future extensibility
   }
 
@@ -325,6 +350,91 @@ class UIRendererPlugin {
     // This method exists for future extensibility
   }
 
+  /**
+   * Handle the page source of the text about to be spoken
+   * @param {Object} event - highlight:source event
+   * @private
+   */
+  _handleHighlightSource(event) {
+    if (this.highlighter && event?.sourceMap) {
+      this.highlighter.setSource(event.sourceMap)
+    }
+  }
+
+  /**
+   * Handle word timings for a synthesized chunk
+   * @param {Object} event - tts:timing event
+   * @private
+   */
+  _handleTiming(event) {
+    if (this.highlighter) {
+      this.highlighter.addTiming(event)
+    }
+  }
+
+  /**
+   * Handle playback position updates
+   * @param {Object} event - Position update event
+   * @private
+   */
+  _handlePositionUpdate(event) {
+    if (this.highlighter && typeof event?.position === 'number') {
+      this.highlighter.update(event.position)
+    }
+  }
+
+  /**
+   * Handle playback ending, by completion or stop
+   * @private
+   */
+  _handlePlaybackEnded() {
+    if (this.highlighter) {
+      this.highlighter.clear()
+    }
+  }
+
+  /**
+   * Refresh the control panel's voice list
+   * @param {Object} event - tts:voicesChanged event
+   * @param {Array} event.voices - Built-in and custom voices
+   * @private
+   */
+  _handleVoicesChanged(event) {
+    if (this.controlPanel && Array.isArray(event?.voices)) {
+      this.controlPanel.setVoices(event.voices)
+    }
+  }
+
+  /**
+   * Reflect the background's playback state after a transport command
+   * @param {Object} state - Playback state
+   * @param {'idle'|'playing'|'paused'|'stopped'} state.status - Playback status
+   * @private
+   */
+  _handlePlaybackState(state) {
+    try {
+      if (!state) {
+        return
+      }
+
+      this.setButtonState(state.status === 'playing' ? 'pause' : 'play')
+
+      if (this.controlPanel) {
+        const labels = { playing: 'Playing', paused: 'Paused', stopped: 'Stopped', idle: 'Ready' }
+        this.controlPanel.updateStatus(labels[state.status] || state.status)
+        if (typeof state.speed === 'number' && state.speed !== this.controlPanel.currentSpeed) {
+          this.controlPanel.setSpeed(state.speed)
+        }
+      }
+
+      if (state.status === 'stopped' || state.status === 'idle') {
+        this._handlePlaybackEnded()
+      }
+    } catch (error) {
+      console.error('Error handling playback state:', error)
+    }
+  }
+
   /**
    * Calculate button position relative to selection
    * @param {Object} selection - Selection object
@@ -440,6 +550,9 @@ class UIRendererPlugin {
    */
   async updateProgress(value, message) {
     try {
+      this.currentProgress = value
+      this.currentProgressMessage = message
+
       if (!this.components.has('progress-bar')) {
         // Render progress bar if not already visible
         await this.renderProgress({
@@ -467,6 +580,17 @@ class UIRendererPlugin {
     }
   }
 
+  /**
+   * Set highlight mode
+   * @param {'word'|'sentence'|'off'} mode - Highlight mode
+   */
+  setHighlightMode(mode) {
+    if (this.highlighter) {
+      this.highlighter.setMode(mode)
+    }
+    this.highlightMode = mode
+  }
+
   /**
    * Get plugin capabilities
    * @returns {Object}
@@ -475,6 +599,7 @@ class UIRendererPlugin {
     return {
       supportsShadowDOM: true,
       supportsAnimations: this.enableAnimations,
+      supportsHighlighting: Highlighter.isSupported(),
       components: ['floating-button', 'progress-bar', 'control-panel'],
       themes: ['default', 'dark', 'light', 'minimal'],
       sizes: ['small', 'medium', 'large']
@@ -494,6 +619,10 @@ class UIRendererPlugin {
         }
       }
 
+      if (this.highlighter) {
+        this.highlighter.cleanup()
+      }
+
       // Clear tracking
       this.components.clear()
       this.activeComponents.clear()
@@ -0,0 +1,173 @@
+/**
+ * Unit Tests for playback highlighting
+ */
+
+import Highlighter from '../src/components/highlighter.js'
+
+// Source map over a plain string - ranges record the span they cover
+const createSourceMap = (text) => ({
+  text,
+  find(fragment, fromIndex = 0) {
+    const start = text.indexOf(fragment.trim(), fromIndex)
+    return start === -1 ? null : { start, end: start + fragment.trim().length }
+  },
+  toRange: jest.fn((start, end) => ({
+    text: text.slice(start, end),
+    startContainer: { parentElement: { scrollIntoView: jest.fn() } },
+    getBoundingClientRect: () => ({ top: 10, bottom: 30 })
+  }))
+})
+
+const words = (...entries) => entries.map(([text, start, end, sentenceIndex = 0]) => ({
+  text, start, end, sentenceIndex
+}))
+
+describe('Highlighter', () => {
+  let highlighter
+  let registry
+
+  beforeEach(() => {
+    registry = new Map()
+    global.CSS = { highlights: registry }
+    global.Highlight = jest.fn(function (range) {
+      this.range = range
+    })
+    highlighter = new Highlighter({ scrollIntoView: false })
+  })
+
+  afterEach(() => {
+    highlighter.cleanup()
+    delete global.CSS
+    delete global.Highlight
+  })
+
+  const highlighted = (name) => registry.get(name)?.range.text
+
+  test('highlights the word and sentence playing at a position', () => {
+    highlighter.setSource(createSourceMap('One two. Three four.'))
+    highlighter.addTiming({
+      streamId: 's1',
+      chunkIndex: 0,
+      startTime: 0,
+      text: 'One two. Three four.',
+      words: words(['One', 0, 0.2], ['two.', 0.2, 0.4], ['Three', 0.6, 0.8, 1], ['four.', 0.8, 1, 1])
+    })
+
+    highlighter.update(0.3)
+    expect(highlighted('kokoro-tts-word')).toBe('two.')
+    expect(highlighted('kokoro-tts-sentence')).toBe('One two.')
+
+    highlighter.update(0.85)
+    expect(highlighted('kokoro-tts-word')).toBe('four.')
+    expect(highlighted('kokoro-tts-sentence')).toBe('Three four.')
+    expect(document.getElementById('kokoro-tts-highlight-styles')).not.toBeNull()
+  })
+
+  test('offsets chunk timings by the chunk start time', () => {
+    highlighter.setSource(createSourceMap('Alpha beta gamma delta'))
+    highlighter.addTiming({
+      streamId: 's1', chunkIndex: 0, startTime: 0, text: 'Alpha beta', words: words(['Alpha', 0, 0.5], ['beta', 0.5, 1])
+    })
+    highlighter.addTiming({
+      streamId: 's1', chunkIndex: 1, startTime: 1, text: 'gamma delta', words: words(['gamma', 0, 0.5], ['delta', 0.5, 1])
+    })
+
+    highlighter.update(1.6)
+
+    expect(highlighted('kokoro-tts-word')).toBe('delta')
+  })
+
+  test('maps repeated words in reading order', () => {
+    const sourceMap = createSourceMap('the end and the start')
+    highlighter.setSource(sourceMap)
+
+    const mapped = highlighter.addTiming({
+      streamId: 's1',
+      chunkIndex: 0,
+      startTime: 0,
+      text: 'the end and the start',
+      words: words(['the', 0, 0.1], ['end', 0.1, 0.2], ['and', 0.2, 0.3], ['the', 0.3, 0.4], ['start', 0.4, 0.5])
+    })
+
+    expect(mapped).toBe(5)
+    highlighter.update(0.35)
+    expect(sourceMap.toRange).toHaveBeenLastCalledWith(12, 15)
+  })
+
+  test('skips words that are not in the page text', () => {
+    highlighter.setSource(createSourceMap('Plain text here'))
+
+    const mapped = highlighter.addTiming({
+      streamId: 's1', chunkIndex: 0, startTime: 0, text: 'Plain words here', words: words(['Plain', 0, 1], ['words', 1, 2], ['here', 2, 3])
+    })
+
+    expect(mapped).toBe(2)
+  })
+
+  test('highlights sentences only in sentence mode', () => {
+    highlighter.setSource(createSourceMap('Just one sentence.'))
+    highlighter.setMode('sentence')
+    highlighter.addTiming({
+      streamId: 's1', chunkIndex: 0, startTime: 0, text: 'Just one sentence.', words: words(['Just', 0, 1], ['one', 1, 2])
+    })
+
+    highlighter.update(1.5)
+
+    expect(registry.has('kokoro-tts-word')).toBe(false)
+    expect(highlighted('kokoro-tts-sentence')).toBe('Just one')
+  })
+
+  test('does nothing when turned off and rejects unknown modes', () => {
+    highlighter.setSource(createSourceMap('Quiet please'))
+    highlighter.setMode('off')
+    highlighter.addTiming({
+      streamId: 's1', chunkIndex: 0, startTime: 0, text: 'Quiet please', words: words(['Quiet', 0, 1])
+    })
+
+    highlighter.update(0.5)
+
+    expect(registry.size).toBe(0)
+    expect(() => highlighter.setMode('letter')).toThrow('Invalid highlight mode')
+  })
+
+  test('clears highlights and drops timings from a previous stream', () => {
+    highlighter.setSource(createSourceMap('First pass'))
+    highlighter.addTiming({
+      streamId: 's1', chunkIndex: 0, startTime: 0, text: 'First pass', words: words(['First', 0, 1])
+    })
+    highlighter.update(0.5)
+    expect(registry.size).toBe(2)
+
+    highlighter.clear()
+    expect(registry.size).toBe(0)
+
+    highlighter.addTiming({
+      streamId: 's2', chunkIndex: 0, startTime: 0, text: 'pass', words: words(['pass', 0, 1])
+    })
+    expect(highlighter.entries).toHaveLength(1)
+  })
+
+  test('scrolls offscreen words into view', () => {
+    const sourceMap = createSourceMap('Far below')
+    const scrollIntoView = jest.fn()
+    sourceMap.toRange.mockImplementation(() => ({
+      startContainer: { parentElement: { scrollIntoView } },
+      getBoundingClientRect: () => ({ top: 5000, bottom: 5020 })
+    }))
+
+    highlighter = new Highlighter()
+    highlighter.setSource(sourceMap)
+    highlighter.addTiming({
+      streamId: 's1', chunkIndex: 0, startTime: 0, text: 'Far below', words: words(['Far', 0, 1])
+    })
+    highlighter.update(0.5)
+
+    expect(scrollIntoView).toHaveBeenCalledWith({ block: 'center', behavior: 'smooth' })
+  })
+
+  test('reports support for the Custom Highlight API', () => {
+    expect(Highlighter.isSupported()).toBe(true)
+    delete global.CSS
+    expect(Highlighter.isSupported()).toBe(false)
+  })
+})
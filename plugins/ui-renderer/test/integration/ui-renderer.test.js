@@ -22,7 +22,8 @@ class MockEventBus {
   emit(eventName, data) {
     this.emittedEvents.push({ eventName, data, timestamp: Date.now() })
     const handlers = this.events.get(eventName) || []
-    handlers.forEach(handler => handler(data))
+    // Resolves once async handlers have finished
+    return Promise.all(handlers.map(handler => handler(data)))
   }
 
   getEmittedEvents(eventName) {
@@ -147,7 +148,7 @@ describe('UIRenderer Plugin Integration Tests', () => {
       const startTime = performance.now()
 
       // Emit selection detected event
-      eventBus.emit('selection:detected', {
+      await eventBus.emit('selection:detected', {
         selection: {
           text: 'Hello world, this is a test.',
           rect: {
@@ -173,7 +174,7 @@ describe('UIRenderer Plugin Integration Tests', () => {
 
     test('should handle viewport boundary edge cases', async () => {
       // Test selection near right edge
-      eventBus.emit('selection:detected', {
+      await eventBus.emit('selection:detected', {
         selection: {
           text: 'Test',
           rect: {
@@ -190,7 +191,7 @@ describe('UIRenderer Plugin Integration Tests', () => {
       expect(plugin.components.has('floating-button')).toBe(true)
 
       // Test selection near bottom edge
-      eventBus.emit('selection:detected', {
+      await eventBus.emit('selection:detected', {
         selection: {
           text: 'Test',
           rect: {
@@ -336,6 +337,23 @@ describe('UIRenderer Plugin Integration Tests', () => {
       expect(eventBus.getEmittedEvents('ui:stop').length).toBeGreaterThan(0)
     })
 
+    test('should emit save audio event with the export format', async () => {
+      await plugin.renderControlPanel({
+        voices: [],
+        currentVoice: 'af_bella',
+        currentSpeed: 1.0,
+        currentVolume: 100
+      })
+
+      eventBus.clearEmittedEvents()
+
+      plugin.controlPanel.saveButton.click()
+
+      const events = eventBus.getEmittedEvents('ui:save-audio')
+      expect(events.length).toBe(1)
+      expect(events[0].data).toEqual({ format: 'wav', source: 'control-panel' })
+    })
+
     test('should emit voice change event', async () => {
       await plugin.renderControlPanel({
         voices: [
@@ -359,6 +377,29 @@ describe('UIRenderer Plugin Integration Tests', () => {
       expect(voiceChangeEvents[0].data.voiceId).toBe('af_nicole')
     })
 
+    test('should list custom voices in their own group on tts:voicesChanged', async () => {
+      await plugin.renderControlPanel({
+        voices: [{ id: 'af_bella', name: 'Bella', gender: 'Female' }],
+        currentVoice: 'af_bella',
+        currentSpeed: 1.0,
+        currentVolume: 100
+      })
+
+      eventBus.emit('tts:voicesChanged', {
+        voices: [
+          { id: 'af_bella', name: 'Bella', gender: 'Female' },
+          { id: 'narrator', name: 'Narrator', gender: 'Mixed', custom: true }
+        ]
+      })
+
+      const select = plugin.controlPanel.voiceSelect
+      const group = select.querySelector('optgroup')
+      expect(Array.from(select.options).map(option => option.value)).toEqual(['af_bella', 'narrator'])
+      expect(group.label).toBe('Custom voices')
+      expect(group.querySelector('option').value).toBe('narrator')
+      expect(select.value).toBe('af_bella')
+    })
+
     test('should emit speed change event', async () => {
       await plugin.renderControlPanel({
         voices: [],
@@ -402,7 +443,7 @@ describe('UIRenderer Plugin Integration Tests', () => {
       expect(plugin.panelVisible).toBe(true)
 
       // Then complete
-      eventBus.emit('tts:completed', {
+      await eventBus.emit('tts:completed', {
         sessionId: 'test-session-1'
       })
 
@@ -413,7 +454,7 @@ describe('UIRenderer Plugin Integration Tests', () => {
     })
 
     test('should display error message on tts:error event', async () => {
-      eventBus.emit('tts:error', {
+      await eventBus.emit('tts:error', {
         sessionId: 'test-session-1',
         error: {
           message: 'Synthesis failed'
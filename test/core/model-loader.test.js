@@ -0,0 +1,76 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * ModelLoader variant tests
+ * Tests one stored model per precision under MODEL_CONFIG
+ */
+
+import { ModelLoader, MODEL_CONFIG, getModelIdForDtype } from '../../core/model-loader.js'
+import { IndexedDBWrapper } from '../../platform/storage/indexeddb-wrapper.js'
+
+// Mock IndexedDB
+import 'fake-indexeddb/auto'
+
+describe('ModelLoader variants', () => {
+  let storage
+  let modelLoader
+
+  beforeEach(async () => {
+    storage = new IndexedDBWrapper()
+    await storage.init()
+    for (const modelId of Object.keys(MODEL_CONFIG)) {
+      await storage.deleteModel(modelId)
+    }
+    modelLoader = new ModelLoader(storage)
+  })
+
+  afterEach(() => {
+    storage.close()
+  })
+
+  test('should have one variant per precision', () => {
+    expect(getModelIdForDtype('fp32')).toBe('kokoro-82M')
+    expect(getModelIdForDtype('q8')).toBe('kokoro-82M-q8')
+    expect(getModelIdForDtype('q4f16')).toBe('kokoro-82M-q4f16')
+    expect(() => getModelIdForDtype('int2')).toThrow('No model variant for precision: int2')
+  })
+
+  test('should list stored and missing variants', async () => {
+    await storage.storeModel('kokoro-82M-q8', new ArrayBuffer(64))
+
+    const variants = await modelLoader.listModelVariants()
+
+    expect(variants.map(variant => variant.dtype)).toEqual(['fp32', 'fp16', 'q8', 'q4', 'q4f16'])
+    expect(variants.find(variant => variant.modelId === 'kokoro-82M-q8')).toEqual({
+      modelId: 'kokoro-82M-q8',
+      dtype: 'q8',
+      size: 64,
+      stored: true,
+      downloadDate: expect.any(Number)
+    })
+    expect(variants.find(variant => variant.modelId === 'kokoro-82M')).toMatchObject({
+      stored: false,
+      size: MODEL_CONFIG['kokoro-82M'].size
+    })
+  })
+
+  test('should read stored weights by precision without downloading', async () => {
+    await storage.storeModel('kokoro-82M-q8', new ArrayBuffer(64))
+
+    expect((await modelLoader.loadModelFile('q8')).byteLength).toBe(64)
+    expect(await modelLoader.loadModelFile('fp16')).toBeNull()
+  })
+
+  test('should delete a stored variant and keep the others', async () => {
+    await storage.storeModel('kokoro-82M-q8', new ArrayBuffer(64))
+    await storage.storeModel('kokoro-82M-q4', new ArrayBuffer(32))
+
+    await modelLoader.deleteModel('kokoro-82M-q8')
+
+    expect(await modelLoader.isModelAvailable('kokoro-82M-q8')).toBe(false)
+    expect(await modelLoader.isModelAvailable('kokoro-82M-q4')).toBe(true)
+    await expect(modelLoader.deleteModel('kokoro-1B')).rejects.toThrow('Unknown model: kokoro-1B')
+  })
+})
@@ -47,6 +47,15 @@ describe('TTSEvent', () => {
       expect(event.metadata.url).toBe('https://example.com')
     })
 
+    it('should accept text and ssml formats', () => {
+      expect(new TTSEvent({ options: { format: 'ssml' } }).request.options.format).toBe('ssml')
+      expect(new TTSEvent({ options: { format: 'text' } }).request.options.format).toBe('text')
+    })
+
+    it('should throw error for unknown text format', () => {
+      expect(() => new TTSEvent({ options: { format: 'markdown' } })).toThrow('Invalid text format: markdown')
+    })
+
     it('should generate unique IDs for different events', () => {
       const event1 = new TTSEvent()
       const event2 = new TTSEvent()
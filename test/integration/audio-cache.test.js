@@ -0,0 +1,95 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Synthesized audio cache tests
+ * Tests IndexedDBWrapper audio cache store and LRU eviction
+ */
+
+import { IndexedDBWrapper, STORES } from '../../platform/storage/indexeddb-wrapper.js'
+
+// Mock IndexedDB
+import 'fake-indexeddb/auto'
+
+const audio = (samples) => ({
+  data: new Float32Array(samples),
+  sampleRate: 24000
+})
+
+describe('Audio Cache', () => {
+  let storage
+
+  beforeEach(async () => {
+    // 4 KB budget = 1024 float samples
+    storage = new IndexedDBWrapper({ audioCacheMaxBytes: 4096 })
+    await storage.init()
+    await storage.clearAudioCache()
+  })
+
+  afterEach(() => {
+    storage.close()
+  })
+
+  test('should create the audio cache store', () => {
+    expect(storage.db.objectStoreNames.contains(STORES.AUDIO_CACHE)).toBe(true)
+  })
+
+  test('should store and load synthesized audio', async () => {
+    await storage.storeAudioCache('key-1', audio([0.1, 0.2, 0.3]), { voice: 'af_bella', speed: 1 })
+
+    const cached = await storage.loadAudioCache('key-1')
+
+    expect(cached.sampleRate).toBe(24000)
+    expect(Array.from(cached.data)).toEqual(Array.from(new Float32Array([0.1, 0.2, 0.3])))
+  })
+
+  test('should return null for unknown keys', async () => {
+    expect(await storage.loadAudioCache('missing')).toBeNull()
+  })
+
+  test('should report entry count and size', async () => {
+    await storage.storeAudioCache('key-1', audio(new Array(100).fill(0)))
+    await storage.storeAudioCache('key-2', audio(new Array(50).fill(0)))
+
+    const stats = await storage.getAudioCacheStats()
+
+    expect(stats).toEqual({ entries: 2, totalBytes: 600, maxBytes: 4096 })
+  })
+
+  test('should evict least recently used entries over the size budget', async () => {
+    const nowSpy = jest.spyOn(Date, 'now')
+
+    nowSpy.mockReturnValue(1000)
+    await storage.storeAudioCache('oldest', audio(new Array(400).fill(0)))
+    nowSpy.mockReturnValue(2000)
+    await storage.storeAudioCache('middle', audio(new Array(400).fill(0)))
+
+    // Reading refreshes recency
+    nowSpy.mockReturnValue(3000)
+    await storage.loadAudioCache('oldest')
+
+    nowSpy.mockReturnValue(4000)
+    await storage.storeAudioCache('newest', audio(new Array(400).fill(0)))
+
+    nowSpy.mockRestore()
+
+    expect(await storage.loadAudioCache('middle')).toBeNull()
+    expect(await storage.loadAudioCache('oldest')).not.toBeNull()
+    expect(await storage.loadAudioCache('newest')).not.toBeNull()
+    expect((await storage.getAudioCacheStats()).totalBytes).toBeLessThanOrEqual(4096)
+  })
+
+  test('should skip audio larger than the whole budget', async () => {
+    await storage.storeAudioCache('huge', audio(new Array(2000).fill(0)))
+
+    expect(await storage.loadAudioCache('huge')).toBeNull()
+  })
+
+  test('should clear the audio cache', async () => {
+    await storage.storeAudioCache('key-1', audio([0.1]))
+    await storage.clearAudioCache()
+
+    expect((await storage.getAudioCacheStats()).entries).toBe(0)
+  })
+})
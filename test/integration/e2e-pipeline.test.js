@@ -14,11 +14,6 @@ import { TTSCore } from '../../core/tts-core.js'
 // Mock IndexedDB
 import 'fake-indexeddb/auto'
 
-// Polyfill structuredClone for Node.js
-if (typeof global.structuredClone === 'undefined') {
-  global.structuredClone = (obj) => JSON.parse(JSON.stringify(obj))
-}
-
 // Mock chrome API
 global.chrome = {
   runtime: {
@@ -142,6 +137,7 @@ describe('E2E Pipeline Tests', () => {
       expect(storage.db.objectStoreNames.contains('models')).toBe(true)
       expect(storage.db.objectStoreNames.contains('textCache')).toBe(true)
       expect(storage.db.objectStoreNames.contains('metadata')).toBe(true)
+      expect(storage.db.objectStoreNames.contains('audioCache')).toBe(true)
     })
 
     test('should store and retrieve model', async () => {
@@ -223,6 +219,13 @@ describe('E2E Pipeline Tests', () => {
     })
 
     test('should download model if not in storage', async () => {
+      // The previous test stored the model
+      await new Promise((resolve, reject) => {
+        const request = storage.db.transaction('models', 'readwrite').objectStore('models').delete('kokoro-82M')
+        request.onsuccess = resolve
+        request.onerror = () => reject(request.error)
+      })
+
       const loaded = await modelLoader.loadModel('kokoro-82M')
 
       expect(loaded).toBeDefined()
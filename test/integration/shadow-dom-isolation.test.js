@@ -1,3 +1,7 @@
+/**
+ * @jest-environment node
+ */
+
 /**
  * Shadow DOM CSS Isolation Tests
  * Tests that Shadow DOM prevents CSS conflicts with host pages (IV1)
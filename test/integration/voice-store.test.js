@@ -0,0 +1,70 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Voice pack store tests
+ * Tests the IndexedDBWrapper voices store and voices.js reading from it before the network
+ */
+
+import { IndexedDBWrapper, STORES } from '../../platform/storage/indexeddb-wrapper.js'
+import { getVoiceData, setVoiceStore, forgetVoiceData } from '../../plugins/kokoro-engine/src/voices.js'
+
+// Mock IndexedDB
+import 'fake-indexeddb/auto'
+
+const voiceFile = (values) => new Float32Array(values).buffer
+
+describe('Voice Store', () => {
+  let storage
+
+  beforeEach(async () => {
+    storage = new IndexedDBWrapper()
+    await storage.init()
+    for (const { voiceId } of await storage.listVoices()) {
+      await storage.deleteVoice(voiceId)
+    }
+  })
+
+  afterEach(() => {
+    setVoiceStore(null)
+    forgetVoiceData('af_bella')
+    delete global.fetch
+    storage.close()
+  })
+
+  test('should create the voices store', () => {
+    expect(storage.db.objectStoreNames.contains(STORES.VOICES)).toBe(true)
+  })
+
+  test('should store, list and delete voice packs', async () => {
+    await storage.storeVoice('af_bella', voiceFile([1, 2, 3]))
+
+    expect(Array.from(new Float32Array(await storage.loadVoice('af_bella')))).toEqual([1, 2, 3])
+    expect(await storage.listVoices()).toEqual([
+      { voiceId: 'af_bella', size: 12, downloadDate: expect.any(Number) }
+    ])
+
+    await storage.deleteVoice('af_bella')
+
+    expect(await storage.loadVoice('af_bella')).toBeNull()
+    expect(await storage.listVoices()).toEqual([])
+  })
+
+  test('getVoiceData should read stored voices without the network', async () => {
+    global.fetch = jest.fn()
+    await storage.storeVoice('af_bella', voiceFile([4, 5]))
+    setVoiceStore(storage)
+
+    expect(Array.from(await getVoiceData('af_bella'))).toEqual([4, 5])
+    expect(global.fetch).not.toHaveBeenCalled()
+  })
+
+  test('getVoiceData should store voices it downloads', async () => {
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200, arrayBuffer: async () => voiceFile([6, 7]), headers: {} }))
+    setVoiceStore(storage)
+
+    expect(Array.from(await getVoiceData('af_bella'))).toEqual([6, 7])
+    expect(Array.from(new Float32Array(await storage.loadVoice('af_bella')))).toEqual([6, 7])
+  })
+})
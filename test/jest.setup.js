@@ -0,0 +1,16 @@
+/**
+ * Jest setup - browser APIs the test environment lacks
+ */
+
+// Constructable stylesheets (jsdom), used by the Shadow DOM UI components
+if (typeof CSSStyleSheet !== 'undefined' && !CSSStyleSheet.prototype.replaceSync) {
+  CSSStyleSheet.prototype.replaceSync = function replaceSync(css) {
+    this.cssText = css
+  }
+}
+
+// structuredClone with typed array support, used by fake-indexeddb (jsdom lacks it)
+if (typeof global.structuredClone === 'undefined') {
+  const v8 = require('v8')
+  global.structuredClone = (obj) => v8.deserialize(v8.serialize(obj))
+}
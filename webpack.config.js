@@ -46,6 +46,8 @@ module.exports = (env, argv) => {
           { from: 'core', to: 'core' },
           { from: 'platform', to: 'platform' },
           { from: 'plugin-manifest.json', to: 'plugin-manifest.json' },
+          { from: 'node_modules/pdfjs-dist/build/pdf.min.mjs', to: 'lib/pdfjs/' },
+          { from: 'node_modules/pdfjs-dist/build/pdf.worker.min.mjs', to: 'lib/pdfjs/' },
           { from: 'entry-points/popup/popup.html', to: 'popup.html' },
           { from: 'entry-points/options/options.html', to: 'options.html' }
         ]
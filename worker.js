@@ -1,6 +1,7 @@
 import { KokoroTTS } from "./kokoro.js";
 import { env } from "./transformers.min.js";
 import { splitTextSmart } from "./semantic-split.js";
+import { splitByTokens } from "./token-chunker.js";
 
 async function detectWebGPU() {
   try {
@@ -56,7 +57,17 @@ self.addEventListener("message", async (e) => {
   if (text) {
     shouldStop = false;
     let chunks = splitTextSmart(text, 300); // 400 seems to long for kokoro.
-    
+
+    // Each piece is phonemized once, to measure it and again by generate()
+    const phonemized = new Map();
+    const phonemizePiece = (piece) => {
+      const key = piece.trim();
+      if (!phonemized.has(key)) {
+        phonemized.set(key, tts.phonemizeText(key, { voice }));
+      }
+      return phonemized.get(key);
+    };
+
     self.postMessage({ status: "chunk_count", count: chunks.length });
 
     for (const chunk of chunks) {
@@ -80,11 +91,32 @@ self.addEventListener("message", async (e) => {
         break;
       }
 
-      const audio = await tts.generate(chunk, { voice }); // This is transformers RawAudio
-      let ab = audio.audio.buffer;
+      // A chunk past the model's token window is split on its phonemes rather than rejected by generate()
+      let pieces;
+      try {
+        pieces = await splitByTokens(chunk, async (piece) => (await phonemizePiece(piece)).tokens);
+      } catch (e) {
+        // e.g. a single phoneme span longer than the token window
+        console.error("Chunking failed:", e);
+        self.postMessage({ status: "error", error: e.message });
+        return;
+      }
 
-      bufferQueueSize++;
-      self.postMessage({ status: "stream_audio_data", audio: ab, text: chunk }, [ab]);
+      for (const piece of pieces) {
+        let audio;
+        try {
+          const { phonemes } = await phonemizePiece(piece);
+          audio = await tts.generate(piece, { voice, phonemes }); // This is transformers RawAudio
+        } catch (e) {
+          console.error("Generation failed:", e);
+          self.postMessage({ status: "error", error: e.message });
+          return;
+        }
+        let ab = audio.audio.buffer;
+
+        bufferQueueSize++;
+        self.postMessage({ status: "stream_audio_data", audio: ab, text: piece }, [ab]);
+      }
     }
 
     // Only send complete if we weren't stopped